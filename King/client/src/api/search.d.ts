@@ -1,55 +1,401 @@
-// client/src/api/search.d.ts
-declare interface SearchParams {
-  query: string;
-  sort?: 'relevance' | 'date' | 'rating';
-  page?: number;
-  perPage?: number;
-  filters?: {
-    [key: string]: string | number | string[];
-  };
-  useCache?: boolean;
-}
-
-declare interface SearchResult {
-  id: string;
-  title: string;
-  description: string;
-  url: string;
-  type: 'web' | 'image' | 'video' | 'news';
-  metadata?: {
-    [key: string]: any;
-  };
-  score?: number;
-  highlight?: {
-    [key: string]: string[];
-  };
-}
-
-declare interface SearchResponse {
-  results: SearchResult[];
-  total: number;
-  suggested_queries?: string[];
-  related_searches?: string[];
-  filters?: {
-    [key: string]: {
-      name: string;
-      options: {
-        value: string;
-        count: number;
-      }[];
-    };
-  };
-  cacheKey?: string;
-  isFallback?: boolean;
-}
-
-declare interface SearchSuggestion {
-  text: string;
-  type: 'query' | 'entity';
-  score?: number;
-}
-
-declare class SearchError extends Error {
-  code: string;
-  details?: any;
+// client/src/api/search.d.ts
+declare interface SearchParams {
+  query: string;
+  // distance: 按与 near 中心点的距离排序
+  sort?: 'relevance' | 'date' | 'rating' | 'distance';
+  page?: number;
+  perPage?: number;
+  // 上一页返回的翻页令牌（替代 page，深度翻页不依赖 skip）
+  search_after?: string;
+  // merged: 企业与网站统一排序分页
+  mode?: 'grouped' | 'merged';
+  // 排序方案名称，缺省时由服务端分流或使用默认方案
+  profile?: string;
+  // hybrid: 混合检索，语义相近（未包含关键词）的结果同样返回，排序综合向量相似度
+  semantic?: 'hybrid';
+  // 返回各结果的评分说明 _explain（仅管理员、编辑有效）
+  explain?: boolean;
+  // 行政区划（如 广东、深圳南山）
+  region?: string;
+  // 附近搜索中心：地名或 "经度,纬度"，radius 为半径（km，默认10）
+  near?: string;
+  radius?: number;
+  // 结构化过滤，键名与分面一致（industry、type、technology、foundedYearFrom 等）
+  filters?: {
+    [key: string]: string | number | boolean | string[];
+  };
+  useCache?: boolean;
+  // 高亮参数，false 表示不返回高亮
+  highlight?: false | {
+    fragmentSize?: number;
+    numberOfFragments?: number;
+    preTag?: string;
+    postTag?: string;
+  };
+}
+
+declare interface SearchResult {
+  id: string;
+  title: string;
+  description: string;
+  url: string;
+  type: 'web' | 'image' | 'video' | 'news';
+  metadata?: {
+    [key: string]: any;
+  };
+  score?: number;
+  // 与 near 中心点的距离（km）
+  distance?: number;
+  // 服务端生成的高亮片段（已转义，仅高亮标签为原样输出）
+  highlight?: {
+    [key: string]: string[];
+  };
+  // 评分说明（请求 explain=true 时）
+  _explain?: SearchExplanation;
+}
+
+declare interface SearchTermMatch {
+  field: string;
+  // 查询词项及命中的索引词项
+  query: string;
+  term?: string;
+  match: 'exact' | 'prefix' | 'fuzzy' | 'regex';
+  edits?: number;
+  // BM25 各项：词频、逆文档频率、字段长度及平均长度
+  tf?: number;
+  idf?: number;
+  fieldLength?: number;
+  avgFieldLength?: number;
+  // 字段权重及前缀/模糊匹配的折减系数
+  boost: number;
+  penalty?: number;
+  score: number;
+}
+
+declare interface SearchExplanation {
+  order: 'relevance' | 'distance' | 'latest';
+  score: number;
+  synonyms: {
+    rule: string;
+    term: string;
+    synonym: string;
+    score?: number;
+    matches?: SearchTermMatch[];
+  }[];
+  // 以下仅按相关性排序时返回
+  profile?: {
+    name: string;
+    version: number;
+  };
+  tier?: 'exact' | 'fuzzy' | 'unmatched';
+  matches?: SearchTermMatch[];
+  fuzzy?: {
+    field: string;
+    query: string;
+    term: string;
+    edits: number;
+  }[];
+  ranking?: {
+    keyword: number;
+    relevance: number;
+    similarity?: number;
+    boosts: {
+      [name: string]: {
+        signal: number;
+        weight: number;
+        factor: number;
+      };
+    };
+    factor: number;
+    score: number;
+  };
+}
+
+declare interface SearchResponse {
+  results: SearchResult[];
+  total: number;
+  // 客户端生成的搜索ID，结果点击上报时据此关联到本次搜索
+  search_id?: string;
+  // 下一页的翻页令牌，已是最后一页时为 null
+  search_after?: string | null;
+  // 本次查询使用的排序方案
+  ranking?: {
+    profile: string;
+    version: number;
+  };
+  // 请求混合检索时：unavailable 表示向量索引不可用，结果仅按关键词检索
+  semantic?: 'hybrid' | 'unavailable';
+  suggested_queries?: string[];
+  related_searches?: string[];
+  filters?: {
+    [key: string]: {
+      name: string;
+      options: {
+        value: string;
+        count: number;
+        // 直方图分面（成立年份、员工规模）的区间，上限为空表示不限
+        from?: number;
+        to?: number | null;
+      }[];
+    };
+  };
+  // 服务端结果缓存键（响应同时带 ETag，客户端据此发起条件请求）
+  cacheKey?: string;
+  isFallback?: boolean;
+}
+
+// 导出搜索结果的选项（搜索参数同 SearchParams，不分页）
+declare interface SearchExportOptions {
+  format?: 'csv' | 'json';
+  // 导出字段（顶层字段，如 name、contact），缺省为全部
+  fields?: string[];
+}
+
+declare interface SearchSuggestion {
+  text: string;
+  type: 'query' | 'entity';
+  score?: number;
+  // type 为 entity 时的实体类型及ID
+  entityType?: 'enterprise' | 'website';
+  id?: string;
+}
+
+declare interface SearchHistoryEntry {
+  id: string;
+  query: string;
+  // 最近一次搜索时的 types、mode、region、near、radius
+  filters: {
+    [key: string]: string | number | string[];
+  };
+  pinned: boolean;
+  count: number;
+  lastSearchedAt: string;
+}
+
+declare interface SavedSearch {
+  id: string;
+  name: string;
+  query: string;
+  filters: {
+    [key: string]: string | number | string[];
+  };
+  sort: 'relevance' | 'distance';
+  // 排序方案名称
+  profile?: string;
+  alert: SavedSearchAlert;
+  createdAt: string;
+  updatedAt: string;
+}
+
+declare interface SavedSearchAlert {
+  enabled: boolean;
+  // 邮件/Webhook 摘要的发送频率，站内通知始终即时
+  frequency: 'instant' | 'hourly' | 'daily' | 'weekly';
+  channels: {
+    inApp: boolean;
+    email: boolean;
+    webhook: boolean;
+  };
+  webhookUrl?: string;
+  // 用于校验 X-Alert-Signature 的签名密钥
+  webhookSecret?: string;
+  muted: boolean;
+  mutedUntil?: string;
+  checkedAt?: string;
+  deliveredAt?: string;
+}
+
+declare interface AlertNotification {
+  id: string;
+  user: string;
+  savedSearch: string;
+  searchName: string;
+  entityType: 'enterprise' | 'website';
+  entityId: string;
+  title: string;
+  read: boolean;
+  readAt?: string;
+  createdAt: string;
+}
+
+declare interface SearchFacet {
+  name: string;
+  options: {
+    value: string;
+    count: number;
+    from?: number;
+    to?: number | null;
+  }[];
+}
+
+// 可用的过滤维度及取值：实体类型 -> 过滤参数 -> 分面
+declare interface SearchFilterOptions {
+  enterprise?: { [key: string]: SearchFacet };
+  website?: { [key: string]: SearchFacet };
+  [type: string]: { [key: string]: SearchFacet } | undefined;
+}
+
+// 可检索的实体类型（服务端注册表，GET /search/types）
+declare interface SearchTypeDescriptor {
+  type: string;
+  label: string;
+  resultKey: string; // 分组模式下结果的键名
+  // 结果渲染所用的字段路径
+  renderer: {
+    icon?: string;
+    title?: string;
+    subtitle?: string;
+    description?: string;
+    url?: string;
+  };
+  queryFields: string[]; // 结构化查询字段（如 industry:）
+  facets: string[];
+  geo: boolean; // 是否支持附近搜索
+}
+
+declare interface SearchDetail {
+  _id: string;
+  _type: 'enterprise' | 'website';
+  [key: string]: any;
+  // 企业详情：企业的网站
+  websites?: {
+    _id: string;
+    domain: string;
+    title: string;
+    status: string;
+    ssl: boolean;
+    lastCrawledAt?: string;
+    lastCrawlStatus?: string;
+  }[];
+  // 网站详情：所属企业及爬取信息
+  enterprise?: {
+    _id: string;
+    name: string;
+    industry: string;
+    status: string;
+  } | null;
+  crawl?: {
+    lastCrawledAt: string | null;
+    status: 'success' | 'failed' | 'partial' | null;
+    error: string | null;
+    ip: string;
+    server: string;
+    ssl: boolean;
+    technologies: string[];
+    certificate: CertificateInfo | null;
+  };
+}
+
+declare interface CertificateInfo {
+  fingerprint: string; // SHA-256 指纹（小写十六进制）
+  subject?: string;
+  issuer?: string;
+  altNames?: string[];
+  validFrom?: string;
+  validTo?: string;
+}
+
+// 关联基础设施的一个维度
+declare interface InfrastructurePivot {
+  key: 'ip' | 'subnet' | 'server' | 'stack' | 'technology' | 'certificate';
+  value: string;
+  subject?: string | null; // 证书主体（key 为 certificate 时）
+  query: string; // 对应的结构化查询，如 ip:203.0.113.0/24
+  count: number; // 网站数（含该网站本身）
+}
+
+declare interface InfrastructurePivots {
+  website: {
+    _id: string;
+    domain: string;
+    title: string;
+    ip: string;
+    server: string;
+    technologies: string[];
+    certificate?: CertificateInfo;
+  };
+  pivots: InfrastructurePivot[];
+}
+
+declare interface PageResult {
+  _id: string;
+  website: string;
+  url: string;
+  title: string;
+  headings: string[];
+  language?: string;
+  depth: number;
+  crawledAt: string;
+  _score?: number;
+  // 正文无高亮片段时返回开头的摘要
+  excerpt?: string;
+  highlight?: {
+    title?: string[];
+    headings?: string[];
+    content?: string[];
+  };
+}
+
+// 统一搜索响应 data.pages.data 的每项：网页正文命中按所属网站分组
+declare interface PageGroup {
+  website: {
+    _id: string;
+    domain: string;
+    title: string;
+  };
+  pages: PageResult[]; // 得分最高的若干页面
+  total: number; // 该网站的命中页面数
+}
+
+declare interface PageSearchResponse {
+  success: boolean;
+  data: PageResult[];
+  meta: {
+    query: string;
+    website: string;
+    page: number;
+    pageSize: number;
+    total: number;
+    totalPages: number;
+  };
+  cacheKey: string;
+}
+
+declare interface SimilarityReasons {
+  // 各项相似度（0-1），未参与计算的项缺省
+  text?: number;
+  industry?: number;
+  location?: number;
+  size?: number; // 仅企业
+  technology?: number;
+  type?: number; // 仅网站
+}
+
+declare interface SimilarResult {
+  _id: string;
+  _type: 'enterprise' | 'website';
+  _similarity: {
+    score: number;
+    reasons: SimilarityReasons;
+  };
+  [key: string]: any;
+}
+
+declare interface SimilarResults {
+  data: SimilarResult[];
+  meta: {
+    computedAt: string | null; // 近邻列表的计算时间，尚未计算时为 null
+  };
+}
+
+declare interface QuerySyntaxErrorDetails {
+  code: 'QUERY_SYNTAX_ERROR';
+  message: string;
+  position: number; // 出错位置（字符偏移）
+  length: number;
+}
+
+declare class SearchError extends Error {
+  code: string;
+  details?: QuerySyntaxErrorDetails | any;
 }
\ No newline at end of file
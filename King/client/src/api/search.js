@@ -1,284 +1,584 @@
-// client/src/api/search.js
-import axios from 'axios';
-import { useSearchStore } from '@/stores/search';
-import { EventBus } from '@/utils/eventBus';
-import { AuthError, RateLimitError } from './auth';
-
-// 配置带取消令牌的 axios 实例
-const searchApi = axios.create({
-  baseURL: import.meta.env.VITE_API_BASE_URL,
-  timeout: 15000,
-  paramsSerializer: {
-    indexes: false, // 不生成数组索引
-    encode: (value) => encodeURIComponent(value).replace(/%20/g, '+')
-  }
-});
-
-// 请求队列和取消令牌管理
-const pendingRequests = new Map();
-
-// 请求拦截器
-searchApi.interceptors.request.use(config => {
-  const requestKey = `${config.method}-${config.url}-${JSON.stringify(config.params)}`;
-  
-  // 取消重复请求
-  if (pendingRequests.has(requestKey)) {
-    pendingRequests.get(requestKey).cancel('Request canceled due to duplication');
-  }
-  
-  const cancelToken = new axios.CancelToken(cancel => {
-    pendingRequests.set(requestKey, { cancel });
-  });
-  
-  config.cancelToken = cancelToken;
-  config.metadata = { requestKey };
-  
-  // 添加性能标记
-  config.headers['X-Perf-Mark'] = performance.now().toFixed(2);
-  
-  return config;
-});
-
-// 响应拦截器
-searchApi.interceptors.response.use(
-  response => {
-    const { config, data } = response;
-    const { requestKey } = config.metadata;
-    
-    // 清理已完成请求
-    pendingRequests.delete(requestKey);
-    
-    // 缓存控制
-    if (data.cacheKey) {
-      cacheSearchResult(data.cacheKey, data);
-    }
-    
-    // 性能监控
-    const perfMark = parseFloat(config.headers['X-Perf-Mark']);
-    const duration = performance.now() - perfMark;
-    logSearchPerf(config.params, duration);
-    
-    return data;
-  },
-  error => {
-    if (axios.isCancel(error)) {
-      return Promise.reject(new SearchError('请求已取消', 'REQUEST_CANCELED'));
-    }
-    
-    const { response, config } = error;
-    if (config) {
-      const { requestKey } = config.metadata;
-      pendingRequests.delete(requestKey);
-    }
-    
-    return handleSearchError(response);
-  }
-);
-
-/**
- * 企业级搜索服务
- */
-export const SearchService = {
-  /**
-   * 高级搜索
-   * @param {Object} params - 搜索参数
-   * @param {string} params.query - 搜索关键词
-   * @param {string} [params.sort] - 排序方式
-   * @param {number} [params.page] - 页码
-   * @param {number} [params.perPage] - 每页数量
-   * @param {Object} [params.filters] - 过滤条件
-   * @param {boolean} [params.useCache] - 是否使用缓存
-   */
-  async advancedSearch(params) {
-    try {
-      const cacheKey = generateCacheKey(params);
-      
-      // 缓存命中检查
-      if (params.useCache && getCachedResult(cacheKey)) {
-        return getCachedResult(cacheKey);
-      }
-      
-      const { data } = await searchApi.get('/search/advanced', {
-        params: {
-          ...params,
-          // 添加搜索上下文
-          context: getSearchContext(),
-          // 添加设备信息
-          device_type: getDeviceType()
-        },
-        // 超时重试配置
-        retry: 2,
-        retryDelay: 1000
-      });
-      
-      // 触发搜索分析事件
-      EventBus.emit('search-analytics', {
-        query: params.query,
-        result_count: data.total,
-        filters: params.filters
-      });
-      
-      return data;
-    } catch (error) {
-      // 降级到本地缓存或备用数据
-      if (error instanceof RateLimitError) {
-        return getFallbackData(params);
-      }
-      throw error;
-    }
-  },
-  
-  /**
-   * 即时搜索建议
-   * @param {string} query - 搜索词
-   * @param {number} [limit=5] - 建议数量
-   */
-  async getSuggestions(query, limit = 5) {
-    if (!query || query.length < 2) {
-      return [];
-    }
-    
-    const { data } = await searchApi.get('/search/suggestions', {
-      params: {
-        q: query,
-        limit,
-        lang: navigator.language
-      },
-      // 防抖处理
-      debounce: 300
-    });
-    
-    return data.suggestions;
-  },
-  
-  /**
-   * 获取搜索过滤器选项
-   */
-  async getSearchFilters() {
-    const { data } = await searchApi.get('/search/filters', {
-      // 长期缓存
-      cacheTTL: 3600
-    });
-    return data;
-  },
-  
-  /**
-   * 获取搜索结果的详细信息
-   * @param {string} id - 结果ID
-   * @param {string} [type] - 结果类型
-   */
-  async getSearchDetail(id, type) {
-    const { data } = await searchApi.get(`/search/detail/${id}`, {
-      params: { type },
-      // 优先从缓存读取
-      staleWhileRevalidate: true
-    });
-    return data;
-  },
-  
-  /**
-   * 批量获取搜索结果
-   * @param {Array<string>} ids - 结果ID数组
-   */
-  async batchGetResults(ids) {
-    const { data } = await searchApi.post('/search/batch', { ids });
-    return data.results;
-  },
-  
-  /**
-   * 取消所有进行中的搜索请求
-   */
-  cancelAllRequests() {
-    pendingRequests.forEach(({ cancel }, key) => {
-      cancel('Manual cancel');
-      pendingRequests.delete(key);
-    });
-  }
-};
-
-// ==================== 工具函数 ====================
-function generateCacheKey(params) {
-  const { query, sort, page, perPage, filters } = params;
-  return `${query}-${sort}-${page}-${perPage}-${JSON.stringify(filters)}`;
-}
-
-function getCachedResult(cacheKey) {
-  const cache = JSON.parse(sessionStorage.getItem('searchCache') || '{}');
-  return cache[cacheKey];
-}
-
-function cacheSearchResult(cacheKey, data) {
-  const cache = JSON.parse(sessionStorage.getItem('searchCache') || '{}');
-  cache[cacheKey] = data;
-  sessionStorage.setItem('searchCache', JSON.stringify(cache));
-}
-
-function getSearchContext() {
-  const store = useSearchStore();
-  return {
-    recent_queries: store.recentQueries,
-    preferred_categories: store.preferredCategories
-  };
-}
-
-function getDeviceType() {
-  const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-  return isMobile ? 'mobile' : 'desktop';
-}
-
-function logSearchPerf(params, duration) {
-  if (import.meta.env.MODE === 'production') {
-    const perfData = {
-      timestamp: new Date().toISOString(),
-      query: params.query,
-      duration: duration.toFixed(2),
-      page: params.page || 1,
-      filters: params.filters || {}
-    };
-    console.log('[SEARCH_PERF]', perfData);
-    // 实际项目中发送到性能监控系统
-    // perfTracker.track(perfData);
-  }
-}
-
-function getFallbackData(params) {
-  // 实际项目中可以从 IndexedDB 或 Service Worker 获取备用数据
-  console.warn('Using fallback data due to rate limiting');
-  return {
-    results: [],
-    total: 0,
-    isFallback: true,
-    params
-  };
-}
-
-// ==================== 错误处理 ====================
-function handleSearchError(response) {
-  if (!response) {
-    return Promise.reject(new SearchError('网络错误', 'NETWORK_ERROR'));
-  }
-
-  const errorMap = {
-    400: () => new SearchError('无效的搜索请求', 'INVALID_REQUEST'),
-    401: () => new AuthError('请重新登录', 'SESSION_EXPIRED'),
-    403: () => new SearchError('无搜索权限', 'FORBIDDEN'),
-    429: () => new RateLimitError('请求过于频繁', response.headers['retry-after']),
-    500: () => new SearchError('搜索服务不可用', 'SERVICE_UNAVAILABLE')
-  };
-
-  const handler = errorMap[response.status] || 
-    (() => new SearchError(response.data?.message || '未知错误', 'UNKNOWN_ERROR'));
-  
-  return Promise.reject(handler());
-}
-
-class SearchError extends Error {
-  constructor(message, code) {
-    super(message);
-    this.name = 'SearchError';
-    this.code = code || 'SEARCH_ERROR';
-  }
-}
-
-// 导出错误类以便外部捕获特定错误
+// client/src/api/search.js
+import axios from 'axios';
+import { useSearchStore } from '@/stores/search';
+import { useAuthStore } from '@/stores/auth';
+import { useSearchHistoryStore } from '@/stores/searchHistory';
+import { EventBus } from '@/utils/eventBus';
+import { AuthError, RateLimitError } from './auth';
+
+// 配置带取消令牌的 axios 实例
+const searchApi = axios.create({
+  baseURL: import.meta.env.VITE_API_BASE_URL,
+  timeout: 15000,
+  paramsSerializer: {
+    indexes: false, // 不生成数组索引
+    encode: (value) => encodeURIComponent(value).replace(/%20/g, '+')
+  }
+});
+
+// 请求队列和取消令牌管理
+const pendingRequests = new Map();
+
+// 搜索结果缓存（sessionStorage，按请求保存服务端返回的 cacheKey、ETag 及结果，超出数量时淘汰最久未使用的）
+const RESULT_CACHE = {
+  storageKey: 'searchCache',
+  maxEntries: 50
+};
+
+// 请求拦截器
+searchApi.interceptors.request.use(config => {
+  const requestKey = `${config.method}-${config.url}-${JSON.stringify(config.params)}`;
+  
+  // 取消重复请求
+  if (pendingRequests.has(requestKey)) {
+    pendingRequests.get(requestKey).cancel('Request canceled due to duplication');
+  }
+  
+  const cancelToken = new axios.CancelToken(cancel => {
+    pendingRequests.set(requestKey, { cancel });
+  });
+  
+  config.cancelToken = cancelToken;
+  config.metadata = { requestKey };
+  
+  // 登录用户携带令牌（搜索历史、保存的搜索等需要认证）
+  const authStore = useAuthStore();
+  if (authStore.token) {
+    config.headers.Authorization = `Bearer ${authStore.token}`;
+  }
+  
+  // 已缓存的结果带 ETag 发起条件请求，结果未变化时服务端返回 304
+  if (config.method === 'get') {
+    const cached = getCachedResult(cacheRequestKey(config));
+    if (cached?.etag) {
+      config.headers['If-None-Match'] = cached.etag;
+    }
+    config.validateStatus = status => (status >= 200 && status < 300) || status === 304;
+  }
+  
+  // 添加性能标记
+  config.headers['X-Perf-Mark'] = performance.now().toFixed(2);
+  
+  return config;
+});
+
+// 响应拦截器
+searchApi.interceptors.response.use(
+  response => {
+    const { config, headers } = response;
+    const { requestKey } = config.metadata;
+    let { data } = response;
+    
+    // 清理已完成请求
+    pendingRequests.delete(requestKey);
+    
+    // 缓存控制：304 使用本地缓存的结果，可缓存的响应按服务端 cacheKey 及 ETag 保存
+    const cacheKey = cacheRequestKey(config);
+    if (response.status === 304) {
+      const cached = getCachedResult(cacheKey);
+      if (cached) {
+        data = cached.data;
+        cacheSearchResult(cacheKey, { ...cached, expiresAt: expiresAtOf(headers) });
+      }
+    } else if (data?.cacheKey && headers.etag) {
+      cacheSearchResult(cacheKey, {
+        cacheKey: data.cacheKey,
+        etag: headers.etag,
+        expiresAt: expiresAtOf(headers),
+        data
+      });
+    }
+    
+    // 性能监控
+    const perfMark = parseFloat(config.headers['X-Perf-Mark']);
+    const duration = performance.now() - perfMark;
+    logSearchPerf(config.params || {}, duration);
+    
+    return data;
+  },
+  error => {
+    if (axios.isCancel(error)) {
+      return Promise.reject(new SearchError('请求已取消', 'REQUEST_CANCELED'));
+    }
+    
+    const { response, config } = error;
+    if (config) {
+      const { requestKey } = config.metadata;
+      pendingRequests.delete(requestKey);
+    }
+    
+    return handleSearchError(response);
+  }
+);
+
+/**
+ * 企业级搜索服务
+ */
+export const SearchService = {
+  /**
+   * 高级搜索
+   * @param {Object} params - 搜索参数
+   * @param {string} params.query - 搜索关键词
+   * @param {string} [params.sort] - 排序方式
+   * @param {string} [params.semantic] - hybrid: 混合检索（关键词 + 向量相似度）
+   * @param {boolean} [params.explain] - 返回各结果的评分说明 _explain（仅管理员、编辑有效）
+   * @param {number} [params.page] - 页码
+   * @param {number} [params.perPage] - 每页数量
+   * @param {Object} [params.filters] - 过滤条件
+   * @param {boolean} [params.useCache] - 缓存未过期（服务端 Cache-Control）时直接使用，不发起请求
+   * @param {Object|boolean} [params.highlight] - 高亮参数 { fragmentSize, numberOfFragments, preTag, postTag }
+   * @returns {Promise<Object>} 响应体 { data, meta, filters, suggested_queries, related_searches, cacheKey }，另附 search_id
+   */
+  async advancedSearch(params) {
+    try {
+      // 缓存命中检查
+      if (params.useCache) {
+        const cached = getCachedResult(cacheRequestKey({ url: '/search/advanced', params }), { fresh: true });
+        if (cached) {
+          return cached.data;
+        }
+      }
+      
+      const searchId = generateSearchId();
+      const startTime = performance.now();
+
+      // 响应拦截器已返回响应体：data 为结果，meta、filters、related_searches 等与之并列
+      const response = await searchApi.get('/search/advanced', {
+        params: {
+          ...params,
+          // 添加搜索上下文
+          context: getSearchContext(),
+          // 添加设备信息
+          device_type: getDeviceType()
+        },
+        // 服务端据此记录本次返回的结果，结果点击只计入返回过的结果（不放入参数，避免影响结果缓存）
+        headers: { 'X-Search-Id': searchId },
+        // 超时重试配置
+        retry: 2,
+        retryDelay: 1000
+      });
+      
+      // 触发搜索分析事件（结果点击通过 search_id 关联到本次搜索）
+      EventBus.emit('search-analytics', {
+        search_id: searchId,
+        query: params.query,
+        result_count: response.meta.total,
+        filters: params.filters,
+        types: params.types,
+        mode: params.mode,
+        page: params.page || 1,
+        per_page: params.perPage,
+        latency: Math.round(performance.now() - startTime)
+      });
+      
+      return { ...response, search_id: searchId };
+    } catch (error) {
+      // 降级到本地缓存或备用数据
+      if (error instanceof RateLimitError) {
+        return getFallbackData(params);
+      }
+      throw error;
+    }
+  },
+  
+  /**
+   * 即时搜索建议
+   * @param {string} query - 搜索词
+   * @param {number} [limit=5] - 建议数量
+   */
+  async getSuggestions(query, limit = 5) {
+    // 单个汉字即可联想，字母至少两个
+    if (!query || (query.length < 2 && !/[\u4e00-\u9fff]/.test(query))) {
+      return [];
+    }
+    
+    // 响应拦截器返回响应体 { suggestions }
+    const { suggestions } = await searchApi.get('/search/suggestions', {
+      params: {
+        q: query,
+        limit,
+        lang: navigator.language
+      },
+      // 防抖处理
+      debounce: 300
+    });
+    
+    return suggestions;
+  },
+  
+  /**
+   * 可检索的实体类型及其渲染元数据（结果标题、描述等对应的字段）
+   * @returns {Promise<SearchTypeDescriptor[]>} 按服务端注册顺序
+   */
+  async getSearchTypes() {
+    const { data } = await searchApi.get('/search/types');
+    return data;
+  },
+  
+  /**
+   * 获取搜索过滤器选项（各实体类型的过滤维度及取值）
+   * @param {Array<string>} [types] - 实体类型
+   * @returns {Promise<SearchFilterOptions>}
+   */
+  async getSearchFilters(types) {
+    const { data } = await searchApi.get('/search/filters', {
+      params: types ? { types: types.join(',') } : undefined
+    });
+    return data;
+  },
+  
+  /**
+   * 获取搜索结果的详细信息
+   * @param {string} id - 结果ID
+   * @param {string} [type] - 结果类型（enterprise/website），缺省时由服务端识别
+   * @returns {Promise<SearchDetail>}
+   */
+  async getSearchDetail(id, type) {
+    const { data } = await searchApi.get(`/search/detail/${id}`, {
+      params: { type },
+      // 优先从缓存读取
+      staleWhileRevalidate: true
+    });
+    return data;
+  },
+  
+  /**
+   * 获取网站的关联基础设施（共用 IP、/24 网段、服务器、技术栈或证书的网站数）
+   * @param {string} id - 网站ID
+   * @returns {Promise<InfrastructurePivots>} 各维度的 query 可直接用于搜索
+   */
+  async getInfrastructurePivots(id) {
+    const { data } = await searchApi.get(`/search/pivots/${id}`);
+    return data;
+  },
+  
+  /**
+   * 相似推荐（更多类似结果）
+   * @param {'enterprise'|'website'} type - 结果类型
+   * @param {string} id - 结果ID
+   * @param {number} [limit] - 返回数量（最多 20）
+   * @returns {Promise<SimilarResults>} 按相似度降序
+   */
+  async getSimilarResults(type, id, limit) {
+    return await searchApi.get(`/search/similar/${type}/${id}`, { params: { limit } });
+  },
+  
+  /**
+   * 站内搜索（网页正文）
+   * @param {string} websiteId - 网站ID
+   * @param {string} query - 搜索关键词，为空时按爬取深度列出页面
+   * @param {Object} [options] - { page, pageSize }
+   * @returns {Promise<PageSearchResponse>}
+   */
+  async searchPages(websiteId, query, { page = 1, pageSize = 10 } = {}) {
+    return await searchApi.get('/search/pages', {
+      params: { website: websiteId, q: query || undefined, page, pageSize }
+    });
+  },
+  
+  /**
+   * 批量获取搜索结果
+   * @param {Array<string>} ids - 结果ID数组
+   * @param {string} [type] - 结果类型，缺省时在企业与网站中查找
+   * @returns {Promise<Array<Object|null>>} 与 ids 顺序一致，不存在的记录为 null
+   */
+  async batchGetResults(ids, type) {
+    const { data } = await searchApi.post('/search/batch', { ids, type });
+    return data;
+  },
+  
+  /**
+   * 导出搜索结果（需登录，按搜索的排序导出全部结果）
+   * @param {Object} params - 搜索参数（同 advancedSearch，不分页）：query、types、filters、sort、semantic、region、near、radius、profile
+   * @param {Object} [options]
+   * @param {string} [options.format='csv'] - csv/json
+   * @param {Array<string>} [options.fields] - 导出字段（如 name、contact），缺省为全部
+   * @returns {Promise<Blob>} 导出文件
+   */
+  async exportResults(params, { format = 'csv', fields } = {}) {
+    const { query, types, filters, sort, semantic, region, near, radius, profile } = params;
+
+    return searchApi.post('/search/export', {
+      query,
+      types,
+      filters,
+      sort,
+      semantic,
+      region,
+      near,
+      radius,
+      profile,
+      format,
+      fields
+    }, {
+      responseType: 'blob',
+      // 结果较多时服务端生成文件耗时较长
+      timeout: 120000
+    });
+  },
+  
+  /**
+   * 搜索历史（需登录，置顶在前）
+   * @param {Object} [params]
+   * @param {string} [params.prefix] - 只返回以此开头的查询
+   * @param {number} [params.limit] - 数量
+   */
+  async getSearchHistory(params = {}) {
+    return searchApi.get('/search/history', { params });
+  },
+  
+  /**
+   * 导入访客期间的本地搜索历史
+   * @param {Array<{query: string, filters?: Object, searchedAt?: string}>} entries
+   * @returns {Promise<{imported: number, data: Array}>} data 为合并后的历史
+   */
+  async importSearchHistory(entries) {
+    return searchApi.post('/search/history', { entries });
+  },
+  
+  /**
+   * 置顶/取消置顶搜索历史
+   */
+  async pinSearchHistory(id, pinned) {
+    const { data } = await searchApi.put(`/search/history/${id}`, { pinned });
+    return data;
+  },
+  
+  /**
+   * 删除一条搜索历史
+   */
+  async deleteSearchHistory(id) {
+    await searchApi.delete(`/search/history/${id}`);
+  },
+  
+  /**
+   * 清空搜索历史
+   * @param {Object} [options]
+   * @param {boolean} [options.keepPinned] - 保留置顶记录
+   */
+  async clearSearchHistory({ keepPinned = false } = {}) {
+    return searchApi.delete('/search/history', { params: { keepPinned } });
+  },
+  
+  /**
+   * 保存的搜索列表
+   */
+  async getSavedSearches() {
+    const { data } = await searchApi.get('/saved-searches');
+    return data;
+  },
+  
+  /**
+   * 保存搜索
+   * @param {Object} search - { name, query, filters, sort, profile, alert }
+   */
+  async createSavedSearch(search) {
+    const { data } = await searchApi.post('/saved-searches', search);
+    return data;
+  },
+  
+  /**
+   * 修改保存的搜索
+   */
+  async updateSavedSearch(id, changes) {
+    const { data } = await searchApi.put(`/saved-searches/${id}`, changes);
+    return data;
+  },
+  
+  /**
+   * 删除保存的搜索
+   */
+  async deleteSavedSearch(id) {
+    await searchApi.delete(`/saved-searches/${id}`);
+  },
+  
+  /**
+   * 站内通知列表（保存的搜索提醒）
+   * @param {Object} [params] - { page, pageSize, unread }
+   * @returns {Promise<{total: number, unread: number, data: Array}>}
+   */
+  async getNotifications(params = {}) {
+    return searchApi.get('/notifications', { params });
+  },
+  
+  /**
+   * 标记通知为已读
+   */
+  async markNotificationRead(id) {
+    const { data } = await searchApi.put(`/notifications/${id}/read`);
+    return data;
+  },
+  
+  /**
+   * 全部标记为已读
+   * @param {string} [savedSearchId] - 只标记该保存的搜索的通知
+   */
+  async markAllNotificationsRead(savedSearchId) {
+    const { data } = await searchApi.post('/notifications/read-all', savedSearchId ? { savedSearch: savedSearchId } : {});
+    return data;
+  },
+  
+  /**
+   * 批量上报搜索分析事件
+   * 使用 keepalive 请求，页面关闭过程中发出的请求也能送达
+   * @param {Object} payload - { sessionId, events }
+   */
+  async sendAnalyticsEvents(payload) {
+    const authStore = useAuthStore();
+    const headers = { 'Content-Type': 'application/json' };
+    if (authStore.token) {
+      headers.Authorization = `Bearer ${authStore.token}`;
+    }
+
+    const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/search/events`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+      keepalive: true
+    });
+
+    // 事件无效（400）时不再重试
+    if (!response.ok && response.status !== 400) {
+      throw new SearchError('搜索分析事件发送失败', 'ANALYTICS_FAILED');
+    }
+  },
+  
+  /**
+   * 取消所有进行中的搜索请求
+   */
+  cancelAllRequests() {
+    pendingRequests.forEach(({ cancel }, key) => {
+      cancel('Manual cancel');
+      pendingRequests.delete(key);
+    });
+  }
+};
+
+// ==================== 工具函数 ====================
+function cacheRequestKey(config) {
+  // 搜索上下文、设备信息不影响结果
+  const { context, device_type, ...params } = config.params || {};
+  return `${config.url}?${JSON.stringify(params)}`;
+}
+
+// 缓存条目按最近使用顺序保存为 [请求键, 条目] 数组，最近使用的在末尾
+function readResultCache() {
+  try {
+    const entries = JSON.parse(sessionStorage.getItem(RESULT_CACHE.storageKey));
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * 读取缓存的结果
+ * @param {string} requestKey - 请求键
+ * @param {Object} [options]
+ * @param {boolean} [options.fresh] - 只返回未过期的条目
+ * @returns {{cacheKey: string, etag: string, expiresAt: number, data: Object}|null}
+ */
+function getCachedResult(requestKey, { fresh = false } = {}) {
+  const entry = readResultCache().find(([key]) => key === requestKey)?.[1];
+  if (!entry || (fresh && entry.expiresAt <= Date.now())) {
+    return null;
+  }
+  return entry;
+}
+
+function cacheSearchResult(requestKey, entry) {
+  const entries = readResultCache().filter(([key]) => key !== requestKey);
+  entries.push([requestKey, entry]);
+  
+  try {
+    sessionStorage.setItem(RESULT_CACHE.storageKey, JSON.stringify(entries.slice(-RESULT_CACHE.maxEntries)));
+  } catch (error) {
+    // 超出存储配额时清空缓存
+    sessionStorage.removeItem(RESULT_CACHE.storageKey);
+  }
+}
+
+function expiresAtOf(headers) {
+  const maxAge = /max-age=(\d+)/.exec(headers['cache-control'] || '');
+  return Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : 0);
+}
+
+function generateSearchId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function getSearchContext() {
+  const store = useSearchStore();
+  const historyStore = useSearchHistoryStore();
+  return {
+    recent_queries: historyStore.recentQueries,
+    preferred_categories: store.preferredCategories
+  };
+}
+
+function getDeviceType() {
+  const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
+  return isMobile ? 'mobile' : 'desktop';
+}
+
+function logSearchPerf(params, duration) {
+  if (import.meta.env.MODE === 'production') {
+    const perfData = {
+      timestamp: new Date().toISOString(),
+      query: params.query,
+      duration: duration.toFixed(2),
+      page: params.page || 1,
+      filters: params.filters || {}
+    };
+    console.log('[SEARCH_PERF]', perfData);
+    // 实际项目中发送到性能监控系统
+    // perfTracker.track(perfData);
+  }
+}
+
+function getFallbackData(params) {
+  // 实际项目中可以从 IndexedDB 或 Service Worker 获取备用数据
+  console.warn('Using fallback data due to rate limiting');
+  return {
+    results: [],
+    total: 0,
+    isFallback: true,
+    params
+  };
+}
+
+// ==================== 错误处理 ====================
+function handleSearchError(response) {
+  if (!response) {
+    return Promise.reject(new SearchError('网络错误', 'NETWORK_ERROR'));
+  }
+
+  const errorMap = {
+    // 查询语法错误携带出错位置 { code, message, position, length }
+    400: () => response.data?.details?.code === 'QUERY_SYNTAX_ERROR'
+      ? new SearchError(response.data.details.message, 'QUERY_SYNTAX_ERROR', response.data.details)
+      : new SearchError('无效的搜索请求', 'INVALID_REQUEST'),
+    401: () => new AuthError('请重新登录', 'SESSION_EXPIRED'),
+    403: () => new SearchError('无搜索权限', 'FORBIDDEN'),
+    429: () => new RateLimitError('请求过于频繁', response.headers['retry-after']),
+    500: () => new SearchError('搜索服务不可用', 'SERVICE_UNAVAILABLE')
+  };
+
+  const handler = errorMap[response.status] || 
+    (() => new SearchError(response.data?.message || '未知错误', 'UNKNOWN_ERROR'));
+  
+  return Promise.reject(handler());
+}
+
+class SearchError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'SearchError';
+    this.code = code || 'SEARCH_ERROR';
+    this.details = details;
+  }
+}
+
+// 导出错误类以便外部捕获特定错误
 export { SearchError };
\ No newline at end of file
@@ -0,0 +1,180 @@
+// client/src/stores/searchHistory.js
+import { defineStore } from 'pinia'
+import { useAuthStore } from '@/stores/auth'
+import { SearchService } from '@/api/search'
+
+// 访客在本地保留的未置顶记录数
+const MAX_LOCAL_ENTRIES = 50
+
+// 登录后单次合并到服务端的记录数（服务端上限）
+const MAX_IMPORT_ENTRIES = 50
+
+/**
+ * 搜索历史
+ * 登录用户的历史保存在服务端（搜索时由服务端记录），访客的历史保存在本地存储；
+ * 访客登录后本地记录合并到服务端
+ */
+export const useSearchHistoryStore = defineStore('searchHistory', {
+  state: () => ({
+    // { id, query, filters, pinned, count, lastSearchedAt }，置顶在前，其余按最近搜索时间
+    entries: [],
+    // local: 本地记录; server: 当前登录用户的服务端记录
+    source: 'local'
+  }),
+
+  getters: {
+    recentQueries: state => state.entries.map(entry => entry.query)
+  },
+
+  actions: {
+    /**
+     * 按登录状态切换记录来源（搜索框获得焦点、记录搜索前调用）
+     */
+    async sync() {
+      const authStore = useAuthStore()
+
+      if (authStore.isAuthenticated) {
+        if (this.source === 'local') {
+          // 合并访客期间的本地记录
+          const localEntries = this.entries
+          this.source = 'server'
+          this.entries = []
+
+          if (localEntries.length) {
+            try {
+              const { data } = await SearchService.importSearchHistory(
+                localEntries.slice(0, MAX_IMPORT_ENTRIES).map(entry => ({
+                  query: entry.query,
+                  filters: entry.filters,
+                  pinned: entry.pinned,
+                  searchedAt: entry.lastSearchedAt
+                }))
+              )
+              this.entries = data
+            } catch (error) {
+              // 保留本地记录，下次再合并
+              console.error('合并搜索历史失败:', error)
+              this.source = 'local'
+              this.entries = localEntries
+            }
+            return
+          }
+        }
+        await this.load()
+      } else if (this.source === 'server') {
+        // 退出登录后不再显示该用户的记录
+        this.source = 'local'
+        this.entries = []
+      }
+    },
+
+    /**
+     * 从服务端加载历史
+     */
+    async load() {
+      if (this.source !== 'server') return
+
+      try {
+        const { data } = await SearchService.getSearchHistory()
+        this.entries = data
+      } catch (error) {
+        console.error('加载搜索历史失败:', error)
+      }
+    },
+
+    /**
+     * 记录一次搜索（相同查询合并并移到最前）
+     * 登录用户的记录由服务端在搜索时写入，这里只更新本地显示
+     * @param {string} query - 查询文本
+     * @param {Object} [filters] - 过滤条件
+     */
+    record(query, filters = {}) {
+      const text = query?.trim()
+      if (!text) return
+
+      const key = normalizeQuery(text)
+      const existing = this.entries.find(entry => normalizeQuery(entry.query) === key)
+      const entry = {
+        id: existing?.id || `local-${Date.now().toString(36)}`,
+        query: text,
+        filters,
+        pinned: existing?.pinned || false,
+        count: (existing?.count || 0) + 1,
+        lastSearchedAt: new Date().toISOString()
+      }
+
+      const others = this.entries.filter(item => item !== existing)
+      const pinned = others.filter(item => item.pinned)
+      const recent = others.filter(item => !item.pinned)
+
+      if (entry.pinned) {
+        pinned.unshift(entry)
+      } else {
+        recent.unshift(entry)
+      }
+
+      this.entries = [...pinned, ...recent.slice(0, MAX_LOCAL_ENTRIES)]
+    },
+
+    /**
+     * 置顶/取消置顶
+     */
+    async pin(entry, pinned = true) {
+      if (this.source === 'server') {
+        try {
+          await SearchService.pinSearchHistory(entry.id, pinned)
+        } catch (error) {
+          console.error('置顶搜索历史失败:', error)
+        }
+        // 失败时同样重新加载，显示服务端的实际状态
+        return this.load()
+      }
+
+      this.entries = sortEntries(this.entries.map(item =>
+        item.id === entry.id ? { ...item, pinned } : item
+      ))
+    },
+
+    /**
+     * 删除一条记录
+     */
+    async remove(entry) {
+      if (this.source === 'server') {
+        try {
+          await SearchService.deleteSearchHistory(entry.id)
+        } catch (error) {
+          console.error('删除搜索历史失败:', error)
+          return this.load()
+        }
+      }
+      this.entries = this.entries.filter(item => item.id !== entry.id)
+    },
+
+    /**
+     * 清空记录
+     * @param {Object} [options]
+     * @param {boolean} [options.keepPinned=false] - 保留置顶记录
+     */
+    async clear({ keepPinned = false } = {}) {
+      if (this.source === 'server') {
+        try {
+          await SearchService.clearSearchHistory({ keepPinned })
+        } catch (error) {
+          console.error('清空搜索历史失败:', error)
+          return this.load()
+        }
+      }
+      this.entries = keepPinned ? this.entries.filter(entry => entry.pinned) : []
+    }
+  }
+})
+
+function normalizeQuery(query) {
+  return query.normalize('NFKC').toLowerCase().trim().replace(/\s+/g, ' ')
+}
+
+function sortEntries(entries) {
+  return [...entries].sort((a, b) =>
+    (b.pinned - a.pinned) || (new Date(b.lastSearchedAt) - new Date(a.lastSearchedAt))
+  )
+}
\ No newline at end of file
@@ -0,0 +1,124 @@
+// client/src/utils/analytics.js
+import { EventBus } from '@/utils/eventBus'
+import { SearchService } from '@/api/search'
+
+const SESSION_KEY = 'search_session_id'
+
+/**
+ * 搜索分析上报
+ * 收集 EventBus 上的搜索（search-analytics）及结果点击（search-click）事件，
+ * 攒批后发送到服务端；页面隐藏或关闭时立即发送
+ */
+const SearchAnalytics = {
+  config: {
+    batchSize: 20, // 达到该数量立即发送（服务端单次上限为50）
+    flushInterval: 10000,
+    maxQueueSize: 200 // 发送持续失败时保留的事件上限
+  },
+
+  queue: [],
+  timer: null,
+  initialized: false,
+
+  /**
+   * 开始收集事件（应用启动时调用一次）
+   */
+  init() {
+    if (this.initialized) return
+    this.initialized = true
+
+    EventBus.on('search-analytics', event => {
+      this.track({
+        type: 'search',
+        searchId: event.search_id,
+        query: event.query,
+        filters: event.filters,
+        types: event.types,
+        mode: event.mode,
+        page: event.page,
+        pageSize: event.per_page,
+        resultCount: event.result_count,
+        latency: event.latency
+      })
+    })
+
+    EventBus.on('search-click', event => {
+      this.track({
+        type: 'click',
+        searchId: event.search_id,
+        position: event.position,
+        resultType: event.result_type,
+        resultId: event.result_id
+      })
+    })
+
+    // 页面隐藏时浏览器可能随时结束页面，立即发送
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flush()
+    })
+    window.addEventListener('pagehide', () => this.flush())
+  },
+
+  /**
+   * 加入发送队列
+   * @param {Object} event - 搜索或点击事件
+   */
+  track(event) {
+    if (!event.searchId) return
+
+    this.queue.push({ ...event, timestamp: new Date().toISOString() })
+
+    if (this.queue.length >= this.config.batchSize) {
+      this.flush()
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.config.flushInterval)
+    }
+  },
+
+  /**
+   * 发送队列中的事件
+   */
+  async flush() {
+    clearTimeout(this.timer)
+    this.timer = null
+
+    if (!this.queue.length) return
+
+    const events = this.queue.splice(0, this.config.batchSize)
+
+    try {
+      await SearchService.sendAnalyticsEvents({ sessionId: this.getSessionId(), events })
+    } catch (error) {
+      // 发送失败时放回队列，下次一并发送
+      this.queue.unshift(...events)
+      this.queue.splice(0, Math.max(0, this.queue.length - this.config.maxQueueSize))
+      console.warn('搜索分析事件发送失败:', error)
+    }
+
+    if (this.queue.length && !this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.config.flushInterval)
+    }
+  },
+
+  /**
+   * 浏览器会话ID（匿名用户的搜索按会话统计）
+   */
+  getSessionId() {
+    let sessionId = sessionStorage.getItem(SESSION_KEY)
+    if (!sessionId) {
+      sessionId = createId()
+      sessionStorage.setItem(SESSION_KEY, sessionId)
+    }
+    return sessionId
+  }
+}
+
+/**
+ * 生成随机ID
+ */
+function createId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID()
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+}
+
+export default SearchAnalytics
\ No newline at end of file
@@ -0,0 +1,87 @@
+// client/src/utils/highlight.js
+
+/**
+ * 搜索高亮工具
+ * 服务端返回已转义的高亮片段，此处拆分为文本段供模板以插值方式渲染（不使用 v-html）
+ */
+
+// 与服务端默认高亮标签一致
+const DEFAULT_TAGS = {
+  preTag: '<mark>',
+  postTag: '</mark>'
+}
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'"
+}
+
+const Highlight = {
+  /**
+   * 拆分高亮片段
+   * @param {string} snippet - 服务端高亮片段
+   * @param {Object} [tags] - 高亮标签 { preTag, postTag }
+   * @returns {Array<{text: string, matched: boolean}>}
+   */
+  parse(snippet, tags = DEFAULT_TAGS) {
+    if (!snippet) return []
+
+    const { preTag, postTag } = tags
+    const segments = []
+    let rest = String(snippet)
+
+    while (rest) {
+      const start = rest.indexOf(preTag)
+      if (start === -1) {
+        segments.push({ text: this.decode(rest), matched: false })
+        break
+      }
+
+      const end = rest.indexOf(postTag, start + preTag.length)
+      if (end === -1) {
+        segments.push({ text: this.decode(rest), matched: false })
+        break
+      }
+
+      if (start > 0) {
+        segments.push({ text: this.decode(rest.slice(0, start)), matched: false })
+      }
+      segments.push({ text: this.decode(rest.slice(start + preTag.length, end)), matched: true })
+      rest = rest.slice(end + postTag.length)
+    }
+
+    return segments
+  },
+
+  /**
+   * 获取字段的高亮文本段，无高亮时返回原文
+   * @param {Object} highlight - SearchResult.highlight
+   * @param {string|string[]} fields - 字段名（多个时取第一个有高亮的字段）
+   * @param {string} fallback - 原文
+   * @param {string} [separator=' … '] - 多个片段之间的分隔符
+   */
+  segments(highlight, fields, fallback, separator = ' … ') {
+    const field = [].concat(fields).find(name => highlight?.[name]?.length)
+    const fragments = field && highlight[field]
+    if (!fragments) {
+      return fallback ? [{ text: fallback, matched: false }] : []
+    }
+
+    return fragments.flatMap((fragment, index) => [
+      ...(index > 0 ? [{ text: separator, matched: false }] : []),
+      ...this.parse(fragment)
+    ])
+  },
+
+  /**
+   * 还原HTML实体
+   */
+  decode(text) {
+    return text.replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity])
+  }
+}
+
+export default Highlight
\ No newline at end of file
@@ -1,197 +1,1096 @@
-// server/controllers/adminController.js
-const { logger } = require('../utils/logger')
-const { User, Enterprise, Website } = require('../models')
-const { validateAdminAction } = require('../utils/validator')
-
-class AdminController {
-  /**
-   * 获取用户列表 (分页)
-   */
-  async getUsers(req, res) {
-    try {
-      const { page = 1, pageSize = 20, role, status } = req.query
-      
-      // 验证管理员权限
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ error: '无权访问' })
-      }
-
-      // 构建查询条件
-      const query = {}
-      if (role) query.role = role
-      if (status) query.status = status
-
-      const [users, total] = await Promise.all([
-        User.find(query)
-          .select('-password -__v')
-          .skip((page - 1) * pageSize)
-          .limit(pageSize)
-          .lean(),
-        User.countDocuments(query)
-      ])
-
-      res.json({
-        total,
-        page: Number(page),
-        pageSize: Number(pageSize),
-        data: users
-      })
-
-    } catch (error) {
-      logger.error('获取用户列表失败:', error)
-      res.status(500).json({ error: '获取用户列表失败' })
-    }
-  }
-
-  /**
-   * 更新用户状态
-   */
-  async updateUserStatus(req, res) {
-    try {
-      const { userId } = req.params
-      const { status } = req.body
-
-      // 验证输入
-      const { error } = validateAdminAction({ status })
-      if (error) {
-        return res.status(400).json({ error: error.details[0].message })
-      }
-
-      // 禁止修改管理员账户
-      const user = await User.findById(userId)
-      if (user.role === 'admin') {
-        return res.status(403).json({ error: '无权修改管理员账户' })
-      }
-
-      // 更新状态
-      user.status = status
-      await user.save()
-
-      res.json({ message: '用户状态更新成功' })
-
-    } catch (error) {
-      logger.error('更新用户状态失败:', error)
-      res.status(500).json({ error: '更新用户状态失败' })
-    }
-  }
-
-  /**
-   * 获取企业审核列表
-   */
-  async getPendingEnterprises(req, res) {
-    try {
-      const { page = 1, pageSize = 20 } = req.query
-
-      const [enterprises, total] = await Promise.all([
-        Enterprise.find({ status: 'pending' })
-          .skip((page - 1) * pageSize)
-          .limit(pageSize)
-          .lean(),
-        Enterprise.countDocuments({ status: 'pending' })
-      ])
-
-      res.json({
-        total,
-        page: Number(page),
-        pageSize: Number(pageSize),
-        data: enterprises
-      })
-
-    } catch (error) {
-      logger.error('获取待审核企业失败:', error)
-      res.status(500).json({ error: '获取待审核企业失败' })
-    }
-  }
-
-  /**
-   * 审核企业
-   */
-  async reviewEnterprise(req, res) {
-    try {
-      const { enterpriseId } = req.params
-      const { action, reason } = req.body
-
-      // 验证输入
-      const { error } = validateAdminAction({ action })
-      if (error) {
-        return res.status(400).json({ error: error.details[0].message })
-      }
-
-      const enterprise = await Enterprise.findById(enterpriseId)
-      if (!enterprise) {
-        return res.status(404).json({ error: '企业不存在' })
-      }
-
-      // 更新企业状态
-      enterprise.status = action === 'approve' ? 'approved' : 'rejected'
-      enterprise.reviewReason = reason || ''
-      enterprise.reviewedAt = new Date()
-      enterprise.reviewedBy = req.user.userId
-
-      await enterprise.save()
-
-      // TODO: 发送审核通知邮件
-
-      res.json({ message: '企业审核完成' })
-
-    } catch (error) {
-      logger.error('审核企业失败:', error)
-      res.status(500).json({ error: '审核企业失败' })
-    }
-  }
-
-  /**
-   * 获取系统统计信息
-   */
-  async getSystemStats(req, res) {
-    try {
-      const [userCount, enterpriseCount, websiteCount] = await Promise.all([
-        User.countDocuments(),
-        Enterprise.countDocuments(),
-        Website.countDocuments()
-      ])
-
-      res.json({
-        users: userCount,
-        enterprises: enterpriseCount,
-        websites: websiteCount,
-        lastUpdated: new Date()
-      })
-
-    } catch (error) {
-      logger.error('获取系统统计失败:', error)
-      res.status(500).json({ error: '获取系统统计失败' })
-    }
-  }
-
-  /**
-   * 管理操作日志
-   */
-  async getActionLogs(req, res) {
-    try {
-      const { page = 1, pageSize = 50 } = req.query
-
-      // 实际项目中应从数据库获取日志
-      const logs = [
-        {
-          action: 'user_status_update',
-          target: 'user:123',
-          by: 'admin:456',
-          at: new Date()
-        }
-      ]
-
-      res.json({
-        page: Number(page),
-        pageSize: Number(pageSize),
-        data: logs
-      })
-
-    } catch (error) {
-      logger.error('获取操作日志失败:', error)
-      res.status(500).json({ error: '获取操作日志失败' })
-    }
-  }
-}
-
+// server/controllers/adminController.js
+const { logger } = require('../utils/logger')
+const { User, Enterprise, Website, Synonym, RankingProfile, RelatedQueryBlacklist } = require('../models')
+const { validateAdminAction } = require('../utils/validator')
+const searchTypes = require('../services/searchTypes')
+const searchIndex = require('../services/searchIndex')
+const autocomplete = require('../services/autocomplete')
+const searchCache = require('../services/searchCache')
+const synonyms = require('../services/synonyms')
+const rankingProfiles = require('../services/rankingProfiles')
+const geocoding = require('../services/geocoding')
+const infrastructure = require('../services/infrastructure')
+const searchAnalytics = require('../services/searchAnalytics')
+const searchAlerts = require('../services/searchAlerts')
+const relatedSearches = require('../services/relatedSearches')
+const similarity = require('../services/similarity')
+const embeddings = require('../services/embeddings')
+const crawler = require('../services/crawler')
+const pages = require('../services/pages')
+const spellcheck = require('../services/spellcheck')
+
+class AdminController {
+  /**
+   * 获取用户列表 (分页)
+   */
+  async getUsers(req, res) {
+    try {
+      const { page = 1, pageSize = 20, role, status } = req.query
+      
+      // 验证管理员权限
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: '无权访问' })
+      }
+
+      // 构建查询条件
+      const query = {}
+      if (role) query.role = role
+      if (status) query.status = status
+
+      const [users, total] = await Promise.all([
+        User.find(query)
+          .select('-password -__v')
+          .skip((page - 1) * pageSize)
+          .limit(pageSize)
+          .lean(),
+        User.countDocuments(query)
+      ])
+
+      res.json({
+        total,
+        page: Number(page),
+        pageSize: Number(pageSize),
+        data: users
+      })
+
+    } catch (error) {
+      logger.error('获取用户列表失败:', error)
+      res.status(500).json({ error: '获取用户列表失败' })
+    }
+  }
+
+  /**
+   * 更新用户状态
+   */
+  async updateUserStatus(req, res) {
+    try {
+      const { userId } = req.params
+      const { status } = req.body
+
+      // 验证输入
+      const { error } = validateAdminAction({ status })
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message })
+      }
+
+      // 禁止修改管理员账户
+      const user = await User.findById(userId)
+      if (user.role === 'admin') {
+        return res.status(403).json({ error: '无权修改管理员账户' })
+      }
+
+      // 更新状态
+      user.status = status
+      await user.save()
+
+      res.json({ message: '用户状态更新成功' })
+
+    } catch (error) {
+      logger.error('更新用户状态失败:', error)
+      res.status(500).json({ error: '更新用户状态失败' })
+    }
+  }
+
+  /**
+   * 获取企业审核列表
+   */
+  async getPendingEnterprises(req, res) {
+    try {
+      const { page = 1, pageSize = 20 } = req.query
+
+      const [enterprises, total] = await Promise.all([
+        Enterprise.find({ status: 'pending' })
+          .skip((page - 1) * pageSize)
+          .limit(pageSize)
+          .lean(),
+        Enterprise.countDocuments({ status: 'pending' })
+      ])
+
+      res.json({
+        total,
+        page: Number(page),
+        pageSize: Number(pageSize),
+        data: enterprises
+      })
+
+    } catch (error) {
+      logger.error('获取待审核企业失败:', error)
+      res.status(500).json({ error: '获取待审核企业失败' })
+    }
+  }
+
+  /**
+   * 审核企业
+   */
+  async reviewEnterprise(req, res) {
+    try {
+      const { enterpriseId } = req.params
+      const { action, reason } = req.body
+
+      // 验证输入
+      const { error } = validateAdminAction({ action })
+      if (error) {
+        return res.status(400).json({ error: error.details[0].message })
+      }
+
+      const enterprise = await Enterprise.findById(enterpriseId)
+      if (!enterprise) {
+        return res.status(404).json({ error: '企业不存在' })
+      }
+
+      // 更新企业状态
+      enterprise.status = action === 'approve' ? 'approved' : 'rejected'
+      enterprise.reviewReason = reason || ''
+      enterprise.reviewedAt = new Date()
+      enterprise.reviewedBy = req.user.userId
+
+      await enterprise.save()
+
+      // TODO: 发送审核通知邮件
+
+      res.json({ message: '企业审核完成' })
+
+    } catch (error) {
+      logger.error('审核企业失败:', error)
+      res.status(500).json({ error: '审核企业失败' })
+    }
+  }
+
+  /**
+   * 获取系统统计信息
+   */
+  async getSystemStats(req, res) {
+    try {
+      const [userCount, enterpriseCount, websiteCount] = await Promise.all([
+        User.countDocuments(),
+        Enterprise.countDocuments(),
+        Website.countDocuments()
+      ])
+
+      res.json({
+        users: userCount,
+        enterprises: enterpriseCount,
+        websites: websiteCount,
+        lastUpdated: new Date()
+      })
+
+    } catch (error) {
+      logger.error('获取系统统计失败:', error)
+      res.status(500).json({ error: '获取系统统计失败' })
+    }
+  }
+
+  /**
+   * 管理操作日志
+   */
+  async getActionLogs(req, res) {
+    try {
+      const { page = 1, pageSize = 50 } = req.query
+
+      // 实际项目中应从数据库获取日志
+      const logs = [
+        {
+          action: 'user_status_update',
+          target: 'user:123',
+          by: 'admin:456',
+          at: new Date()
+        }
+      ]
+
+      res.json({
+        page: Number(page),
+        pageSize: Number(pageSize),
+        data: logs
+      })
+
+    } catch (error) {
+      logger.error('获取操作日志失败:', error)
+      res.status(500).json({ error: '获取操作日志失败' })
+    }
+  }
+
+  /**
+   * 重建搜索索引
+   */
+  async rebuildSearchIndex(req, res) {
+    try {
+      const { type } = req.body
+
+      if (type && !searchTypes.has(type)) {
+        return res.status(400).json({ error: '不支持的索引类型' })
+      }
+
+      const result = await searchIndex.rebuild(type)
+
+      // 输入联想随全量重建一并刷新
+      if (!type) {
+        result.autocomplete = await autocomplete.rebuild()
+      }
+
+      // 重建前缓存的结果可能与新索引不一致
+      searchCache.clear()
+
+      logger.info('搜索索引已重建', {
+        type: type || 'all',
+        by: req.user.userId
+      })
+
+      res.json({
+        message: '搜索索引重建完成',
+        result
+      })
+
+    } catch (error) {
+      logger.error('重建搜索索引失败:', error)
+      res.status(500).json({ error: '重建搜索索引失败' })
+    }
+  }
+
+  /**
+   * 回填企业地址的行政区划及坐标
+   */
+  async backfillGeocoding(req, res) {
+    try {
+      const force = req.body.force === true
+
+      const result = await geocoding.backfill({ force })
+
+      logger.info('企业地址已回填', {
+        force,
+        scanned: result.scanned,
+        by: req.user.userId
+      })
+
+      res.json({
+        message: '地址回填完成',
+        result
+      })
+
+    } catch (error) {
+      logger.error('回填企业地址失败:', error)
+      res.status(500).json({ error: '回填企业地址失败' })
+    }
+  }
+
+  /**
+   * 回填网站IP的整数形式（网段查询使用）
+   */
+  async backfillWebsiteIps(req, res) {
+    try {
+      const result = await infrastructure.backfill()
+
+      logger.info('网站IP已回填', {
+        scanned: result.scanned,
+        by: req.user.userId
+      })
+
+      res.json({
+        message: '网站IP回填完成',
+        result
+      })
+
+    } catch (error) {
+      logger.error('回填网站IP失败:', error)
+      res.status(500).json({ error: '回填网站IP失败' })
+    }
+  }
+
+  /**
+   * 深度爬取网站并保存页面正文
+   * 请求体: { maxDepth }（链接层数，默认 2）
+   */
+  async crawlWebsitePages(req, res) {
+    try {
+      const { maxDepth = 2 } = req.body
+      const result = await crawler.updateWebsiteData(req.params.websiteId, { deep: true, maxDepth })
+
+      logger.info('网站页面已爬取', {
+        websiteId: req.params.websiteId,
+        pages: result.pages,
+        by: req.user.userId
+      })
+
+      res.json({
+        message: '网站页面爬取完成',
+        result: result.pages
+      })
+
+    } catch (error) {
+      logger.error('爬取网站页面失败:', error)
+      res.status(500).json({ error: `爬取网站页面失败: ${error.message}` })
+    }
+  }
+
+  /**
+   * 设置网站的页面保留上限（未提供的项使用默认值），并立即按新上限清除
+   * 请求体: { maxPages, maxAgeDays }
+   */
+  async updatePageRetention(req, res) {
+    try {
+      const { maxPages, maxAgeDays } = req.body
+
+      const website = await Website.findByIdAndUpdate(
+        req.params.websiteId,
+        { $set: { pageRetention: { maxPages, maxAgeDays } } },
+        { new: true, runValidators: true }
+      ).select('domain pageRetention')
+
+      if (!website) {
+        return res.status(404).json({ error: '网站不存在' })
+      }
+
+      const removed = await pages.applyRetention(website)
+      if (removed) searchCache.invalidate('website')
+
+      logger.info('网站页面保留上限已更新', {
+        websiteId: req.params.websiteId,
+        retention: pages.retentionOf(website),
+        removed,
+        by: req.user.userId
+      })
+
+      res.json({
+        message: '页面保留上限已更新',
+        retention: pages.retentionOf(website),
+        removed
+      })
+
+    } catch (error) {
+      logger.error('更新页面保留上限失败:', error)
+      res.status(500).json({ error: '更新页面保留上限失败' })
+    }
+  }
+
+  /**
+   * 立即按保留上限清除全部网站的过期页面
+   */
+  async prunePages(req, res) {
+    try {
+      const result = await pages.prune()
+
+      logger.info('过期页面已手动清除', { ...result, by: req.user.userId })
+
+      res.json({
+        message: '过期页面清除完成',
+        result
+      })
+
+    } catch (error) {
+      logger.error('清除过期页面失败:', error)
+      res.status(500).json({ error: '清除过期页面失败' })
+    }
+  }
+
+  /**
+   * 立即检查保存的搜索提醒（匹配新记录并发送到期的摘要）
+   */
+  async runSearchAlerts(req, res) {
+    try {
+      const result = await searchAlerts.run()
+
+      logger.info('保存的搜索提醒已手动检查', { ...result, by: req.user.userId })
+
+      res.json({
+        message: '提醒检查完成',
+        result
+      })
+
+    } catch (error) {
+      logger.error('检查保存的搜索提醒失败:', error)
+      res.status(500).json({ error: '检查保存的搜索提醒失败' })
+    }
+  }
+
+  /**
+   * 获取搜索索引状态（含语义检索的向量索引及搜索结果缓存命中统计）
+   */
+  async getSearchIndexStats(req, res) {
+    try {
+      res.json({ ...searchIndex.getStats(), embeddings: embeddings.getStats(), cache: searchCache.getStats() })
+    } catch (error) {
+      logger.error('获取搜索索引状态失败:', error)
+      res.status(500).json({ error: '获取搜索索引状态失败' })
+    }
+  }
+
+  /**
+   * 获取同义词规则列表 (分页)
+   */
+  async listSynonyms(req, res) {
+    try {
+      const { page = 1, pageSize = 20, term, entityType, enabled } = req.query
+
+      // 构建查询条件
+      const query = {}
+      if (term) query.$or = [{ terms: term }, { synonyms: term }]
+      if (entityType) query['scope.entityType'] = entityType
+      if (enabled !== undefined) query.enabled = enabled === 'true'
+
+      const [rules, total] = await Promise.all([
+        Synonym.find(query)
+          .sort({ updatedAt: -1 })
+          .skip((page - 1) * pageSize)
+          .limit(Number(pageSize))
+          .lean(),
+        Synonym.countDocuments(query)
+      ])
+
+      res.json({
+        total,
+        page: Number(page),
+        pageSize: Number(pageSize),
+        data: rules
+      })
+
+    } catch (error) {
+      logger.error('获取同义词规则失败:', error)
+      res.status(500).json({ error: '获取同义词规则失败' })
+    }
+  }
+
+  /**
+   * 创建同义词规则
+   */
+  async createSynonym(req, res) {
+    try {
+      const data = pickSynonymFields(req.body)
+
+      const scopeError = synonyms.validateScope(data.scope)
+      if (scopeError) {
+        return res.status(400).json({ error: scopeError })
+      }
+
+      const rule = new Synonym({
+        ...data,
+        createdBy: req.user.userId,
+        updatedBy: req.user.userId
+      })
+      await rule.save()
+
+      logger.info('同义词规则已创建', {
+        id: rule.id,
+        terms: rule.terms,
+        by: req.user.userId
+      })
+
+      res.status(201).json({
+        message: '同义词规则创建成功',
+        data: rule
+      })
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: '同义词规则无效', details: validationMessages(error) })
+      }
+
+      logger.error('创建同义词规则失败:', error)
+      res.status(500).json({ error: '创建同义词规则失败' })
+    }
+  }
+
+  /**
+   * 更新同义词规则
+   */
+  async updateSynonym(req, res) {
+    try {
+      const { synonymId } = req.params
+      const data = pickSynonymFields(req.body)
+
+      const rule = await Synonym.findById(synonymId)
+      if (!rule) {
+        return res.status(404).json({ error: '同义词规则不存在' })
+      }
+
+      const scope = {
+        entityType: rule.scope.entityType,
+        fields: rule.scope.fields,
+        ...data.scope
+      }
+      const scopeError = synonyms.validateScope(scope)
+      if (scopeError) {
+        return res.status(400).json({ error: scopeError })
+      }
+
+      rule.set({ ...data, scope, updatedBy: req.user.userId })
+      await rule.save()
+
+      logger.info('同义词规则已更新', {
+        id: rule.id,
+        by: req.user.userId
+      })
+
+      res.json({
+        message: '同义词规则更新成功',
+        data: rule
+      })
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: '同义词规则无效', details: validationMessages(error) })
+      }
+
+      logger.error('更新同义词规则失败:', error)
+      res.status(500).json({ error: '更新同义词规则失败' })
+    }
+  }
+
+  /**
+   * 删除同义词规则
+   */
+  async deleteSynonym(req, res) {
+    try {
+      const { synonymId } = req.params
+
+      const rule = await Synonym.findById(synonymId)
+      if (!rule) {
+        return res.status(404).json({ error: '同义词规则不存在' })
+      }
+
+      await rule.deleteOne()
+
+      logger.warn('同义词规则已删除', {
+        id: synonymId,
+        terms: rule.terms,
+        by: req.user.userId
+      })
+
+      res.json({ message: '同义词规则删除成功' })
+
+    } catch (error) {
+      logger.error('删除同义词规则失败:', error)
+      res.status(500).json({ error: '删除同义词规则失败' })
+    }
+  }
+
+  /**
+   * 排序方案列表
+   */
+  async listRankingProfiles(req, res) {
+    try {
+      const profiles = await RankingProfile.find({})
+        .select('-history')
+        .sort({ isDefault: -1, name: 1 })
+
+      res.json({ data: profiles })
+
+    } catch (error) {
+      logger.error('获取排序方案失败:', error)
+      res.status(500).json({ error: '获取排序方案失败' })
+    }
+  }
+
+  /**
+   * 排序方案详情（含历史版本）
+   */
+  async getRankingProfile(req, res) {
+    try {
+      const profile = await RankingProfile.findById(req.params.profileId)
+      if (!profile) {
+        return res.status(404).json({ error: '排序方案不存在' })
+      }
+
+      res.json({ data: profile })
+
+    } catch (error) {
+      logger.error('获取排序方案失败:', error)
+      res.status(500).json({ error: '获取排序方案失败' })
+    }
+  }
+
+  /**
+   * 创建排序方案
+   */
+  async createRankingProfile(req, res) {
+    try {
+      const data = pickRankingFields(req.body)
+
+      const weightsError = rankingProfiles.validateWeights(data.weights)
+      if (weightsError) {
+        return res.status(400).json({ error: weightsError })
+      }
+
+      const profile = new RankingProfile({
+        ...data,
+        createdBy: req.user.userId,
+        updatedBy: req.user.userId
+      })
+
+      const trafficError = await validateTraffic(profile)
+      if (trafficError) {
+        return res.status(400).json({ error: trafficError })
+      }
+
+      await profile.save()
+      if (profile.isDefault) await RankingProfile.setDefault(profile._id)
+
+      logger.info('排序方案已创建', {
+        id: profile.id,
+        name: profile.name,
+        by: req.user.userId
+      })
+
+      res.status(201).json({
+        message: '排序方案创建成功',
+        data: profile
+      })
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: '排序方案无效', details: validationMessages(error) })
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({ error: '排序方案名称已存在' })
+      }
+
+      logger.error('创建排序方案失败:', error)
+      res.status(500).json({ error: '创建排序方案失败' })
+    }
+  }
+
+  /**
+   * 更新排序方案
+   * 修改权重或加权项时生成新版本，原配置保留在历史中可回滚
+   */
+  async updateRankingProfile(req, res) {
+    try {
+      const { weights, boosts, ...data } = pickRankingFields(req.body)
+
+      const weightsError = rankingProfiles.validateWeights(weights)
+      if (weightsError) {
+        return res.status(400).json({ error: weightsError })
+      }
+
+      const profile = await RankingProfile.findById(req.params.profileId)
+      if (!profile) {
+        return res.status(404).json({ error: '排序方案不存在' })
+      }
+
+      // 默认方案承接未分配的流量，不能直接停用或取消默认
+      if (profile.isDefault && (data.enabled === false || data.isDefault === false)) {
+        return res.status(400).json({ error: '请先将其他方案设为默认方案' })
+      }
+
+      profile.set({ ...data, updatedBy: req.user.userId })
+
+      if (weights !== undefined || boosts !== undefined) {
+        const current = profile.toObject()
+        profile.revise({
+          weights: { ...current.weights, ...weights },
+          // 加权项按项合并，未提交的参数保持不变
+          boosts: Object.fromEntries(Object.keys(current.boosts).map(key =>
+            [key, { ...current.boosts[key], ...boosts?.[key] }]))
+        }, req.user.userId)
+      }
+
+      const trafficError = await validateTraffic(profile)
+      if (trafficError) {
+        return res.status(400).json({ error: trafficError })
+      }
+
+      await profile.save()
+      if (data.isDefault) await RankingProfile.setDefault(profile._id)
+
+      logger.info('排序方案已更新', {
+        id: profile.id,
+        version: profile.version,
+        by: req.user.userId
+      })
+
+      res.json({
+        message: '排序方案更新成功',
+        data: profile
+      })
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: '排序方案无效', details: validationMessages(error) })
+      }
+
+      logger.error('更新排序方案失败:', error)
+      res.status(500).json({ error: '更新排序方案失败' })
+    }
+  }
+
+  /**
+   * 回滚排序方案到历史版本
+   */
+  async rollbackRankingProfile(req, res) {
+    try {
+      const profile = await RankingProfile.findById(req.params.profileId)
+      if (!profile) {
+        return res.status(404).json({ error: '排序方案不存在' })
+      }
+
+      if (!profile.rollback(Number(req.body.version), req.user.userId)) {
+        return res.status(404).json({ error: '历史版本不存在' })
+      }
+
+      await profile.save()
+
+      logger.warn('排序方案已回滚', {
+        id: profile.id,
+        to: Number(req.body.version),
+        version: profile.version,
+        by: req.user.userId
+      })
+
+      res.json({
+        message: '排序方案回滚成功',
+        data: profile
+      })
+
+    } catch (error) {
+      logger.error('回滚排序方案失败:', error)
+      res.status(500).json({ error: '回滚排序方案失败' })
+    }
+  }
+
+  /**
+   * 删除排序方案（默认方案不可删除）
+   */
+  async deleteRankingProfile(req, res) {
+    try {
+      const profile = await RankingProfile.findById(req.params.profileId)
+      if (!profile) {
+        return res.status(404).json({ error: '排序方案不存在' })
+      }
+
+      if (profile.isDefault) {
+        return res.status(400).json({ error: '默认方案不可删除' })
+      }
+
+      await profile.deleteOne()
+
+      logger.warn('排序方案已删除', {
+        id: profile.id,
+        name: profile.name,
+        by: req.user.userId
+      })
+
+      res.json({ message: '排序方案删除成功' })
+
+    } catch (error) {
+      logger.error('删除排序方案失败:', error)
+      res.status(500).json({ error: '删除排序方案失败' })
+    }
+  }
+
+  /**
+   * 搜索分析：热门查询
+   * 参数: from, to（ISO日期，缺省为最近7天）, limit
+   */
+  async getTopQueries(req, res) {
+    try {
+      const range = resolveAnalyticsRange(req, res)
+      if (!range) return
+
+      const data = await searchAnalytics.topQueries(range, toLimit(req.query.limit))
+      res.json({ from: range.from, to: range.to, data })
+
+    } catch (error) {
+      logger.error('获取热门查询失败:', error)
+      res.status(500).json({ error: '获取热门查询失败' })
+    }
+  }
+
+  /**
+   * 搜索分析：无结果查询
+   */
+  async getZeroResultQueries(req, res) {
+    try {
+      const range = resolveAnalyticsRange(req, res)
+      if (!range) return
+
+      const data = await searchAnalytics.zeroResultQueries(range, toLimit(req.query.limit))
+      res.json({ from: range.from, to: range.to, data })
+
+    } catch (error) {
+      logger.error('获取无结果查询失败:', error)
+      res.status(500).json({ error: '获取无结果查询失败' })
+    }
+  }
+
+  /**
+   * 搜索分析：各结果位置的点击率
+   * 参数: from, to, maxPosition（默认20）
+   */
+  async getClickThroughRates(req, res) {
+    try {
+      const range = resolveAnalyticsRange(req, res)
+      if (!range) return
+
+      const maxPosition = Math.min(parseInt(req.query.maxPosition) || 20, 100)
+      const data = await searchAnalytics.ctrByPosition(range, Math.max(maxPosition, 1))
+      res.json({ from: range.from, to: range.to, data })
+
+    } catch (error) {
+      logger.error('获取点击率统计失败:', error)
+      res.status(500).json({ error: '获取点击率统计失败' })
+    }
+  }
+
+  /**
+   * 搜索分析：响应耗时分位数
+   * 参数: from, to, interval（hour/day，默认day）
+   */
+  async getLatencyPercentiles(req, res) {
+    try {
+      const range = resolveAnalyticsRange(req, res)
+      if (!range) return
+
+      const data = await searchAnalytics.latencyPercentiles(range)
+      res.json({ from: range.from, to: range.to, interval: range.interval, data })
+
+    } catch (error) {
+      logger.error('获取耗时统计失败:', error)
+      res.status(500).json({ error: '获取耗时统计失败' })
+    }
+  }
+
+  /**
+   * 查询的相关搜索明细（含被黑名单屏蔽的项）
+   */
+  async getRelatedSearches(req, res) {
+    try {
+      const { query } = req.query
+      if (!query) {
+        return res.status(400).json({ error: '缺少 query 参数' })
+      }
+
+      const result = await relatedSearches.inspect(query)
+      res.json({ data: result })
+
+    } catch (error) {
+      logger.error('获取相关搜索失败:', error)
+      res.status(500).json({ error: '获取相关搜索失败' })
+    }
+  }
+
+  /**
+   * 立即刷新相关搜索
+   */
+  async refreshRelatedSearches(req, res) {
+    try {
+      const result = await relatedSearches.refresh()
+
+      logger.info('相关搜索已刷新', { ...result, by: req.user.userId })
+
+      res.json({
+        message: '相关搜索刷新完成',
+        result
+      })
+
+    } catch (error) {
+      logger.error('刷新相关搜索失败:', error)
+      res.status(500).json({ error: '刷新相关搜索失败' })
+    }
+  }
+
+  /**
+   * 立即重建语义检索的向量索引（重新训练嵌入模型）
+   */
+  async rebuildEmbeddings(req, res) {
+    try {
+      const result = await embeddings.rebuild()
+
+      logger.info('向量索引已重建', { ...result, by: req.user.userId })
+
+      res.json({
+        message: '向量索引重建完成',
+        result
+      })
+
+    } catch (error) {
+      logger.error('重建向量索引失败:', error)
+      res.status(500).json({ error: '重建向量索引失败' })
+    }
+  }
+
+  /**
+   * 立即全量刷新相似推荐
+   */
+  async refreshSimilarity(req, res) {
+    try {
+      const result = await similarity.refresh()
+
+      logger.info('相似推荐已刷新', { ...result, by: req.user.userId })
+
+      res.json({
+        message: '相似推荐刷新完成',
+        result
+      })
+
+    } catch (error) {
+      logger.error('刷新相似推荐失败:', error)
+      res.status(500).json({ error: '刷新相似推荐失败' })
+    }
+  }
+
+  /**
+   * 相关搜索黑名单
+   */
+  async listRelatedBlacklist(req, res) {
+    try {
+      const { page = 1, pageSize = 20, query, related } = req.query
+
+      const conditions = {}
+      if (query !== undefined) conditions.query = spellcheck.normalizeQuery(query)
+      if (related) conditions.related = spellcheck.normalizeQuery(related)
+
+      const [entries, total] = await Promise.all([
+        RelatedQueryBlacklist.find(conditions)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * pageSize)
+          .limit(Number(pageSize))
+          .lean(),
+        RelatedQueryBlacklist.countDocuments(conditions)
+      ])
+
+      res.json({
+        total,
+        page: Number(page),
+        pageSize: Number(pageSize),
+        data: entries
+      })
+
+    } catch (error) {
+      logger.error('获取相关搜索黑名单失败:', error)
+      res.status(500).json({ error: '获取相关搜索黑名单失败' })
+    }
+  }
+
+  /**
+   * 屏蔽相关搜索（query 为空时对全部查询屏蔽）
+   */
+  async addRelatedBlacklist(req, res) {
+    try {
+      const { query, related, note } = req.body
+
+      const entry = new RelatedQueryBlacklist({
+        query,
+        related,
+        note,
+        createdBy: req.user.userId
+      })
+      await entry.save()
+
+      logger.info('相关搜索已屏蔽', {
+        query: entry.query || '*',
+        related: entry.related,
+        by: req.user.userId
+      })
+
+      res.status(201).json({
+        message: '相关搜索已屏蔽',
+        data: entry
+      })
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: '黑名单条目无效', details: validationMessages(error) })
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({ error: '该相关搜索已被屏蔽' })
+      }
+
+      logger.error('屏蔽相关搜索失败:', error)
+      res.status(500).json({ error: '屏蔽相关搜索失败' })
+    }
+  }
+
+  /**
+   * 取消屏蔽相关搜索
+   */
+  async removeRelatedBlacklist(req, res) {
+    try {
+      const { entryId } = req.params
+
+      const entry = await RelatedQueryBlacklist.findById(entryId)
+      if (!entry) {
+        return res.status(404).json({ error: '黑名单条目不存在' })
+      }
+
+      await entry.deleteOne()
+
+      logger.info('相关搜索已取消屏蔽', {
+        query: entry.query || '*',
+        related: entry.related,
+        by: req.user.userId
+      })
+
+      res.json({ message: '已取消屏蔽' })
+
+    } catch (error) {
+      logger.error('取消屏蔽相关搜索失败:', error)
+      res.status(500).json({ error: '取消屏蔽相关搜索失败' })
+    }
+  }
+}
+
+/**
+ * 提取同义词规则的可编辑字段
+ */
+function pickSynonymFields(body = {}) {
+  const fields = ['type', 'terms', 'synonyms', 'scope', 'enabled', 'note']
+  return Object.fromEntries(
+    fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  )
+}
+
+/**
+ * 提取排序方案的可编辑字段
+ */
+function pickRankingFields(body = {}) {
+  const fields = ['name', 'description', 'weights', 'boosts', 'isDefault', 'traffic', 'enabled']
+  return Object.fromEntries(
+    fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  )
+}
+
+/**
+ * 校验修改后的流量分配（分流方案合计不超过100%）
+ */
+async function validateTraffic(profile) {
+  const others = await RankingProfile.find({ _id: { $ne: profile._id } })
+    .select('enabled isDefault traffic')
+    .lean()
+
+  // 设为默认后其他方案不再是默认方案
+  return rankingProfiles.validateTraffic([
+    ...others.map(item => profile.isDefault ? { ...item, isDefault: false } : item),
+    profile
+  ])
+}
+
+/**
+ * 解析搜索分析的时间范围，无效时返回 400 并返回 null
+ */
+function resolveAnalyticsRange(req, res) {
+  const range = searchAnalytics.resolveRange(req.query)
+  const error = searchAnalytics.validateRange(range)
+
+  if (error) {
+    res.status(400).json({ error })
+    return null
+  }
+
+  return range
+}
+
+/**
+ * 统计列表的数量（1-100，默认20）
+ */
+function toLimit(value) {
+  return Math.min(Math.max(parseInt(value) || 20, 1), 100)
+}
+
+/**
+ * 提取模型校验错误信息
+ */
+function validationMessages(error) {
+  return Object.values(error.errors).map(item => item.message)
+}
+
 module.exports = new AdminController()
\ No newline at end of file
@@ -0,0 +1,82 @@
+// server/controllers/notificationController.js
+const { logger } = require('../utils/logger')
+const { Notification } = require('../models')
+
+class NotificationController {
+  /**
+   * 站内通知列表（最新的在前）
+   * 查询参数: page, pageSize, unread=true 只返回未读
+   */
+  async getNotifications(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1)
+      const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 20, 1), 100)
+
+      const query = { user: req.user.userId, inApp: true }
+      if (req.query.unread === 'true') query.read = false
+
+      const [notifications, total, unread] = await Promise.all([
+        Notification.find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * pageSize)
+          .limit(pageSize),
+        Notification.countDocuments(query),
+        Notification.countDocuments({ user: req.user.userId, inApp: true, read: false })
+      ])
+
+      res.json({
+        total,
+        unread,
+        page,
+        pageSize,
+        data: notifications
+      })
+
+    } catch (error) {
+      logger.error('获取通知失败:', error)
+      res.status(500).json({ error: '获取通知失败' })
+    }
+  }
+
+  /**
+   * 标记通知为已读
+   */
+  async markAsRead(req, res) {
+    try {
+      const notification = await Notification.findOneAndUpdate(
+        { _id: req.params.notificationId, user: req.user.userId, inApp: true },
+        { $set: { read: true, readAt: new Date() } },
+        { new: true }
+      )
+      if (!notification) {
+        return res.status(404).json({ error: '通知不存在' })
+      }
+
+      res.json({ data: notification })
+
+    } catch (error) {
+      logger.error('更新通知失败:', error)
+      res.status(500).json({ error: '更新通知失败' })
+    }
+  }
+
+  /**
+   * 全部标记为已读（可用 savedSearch 参数限定某个保存的搜索）
+   */
+  async markAllAsRead(req, res) {
+    try {
+      const query = { user: req.user.userId, inApp: true, read: false }
+      if (req.body.savedSearch) query.savedSearch = req.body.savedSearch
+
+      const { modifiedCount } = await Notification.updateMany(query, { $set: { read: true, readAt: new Date() } })
+
+      res.json({ message: `已将 ${modifiedCount} 条通知标记为已读`, updated: modifiedCount })
+
+    } catch (error) {
+      logger.error('更新通知失败:', error)
+      res.status(500).json({ error: '更新通知失败' })
+    }
+  }
+}
+
+module.exports = new NotificationController()
\ No newline at end of file
@@ -0,0 +1,189 @@
+// server/controllers/savedSearchController.js
+const { logger } = require('../utils/logger')
+const { SavedSearch } = require('../models')
+const searchService = require('../services/search')
+const searchHistory = require('../services/searchHistory')
+
+// 每个用户可保存的搜索数
+const MAX_SAVED_SEARCHES = 100
+
+class SavedSearchController {
+  /**
+   * 保存的搜索列表（最近修改的在前）
+   */
+  async listSavedSearches(req, res) {
+    try {
+      const searches = await SavedSearch.find({ user: req.user.userId })
+        .sort({ updatedAt: -1 })
+
+      res.json({ data: searches })
+
+    } catch (error) {
+      logger.error('获取保存的搜索失败:', error)
+      res.status(500).json({ error: '获取保存的搜索失败' })
+    }
+  }
+
+  /**
+   * 保存的搜索详情
+   */
+  async getSavedSearch(req, res) {
+    try {
+      const search = await SavedSearch.findOne({ _id: req.params.searchId, user: req.user.userId })
+      if (!search) {
+        return res.status(404).json({ error: '保存的搜索不存在' })
+      }
+
+      res.json({ data: search })
+
+    } catch (error) {
+      logger.error('获取保存的搜索失败:', error)
+      res.status(500).json({ error: '获取保存的搜索失败' })
+    }
+  }
+
+  /**
+   * 保存搜索
+   */
+  async createSavedSearch(req, res) {
+    try {
+      const data = pickSavedSearchFields(req.body)
+
+      const filtersError = validateFilters(data.filters)
+      if (filtersError) {
+        return res.status(400).json({ error: filtersError })
+      }
+
+      const count = await SavedSearch.countDocuments({ user: req.user.userId })
+      if (count >= MAX_SAVED_SEARCHES) {
+        return res.status(400).json({ error: `最多保存 ${MAX_SAVED_SEARCHES} 个搜索` })
+      }
+
+      const search = await SavedSearch.create({ ...data, user: req.user.userId })
+
+      res.status(201).json({
+        message: '搜索已保存',
+        data: search
+      })
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: '保存的搜索无效', details: validationMessages(error) })
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({ error: '已有同名的保存的搜索' })
+      }
+
+      logger.error('保存搜索失败:', error)
+      res.status(500).json({ error: '保存搜索失败' })
+    }
+  }
+
+  /**
+   * 修改保存的搜索
+   */
+  async updateSavedSearch(req, res) {
+    try {
+      const search = await SavedSearch.findOne({ _id: req.params.searchId, user: req.user.userId })
+      if (!search) {
+        return res.status(404).json({ error: '保存的搜索不存在' })
+      }
+
+      const data = pickSavedSearchFields(req.body)
+
+      const filtersError = validateFilters(data.filters)
+      if (filtersError) {
+        return res.status(400).json({ error: filtersError })
+      }
+
+      search.set(data)
+      await search.save()
+
+      res.json({
+        message: '保存的搜索已更新',
+        data: search
+      })
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({ error: '保存的搜索无效', details: validationMessages(error) })
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({ error: '已有同名的保存的搜索' })
+      }
+
+      logger.error('更新保存的搜索失败:', error)
+      res.status(500).json({ error: '更新保存的搜索失败' })
+    }
+  }
+
+  /**
+   * 删除保存的搜索
+   */
+  async deleteSavedSearch(req, res) {
+    try {
+      const search = await SavedSearch.findOne({ _id: req.params.searchId, user: req.user.userId })
+      if (!search) {
+        return res.status(404).json({ error: '保存的搜索不存在' })
+      }
+
+      await search.deleteOne()
+
+      res.status(204).end()
+
+    } catch (error) {
+      logger.error('删除保存的搜索失败:', error)
+      res.status(500).json({ error: '删除保存的搜索失败' })
+    }
+  }
+}
+
+/**
+ * 提取保存的搜索的可编辑字段（过滤参数只保留可识别的项）
+ */
+function pickSavedSearchFields(body = {}) {
+  const fields = ['name', 'query', 'sort', 'profile']
+  const data = Object.fromEntries(
+    fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  )
+
+  if (body.filters !== undefined) {
+    data.filters = searchHistory.normalizeFilters(body.filters)
+  }
+
+  // 提醒设置按字段路径更新，保留匹配进度及签名密钥
+  if (body.alert && typeof body.alert === 'object') {
+    for (const field of ['enabled', 'frequency', 'webhookUrl', 'muted', 'mutedUntil']) {
+      if (body.alert[field] !== undefined) data[`alert.${field}`] = body.alert[field]
+    }
+
+    const channels = body.alert.channels || {}
+    for (const channel of ['inApp', 'email', 'webhook']) {
+      if (channels[channel] !== undefined) data[`alert.channels.${channel}`] = channels[channel]
+    }
+
+    // 取消静音时清除到期时间
+    if (body.alert.muted === false) data['alert.mutedUntil'] = undefined
+  }
+
+  return data
+}
+
+/**
+ * 校验地理过滤参数可被解析（保存的搜索须能直接执行）
+ * @returns {string|null} 错误信息
+ */
+function validateFilters(filters) {
+  return filters ? searchService.resolveFilterParams(filters).error : null
+}
+
+/**
+ * 提取模型校验错误信息
+ */
+function validationMessages(error) {
+  return Object.values(error.errors).map(item => item.message)
+}
+
+module.exports = new SavedSearchController()
\ No newline at end of file
@@ -1,168 +1,539 @@
-// server/controllers/searchController.js
-const { logger } = require('../utils/logger')
-const { Enterprise, Website } = require('../models')
-const { validateSearchParams } = require('../utils/validator')
-const { buildSearchQuery } = require('../services/search')
-
-class SearchController {
-  /**
-   * 企业搜索
-   */
-  async searchEnterprises(req, res) {
-    try {
-      // 验证查询参数
-      const { error, value } = validateSearchParams(req.query)
-      if (error) {
-        return res.status(400).json({ error: error.details[0].message })
-      }
-
-      // 构建查询条件
-      const query = buildSearchQuery(value)
-      
-      // 执行搜索
-      const results = await Enterprise.find(query)
-        .select('name industry location website')
-        .limit(100) // 限制返回数量
-        .lean()
-
-      // 记录搜索日志
-      logger.info(`搜索企业: ${JSON.stringify(query)}`, {
-        userId: req.user?.userId,
-        ip: req.ip
-      })
-
-      res.json({
-        count: results.length,
-        results
-      })
-
-    } catch (error) {
-      logger.error('企业搜索失败:', error)
-      res.status(500).json({ error: '搜索失败' })
-    }
-  }
-
-  /**
-   * 高级搜索
-   */
-  async advancedSearch(req, res) {
-    try {
-      const { keywords, industry, location, page = 1, pageSize = 20 } = req.body
-
-      // 构建聚合查询
-      const pipeline = [
-        { $match: buildAdvancedQuery({ keywords, industry, location }) },
-        { $skip: (page - 1) * pageSize },
-        { $limit: pageSize },
-        { 
-          $project: {
-            _id: 1,
-            name: 1,
-            score: { $meta: "textScore" } // 全文搜索评分
-          }
-        },
-        { $sort: { score: -1 } }
-      ]
-
-      const [results, total] = await Promise.all([
-        Enterprise.aggregate(pipeline),
-        Enterprise.countDocuments(buildAdvancedQuery({ keywords, industry, location }))
-      ])
-
-      res.json({
-        total,
-        page,
-        pageSize,
-        results
-      })
-
-    } catch (error) {
-      logger.error('高级搜索失败:', error)
-      res.status(500).json({ error: '高级搜索失败' })
-    }
-  }
-
-  /**
-   * 网站搜索
-   */
-  async searchWebsites(req, res) {
-    try {
-      const { domain, ip, keyword } = req.query
-      
-      const query = {}
-      if (domain) query.domain = { $regex: domain, $options: 'i' }
-      if (ip) query.ip = ip
-      if (keyword) {
-        query.$text = { $search: keyword }
-      }
-
-      const results = await Website.find(query)
-        .select('domain ip title description')
-        .limit(50)
-        .lean()
-
-      res.json({
-        count: results.length,
-        results
-      })
-
-    } catch (error) {
-      logger.error('网站搜索失败:', error)
-      res.status(500).json({ error: '网站搜索失败' })
-    }
-  }
-
-  /**
-   * 搜索建议
-   */
-  async suggest(req, res) {
-    try {
-      const { q } = req.query
-      if (!q || q.length < 2) {
-        return res.json([])
-      }
-
-      const suggestions = await Enterprise.aggregate([
-        {
-          $search: {
-            index: 'autocomplete',
-            autocomplete: {
-              query: q,
-              path: 'name',
-              tokenOrder: 'any'
-            }
-          }
-        },
-        { $limit: 5 },
-        { $project: { name: 1 } }
-      ])
-
-      res.json(suggestions.map(item => item.name))
-
-    } catch (error) {
-      logger.error('搜索建议失败:', error)
-      res.status(500).json({ error: '获取搜索建议失败' })
-    }
-  }
-
-  /**
-   * 搜索历史记录
-   */
-  async getSearchHistory(req, res) {
-    try {
-      // 实际项目中应从数据库获取用户搜索历史
-      const history = [
-        { query: '科技公司', date: new Date() },
-        { query: '北京 互联网', date: new Date(Date.now() - 86400000) }
-      ]
-      
-      res.json(history)
-
-    } catch (error) {
-      logger.error('获取搜索历史失败:', error)
-      res.status(500).json({ error: '获取搜索历史失败' })
-    }
-  }
-}
-
+// server/controllers/searchController.js
+const { logger } = require('../utils/logger')
+const { SearchHistory } = require('../models')
+const searchService = require('../services/search')
+const searchTypes = require('../services/searchTypes')
+const searchAnalytics = require('../services/searchAnalytics')
+const searchHistory = require('../services/searchHistory')
+const searchCache = require('../services/searchCache')
+const searchDetail = require('../services/searchDetail')
+const infrastructure = require('../services/infrastructure')
+const similarity = require('../services/similarity')
+const exportService = require('../services/export')
+const { QuerySyntaxError } = require('../utils/queryParser')
+const { SearchCursorError } = require('../utils/searchCursor')
+
+class SearchController {
+  /**
+   * 统一搜索（支持结构化查询语法，如 industry:IT founded:2010..2018 -外包）
+   */
+  async search(req, res) {
+    return handleSearch(req, res, req.query)
+  }
+
+  /**
+   * 高级搜索
+   * 参数同统一搜索，另支持 query（同 q）、perPage（同 pageSize）
+   * 及结构化过滤 filters[industry]=IT&filters[foundedYearFrom]=2010（见 searchService.resolveFacetFilters）
+   */
+  async advancedSearch(req, res) {
+    const { query, perPage, filters = {}, ...params } = req.query
+
+    const { filters: facetFilters, error } = searchService.resolveFacetFilters(filters)
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    return handleSearch(req, res, {
+      ...params,
+      q: query ?? params.q,
+      pageSize: perPage ?? params.pageSize
+    }, facetFilters)
+  }
+
+  /**
+   * 接收客户端批量上报的搜索分析事件（搜索及结果点击）
+   * 请求体: { sessionId, events: [{ type: 'search'|'click', searchId, ... }] }
+   */
+  async recordEvents(req, res) {
+    try {
+      const { sessionId, events } = req.body
+
+      if (!/^[\w-]{8,64}$/.test(String(sessionId))) {
+        return res.status(400).json({ error: '无效的会话ID' })
+      }
+      if (!Array.isArray(events) || !events.length || events.length > searchAnalytics.config.maxBatchSize) {
+        return res.status(400).json({ error: `events 应为 1-${searchAnalytics.config.maxBatchSize} 个事件` })
+      }
+
+      const result = await searchAnalytics.ingest(events, {
+        userId: req.user?.userId,
+        sessionId,
+        owner: req.user?.userId || req.ip
+      })
+
+      if (result.rejected) {
+        logger.info('部分搜索分析事件无效', { rejected: result.rejected, sessionId })
+      }
+
+      res.status(204).end()
+
+    } catch (error) {
+      logger.error('记录搜索分析事件失败:', error)
+      res.status(500).json({ error: '记录搜索分析事件失败' })
+    }
+  }
+
+  /**
+   * 企业搜索（统一搜索限定企业类型）
+   */
+  async searchEnterprises(req, res) {
+    return handleSearch(req, res, { ...req.query, types: 'enterprise', mode: 'grouped' })
+  }
+
+  /**
+   * 网站搜索（统一搜索限定网站类型）
+   * 兼容旧参数：keyword（同 q）、domain（域名包含）、ip
+   */
+  async searchWebsites(req, res) {
+    const { keyword, domain, ip, ...params } = req.query
+
+    const { filters, error } = searchService.resolveFacetFilters(
+      Object.fromEntries(Object.entries({ domain, ip }).filter(([, value]) => value !== undefined))
+    )
+    if (error) {
+      return res.status(400).json({ error })
+    }
+
+    return handleSearch(req, res, {
+      ...params,
+      q: keyword ?? params.q,
+      types: 'website',
+      mode: 'grouped'
+    }, filters)
+  }
+
+  /**
+   * 导出搜索结果
+   * 请求体参数同高级搜索（query/q、types、filters、sort、semantic、region、near、radius、profile），不分页；
+   * 另有 format（csv/json）及 fields（导出字段，缺省为全部），结果按搜索的排序写入导出文件后下载
+   */
+  async exportResults(req, res) {
+    try {
+      const { query, q, filters = {}, format = 'csv', fields, ...params } = req.body
+
+      const { filters: facetFilters, error } = searchService.resolveFacetFilters(filters)
+      if (error) {
+        return res.status(400).json({ error })
+      }
+
+      const { filters: geoFilters, error: filterError } = searchService.resolveFilterParams(params)
+      if (filterError) {
+        return res.status(400).json({ error: filterError })
+      }
+
+      const results = await searchService.exportResults(query ?? q ?? '', {
+        ...resolveSearchOptions(req, params),
+        filters: { ...facetFilters, ...geoFilters }
+      })
+
+      const { maxExportRecords } = exportService.config
+      if (results.total > maxExportRecords) {
+        return res.status(400).json({ error: `结果数（${results.total}）超过导出上限（${maxExportRecords}），请缩小搜索范围` })
+      }
+
+      const { filePath } = await exportService.exportSearchResults(results, {
+        format,
+        fields: fields?.length ? fields : 'all'
+      })
+
+      res.download(filePath)
+
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) {
+        return res.status(400).json({
+          error: '查询语法错误',
+          details: error.toJSON()
+        })
+      }
+
+      logger.error('导出搜索结果失败:', error)
+      res.status(500).json({ error: '导出搜索结果失败' })
+    }
+  }
+
+  /**
+   * 网站的关联基础设施：共用 IP、/24 网段、服务器类型、技术栈或证书的网站数，
+   * 各维度附带可直接用于搜索的查询（如 ip:203.0.113.0/24）
+   */
+  async getPivots(req, res) {
+    try {
+      const result = await infrastructure.getPivots(req.params.id)
+      if (!result) {
+        return res.status(404).json({ error: '网站不存在' })
+      }
+
+      searchCache.send(req, res, result, 'facets')
+
+    } catch (error) {
+      logger.error('获取关联基础设施失败:', error)
+      res.status(500).json({ error: '获取关联基础设施失败' })
+    }
+  }
+
+  /**
+   * 站内搜索（网页正文）
+   * 参数: website（网站ID）、q（为空时列出页面）、page、pageSize、highlight
+   */
+  async searchPages(req, res) {
+    try {
+      const { q = '', website, page, pageSize, highlight } = req.query
+
+      const result = await searchService.searchPages(q, {
+        website,
+        page,
+        pageSize,
+        highlight: highlight === 'false' ? false : (typeof highlight === 'object' ? highlight : {})
+      })
+      if (!result) {
+        return res.status(404).json({ error: '网站不存在' })
+      }
+
+      searchCache.send(req, res, result, 'search')
+
+    } catch (error) {
+      if (error instanceof QuerySyntaxError) {
+        return res.status(400).json({
+          error: '查询语法错误',
+          details: error.toJSON()
+        })
+      }
+
+      logger.error('站内搜索失败:', error)
+      res.status(500).json({ error: '站内搜索失败' })
+    }
+  }
+
+  /**
+   * 相似推荐（"更多类似结果"，近邻列表预先计算）
+   * 参数: limit（默认 10，最多 20）
+   */
+  async getSimilar(req, res) {
+    try {
+      const { maxResults, maxNeighbors } = similarity.config
+      const result = await similarity.getSimilar(req.params.type, req.params.id, {
+        limit: Math.min(parseInt(req.query.limit) || maxResults, maxNeighbors)
+      })
+      if (!result) {
+        return res.status(404).json({ error: '记录不存在' })
+      }
+
+      res.json({
+        data: result.data,
+        meta: { computedAt: result.computedAt }
+      })
+
+    } catch (error) {
+      logger.error('获取相似推荐失败:', error)
+      res.status(500).json({ error: '获取相似推荐失败' })
+    }
+  }
+
+  /**
+   * 搜索结果详情：企业附带其网站，网站附带所属企业及爬取信息
+   * 参数: type（enterprise/website，缺省时自动识别）
+   */
+  async getDetail(req, res) {
+    try {
+      const admin = req.user?.role === 'admin'
+      const detail = await searchDetail.get(req.params.id, { type: req.query.type, admin })
+      if (!detail) {
+        return res.status(404).json({ error: '记录不存在' })
+      }
+
+      // 非管理员查看详情计入浏览次数（不阻塞响应）
+      if (!admin) searchDetail.recordView(detail._type, detail._id)
+
+      res.json({ data: detail })
+
+    } catch (error) {
+      logger.error('获取搜索结果详情失败:', error)
+      res.status(500).json({ error: '获取详情失败' })
+    }
+  }
+
+  /**
+   * 批量获取搜索结果（按请求的顺序返回，不存在的记录为 null）
+   * 请求体: { ids: [...], type }
+   */
+  async batchGet(req, res) {
+    try {
+      const { ids, type } = req.body
+
+      const results = await searchDetail.batch(ids, {
+        type,
+        admin: req.user?.role === 'admin'
+      })
+
+      res.json({
+        data: results,
+        missing: ids.filter((id, i) => !results[i])
+      })
+
+    } catch (error) {
+      logger.error('批量获取搜索结果失败:', error)
+      res.status(500).json({ error: '批量获取失败' })
+    }
+  }
+
+  /**
+   * 可检索的实体类型：名称、分组结果的键名、结构化查询字段、分面及客户端渲染元数据
+   */
+  async getSearchTypes(req, res) {
+    try {
+      res.json({ data: searchTypes.describe() })
+    } catch (error) {
+      logger.error('获取实体类型失败:', error)
+      res.status(500).json({ error: '获取实体类型失败' })
+    }
+  }
+
+  /**
+   * 可用的过滤维度及取值（各实体类型全部记录的分面统计）
+   * 参数: types（enterprise/website，逗号分隔）
+   */
+  async getFilters(req, res) {
+    try {
+      const { types } = req.query
+
+      const { data, cacheKey } = await searchService.getFilterOptions(
+        types ? String(types).split(',') : undefined
+      )
+
+      searchCache.send(req, res, { data, cacheKey }, 'facets')
+
+    } catch (error) {
+      logger.error('获取搜索过滤器失败:', error)
+      res.status(500).json({ error: '获取搜索过滤器失败' })
+    }
+  }
+
+  /**
+   * 搜索建议（输入联想）
+   * 参数: q, limit, types（query/enterprise/website，逗号分隔）
+   */
+  async suggest(req, res) {
+    try {
+      const { q, limit = 5, types } = req.query
+
+      const { suggestions, cacheKey } = await searchService.getSuggestions(
+        String(q || ''),
+        limit,
+        types ? String(types).split(',') : undefined
+      )
+
+      if (!cacheKey) {
+        return res.json({ suggestions })
+      }
+
+      searchCache.send(req, res, { suggestions, cacheKey }, 'suggestions')
+
+    } catch (error) {
+      logger.error('搜索建议失败:', error)
+      res.status(500).json({ error: '获取搜索建议失败' })
+    }
+  }
+
+  /**
+   * 搜索历史（置顶在前，其余按最近搜索时间）
+   * 参数: prefix（只返回以此开头的查询）, limit
+   */
+  async getSearchHistory(req, res) {
+    try {
+      const { prefix, limit } = req.query
+      const history = await searchHistory.list(req.user.userId, {
+        prefix,
+        limit: Math.min(Math.max(parseInt(limit) || 20, 1), searchHistory.config.maxEntries)
+      })
+
+      res.json({ data: history })
+
+    } catch (error) {
+      logger.error('获取搜索历史失败:', error)
+      res.status(500).json({ error: '获取搜索历史失败' })
+    }
+  }
+
+  /**
+   * 导入搜索历史（访客登录后合并本地记录）
+   * 请求体: { entries: [{ query, filters, searchedAt }] }
+   */
+  async importSearchHistory(req, res) {
+    try {
+      const { entries } = req.body
+      if (!Array.isArray(entries) || entries.length > searchHistory.config.maxImport) {
+        return res.status(400).json({ error: `entries 应为不超过 ${searchHistory.config.maxImport} 条的数组` })
+      }
+
+      const imported = await searchHistory.import(req.user.userId, entries)
+      const history = await searchHistory.list(req.user.userId)
+
+      res.json({ imported, data: history })
+
+    } catch (error) {
+      logger.error('导入搜索历史失败:', error)
+      res.status(500).json({ error: '导入搜索历史失败' })
+    }
+  }
+
+  /**
+   * 置顶/取消置顶搜索历史
+   */
+  async updateSearchHistory(req, res) {
+    try {
+      if (typeof req.body.pinned !== 'boolean') {
+        return res.status(400).json({ error: 'pinned 应为布尔值' })
+      }
+
+      const entry = await SearchHistory.findOneAndUpdate(
+        { _id: req.params.entryId, user: req.user.userId },
+        { $set: { pinned: req.body.pinned } },
+        { new: true }
+      )
+      if (!entry) {
+        return res.status(404).json({ error: '搜索历史不存在' })
+      }
+
+      // 取消置顶后可能超出数量上限
+      if (!entry.pinned) await searchHistory.trim(req.user.userId)
+
+      res.json({ data: entry })
+
+    } catch (error) {
+      logger.error('更新搜索历史失败:', error)
+      res.status(500).json({ error: '更新搜索历史失败' })
+    }
+  }
+
+  /**
+   * 删除一条搜索历史
+   */
+  async deleteSearchHistory(req, res) {
+    try {
+      const { deletedCount } = await SearchHistory.deleteOne({
+        _id: req.params.entryId,
+        user: req.user.userId
+      })
+      if (!deletedCount) {
+        return res.status(404).json({ error: '搜索历史不存在' })
+      }
+
+      res.status(204).end()
+
+    } catch (error) {
+      logger.error('删除搜索历史失败:', error)
+      res.status(500).json({ error: '删除搜索历史失败' })
+    }
+  }
+
+  /**
+   * 清空搜索历史（keepPinned=true 时保留置顶记录）
+   */
+  async clearSearchHistory(req, res) {
+    try {
+      const query = { user: req.user.userId }
+      if (req.query.keepPinned === 'true') query.pinned = false
+
+      const { deletedCount } = await SearchHistory.deleteMany(query)
+
+      res.json({ deleted: deletedCount })
+
+    } catch (error) {
+      logger.error('清空搜索历史失败:', error)
+      res.status(500).json({ error: '清空搜索历史失败' })
+    }
+  }
+}
+
+/**
+ * 搜索与导出共用的检索选项：实体类型、排序方式、混合检索及排序方案
+ * @param {Object} params - 查询参数或请求体（types、sort、semantic、profile）
+ */
+function resolveSearchOptions(req, params) {
+  const { types } = params
+
+  return {
+    types: types ? String(types).split(',') : undefined,
+    // distance: 按与附近搜索中心点的距离排序
+    sort: params.sort === 'distance' ? 'distance' : undefined,
+    // hybrid: 混合检索（关键词 + 向量相似度）
+    semantic: params.semantic === 'hybrid' ? 'hybrid' : undefined,
+    // 排序方案：profile 指定方案，否则按用户/IP分流
+    profile: params.profile || undefined,
+    rankingKey: req.user?.userId || req.ip
+  }
+}
+
+// 可请求评分说明（explain=true）的角色
+const EXPLAIN_ROLES = ['admin', 'editor']
+
+/**
+ * 执行统一搜索并发送响应（各搜索接口共用，响应结构一致）
+ * @param {Object} params - 查询参数（q、page、pageSize、types、mode、region、near 等）
+ * @param {Object} [extraFilters] - 已解析的结构化过滤参数
+ */
+async function handleSearch(req, res, params, extraFilters = {}) {
+  try {
+    const { q = '', page, pageSize, types, mode, highlight, explain } = params
+
+    // 地理过滤：region=广东深圳; near=南山区 或 near=113.93,22.53，radius=5（km）
+    const { filters: geoFilters, error: filterError } = searchService.resolveFilterParams(params)
+    if (filterError) {
+      return res.status(400).json({ error: filterError })
+    }
+    const filters = { ...extraFilters, ...geoFilters }
+
+    const results = await searchService.unifiedSearch(q, {
+      ...resolveSearchOptions(req, params),
+      // 页码与每页条数由 searchService.normalizePaging 规范化
+      page,
+      pageSize,
+      // merged: 企业与网站统一排序分页; search_after: 上一页返回的翻页令牌
+      mode: mode === 'merged' ? 'merged' : 'grouped',
+      searchAfter: params.search_after || undefined,
+      filters,
+      // 高亮参数 highlight[fragmentSize]、highlight[preTag] 等，highlight=false 关闭
+      highlight: highlight === 'false' ? false : (typeof highlight === 'object' ? highlight : {}),
+      // 评分说明（命中的词项及字段、BM25 与加权项构成、同义词及模糊扩展）仅对管理员、编辑开放
+      explain: explain === 'true' && EXPLAIN_ROLES.includes(req.user?.role)
+    })
+
+    // 记录本次搜索返回的结果，结果点击据此计入点击数（客户端以请求头 X-Search-Id 传入搜索ID）
+    searchAnalytics.recordServed(req.headers['x-search-id'], results, req.user?.userId || req.ip)
+
+    // 登录用户记录搜索历史（不阻塞响应）
+    if (req.user && q) {
+      searchHistory.record(req.user.userId, q, {
+        types: types ? String(types).split(',') : undefined,
+        mode,
+        region: params.region,
+        near: params.near,
+        radius: params.near ? Number(params.radius) || undefined : undefined
+      })
+    }
+
+    // 带 ETag，客户端重复请求时可返回 304
+    searchCache.send(req, res, results, 'search')
+
+  } catch (error) {
+    // 查询语法错误返回出错位置，便于前端标注
+    if (error instanceof QuerySyntaxError) {
+      return res.status(400).json({
+        error: '查询语法错误',
+        details: error.toJSON()
+      })
+    }
+
+    if (error instanceof SearchCursorError) {
+      return res.status(400).json({
+        error: error.message,
+        details: error.toJSON()
+      })
+    }
+
+    logger.error('统一搜索失败:', error)
+    res.status(500).json({ error: '搜索失败' })
+  }
+}
+
 module.exports = new SearchController()
\ No newline at end of file
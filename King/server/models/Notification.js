@@ -0,0 +1,92 @@
+// server/models/Notification.js
+const mongoose = require('mongoose')
+
+// 通知保留天数（到期由 TTL 索引自动删除）
+const RETENTION_DAYS = 90
+
+/**
+ * 保存的搜索提醒产生的通知（每条新匹配记录一条）
+ */
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: true
+  },
+  entityType: {
+    type: String,
+    // 注册表依赖模型，校验时再加载
+    validate: {
+      validator: value => require('../services/searchTypes').has(value),
+      message: '不支持的实体类型: {VALUE}'
+    },
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // 匹配记录的名称/标题及保存的搜索名称（记录删除后仍可显示）
+  title: {
+    type: String,
+    maxlength: 200,
+    default: ''
+  },
+  searchName: {
+    type: String,
+    maxlength: 50,
+    default: ''
+  },
+  // 是否在站内通知中显示
+  inApp: {
+    type: Boolean,
+    default: true
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date,
+  // 待发送的摘要渠道，发送后清除
+  pending: {
+    email: {
+      type: Boolean,
+      default: false
+    },
+    webhook: {
+      type: Boolean,
+      default: false
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v
+      delete ret._id
+      delete ret.pending
+      return ret
+    }
+  }
+})
+
+// 添加索引
+notificationSchema.index({ savedSearch: 1, entityType: 1, entityId: 1 }, { unique: true })
+notificationSchema.index({ user: 1, inApp: 1, read: 1, createdAt: -1 })
+notificationSchema.index({ 'pending.email': 1 }, { partialFilterExpression: { 'pending.email': true } })
+notificationSchema.index({ 'pending.webhook': 1 }, { partialFilterExpression: { 'pending.webhook': true } })
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 })
+
+// 创建模型
+const Notification = mongoose.model('Notification', notificationSchema)
+
+module.exports = Notification
\ No newline at end of file
@@ -0,0 +1,78 @@
+// server/models/Page.js
+const mongoose = require('mongoose')
+
+/**
+ * 网站页面（深度爬取时逐页保存正文），用于网页正文检索
+ * 每个网站保留的页面数及保留时间见 services/pages
+ */
+const pageSchema = new mongoose.Schema({
+  website: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Website',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2048
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  // h1-h3 标题，按页面顺序
+  headings: {
+    type: [String],
+    default: []
+  },
+  // 正文（去除导航、脚本等后的可见文本，超长时截断）
+  content: {
+    type: String,
+    default: ''
+  },
+  // 页面语言（如 zh、en），无法判断时为空
+  language: {
+    type: String,
+    trim: true,
+    maxlength: 20
+  },
+  // 爬取深度（首页为 0）
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // 标题、小标题及正文的分词结果（去重），检索时要求包含全部查询词项
+  terms: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  crawledAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v
+      delete ret.terms
+      return ret
+    }
+  }
+})
+
+// 添加索引
+pageSchema.index({ website: 1, url: 1 }, { unique: true })
+// 保留上限按爬取时间淘汰旧页面
+pageSchema.index({ website: 1, crawledAt: -1 })
+pageSchema.index({ terms: 1 })
+// 站内搜索
+pageSchema.index({ website: 1, terms: 1 })
+
+// 创建模型
+const Page = mongoose.model('Page', pageSchema)
+
+module.exports = Page
\ No newline at end of file
@@ -0,0 +1,80 @@
+// server/models/QueryStat.js
+const mongoose = require('mongoose')
+
+/**
+ * 查询统计（按规范化查询聚合，用于热门查询与纠错建议）
+ */
+const queryStatSchema = new mongoose.Schema({
+  // 规范化后的查询文本
+  query: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 200
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // 最近一次查询的结果数
+  lastResultCount: {
+    type: Number,
+    default: 0
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v
+      delete ret._id
+      return ret
+    }
+  }
+})
+
+// 添加索引
+queryStatSchema.index({ count: -1 })
+queryStatSchema.index({ lastSearchedAt: -1 })
+
+// 静态方法
+queryStatSchema.statics = {
+  /**
+   * 记录一次查询
+   * @param {string} query - 规范化后的查询文本
+   * @param {number} resultCount - 结果数
+   */
+  async record(query, resultCount) {
+    return this.updateOne(
+      { query },
+      {
+        $inc: { count: 1 },
+        $set: { lastResultCount: resultCount, lastSearchedAt: new Date() }
+      },
+      { upsert: true }
+    )
+  },
+
+  /**
+   * 获取有结果的热门查询
+   * @param {number} [limit=100] - 数量
+   */
+  async findPopular(limit = 100) {
+    return this.find({ lastResultCount: { $gt: 0 } })
+      .sort({ count: -1 })
+      .limit(limit)
+      .select('query count')
+      .lean()
+  }
+}
+
+// 创建模型
+const QueryStat = mongoose.model('QueryStat', queryStatSchema)
+
+module.exports = QueryStat
\ No newline at end of file
@@ -0,0 +1,195 @@
+// server/models/RankingProfile.js
+const mongoose = require('mongoose')
+const { eventBus } = require('../utils/eventBus')
+
+// 保留的历史版本数
+const MAX_HISTORY = 20
+
+// 加权项：weight 为信号满分时得分的增幅（0 表示不启用），最终得分 = 相关性 × Π(1 + weight × 信号)
+const boostSchema = (extra = {}) => ({
+  weight: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 10
+  },
+  ...extra
+})
+
+const rankingSchema = {
+  // 字段权重，按实体类型 { enterprise: { name: 10, ... }, website: { domain: 10, ... } }，缺省字段不参与评分
+  weights: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  boosts: {
+    // 更新时间越近加权越高，按半衰期衰减
+    freshness: boostSchema({
+      halfLifeDays: {
+        type: Number,
+        default: 180,
+        min: 1
+      }
+    }),
+    // 浏览与点击次数，达到 saturation 时信号为 0.5
+    popularity: boostSchema({
+      saturation: {
+        type: Number,
+        default: 100,
+        min: 1
+      }
+    }),
+    // 网站最近一次爬取成功（部分成功计一半）
+    crawlHealth: boostSchema(),
+    // 网站启用 SSL
+    ssl: boostSchema(),
+    // 企业审核通过、网站状态正常
+    approved: boostSchema()
+  }
+}
+
+const rankingProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9][a-z0-9_-]{1,31}$/, '方案名称只能包含字母、数字、下划线及连字符']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  ...rankingSchema,
+
+  // 每次修改权重或加权项时递增
+  version: {
+    type: Number,
+    default: 1
+  },
+  history: [{
+    version: Number,
+    ...rankingSchema,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedAt: Date
+  }],
+
+  // 流量分配：默认方案承接未分配的流量，其余方案按百分比分流用于对比
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  traffic: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // 系统信息
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v
+      delete ret._id
+      return ret
+    }
+  }
+})
+
+// 添加索引
+rankingProfileSchema.index({ enabled: 1, isDefault: 1 })
+
+// 当前权重的键须为已注册的实体类型（注册表依赖模型，校验时再加载；历史版本不校验）
+rankingProfileSchema.path('weights').validate({
+  validator: weights => Object.keys(weights || {}).every(type => require('../services/searchTypes').has(type)),
+  message: '字段权重中有不支持的实体类型'
+})
+
+// 虚拟字段
+rankingProfileSchema.virtual('id').get(function() {
+  return this._id.toHexString()
+})
+
+// 静态方法
+rankingProfileSchema.statics = {
+  // 设为默认方案（取消其他方案的默认标记）
+  async setDefault(id) {
+    await this.updateMany({ _id: { $ne: id }, isDefault: true }, { isDefault: false })
+    eventBus.safeEmit('rankingProfile:changed')
+  }
+}
+
+// 实例方法
+rankingProfileSchema.methods = {
+  /**
+   * 修改权重或加权项，当前配置存入历史并递增版本号
+   * @param {Object} changes - { weights, boosts }
+   * @param {string} userId - 操作人
+   */
+  revise(changes, userId) {
+    this.history.push({
+      version: this.version,
+      weights: this.weights,
+      boosts: this.boosts,
+      updatedBy: this.updatedBy,
+      updatedAt: this.updatedAt
+    })
+    if (this.history.length > MAX_HISTORY) {
+      this.history.splice(0, this.history.length - MAX_HISTORY)
+    }
+
+    this.set({ ...changes, updatedBy: userId })
+    this.markModified('weights')
+    this.version += 1
+    return this
+  },
+
+  /**
+   * 回滚到历史版本（作为新版本保存）
+   * @returns {boolean} 版本不存在时返回false
+   */
+  rollback(version, userId) {
+    const snapshot = this.history.find(item => item.version === version)
+    if (!snapshot) return false
+
+    const { weights, boosts } = snapshot.toObject()
+    this.revise({ weights, boosts }, userId)
+    return true
+  }
+}
+
+// 通知搜索服务重新加载方案
+rankingProfileSchema.post('save', function(doc) {
+  eventBus.safeEmit('rankingProfile:changed', doc)
+})
+
+rankingProfileSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  eventBus.safeEmit('rankingProfile:changed', doc)
+})
+
+// 创建模型
+const RankingProfile = mongoose.model('RankingProfile', rankingProfileSchema)
+
+module.exports = RankingProfile
\ No newline at end of file
@@ -0,0 +1,59 @@
+// server/models/RelatedQuery.js
+const mongoose = require('mongoose')
+
+/**
+ * 相关搜索（由搜索事件挖掘，定期全量刷新，见 services/relatedSearches）
+ */
+const relatedQuerySchema = new mongoose.Schema({
+  // 规范化后的查询文本
+  query: {
+    type: String,
+    required: true,
+    unique: true,
+    maxlength: 200
+  },
+  // 按得分降序
+  related: [{
+    _id: false,
+    query: {
+      type: String,
+      required: true,
+      maxlength: 200
+    },
+    score: {
+      type: Number,
+      default: 0
+    },
+    // 同一会话中先后搜索的次数（反向出现按权重折算）
+    sessions: {
+      type: Number,
+      default: 0
+    },
+    // 点击过相同结果的次数
+    clicks: {
+      type: Number,
+      default: 0
+    }
+  }],
+  // 本条记录所属的刷新批次
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v
+      delete ret._id
+      return ret
+    }
+  }
+})
+
+// 添加索引
+relatedQuerySchema.index({ computedAt: 1 })
+
+// 创建模型
+const RelatedQuery = mongoose.model('RelatedQuery', relatedQuerySchema)
+
+module.exports = RelatedQuery
\ No newline at end of file
@@ -0,0 +1,72 @@
+// server/models/RelatedQueryBlacklist.js
+const mongoose = require('mongoose')
+const analyzer = require('../utils/analyzer')
+const { eventBus } = require('../utils/eventBus')
+
+/**
+ * 相关搜索黑名单：query 为空时 related 不作为任何查询的相关搜索
+ */
+const relatedQueryBlacklistSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  related: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v
+      delete ret._id
+      return ret
+    }
+  }
+})
+
+// 添加索引
+relatedQueryBlacklistSchema.index({ query: 1, related: 1 }, { unique: true })
+
+// 中间件
+relatedQueryBlacklistSchema.pre('validate', function(next) {
+  // 与相关搜索记录使用同一规范化形式
+  const normalize = text => analyzer.normalize(text).trim().replace(/\s+/g, ' ')
+  this.query = normalize(this.query)
+  this.related = normalize(this.related)
+
+  if (this.query && this.query === this.related) {
+    this.invalidate('related', '相关搜索不能与查询相同')
+  }
+
+  next()
+})
+
+// 通知相关搜索服务重新加载黑名单
+relatedQueryBlacklistSchema.post('save', function(doc) {
+  eventBus.safeEmit('relatedQueryBlacklist:changed', doc)
+})
+
+relatedQueryBlacklistSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  eventBus.safeEmit('relatedQueryBlacklist:changed', doc)
+})
+
+// 创建模型
+const RelatedQueryBlacklist = mongoose.model('RelatedQueryBlacklist', relatedQueryBlacklistSchema)
+
+module.exports = RelatedQueryBlacklist
\ No newline at end of file
@@ -0,0 +1,153 @@
+// server/models/SavedSearch.js
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const publicHost = require('../utils/publicHost')
+
+// 保存的搜索可用的排序方式
+const SAVED_SEARCH_SORTS = ['relevance', 'distance']
+
+// 提醒的邮件/Webhook 发送频率（站内通知始终即时）
+const ALERT_FREQUENCIES = ['instant', 'hourly', 'daily', 'weekly']
+
+/**
+ * 用户保存的搜索（命名的查询条件，可重复执行）
+ */
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, '名称不能为空'],
+    trim: true,
+    maxlength: [50, '名称不能超过50个字符']
+  },
+  query: {
+    type: String,
+    trim: true,
+    maxlength: [200, '查询不能超过200个字符'],
+    default: ''
+  },
+  // 搜索接口的过滤参数（types、mode、region、near、radius 等）
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  sort: {
+    type: String,
+    enum: SAVED_SEARCH_SORTS,
+    default: 'relevance'
+  },
+  // 排序方案名称，缺省时按搜索时的分流规则选择
+  profile: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 50
+  },
+  // 新结果提醒：新审核通过的企业、新爬取成功的网站匹配该搜索时通知
+  alert: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    frequency: {
+      type: String,
+      enum: ALERT_FREQUENCIES,
+      default: 'daily'
+    },
+    channels: {
+      inApp: {
+        type: Boolean,
+        default: true
+      },
+      email: {
+        type: Boolean,
+        default: false
+      },
+      webhook: {
+        type: Boolean,
+        default: false
+      }
+    },
+    webhookUrl: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      match: [/^https?:\/\/[^\s]+$/i, 'Webhook 地址应为 http(s) URL'],
+      // 主机名须解析到公网地址（不允许本机、内网地址）
+      validate: {
+        validator: url => publicHost.assertPublicUrl(url).then(() => true),
+        message: props => `Webhook 地址不可用：${props.reason?.message || props.value}`
+      }
+    },
+    // Webhook 签名密钥（HMAC-SHA256），启用 Webhook 时自动生成
+    webhookSecret: {
+      type: String
+    },
+    // 静音：muted 为真时暂停提醒，mutedUntil 为到期自动恢复的时间
+    muted: {
+      type: Boolean,
+      default: false
+    },
+    mutedUntil: {
+      type: Date
+    },
+    // 已匹配到的记录时间（只提醒此后新增的记录）
+    checkedAt: {
+      type: Date
+    },
+    // 最近一次发送邮件/Webhook 摘要的时间
+    deliveredAt: {
+      type: Date
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v
+      delete ret._id
+      return ret
+    }
+  }
+})
+
+// 添加索引
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true })
+savedSearchSchema.index({ user: 1, updatedAt: -1 })
+savedSearchSchema.index({ 'alert.enabled': 1 })
+
+// 静态属性
+savedSearchSchema.statics = {
+  SAVED_SEARCH_SORTS,
+  ALERT_FREQUENCIES
+}
+
+// 中间件
+savedSearchSchema.pre('validate', function(next) {
+  if (!this.query && !Object.keys(this.filters || {}).length) {
+    this.invalidate('query', '查询与过滤条件不能同时为空')
+  }
+
+  const { alert } = this
+  if (alert.enabled && alert.channels.webhook) {
+    if (!alert.webhookUrl) this.invalidate('alert.webhookUrl', '启用 Webhook 时须填写地址')
+    if (!alert.webhookSecret) alert.webhookSecret = crypto.randomBytes(24).toString('hex')
+  }
+
+  // 开启提醒时只匹配此后新增的记录
+  if (alert.enabled && (this.isModified('alert.enabled') || !alert.checkedAt)) {
+    alert.checkedAt = new Date()
+  }
+
+  next()
+})
+
+// 创建模型
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema)
+
+module.exports = SavedSearch
\ No newline at end of file
@@ -0,0 +1,121 @@
+// server/models/SearchEvent.js
+const mongoose = require('mongoose')
+
+// 搜索事件保留天数（到期由 TTL 索引自动删除）
+const RETENTION_DAYS = 180
+
+// 实体类型须为已注册的类型（见 services/searchTypes，注册表依赖模型，校验时再加载）
+const entityTypeValidator = {
+  validator: value => require('../services/searchTypes').has(value),
+  message: '不支持的实体类型: {VALUE}'
+}
+
+/**
+ * 搜索事件（每次搜索一条，记录结果点击，用于搜索分析）
+ */
+const searchEventSchema = new mongoose.Schema({
+  // 客户端生成的搜索ID，点击事件据此关联到搜索
+  searchId: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^[\w-]{8,64}$/
+  },
+  query: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  // 规范化后的查询文本（与 QueryStat 一致，用于聚合）
+  normalizedQuery: {
+    type: String,
+    maxlength: 200,
+    default: ''
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  types: [{
+    type: String,
+    validate: entityTypeValidator
+  }],
+  mode: {
+    type: String,
+    enum: ['grouped', 'merged'],
+    default: 'grouped'
+  },
+  page: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  pageSize: {
+    type: Number,
+    default: 20,
+    min: 1
+  },
+  resultCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // 客户端测得的响应耗时（ms）
+  latency: {
+    type: Number,
+    min: 0
+  },
+  // 登录用户
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 匿名会话（浏览器会话内稳定）
+  sessionId: {
+    type: String,
+    maxlength: 64
+  },
+  // 结果点击，position 为结果在全部结果中的位置（从1开始）
+  clicks: [{
+    _id: false,
+    position: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    resultType: {
+      type: String,
+      validate: entityTypeValidator
+    },
+    resultId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    clickedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v
+      return ret
+    }
+  }
+})
+
+// 添加索引
+searchEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 })
+searchEventSchema.index({ normalizedQuery: 1, createdAt: -1 })
+searchEventSchema.index({ resultCount: 1, createdAt: -1 })
+searchEventSchema.index({ user: 1, createdAt: -1 })
+
+// 创建模型
+const SearchEvent = mongoose.model('SearchEvent', searchEventSchema)
+
+module.exports = SearchEvent
\ No newline at end of file
@@ -0,0 +1,63 @@
+// server/models/SearchHistory.js
+const mongoose = require('mongoose')
+
+/**
+ * 用户搜索历史（同一用户的相同查询只保留一条）
+ */
+const searchHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  query: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // 规范化后的查询文本（去重依据）
+  normalizedQuery: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  // 最近一次搜索时的过滤条件
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // 置顶的记录排在前面，且不会因数量超限被清理
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  count: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v
+      delete ret._id
+      return ret
+    }
+  }
+})
+
+// 添加索引
+searchHistorySchema.index({ user: 1, normalizedQuery: 1 }, { unique: true })
+searchHistorySchema.index({ user: 1, pinned: -1, lastSearchedAt: -1 })
+
+// 创建模型
+const SearchHistory = mongoose.model('SearchHistory', searchHistorySchema)
+
+module.exports = SearchHistory
\ No newline at end of file
@@ -0,0 +1,65 @@
+// server/models/SimilarEntity.js
+const mongoose = require('mongoose')
+
+/**
+ * 相似推荐（"更多类似结果"）：每条记录（企业、网站等实体类型）的近邻列表
+ * 定期全量计算，记录变更后增量更新，见 services/similarity
+ */
+const similarEntitySchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    // 注册表依赖模型，校验时再加载
+    validate: {
+      validator: value => require('../services/searchTypes').has(value),
+      message: '不支持的实体类型: {VALUE}'
+    },
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // 按相似度降序
+  neighbors: [{
+    _id: false,
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    score: {
+      type: Number,
+      default: 0
+    },
+    // 各项相似度（0-1），未参与计算的项缺省
+    reasons: {
+      text: Number,
+      industry: Number,
+      location: Number,
+      size: Number,
+      technology: Number,
+      type: Number
+    }
+  }],
+  // 本条记录所属的计算批次
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.__v
+      delete ret._id
+      return ret
+    }
+  }
+})
+
+// 添加索引
+similarEntitySchema.index({ entityType: 1, entity: 1 }, { unique: true })
+similarEntitySchema.index({ computedAt: 1 })
+
+// 创建模型
+const SimilarEntity = mongoose.model('SimilarEntity', similarEntitySchema)
+
+module.exports = SimilarEntity
\ No newline at end of file
@@ -0,0 +1,127 @@
+// server/models/Synonym.js
+const mongoose = require('mongoose')
+const { eventBus } = require('../utils/eventBus')
+
+// 同义词规则类型
+const SYNONYM_TYPES = {
+  TWO_WAY: 'two-way', // terms 互为同义词（如 ltd / limited / 有限公司）
+  ONE_WAY: 'one-way' // terms 单向扩展为 synonyms（如 中石化 -> 中国石油化工）
+}
+
+// 适用于全部实体类型的范围（其余取值为已注册的实体类型，见 services/searchTypes）
+const SYNONYM_SCOPES = ['all']
+
+const synonymSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: Object.values(SYNONYM_TYPES),
+    default: SYNONYM_TYPES.TWO_WAY
+  },
+  // 双向规则: 同义词组; 单向规则: 触发扩展的词语
+  terms: {
+    type: [{ type: String, trim: true, maxlength: 50 }],
+    default: []
+  },
+  // 单向规则的扩展目标
+  synonyms: {
+    type: [{ type: String, trim: true, maxlength: 50 }],
+    default: []
+  },
+
+  // 适用范围
+  scope: {
+    entityType: {
+      type: String,
+      // 注册表依赖模型，校验时再加载
+      validate: {
+        validator: value => SYNONYM_SCOPES.includes(value) || require('../services/searchTypes').has(value),
+        message: '不支持的实体类型: {VALUE}'
+      },
+      default: 'all'
+    },
+    // 扩展词只匹配这些字段（字段路径，如 name、industry），为空表示全部字段
+    fields: {
+      type: [String],
+      default: []
+    }
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  // 系统信息
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v
+      delete ret._id
+      return ret
+    }
+  }
+})
+
+// 添加索引
+synonymSchema.index({ terms: 1 })
+synonymSchema.index({ enabled: 1, 'scope.entityType': 1 })
+
+// 虚拟字段
+synonymSchema.virtual('id').get(function() {
+  return this._id.toHexString()
+})
+
+// 中间件
+synonymSchema.pre('validate', function(next) {
+  // 去除空白及重复词语
+  const unique = list => [...new Set(list.map(item => item.trim()).filter(Boolean))]
+  this.terms = unique(this.terms)
+  this.synonyms = this.type === SYNONYM_TYPES.ONE_WAY ? unique(this.synonyms) : []
+  this.scope.fields = unique(this.scope.fields)
+
+  if (this.type === SYNONYM_TYPES.TWO_WAY && this.terms.length < 2) {
+    this.invalidate('terms', '双向同义词至少需要两个词语')
+  }
+
+  if (this.type === SYNONYM_TYPES.ONE_WAY) {
+    if (!this.terms.length) this.invalidate('terms', '单向同义词至少需要一个触发词语')
+    if (!this.synonyms.length) this.invalidate('synonyms', '单向同义词至少需要一个扩展词语')
+  }
+
+  next()
+})
+
+// 通知搜索服务重新加载规则
+synonymSchema.post('save', function(doc) {
+  eventBus.safeEmit('synonym:changed', doc)
+})
+
+synonymSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  eventBus.safeEmit('synonym:changed', doc)
+})
+
+// 创建模型
+const Synonym = mongoose.model('Synonym', synonymSchema)
+
+// 导出枚举常量
+module.exports = {
+  Synonym,
+  SYNONYM_TYPES,
+  SYNONYM_SCOPES
+}
\ No newline at end of file
@@ -1,219 +1,292 @@
-// server/models/Website.js
-const mongoose = require('mongoose')
-const { logger } = require('../utils/logger')
-
-// 网站状态枚举
-const WEBSITE_STATUS = {
-  ACTIVE: 'active',
-  INACTIVE: 'inactive',
-  PENDING: 'pending',
-  BANNED: 'banned'
-}
-
-// 网站类型枚举
-const WEBSITE_TYPES = {
-  CORPORATE: 'corporate',
-  ECOMMERCE: 'ecommerce',
-  BLOG: 'blog',
-  PORTAL: 'portal',
-  OTHER: 'other'
-}
-
-const websiteSchema = new mongoose.Schema({
-  // 基础信息
-  domain: {
-    type: String,
-    required: true,
-    unique: true,
-    trim: true,
-    match: [
-      /^(https?:\/\/)?([\da-z\.-]+)\.([a-z\.]{2,6})([\/\w \.-]*)*\/?$/,
-      '域名格式不正确'
-    ],
-    index: true
-  },
-  title: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 100
-  },
-  description: {
-    type: String,
-    trim: true,
-    maxlength: 500
-  },
-  keywords: {
-    type: [String],
-    default: []
-  },
-
-  // 技术信息
-  ip: {
-    type: String,
-    required: true,
-    match: [
-      /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/,
-      'IP地址格式不正确'
-    ]
-  },
-  server: {
-    type: String,
-    enum: ['nginx', 'apache', 'iis', 'cloudflare', 'other'],
-    required: true
-  },
-  ssl: {
-    type: Boolean,
-    default: false
-  },
-  technologies: {
-    type: [String],
-    default: []
-  },
-
-  // 业务信息
-  type: {
-    type: String,
-    required: true,
-    enum: Object.values(WEBSITE_TYPES),
-    default: WEBSITE_TYPES.OTHER
-  },
-  enterprise: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'Enterprise',
-    index: true
-  },
-  category: {
-    type: String,
-    trim: true
-  },
-
-  // 状态信息
-  status: {
-    type: String,
-    required: true,
-    enum: Object.values(WEBSITE_STATUS),
-    default: WEBSITE_STATUS.PENDING
-  },
-  lastCrawledAt: Date,
-  lastCrawlStatus: {
-    type: String,
-    enum: ['success', 'failed', 'partial'],
-    default: 'success'
-  },
-
-  // 系统信息
-  createdBy: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  updatedAt: Date,
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-}, {
-  timestamps: true,
-  toJSON: {
-    virtuals: true,
-    transform: (doc, ret) => {
-      delete ret.__v
-      delete ret._id
-      return ret
-    }
-  }
-})
-
-// 添加索引
-websiteSchema.index({ domain: 1, status: 1 })
-websiteSchema.index({ ip: 1 })
-websiteSchema.index({ title: 'text', description: 'text', keywords: 'text' })
-
-// 虚拟字段
-websiteSchema.virtual('id').get(function() {
-  return this._id.toHexString()
-})
-
-// 静态方法
-websiteSchema.statics = {
-  WEBSITE_STATUS,
-  WEBSITE_TYPES,
-
-  // 按状态统计网站数量
-  async countByStatus() {
-    return this.aggregate([
-      { $group: { _id: '$status', count: { $sum: 1 } } }
-    ])
-  },
-
-  // 按类型统计网站分布
-  async countByType() {
-    return this.aggregate([
-      { $group: { _id: '$type', count: { $sum: 1 } } },
-      { $sort: { count: -1 } }
-    ])
-  },
-
-  // 按企业统计网站
-  async countByEnterprise() {
-    return this.aggregate([
-      { $match: { enterprise: { $exists: true } } },
-      { $group: { _id: '$enterprise', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 10 }
-    ])
-  }
-}
-
-// 实例方法
-websiteSchema.methods = {
-  // 更新爬取状态
-  async updateCrawlStatus(status, meta = {}) {
-    this.lastCrawledAt = new Date()
-    this.lastCrawlStatus = status
-    
-    if (meta.technologies) {
-      this.technologies = [...new Set([...this.technologies, ...meta.technologies])]
-    }
-    
-    return this.save()
-  },
-
-  // 获取简化信息
-  toSimpleJSON() {
-    return {
-      id: this.id,
-      domain: this.domain,
-      title: this.title,
-      type: this.type,
-      status: this.status,
-      enterprise: this.enterprise
-    }
-  }
-}
-
-// 中间件
-websiteSchema.pre('save', function(next) {
-  this.updatedAt = new Date()
-  
-  // 规范化域名
-  if (this.domain && !this.domain.startsWith('http')) {
-    this.domain = `https://${this.domain}`
-  }
-  
-  next()
-})
-
-websiteSchema.post('save', function(doc) {
-  logger.info(`网站记录已保存: ${doc.domain} (${doc._id})`)
-})
-
-websiteSchema.post('remove', function(doc) {
-  logger.warn(`网站记录已删除: ${doc.domain} (${doc._id})`)
-})
-
-// 创建模型
-const Website = mongoose.model('Website', websiteSchema)
-
+// server/models/Website.js
+const mongoose = require('mongoose')
+const { logger } = require('../utils/logger')
+const { eventBus } = require('../utils/eventBus')
+const ipRange = require('../utils/ipRange')
+
+// 网站状态枚举
+const WEBSITE_STATUS = {
+  ACTIVE: 'active',
+  INACTIVE: 'inactive',
+  PENDING: 'pending',
+  BANNED: 'banned'
+}
+
+// 网站类型枚举
+const WEBSITE_TYPES = {
+  CORPORATE: 'corporate',
+  ECOMMERCE: 'ecommerce',
+  BLOG: 'blog',
+  PORTAL: 'portal',
+  OTHER: 'other'
+}
+
+const websiteSchema = new mongoose.Schema({
+  // 基础信息
+  domain: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: [
+      /^(https?:\/\/)?([\da-z\.-]+)\.([a-z\.]{2,6})([\/\w \.-]*)*\/?$/,
+      '域名格式不正确'
+    ],
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  keywords: {
+    type: [String],
+    default: []
+  },
+
+  // 技术信息
+  ip: {
+    type: String,
+    required: true,
+    match: [
+      /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/,
+      'IP地址格式不正确'
+    ]
+  },
+  // IP 的整数形式（保存时由 ip 生成），用于网段查询
+  ipNumber: {
+    type: Number,
+    min: 0
+  },
+  server: {
+    type: String,
+    enum: ['nginx', 'apache', 'iis', 'cloudflare', 'other'],
+    required: true
+  },
+  ssl: {
+    type: Boolean,
+    default: false
+  },
+  technologies: {
+    type: [String],
+    default: []
+  },
+  // TLS 证书（爬取时获取），fingerprint 为 SHA-256 指纹（小写十六进制，无分隔符）
+  certificate: {
+    fingerprint: String,
+    subject: String,
+    issuer: String,
+    altNames: {
+      type: [String],
+      default: undefined
+    },
+    validFrom: Date,
+    validTo: Date
+  },
+
+  // 业务信息
+  type: {
+    type: String,
+    required: true,
+    enum: Object.values(WEBSITE_TYPES),
+    default: WEBSITE_TYPES.OTHER
+  },
+  enterprise: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Enterprise',
+    index: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+
+  // 状态信息
+  status: {
+    type: String,
+    required: true,
+    enum: Object.values(WEBSITE_STATUS),
+    default: WEBSITE_STATUS.PENDING
+  },
+  lastCrawledAt: Date,
+  lastCrawlStatus: {
+    type: String,
+    enum: ['success', 'failed', 'partial'],
+    default: 'success'
+  },
+  // 最近一次爬取失败的原因（爬取成功后清除）
+  crawlError: {
+    type: String,
+    maxlength: 500
+  },
+  // 页面正文的保留上限（缺省使用 services/pages 的默认值）
+  pageRetention: {
+    maxPages: {
+      type: Number,
+      min: 0
+    },
+    maxAgeDays: {
+      type: Number,
+      min: 1
+    }
+  },
+
+  // 访问统计（用于排序方案的热度加权）
+  viewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  clickCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // 系统信息
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v
+      delete ret._id
+      return ret
+    }
+  }
+})
+
+// 添加索引
+websiteSchema.index({ domain: 1, status: 1 })
+websiteSchema.index({ ip: 1 })
+// 关联基础设施查询（网段、服务器、技术栈、证书）
+websiteSchema.index({ ipNumber: 1 })
+websiteSchema.index({ server: 1 })
+websiteSchema.index({ technologies: 1 })
+websiteSchema.index({ 'certificate.fingerprint': 1 }, { sparse: true })
+// 保存的搜索提醒按爬取时间查找新爬取成功的网站
+websiteSchema.index({ lastCrawlStatus: 1, lastCrawledAt: -1 })
+websiteSchema.index({ title: 'text', description: 'text', keywords: 'text' })
+
+// 虚拟字段
+websiteSchema.virtual('id').get(function() {
+  return this._id.toHexString()
+})
+
+// 静态方法
+websiteSchema.statics = {
+  WEBSITE_STATUS,
+  WEBSITE_TYPES,
+
+  // 按状态统计网站数量
+  async countByStatus() {
+    return this.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  },
+
+  // 按类型统计网站分布
+  async countByType() {
+    return this.aggregate([
+      { $group: { _id: '$type', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ])
+  },
+
+  // 按企业统计网站
+  async countByEnterprise() {
+    return this.aggregate([
+      { $match: { enterprise: { $exists: true } } },
+      { $group: { _id: '$enterprise', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: 10 }
+    ])
+  },
+
+  // 规范化证书指纹（忽略大小写及 : 分隔符），无效时返回 null
+  normalizeFingerprint(value) {
+    const hex = String(value || '').replace(/[:\s]/g, '').toLowerCase()
+    return /^[a-f\d]{64}$/.test(hex) ? hex : null
+  },
+
+  // 累加浏览/点击次数（不触发保存钩子及索引更新）
+  async incrementCounters(id, { views = 0, clicks = 0 } = {}) {
+    return this.updateOne({ _id: id }, { $inc: { viewCount: views, clickCount: clicks } })
+  }
+}
+
+// 实例方法
+websiteSchema.methods = {
+  // 更新爬取状态
+  async updateCrawlStatus(status, meta = {}) {
+    this.lastCrawledAt = new Date()
+    this.lastCrawlStatus = status
+    
+    if (meta.technologies) {
+      this.technologies = [...new Set([...this.technologies, ...meta.technologies])]
+    }
+    
+    return this.save()
+  },
+
+  // 获取简化信息
+  toSimpleJSON() {
+    return {
+      id: this.id,
+      domain: this.domain,
+      title: this.title,
+      type: this.type,
+      status: this.status,
+      enterprise: this.enterprise
+    }
+  }
+}
+
+// 中间件
+websiteSchema.pre('save', function(next) {
+  this.updatedAt = new Date()
+
+  if (this.isModified('ip') || this.ipNumber === undefined) {
+    this.ipNumber = ipRange.toNumber(this.ip) ?? undefined
+  }
+  
+  // 规范化域名
+  if (this.domain && !this.domain.startsWith('http')) {
+    this.domain = `https://${this.domain}`
+  }
+  
+  next()
+})
+
+websiteSchema.post('save', function(doc) {
+  logger.info(`网站记录已保存: ${doc.domain} (${doc._id})`)
+
+  // 通知搜索索引等订阅方
+  eventBus.safeEmit('website:saved', doc)
+})
+
+websiteSchema.post('remove', function(doc) {
+  logger.warn(`网站记录已删除: ${doc.domain} (${doc._id})`)
+  eventBus.safeEmit('website:removed', doc)
+})
+
+// 创建模型
+const Website = mongoose.model('Website', websiteSchema)
+
 module.exports = Website
\ No newline at end of file
@@ -1,118 +1,349 @@
-// server/routes/admin.js
-const express = require('express')
-const router = express.Router()
-const adminController = require('../controllers/adminController')
-const { authenticate, adminOnly } = require('../middlewares/auth')
-const { validate } = require('../utils/validator')
-
-// 管理员仪表盘数据
-router.get('/dashboard', 
-  authenticate, 
-  adminOnly,
-  adminController.getDashboardStats
-)
-
-// 用户管理
-router.get('/users',
-  authenticate,
-  adminOnly,
-  validate('listUsers'),
-  adminController.listUsers
-)
-
-router.put('/users/:userId/status',
-  authenticate,
-  adminOnly,
-  validate('updateUserStatus'),
-  adminController.updateUserStatus
-)
-
-router.delete('/users/:userId',
-  authenticate,
-  adminOnly,
-  validate('deleteUser'),
-  adminController.deleteUser
-)
-
-// 企业管理
-router.get('/enterprises/pending',
-  authenticate,
-  adminOnly,
-  validate('listPendingEnterprises'),
-  adminController.listPendingEnterprises
-)
-
-router.post('/enterprises/:enterpriseId/review',
-  authenticate,
-  adminOnly,
-  validate('reviewEnterprise'),
-  adminController.reviewEnterprise
-)
-
-router.put('/enterprises/:enterpriseId/status',
-  authenticate,
-  adminOnly,
-  validate('updateEnterpriseStatus'),
-  adminController.updateEnterpriseStatus
-)
-
-// 网站管理
-router.get('/websites/unverified',
-  authenticate,
-  adminOnly,
-  validate('listUnverifiedWebsites'),
-  adminController.listUnverifiedWebsites
-)
-
-router.post('/websites/:websiteId/verify',
-  authenticate,
-  adminOnly,
-  validate('verifyWebsite'),
-  adminController.verifyWebsite
-)
-
-router.delete('/websites/:websiteId',
-  authenticate,
-  adminOnly,
-  validate('deleteWebsite'),
-  adminController.deleteWebsite
-)
-
-// 系统设置
-router.get('/settings',
-  authenticate,
-  adminOnly,
-  adminController.getSystemSettings
-)
-
-router.put('/settings',
-  authenticate,
-  adminOnly,
-  validate('updateSystemSettings'),
-  adminController.updateSystemSettings
-)
-
-// 管理员操作日志
-router.get('/logs',
-  authenticate,
-  adminOnly,
-  validate('listAdminLogs'),
-  adminController.listAdminLogs
-)
-
-// 批量操作
-router.post('/batch/users/delete',
-  authenticate,
-  adminOnly,
-  validate('batchDeleteUsers'),
-  adminController.batchDeleteUsers
-)
-
-router.post('/batch/enterprises/approve',
-  authenticate,
-  adminOnly,
-  validate('batchApproveEnterprises'),
-  adminController.batchApproveEnterprises
-)
-
+// server/routes/admin.js
+const express = require('express')
+const router = express.Router()
+const adminController = require('../controllers/adminController')
+const { authenticate, adminOnly } = require('../middlewares/auth')
+const validator = require('../utils/validator')
+const { validate } = require('../utils/validator')
+
+// 同义词规则参数（取值范围由模型校验）
+const synonymRules = {
+  type: { type: 'string' },
+  terms: { required: true, type: 'array' },
+  synonyms: { type: 'array' },
+  scope: { type: 'object' },
+  enabled: { type: 'boolean' },
+  note: { type: 'string', maxLength: 200 }
+}
+
+// 排序方案参数（权重及加权项由服务及模型校验）
+const rankingRules = {
+  name: { required: true, type: 'string' },
+  description: { type: 'string', maxLength: 200 },
+  weights: { type: 'object' },
+  boosts: { type: 'object' },
+  isDefault: { type: 'boolean' },
+  traffic: { type: 'number' },
+  enabled: { type: 'boolean' }
+}
+
+// 可选的整数参数（请求体）
+const integerInRange = (field, min, max = Infinity) => value =>
+  value !== undefined && !(Number.isInteger(value) && value >= min && value <= max)
+    ? `${field} 应为${max === Infinity ? `不小于 ${min} 的` : ` ${min}-${max} 的`}整数`
+    : null
+
+// 管理员仪表盘数据
+router.get('/dashboard', 
+  authenticate, 
+  adminOnly,
+  adminController.getDashboardStats
+)
+
+// 用户管理
+router.get('/users',
+  authenticate,
+  adminOnly,
+  validate('listUsers'),
+  adminController.listUsers
+)
+
+router.put('/users/:userId/status',
+  authenticate,
+  adminOnly,
+  validate('updateUserStatus'),
+  adminController.updateUserStatus
+)
+
+router.delete('/users/:userId',
+  authenticate,
+  adminOnly,
+  validate('deleteUser'),
+  adminController.deleteUser
+)
+
+// 企业管理
+router.get('/enterprises/pending',
+  authenticate,
+  adminOnly,
+  validate('listPendingEnterprises'),
+  adminController.listPendingEnterprises
+)
+
+router.post('/enterprises/:enterpriseId/review',
+  authenticate,
+  adminOnly,
+  validate('reviewEnterprise'),
+  adminController.reviewEnterprise
+)
+
+router.put('/enterprises/:enterpriseId/status',
+  authenticate,
+  adminOnly,
+  validate('updateEnterpriseStatus'),
+  adminController.updateEnterpriseStatus
+)
+
+// 网站管理
+router.get('/websites/unverified',
+  authenticate,
+  adminOnly,
+  validate('listUnverifiedWebsites'),
+  adminController.listUnverifiedWebsites
+)
+
+router.post('/websites/:websiteId/verify',
+  authenticate,
+  adminOnly,
+  validate('verifyWebsite'),
+  adminController.verifyWebsite
+)
+
+router.delete('/websites/:websiteId',
+  authenticate,
+  adminOnly,
+  validate('deleteWebsite'),
+  adminController.deleteWebsite
+)
+
+// 系统设置
+router.get('/settings',
+  authenticate,
+  adminOnly,
+  adminController.getSystemSettings
+)
+
+router.put('/settings',
+  authenticate,
+  adminOnly,
+  validate('updateSystemSettings'),
+  adminController.updateSystemSettings
+)
+
+// 管理员操作日志
+router.get('/logs',
+  authenticate,
+  adminOnly,
+  validate('listAdminLogs'),
+  adminController.listAdminLogs
+)
+
+// 批量操作
+router.post('/batch/users/delete',
+  authenticate,
+  adminOnly,
+  validate('batchDeleteUsers'),
+  adminController.batchDeleteUsers
+)
+
+router.post('/batch/enterprises/approve',
+  authenticate,
+  adminOnly,
+  validate('batchApproveEnterprises'),
+  adminController.batchApproveEnterprises
+)
+
+// 搜索索引
+router.get('/search/index',
+  authenticate,
+  adminOnly,
+  adminController.getSearchIndexStats
+)
+
+router.post('/search/index/rebuild',
+  authenticate,
+  adminOnly,
+  adminController.rebuildSearchIndex
+)
+
+// 语义检索的向量索引
+router.post('/search/embeddings/rebuild',
+  authenticate,
+  adminOnly,
+  adminController.rebuildEmbeddings
+)
+
+// 企业地址回填（行政区划及坐标）
+router.post('/geo/backfill',
+  authenticate,
+  adminOnly,
+  validator.middleware({ force: { type: 'boolean' } }),
+  adminController.backfillGeocoding
+)
+
+// 网站IP回填（网段查询使用的整数形式）
+router.post('/websites/ip/backfill',
+  authenticate,
+  adminOnly,
+  adminController.backfillWebsiteIps
+)
+
+// 网页正文：深度爬取、保留上限、清除过期页面
+router.post('/websites/:websiteId/pages/crawl',
+  authenticate,
+  adminOnly,
+  validator.middleware({
+    maxDepth: { type: 'number', custom: integerInRange('maxDepth', 0, 5) }
+  }),
+  adminController.crawlWebsitePages
+)
+
+router.put('/websites/:websiteId/page-retention',
+  authenticate,
+  adminOnly,
+  validator.middleware({
+    maxPages: { type: 'number', custom: integerInRange('maxPages', 0) },
+    maxAgeDays: { type: 'number', custom: integerInRange('maxAgeDays', 1) }
+  }),
+  adminController.updatePageRetention
+)
+
+router.post('/pages/prune',
+  authenticate,
+  adminOnly,
+  adminController.prunePages
+)
+
+// 立即检查保存的搜索提醒
+router.post('/alerts/run',
+  authenticate,
+  adminOnly,
+  adminController.runSearchAlerts
+)
+
+// 同义词管理
+router.get('/synonyms',
+  authenticate,
+  adminOnly,
+  adminController.listSynonyms
+)
+
+router.post('/synonyms',
+  authenticate,
+  adminOnly,
+  validator.middleware(synonymRules),
+  adminController.createSynonym
+)
+
+router.put('/synonyms/:synonymId',
+  authenticate,
+  adminOnly,
+  validator.middleware({ ...synonymRules, terms: { type: 'array' } }),
+  adminController.updateSynonym
+)
+
+router.delete('/synonyms/:synonymId',
+  authenticate,
+  adminOnly,
+  adminController.deleteSynonym
+)
+
+// 排序方案
+router.get('/ranking-profiles',
+  authenticate,
+  adminOnly,
+  adminController.listRankingProfiles
+)
+
+router.get('/ranking-profiles/:profileId',
+  authenticate,
+  adminOnly,
+  adminController.getRankingProfile
+)
+
+router.post('/ranking-profiles',
+  authenticate,
+  adminOnly,
+  validator.middleware(rankingRules),
+  adminController.createRankingProfile
+)
+
+router.put('/ranking-profiles/:profileId',
+  authenticate,
+  adminOnly,
+  validator.middleware({ ...rankingRules, name: { type: 'string' } }),
+  adminController.updateRankingProfile
+)
+
+router.post('/ranking-profiles/:profileId/rollback',
+  authenticate,
+  adminOnly,
+  validator.middleware({ version: { required: true, type: 'number' } }),
+  adminController.rollbackRankingProfile
+)
+
+router.delete('/ranking-profiles/:profileId',
+  authenticate,
+  adminOnly,
+  adminController.deleteRankingProfile
+)
+
+// 搜索分析（from/to 时间范围，缺省为最近7天）
+router.get('/analytics/top-queries',
+  authenticate,
+  adminOnly,
+  adminController.getTopQueries
+)
+
+router.get('/analytics/zero-results',
+  authenticate,
+  adminOnly,
+  adminController.getZeroResultQueries
+)
+
+router.get('/analytics/ctr',
+  authenticate,
+  adminOnly,
+  adminController.getClickThroughRates
+)
+
+router.get('/analytics/latency',
+  authenticate,
+  adminOnly,
+  adminController.getLatencyPercentiles
+)
+
+// 相关搜索
+router.get('/related-searches',
+  authenticate,
+  adminOnly,
+  adminController.getRelatedSearches
+)
+
+router.post('/related-searches/refresh',
+  authenticate,
+  adminOnly,
+  adminController.refreshRelatedSearches
+)
+
+// 相似推荐
+router.post('/similarity/refresh',
+  authenticate,
+  adminOnly,
+  adminController.refreshSimilarity
+)
+
+router.get('/related-searches/blacklist',
+  authenticate,
+  adminOnly,
+  adminController.listRelatedBlacklist
+)
+
+router.post('/related-searches/blacklist',
+  authenticate,
+  adminOnly,
+  validator.middleware({
+    query: { type: 'string', maxLength: 200 },
+    related: { required: true, type: 'string', maxLength: 200 },
+    note: { type: 'string', maxLength: 200 }
+  }),
+  adminController.addRelatedBlacklist
+)
+
+router.delete('/related-searches/blacklist/:entryId',
+  authenticate,
+  adminOnly,
+  adminController.removeRelatedBlacklist
+)
+
 module.exports = router
\ No newline at end of file
@@ -0,0 +1,34 @@
+// server/routes/notifications.js
+const express = require('express')
+const router = express.Router()
+const notificationController = require('../controllers/notificationController')
+const { authenticate } = require('../middlewares/auth')
+const validator = require('../utils/validator')
+
+const OBJECT_ID = /^[a-f\d]{24}$/i
+
+router.get('/',
+  authenticate,
+  notificationController.getNotifications
+)
+
+router.put('/:notificationId/read',
+  authenticate,
+  validator.middleware({
+    notificationId: { custom: value => !OBJECT_ID.test(value) ? 'notificationId 格式无效' : null }
+  }, 'params'),
+  notificationController.markAsRead
+)
+
+router.post('/read-all',
+  authenticate,
+  validator.middleware({
+    savedSearch: {
+      type: 'string',
+      custom: value => value !== undefined && !OBJECT_ID.test(value) ? 'savedSearch 格式无效' : null
+    }
+  }),
+  notificationController.markAllAsRead
+)
+
+module.exports = router
\ No newline at end of file
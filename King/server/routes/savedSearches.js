@@ -0,0 +1,55 @@
+// server/routes/savedSearches.js
+const express = require('express')
+const router = express.Router()
+const savedSearchController = require('../controllers/savedSearchController')
+const { authenticate } = require('../middlewares/auth')
+const validator = require('../utils/validator')
+
+const OBJECT_ID = /^[a-f\d]{24}$/i
+
+// 路径中的保存的搜索ID
+const searchIdRules = {
+  searchId: { custom: value => !OBJECT_ID.test(value) ? 'searchId 格式无效' : null }
+}
+
+// 保存的搜索参数（排序方式等取值由模型校验）
+const savedSearchRules = {
+  name: { required: true, type: 'string', maxLength: 50 },
+  query: { type: 'string', maxLength: 200 },
+  filters: { type: 'object' },
+  sort: { type: 'string' },
+  profile: { type: 'string', maxLength: 50 },
+  alert: { type: 'object' }
+}
+
+router.get('/',
+  authenticate,
+  savedSearchController.listSavedSearches
+)
+
+router.get('/:searchId',
+  authenticate,
+  validator.middleware(searchIdRules, 'params'),
+  savedSearchController.getSavedSearch
+)
+
+router.post('/',
+  authenticate,
+  validator.middleware(savedSearchRules),
+  savedSearchController.createSavedSearch
+)
+
+router.put('/:searchId',
+  authenticate,
+  validator.middleware(searchIdRules, 'params'),
+  validator.middleware({ ...savedSearchRules, name: { type: 'string', maxLength: 50 } }),
+  savedSearchController.updateSavedSearch
+)
+
+router.delete('/:searchId',
+  authenticate,
+  validator.middleware(searchIdRules, 'params'),
+  savedSearchController.deleteSavedSearch
+)
+
+module.exports = router
\ No newline at end of file
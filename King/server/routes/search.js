@@ -1,318 +1,240 @@
-// server/services/search.js
-const { logger } = require('../utils/logger')
-const { Enterprise, Website } = require('../models')
-
-class SearchService {
-  /**
-   * 企业搜索
-   * @param {Object} query - 搜索查询参数
-   * @param {Object} options - 分页和排序选项
-   */
-  async searchEnterprises(query, options = {}) {
-    const {
-      page = 1,
-      pageSize = 20,
-      sortBy = 'relevance',
-      sortOrder = 'desc'
-    } = options
-
-    try {
-      // 构建搜索查询
-      const searchQuery = this.buildEnterpriseQuery(query)
-      
-      // 构建排序规则
-      const sort = this.buildSortCriteria(sortBy, sortOrder)
-
-      const [results, total] = await Promise.all([
-        Enterprise.find(searchQuery)
-          .sort(sort)
-          .skip((page - 1) * pageSize)
-          .limit(pageSize)
-          .lean(),
-        Enterprise.countDocuments(searchQuery)
-      ])
-
-      return {
-        data: results,
-        meta: {
-          total,
-          page,
-          pageSize,
-          totalPages: Math.ceil(total / pageSize)
-        }
-      }
-    } catch (error) {
-      logger.error('企业搜索失败:', error)
-      throw new Error('搜索服务暂时不可用')
-    }
-  }
-
-  /**
-   * 网站搜索
-   * @param {Object} query - 搜索查询参数
-   * @param {Object} options - 分页和排序选项
-   */
-  async searchWebsites(query, options = {}) {
-    const {
-      page = 1,
-      pageSize = 20,
-      sortBy = 'relevance',
-      sortOrder = 'desc'
-    } = options
-
-    try {
-      const searchQuery = this.buildWebsiteQuery(query)
-      const sort = this.buildSortCriteria(sortBy, sortOrder)
-
-      const [results, total] = await Promise.all([
-        Website.find(searchQuery)
-          .sort(sort)
-          .skip((page - 1) * pageSize)
-          .limit(pageSize)
-          .populate('enterprise', 'name industry')
-          .lean(),
-        Website.countDocuments(searchQuery)
-      ])
-
-      return {
-        data: results,
-        meta: {
-          total,
-          page,
-          pageSize,
-          totalPages: Math.ceil(total / pageSize)
-        }
-      }
-    } catch (error) {
-      logger.error('网站搜索失败:', error)
-      throw new Error('搜索服务暂时不可用')
-    }
-  }
-
-  /**
-   * 高级搜索（企业+网站联合搜索）
-   */
-  async advancedSearch(query, options = {}) {
-    const {
-      page = 1,
-      pageSize = 20,
-      target = 'all' // 'all', 'enterprises', 'websites'
-    } = options
-
-    try {
-      const [enterprises, websites] = await Promise.all([
-        target === 'all' || target === 'enterprises' 
-          ? this.searchEnterprises(query, { ...options, pageSize: Math.ceil(pageSize / 2) })
-          : { data: [], meta: { total: 0 } },
-        target === 'all' || target === 'websites'
-          ? this.searchWebsites(query, { ...options, pageSize: Math.ceil(pageSize / 2) })
-          : { data: [], meta: { total: 0 } }
-      ])
-
-      // 合并结果并重新分页
-      const combinedData = [...enterprises.data, ...websites.data]
-      const totalResults = enterprises.meta.total + websites.meta.total
-
-      // 简单分页实现
-      const startIdx = (page - 1) * pageSize
-      const paginatedData = combinedData.slice(startIdx, startIdx + pageSize)
-
-      return {
-        data: paginatedData,
-        meta: {
-          total: totalResults,
-          page,
-          pageSize,
-          totalPages: Math.ceil(totalResults / pageSize),
-          byType: {
-            enterprises: enterprises.meta.total,
-            websites: websites.meta.total
-          }
-        }
-      }
-    } catch (error) {
-      logger.error('高级搜索失败:', error)
-      throw new Error('高级搜索服务暂时不可用')
-    }
-  }
-
-  /**
-   * 搜索建议（自动完成）
-   */
-  async getSearchSuggestions(query, limit = 5) {
-    try {
-      if (!query || query.length < 2) {
-        return []
-      }
-
-      const enterpriseSuggestions = await Enterprise.aggregate([
-        {
-          $search: {
-            index: 'autocomplete',
-            autocomplete: {
-              query: query,
-              path: 'name',
-              tokenOrder: 'any'
-            }
-          }
-        },
-        { $limit: limit },
-        { $project: { name: 1, _id: 1 } }
-      ])
-
-      const websiteSuggestions = await Website.aggregate([
-        {
-          $search: {
-            index: 'autocomplete',
-            autocomplete: {
-              query: query,
-              path: 'domain',
-              tokenOrder: 'any'
-            }
-          }
-        },
-        { $limit: limit },
-        { $project: { domain: 1, _id: 1 } }
-      ])
-
-      return [
-        ...enterpriseSuggestions.map(item => ({
-          type: 'enterprise',
-          text: item.name,
-          id: item._id
-        })),
-        ...websiteSuggestions.map(item => ({
-          type: 'website',
-          text: item.domain,
-          id: item._id
-        }))
-      ].slice(0, limit)
-    } catch (error) {
-      logger.error('搜索建议获取失败:', error)
-      return []
-    }
-  }
-
-  /**
-   * 构建企业搜索查询
-   */
-  buildEnterpriseQuery(params = {}) {
-    const query = {}
-
-    // 关键词搜索
-    if (params.keyword) {
-      query.$or = [
-        { name: { $regex: params.keyword, $options: 'i' } },
-        { description: { $regex: params.keyword, $options: 'i' } },
-        { 'contact.address': { $regex: params.keyword, $options: 'i' } }
-      ]
-    }
-
-    // 行业筛选
-    if (params.industry) {
-      query.industry = Array.isArray(params.industry) 
-        ? { $in: params.industry }
-        : params.industry
-    }
-
-    // 地区筛选
-    if (params.location) {
-      query['contact.address'] = { $regex: params.location, $options: 'i' }
-    }
-
-    // 状态筛选
-    query.status = params.status || 'approved'
-
-    // 成立年份范围
-    if (params.foundedYearFrom || params.foundedYearTo) {
-      query.foundedYear = {}
-      if (params.foundedYearFrom) {
-        query.foundedYear.$gte = parseInt(params.foundedYearFrom)
-      }
-      if (params.foundedYearTo) {
-        query.foundedYear.$lte = parseInt(params.foundedYearTo)
-      }
-    }
-
-    return query
-  }
-
-  /**
-   * 构建网站搜索查询
-   */
-  buildWebsiteQuery(params = {}) {
-    const query = {}
-
-    // 域名或关键词搜索
-    if (params.keyword) {
-      query.$or = [
-        { domain: { $regex: params.keyword, $options: 'i' } },
-        { title: { $regex: params.keyword, $options: 'i' } },
-        { description: { $regex: params.keyword, $options: 'i' } },
-        { keywords: { $in: [new RegExp(params.keyword, 'i')] } }
-      ]
-    }
-
-    // IP搜索
-    if (params.ip) {
-      query.ip = params.ip
-    }
-
-    // 网站类型筛选
-    if (params.type) {
-      query.type = Array.isArray(params.type) 
-        ? { $in: params.type }
-        : params.type
-    }
-
-    // 技术栈筛选
-    if (params.technology) {
-      query.technologies = Array.isArray(params.technology)
-        ? { $all: params.technology }
-        : params.technology
-    }
-
-    // 关联企业筛选
-    if (params.enterprise) {
-      query.enterprise = params.enterprise
-    }
-
-    // 状态筛选
-    query.status = params.status || 'active'
-
-    return query
-  }
-
-  /**
-   * 构建排序规则
-   */
-  buildSortCriteria(sortBy, sortOrder = 'desc') {
-    const order = sortOrder === 'asc' ? 1 : -1
-
-    const sortOptions = {
-      relevance: { score: { $meta: 'textScore' } },
-      name: { name: order },
-      newest: { createdAt: -1 },
-      oldest: { createdAt: 1 },
-      popular: { viewCount: -1 }
-    }
-
-    return sortOptions[sortBy] || sortOptions.relevance
-  }
-
-  /**
-   * 记录搜索历史
-   */
-  async recordSearchHistory(userId, searchParams) {
-    try {
-      // 实际项目中可将搜索历史存入数据库
-      logger.info(`搜索记录 - 用户: ${userId}, 参数: ${JSON.stringify(searchParams)}`)
-      return true
-    } catch (error) {
-      logger.error('搜索历史记录失败:', error)
-      return false
-    }
-  }
-}
-
-module.exports = new SearchService()
\ No newline at end of file
+// server/routes/search.js
+const express = require('express')
+const router = express.Router()
+const searchController = require('../controllers/searchController')
+const { authenticate, optionalAuthenticate } = require('../middlewares/auth')
+const rateLimit = require('../middlewares/rateLimit')
+const validator = require('../utils/validator')
+const searchDetail = require('../services/searchDetail')
+const searchTypes = require('../services/searchTypes')
+
+const OBJECT_ID = /^[a-f\d]{24}$/i
+
+// 查询参数均为字符串，数值参数按字符串校验
+const positiveInteger = field => value =>
+  value !== undefined && !/^[1-9]\d*$/.test(value) ? `${field} 应为正整数` : null
+
+// 实体类型列表（逗号分隔，或重复参数）
+// 可选的类型在校验时读取注册表（见 services/searchTypes），extra 为额外接受的取值
+const typesRule = (extra = []) => ({
+  custom: value => {
+    const allowed = [...extra, ...searchTypes.names()]
+    return value !== undefined &&
+      [].concat(value).join(',').split(',').some(type => !allowed.includes(type))
+      ? `types 的取值应为 ${allowed.join('、')}`
+      : null
+  }
+})
+
+const typeRule = {
+  type: 'string',
+  custom: value => value !== undefined && !searchTypes.has(value)
+    ? `type 的取值应为 ${searchTypes.names().join('、')}`
+    : null
+}
+
+// 统一搜索参数（地理过滤参数由 searchService.resolveFilterParams 校验）
+const searchRules = {
+  q: { type: 'string', maxLength: 200 },
+  page: { type: 'string', custom: positiveInteger('page') },
+  pageSize: { type: 'string', custom: positiveInteger('pageSize') },
+  types: typesRule(),
+  mode: { type: 'string' },
+  sort: { type: 'string' },
+  semantic: {
+    type: 'string',
+    custom: value => value !== undefined && value !== 'hybrid' ? 'semantic 的取值应为 hybrid' : null
+  },
+  search_after: { type: 'string', maxLength: 500 },
+  profile: { type: 'string', maxLength: 50 }
+}
+
+// 高级搜索参数（filters 的键名及取值由 searchService.resolveFacetFilters 校验）
+const advancedSearchRules = {
+  ...searchRules,
+  query: { type: 'string', maxLength: 200 },
+  perPage: { type: 'string', custom: positiveInteger('perPage') },
+  filters: { type: 'object' }
+}
+
+// 导出搜索结果参数：同高级搜索（不分页），另有导出格式及字段（见 services/export）
+const exportRules = {
+  ...Object.fromEntries(Object.entries(advancedSearchRules)
+    .filter(([field]) => !['page', 'pageSize', 'perPage', 'search_after', 'mode'].includes(field))),
+  format: {
+    type: 'string',
+    custom: value => value !== undefined && !['csv', 'json'].includes(value) ? 'format 的取值应为 csv 或 json' : null
+  },
+  fields: {
+    type: 'array',
+    custom: value => Array.isArray(value) && value.some(field => typeof field !== 'string' || !/^[\w.]{1,50}$/.test(field))
+      ? 'fields 中有无效的字段'
+      : null
+  }
+}
+
+// 搜索历史条目ID
+const historyEntryRules = {
+  entryId: { custom: value => !OBJECT_ID.test(value) ? 'entryId 格式无效' : null }
+}
+
+// 统一搜索
+router.get('/',
+  optionalAuthenticate,
+  validator.middleware(searchRules, 'query'),
+  searchController.search
+)
+
+// 高级搜索
+router.get('/advanced',
+  optionalAuthenticate,
+  validator.middleware(advancedSearchRules, 'query'),
+  searchController.advancedSearch
+)
+
+// 按类型搜索（统一搜索限定实体类型）
+const typedSearchRules = Object.fromEntries(Object.entries(searchRules).filter(([field]) => field !== 'types'))
+
+router.get('/enterprises',
+  optionalAuthenticate,
+  validator.middleware(typedSearchRules, 'query'),
+  searchController.searchEnterprises
+)
+
+router.get('/websites',
+  optionalAuthenticate,
+  validator.middleware({
+    ...typedSearchRules,
+    keyword: { type: 'string', maxLength: 200 },
+    domain: { type: 'string', maxLength: 253 },
+    ip: { type: 'string', maxLength: 45 }
+  }, 'query'),
+  searchController.searchWebsites
+)
+
+// 输入联想
+router.get('/suggestions',
+  validator.middleware({
+    q: { type: 'string', maxLength: 100 },
+    limit: { type: 'string', custom: positiveInteger('limit') },
+    types: typesRule(['query'])
+  }, 'query'),
+  searchController.suggest
+)
+
+// 可检索的实体类型及客户端渲染元数据
+router.get('/types',
+  searchController.getSearchTypes
+)
+
+// 可用的过滤维度及取值
+router.get('/filters',
+  validator.middleware({ types: typesRule() }, 'query'),
+  searchController.getFilters
+)
+
+// 搜索结果详情
+router.get('/detail/:id',
+  optionalAuthenticate,
+  validator.middleware({
+    id: { custom: value => !OBJECT_ID.test(value) ? 'id 格式无效' : null }
+  }, 'params'),
+  validator.middleware({ type: typeRule }, 'query'),
+  searchController.getDetail
+)
+
+// 网站的关联基础设施（共用 IP、网段、服务器、技术栈、证书）
+router.get('/pivots/:id',
+  optionalAuthenticate,
+  validator.middleware({
+    id: { custom: value => !OBJECT_ID.test(value) ? 'id 格式无效' : null }
+  }, 'params'),
+  searchController.getPivots
+)
+
+// 站内搜索（网页正文）
+router.get('/pages',
+  optionalAuthenticate,
+  validator.middleware({
+    website: { required: true, custom: value => !OBJECT_ID.test(value) ? 'website 格式无效' : null },
+    q: { type: 'string', maxLength: 200 },
+    page: { type: 'string', custom: positiveInteger('page') },
+    pageSize: { type: 'string', custom: positiveInteger('pageSize') }
+  }, 'query'),
+  searchController.searchPages
+)
+
+// 相似推荐
+router.get('/similar/:type/:id',
+  optionalAuthenticate,
+  validator.middleware({
+    type: { required: true, ...typeRule },
+    id: { custom: value => !OBJECT_ID.test(value) ? 'id 格式无效' : null }
+  }, 'params'),
+  validator.middleware({ limit: { type: 'string', custom: positiveInteger('limit') } }, 'query'),
+  searchController.getSimilar
+)
+
+// 批量获取搜索结果
+router.post('/batch',
+  optionalAuthenticate,
+  validator.middleware({
+    ids: {
+      required: true,
+      type: 'array',
+      custom: value => {
+        if (!Array.isArray(value)) return null
+        if (!value.length || value.length > searchDetail.config.maxBatchSize) {
+          return `ids 应为 1-${searchDetail.config.maxBatchSize} 个记录ID`
+        }
+        return value.some(id => typeof id !== 'string' || !OBJECT_ID.test(id)) ? 'ids 中有无效的记录ID' : null
+      }
+    },
+    type: typeRule
+  }),
+  searchController.batchGet
+)
+
+// 导出搜索结果（按搜索的排序写入文件后下载）
+router.post('/export',
+  authenticate,
+  validator.middleware(exportRules),
+  searchController.exportResults
+)
+
+// 搜索分析事件（访客同样上报，客户端每10秒或满20条批量发送）
+router.post('/events',
+  rateLimit({ max: 30, windowMs: 60 * 1000, message: '搜索分析事件上报过于频繁' }),
+  optionalAuthenticate,
+  searchController.recordEvents
+)
+
+// 搜索历史
+router.get('/history',
+  authenticate,
+  searchController.getSearchHistory
+)
+
+router.post('/history',
+  authenticate,
+  searchController.importSearchHistory
+)
+
+router.delete('/history',
+  authenticate,
+  searchController.clearSearchHistory
+)
+
+router.put('/history/:entryId',
+  authenticate,
+  validator.middleware(historyEntryRules, 'params'),
+  searchController.updateSearchHistory
+)
+
+router.delete('/history/:entryId',
+  authenticate,
+  validator.middleware(historyEntryRules, 'params'),
+  searchController.deleteSearchHistory
+)
+
+module.exports = router
\ No newline at end of file
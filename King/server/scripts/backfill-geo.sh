@@ -0,0 +1,82 @@
+#!/bin/bash
+# server/scripts/backfill-geo.sh
+# 用法: ./backfill-geo.sh [--force]  (缺省只处理尚未解析地址的企业，--force 重新解析全部)
+
+# 严格模式
+set -euo pipefail
+IFS=$'\n\t'
+
+# 基础配置
+FORCE=${1:-}
+LOG_DIR="../logs/geo"
+REQUEST_TIMEOUT=1800  # 回填请求超时(秒)
+
+# 初始化环境
+init_environment() {
+  mkdir -p "$LOG_DIR"
+
+  local timestamp=$(date +%Y%m%d_%H%M%S)
+  LOG_FILE="$LOG_DIR/backfill_geo_${timestamp}.log"
+  touch "$LOG_FILE"
+
+  # 加载环境变量
+  if [ -f "../.env" ]; then
+    export $(grep -v '^#' ../.env | xargs)
+  fi
+
+  API_URL=${API_URL:-"http://localhost:${PORT:-3000}/api"}
+}
+
+# 日志函数
+log() {
+  local level=$1
+  local message=$2
+  local timestamp=$(date +"%Y-%m-%d %H:%M:%S")
+  echo "[${timestamp}] [${level}] ${message}" | tee -a "$LOG_FILE"
+}
+
+# 检查参数与凭证
+check_arguments() {
+  if [ -n "$FORCE" ] && [ "$FORCE" != "--force" ]; then
+    log "ERROR" "不支持的参数: ${FORCE}"
+    exit 1
+  fi
+
+  if [ -z "${ADMIN_TOKEN:-}" ]; then
+    log "ERROR" "缺少管理员令牌，请设置 ADMIN_TOKEN 环境变量"
+    exit 1
+  fi
+}
+
+# 调用服务端回填接口
+backfill() {
+  local payload="{}"
+  if [ -n "$FORCE" ]; then
+    payload="{\"force\": true}"
+  fi
+
+  log "INFO" "开始回填企业地址: ${FORCE:-仅未解析}"
+
+  local response
+  if ! response=$(curl -sS -f \
+    --max-time "$REQUEST_TIMEOUT" \
+    -X POST "${API_URL}/admin/geo/backfill" \
+    -H "Authorization: Bearer ${ADMIN_TOKEN}" \
+    -H "Content-Type: application/json" \
+    -d "$payload" 2>&1); then
+    log "ERROR" "地址回填失败: ${response}"
+    exit 1
+  fi
+
+  log "INFO" "地址回填完成: ${response}"
+}
+
+# 主执行流程
+main() {
+  init_environment
+  check_arguments
+  backfill
+}
+
+# 执行主函数
+main "$@"
\ No newline at end of file
@@ -0,0 +1,82 @@
+#!/bin/bash
+# server/scripts/rebuild-index.sh
+# 用法: ./rebuild-index.sh [enterprise|website]  (缺省重建全部)
+
+# 严格模式
+set -euo pipefail
+IFS=$'\n\t'
+
+# 基础配置
+INDEX_TYPE=${1:-}
+LOG_DIR="../logs/search"
+REQUEST_TIMEOUT=600  # 重建请求超时(秒)
+
+# 初始化环境
+init_environment() {
+  mkdir -p "$LOG_DIR"
+
+  local timestamp=$(date +%Y%m%d_%H%M%S)
+  LOG_FILE="$LOG_DIR/rebuild_index_${timestamp}.log"
+  touch "$LOG_FILE"
+
+  # 加载环境变量
+  if [ -f "../.env" ]; then
+    export $(grep -v '^#' ../.env | xargs)
+  fi
+
+  API_URL=${API_URL:-"http://localhost:${PORT:-3000}/api"}
+}
+
+# 日志函数
+log() {
+  local level=$1
+  local message=$2
+  local timestamp=$(date +"%Y-%m-%d %H:%M:%S")
+  echo "[${timestamp}] [${level}] ${message}" | tee -a "$LOG_FILE"
+}
+
+# 检查参数与凭证
+check_arguments() {
+  if [ -n "$INDEX_TYPE" ] && [[ ! "$INDEX_TYPE" =~ ^(enterprise|website)$ ]]; then
+    log "ERROR" "不支持的索引类型: ${INDEX_TYPE}"
+    exit 1
+  fi
+
+  if [ -z "${ADMIN_TOKEN:-}" ]; then
+    log "ERROR" "缺少管理员令牌，请设置 ADMIN_TOKEN 环境变量"
+    exit 1
+  fi
+}
+
+# 调用服务端重建接口（索引位于服务进程内存中）
+rebuild_index() {
+  local payload="{}"
+  if [ -n "$INDEX_TYPE" ]; then
+    payload="{\"type\": \"${INDEX_TYPE}\"}"
+  fi
+
+  log "INFO" "开始重建搜索索引: ${INDEX_TYPE:-全部}"
+
+  local response
+  if ! response=$(curl -sS -f \
+    --max-time "$REQUEST_TIMEOUT" \
+    -X POST "${API_URL}/admin/search/index/rebuild" \
+    -H "Authorization: Bearer ${ADMIN_TOKEN}" \
+    -H "Content-Type: application/json" \
+    -d "$payload" 2>&1); then
+    log "ERROR" "索引重建失败: ${response}"
+    exit 1
+  fi
+
+  log "INFO" "索引重建完成: ${response}"
+}
+
+# 主执行流程
+main() {
+  init_environment
+  check_arguments
+  rebuild_index
+}
+
+# 执行主函数
+main "$@"
\ No newline at end of file
@@ -0,0 +1,472 @@
+// server/services/autocomplete.js
+const { logger } = require('../utils/logger')
+const analyzer = require('../utils/analyzer')
+const { CJK_PATTERN } = require('../utils/analyzer')
+const { eventBus } = require('../utils/eventBus')
+const { QueryStat } = require('../models')
+const searchTypes = require('./searchTypes')
+
+/**
+ * 前缀树：键为建议文本的各个前缀入口，叶子记录建议条目及匹配方式的权重
+ * 每个节点缓存其子树中得分最高的条目，键变更时沿路径失效
+ */
+class PrefixTrie {
+  /**
+   * @param {number} cacheSize - 每个节点缓存的条目数
+   */
+  constructor(cacheSize) {
+    this.cacheSize = cacheSize
+    this.root = createNode()
+  }
+
+  /**
+   * 添加键
+   * @param {string} key - 规范化后的键
+   * @param {string} entryId - 条目ID
+   * @param {number} weight - 匹配方式权重
+   */
+  add(key, entryId, weight) {
+    let node = this.root
+    node.top = null
+
+    for (const char of key) {
+      if (!node.children.has(char)) node.children.set(char, createNode())
+      node = node.children.get(char)
+      node.top = null
+    }
+
+    if (!node.entries) node.entries = new Map()
+    node.entries.set(entryId, Math.max(node.entries.get(entryId) || 0, weight))
+  }
+
+  /**
+   * 移除键
+   */
+  remove(key, entryId) {
+    const chars = [...key]
+    const path = [this.root]
+
+    for (const char of chars) {
+      const next = path[path.length - 1].children.get(char)
+      if (!next) return
+      path.push(next)
+    }
+
+    const leaf = path[path.length - 1]
+    if (!leaf.entries?.delete(entryId)) return
+    if (!leaf.entries.size) leaf.entries = null
+
+    // 沿路径失效缓存并清理空节点
+    for (let i = path.length - 1; i >= 0; i--) {
+      path[i].top = null
+      if (i > 0 && !path[i].entries && !path[i].children.size) {
+        path[i - 1].children.delete(chars[i - 1])
+      }
+    }
+  }
+
+  /**
+   * 前缀查找
+   * @param {string} prefix - 规范化后的前缀
+   * @param {Function} scoreOf - (entryId, weight) => 得分
+   * @returns {Array<{id: string, score: number}>} 按得分降序，最多 cacheSize 条
+   */
+  lookup(prefix, scoreOf) {
+    let node = this.root
+    for (const char of prefix) {
+      node = node.children.get(char)
+      if (!node) return []
+    }
+
+    if (!node.top) {
+      // 同一条目在子树中有多个键时取最高权重
+      const best = new Map()
+      const stack = [node]
+
+      while (stack.length) {
+        const current = stack.pop()
+        if (current.entries) {
+          for (const [id, weight] of current.entries) {
+            if (weight > (best.get(id) || 0)) best.set(id, weight)
+          }
+        }
+        stack.push(...current.children.values())
+      }
+
+      node.top = [...best]
+        .map(([id, weight]) => ({ id, score: scoreOf(id, weight) }))
+        .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1))
+        .slice(0, this.cacheSize)
+    }
+
+    return node.top
+  }
+}
+
+/**
+ * 输入联想（自动完成）
+ * 在进程内维护企业名称、网站域名及标题、热门查询的前缀树，
+ * 支持词首匹配（"有限" 匹配 "华为技术有限公司"）及拼音全拼、首字母前缀，按热度排序；
+ * 企业/网站变更时增量更新，热度及热门查询定期全量刷新
+ */
+class AutocompleteService {
+  constructor() {
+    this.config = {
+      refreshInterval: 10 * 60 * 1000, // 全量刷新间隔（浏览/点击次数、热门查询）
+      maxQueries: 5000, // 收录的热门查询数
+      maxKeyLength: 32, // 键的最大长度（超出部分不参与前缀匹配）
+      maxWordKeys: 4, // 每个文本收录的词首入口数
+      cacheSize: 50, // 每个前缀缓存的候选数
+      maxLimit: 20,
+      batchSize: 500,
+      // 匹配方式权重：整体前缀 > 词首前缀 > 拼音前缀
+      matchWeights: { prefix: 1, word: 0.8, pinyin: 0.6 },
+      // 建议类型权重（未配置的类型为 1）
+      typeWeights: { query: 1, enterprise: 1, website: 0.9 }
+    }
+
+    // 联想数据源（实体类型 -> 模型及建议字段，见 services/searchTypes 的 suggest）
+    this.sources = {}
+
+    this.trie = new PrefixTrie(this.config.cacheSize)
+    // 条目ID -> { type, entityType, id, text, popularity, keys }
+    this.entries = new Map()
+    this.builtAt = null
+    this.building = null
+    // 构建期间到达的增量变更
+    this.pending = null
+
+    searchTypes.onRegister((type, definition) => {
+      if (definition.suggest?.length) this.addSource(type, definition)
+    })
+  }
+
+  /**
+   * 添加联想数据源，并订阅该类型的模型变更事件增量更新（下次全量刷新时收录已有记录）
+   */
+  addSource(type, { model, suggest }) {
+    this.sources[type] = { model, fields: suggest }
+
+    eventBus.on(`${type}:saved`, doc => this.upsert(type, doc))
+    eventBus.on(`${type}:removed`, doc => this.remove(type, doc._id))
+  }
+
+  /**
+   * 输入联想
+   * @param {string} query - 已输入的文本
+   * @param {Object} [options]
+   * @param {number} [options.limit=5] - 建议数量
+   * @param {string[]} [options.types] - 建议类型（query/enterprise/website），缺省为全部
+   * @returns {Promise<Array<{text: string, type: 'query'|'entity', score: number, entityType?: string, id?: string}>>}
+   */
+  async suggest(query, { limit = 5, types } = {}) {
+    const prefix = normalizePrefix(query, this.config.maxKeyLength)
+    // 单个汉字即可联想，字母至少两个
+    if (!prefix || (prefix.length < 2 && !CJK_PATTERN.test(prefix))) return []
+
+    if (!await this.ensureReady()) return []
+
+    const size = Math.min(Math.max(parseInt(limit) || 5, 1), this.config.maxLimit)
+    const seen = new Set()
+    const suggestions = []
+
+    for (const { id, score } of this.trie.lookup(prefix, (entryId, weight) => this.score(entryId, weight))) {
+      const entry = this.entries.get(id)
+      if (!entry || (types && !types.includes(entry.entityType || 'query'))) continue
+
+      // 同一实体的多个字段、与实体同名的查询只保留一条
+      const textKey = normalizeText(entry.text)
+      const entityKey = entry.entityType ? `${entry.entityType}:${entry.id}` : null
+      if (seen.has(textKey) || (entityKey && seen.has(entityKey))) continue
+      seen.add(textKey)
+      if (entityKey) seen.add(entityKey)
+
+      suggestions.push({
+        text: entry.text,
+        type: entry.type,
+        score: Math.round(score * 1000) / 1000,
+        entityType: entry.entityType,
+        id: entry.id
+      })
+
+      if (suggestions.length >= size) break
+    }
+
+    return suggestions
+  }
+
+  /**
+   * 条目得分：匹配方式权重 × 类型权重 × 热度系数
+   */
+  score(entryId, weight) {
+    const entry = this.entries.get(entryId)
+    if (!entry) return 0
+
+    const typeWeight = this.config.typeWeights[entry.entityType || 'query'] ?? 1
+    return weight * typeWeight * (1 + Math.log10(1 + entry.popularity))
+  }
+
+  /**
+   * 确保联想数据可用：首次使用时构建，超过刷新间隔时后台刷新（刷新期间使用旧数据）
+   * @returns {Promise<boolean>} 构建失败时返回false
+   */
+  async ensureReady() {
+    if (this.builtAt && Date.now() - this.builtAt < this.config.refreshInterval) return true
+
+    const refresh = this.rebuild()
+    if (this.builtAt) {
+      refresh.catch(error => logger.error('输入联想刷新失败:', error))
+      return true
+    }
+
+    try {
+      await refresh
+      return true
+    } catch (error) {
+      logger.error('输入联想构建失败:', error)
+      return false
+    }
+  }
+
+  /**
+   * 全量重建（并发请求共享同一次构建）
+   * @returns {Promise<{entries: number, duration: number}>}
+   */
+  async rebuild() {
+    if (!this.building) {
+      this.building = this.build().finally(() => {
+        this.building = null
+      })
+    }
+
+    return this.building
+  }
+
+  /**
+   * 从数据库构建新的前缀树，完成后原子替换
+   */
+  async build() {
+    const startTime = Date.now()
+    const trie = new PrefixTrie(this.config.cacheSize)
+    const entries = new Map()
+    const target = { trie, entries }
+
+    this.pending = []
+
+    try {
+      for (const [type, { model, fields }] of Object.entries(this.sources)) {
+        // 只收录可公开检索的记录（满足默认过滤器，如已审核的企业）
+        const cursor = model.find(searchTypes.defaultConditions(type))
+          .select([...fields.map(field => field.path), 'viewCount', 'clickCount'].join(' '))
+          .lean()
+          .batchSize(this.config.batchSize)
+          .cursor()
+
+        for await (const doc of cursor) {
+          this.addEntity(target, type, doc)
+        }
+      }
+
+      const queries = await QueryStat.findPopular(this.config.maxQueries)
+      for (const { query, count } of queries) {
+        this.addEntry(target, `query:${query}`, {
+          type: 'query',
+          text: query,
+          popularity: count
+        }, this.buildKeys(query))
+      }
+
+      for (const { action, type, id, doc } of this.pending) {
+        if (action === 'upsert') this.addEntity(target, type, doc)
+        else this.removeEntity(target, type, id)
+      }
+
+      this.trie = trie
+      this.entries = entries
+      this.builtAt = Date.now()
+
+      const duration = Date.now() - startTime
+      logger.info(`输入联想构建完成, 条目数: ${entries.size}, 耗时: ${duration}ms`)
+
+      return {
+        entries: entries.size,
+        duration
+      }
+    } finally {
+      this.pending = null
+    }
+  }
+
+  /**
+   * 增量添加或更新实体（不满足默认过滤器的记录视为删除）
+   */
+  upsert(type, doc) {
+    if (!this.sources[type] || !doc?._id) return
+
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc
+
+    // 不再满足默认过滤器（如企业被拒绝、网站停用）时移除
+    if (!searchTypes.matchesDefaults(type, plain)) return this.remove(type, plain._id)
+
+    if (this.pending) {
+      this.pending.push({ action: 'upsert', type, doc: plain })
+    }
+
+    if (this.builtAt) {
+      this.addEntity(this, type, plain)
+    }
+  }
+
+  /**
+   * 增量删除实体
+   */
+  remove(type, docId) {
+    if (!this.sources[type] || !docId) return
+
+    const id = String(docId)
+
+    if (this.pending) {
+      this.pending.push({ action: 'remove', type, id })
+    }
+
+    if (this.builtAt) {
+      this.removeEntity(this, type, id)
+    }
+  }
+
+  /**
+   * 添加实体的各建议字段（先移除旧条目）
+   * @param {{trie: PrefixTrie, entries: Map}} target - 写入的前缀树及条目表
+   */
+  addEntity(target, type, doc) {
+    const id = String(doc._id)
+    this.removeEntity(target, type, id)
+
+    const popularity = (doc.viewCount || 0) + (doc.clickCount || 0)
+
+    for (const field of this.sources[type].fields) {
+      const value = doc[field.path]
+      if (!value || typeof value !== 'string') continue
+
+      const text = field.domain ? stripDomain(value) : value.trim()
+      if (!text) continue
+
+      this.addEntry(target, `${type}:${id}:${field.path}`, {
+        type: 'entity',
+        entityType: type,
+        id,
+        text,
+        popularity
+      }, this.buildKeys(text, { words: !field.domain, pinyin: !field.domain }))
+    }
+  }
+
+  /**
+   * 移除实体的全部条目
+   */
+  removeEntity(target, type, id) {
+    for (const field of this.sources[type].fields) {
+      const entryId = `${type}:${id}:${field.path}`
+      const entry = target.entries.get(entryId)
+      if (!entry) continue
+
+      for (const { key } of entry.keys) target.trie.remove(key, entryId)
+      target.entries.delete(entryId)
+    }
+  }
+
+  addEntry(target, entryId, entry, keys) {
+    if (!keys.length) return
+
+    target.entries.set(entryId, { ...entry, keys })
+    for (const { key, weight } of keys) target.trie.add(key, entryId, weight)
+  }
+
+  /**
+   * 生成文本的前缀入口：整体、词首（词首到末尾的后缀）、拼音全拼及首字母
+   * 例如 "华为技术有限公司" -> 华为技术有限公司, 技术有限公司, 有限公司, 公司, huaweijishuyouxiangongsi, hwjsyxgs
+   * @returns {Array<{key: string, weight: number}>}
+   */
+  buildKeys(text, { words = true, pinyin = true } = {}) {
+    const { maxKeyLength, maxWordKeys, matchWeights } = this.config
+    const normalized = normalizeText(text)
+    if (!normalized) return []
+
+    const keys = new Map([[normalized.slice(0, maxKeyLength), matchWeights.prefix]])
+    const add = (key, weight) => {
+      key = key.slice(0, maxKeyLength)
+      if (key && weight > (keys.get(key) || 0)) keys.set(key, weight)
+    }
+
+    const tokens = analyzer.tokenize(text, 'query')
+
+    if (words) {
+      let cursor = 0
+      let added = 0
+      for (const [index, token] of tokens.entries()) {
+        const position = normalized.indexOf(token, cursor)
+        if (position < 0) continue
+        cursor = position + token.length
+        if (index > 0 && added < maxWordKeys) {
+          add(normalized.slice(position), matchWeights.word)
+          added++
+        }
+      }
+    }
+
+    if (pinyin && CJK_PATTERN.test(normalized)) {
+      const syllables = tokens.flatMap(token => CJK_PATTERN.test(token) ? analyzer.toPinyin(token) : [token])
+      add(syllables.join(''), matchWeights.pinyin)
+      add(syllables.map(syllable => syllable[0]).join(''), matchWeights.pinyin)
+    }
+
+    return [...keys].map(([key, weight]) => ({ key, weight }))
+  }
+
+  /**
+   * 统计信息
+   */
+  getStats() {
+    const counts = { query: 0, ...Object.fromEntries(Object.keys(this.sources).map(type => [type, 0])) }
+    for (const entry of this.entries.values()) counts[entry.entityType || 'query']++
+
+    return {
+      entries: counts,
+      builtAt: this.builtAt ? new Date(this.builtAt) : null,
+      building: !!this.building
+    }
+  }
+}
+
+function createNode() {
+  return { children: new Map(), entries: null, top: null }
+}
+
+/**
+ * 文本规范化（全角转半角、小写、合并空白）
+ */
+function normalizeText(text) {
+  return analyzer.normalize(text).trim().replace(/\s+/g, ' ')
+}
+
+/**
+ * 已输入文本规范化为查找前缀（去掉协议及 www. 前缀，与域名条目一致）
+ */
+function normalizePrefix(query, maxLength) {
+  return normalizeText(query)
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .slice(0, maxLength)
+}
+
+/**
+ * 域名去掉协议、www. 及末尾斜杠
+ */
+function stripDomain(domain) {
+  return domain.trim()
+    .replace(/^https?:\/\//i, '')
+    .replace(/^www\./i, '')
+    .replace(/\/+$/, '')
+}
+
+module.exports = new AutocompleteService()
\ No newline at end of file
@@ -1,296 +1,448 @@
-// server/services/crawler.js
-const axios = require('axios')
-const cheerio = require('cheerio')
-const { URL } = require('url')
-const { logger } = require('../utils/logger')
-const { Website } = require('../models')
-const { rateLimit } = require('../middlewares/rateLimit')
-
-class CrawlerService {
-  constructor() {
-    // 爬虫配置
-    this.config = {
-      timeout: 10000, // 10秒超时
-      maxRedirects: 3, // 最大重定向次数
-      rateLimit: 1000, // 每秒最多请求数
-      userAgent: 'Mozilla/5.0 (compatible; EnterpriseCrawler/1.0; +https://yourdomain.com/bot)'
-    }
-
-    // 初始化限流器
-    this.limiter = rateLimit({
-      windowMs: 1000,
-      max: this.config.rateLimit
-    })
-  }
-
-  /**
-   * 爬取单个网站
-   * @param {string} url - 要爬取的URL
-   * @param {Object} options - 爬取选项
-   */
-  async crawlWebsite(url, options = {}) {
-    try {
-      // 验证URL格式
-      const parsedUrl = this.validateUrl(url)
-      if (!parsedUrl) {
-        throw new Error('无效的URL格式')
-      }
-
-      // 应用限流
-      await this.applyRateLimit()
-
-      // 获取网站数据
-      const response = await axios.get(parsedUrl.href, {
-        timeout: this.config.timeout,
-        maxRedirects: this.config.maxRedirects,
-        headers: {
-          'User-Agent': this.config.userAgent,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-        },
-        ...options
-      })
-
-      // 解析HTML内容
-      const $ = cheerio.load(response.data)
-      const metadata = this.extractMetadata($, parsedUrl)
-
-      return {
-        url: parsedUrl.href,
-        status: response.status,
-        data: {
-          metadata,
-          technologies: this.detectTechnologies(response),
-          links: this.extractLinks($, parsedUrl)
-        }
-      }
-    } catch (error) {
-      logger.error(`爬取失败: ${url}`, error)
-      throw new Error(`爬取失败: ${error.message}`)
-    }
-  }
-
-  /**
-   * 批量爬取网站
-   * @param {Array} urls - 要爬取的URL数组
-   * @param {Object} options - 爬取选项
-   */
-  async batchCrawlWebsites(urls, options = {}) {
-    const results = []
-    const errors = []
-
-    for (const url of urls) {
-      try {
-        const result = await this.crawlWebsite(url, options)
-        results.push(result)
-      } catch (error) {
-        errors.push({
-          url,
-          error: error.message
-        })
-      }
-    }
-
-    return {
-      success: results,
-      failed: errors
-    }
-  }
-
-  /**
-   * 更新网站爬取数据
-   * @param {string} websiteId - 网站ID
-   */
-  async updateWebsiteData(websiteId) {
-    try {
-      const website = await Website.findById(websiteId)
-      if (!website) {
-        throw new Error('网站记录不存在')
-      }
-
-      const { data } = await this.crawlWebsite(website.domain)
-      
-      // 更新网站数据
-      website.technologies = data.technologies
-      website.metadata = data.metadata
-      website.lastCrawledAt = new Date()
-      website.lastCrawlStatus = 'success'
-
-      await website.save()
-
-      return {
-        website: website.toJSON(),
-        crawlData: data
-      }
-    } catch (error) {
-      logger.error(`更新网站数据失败: ${websiteId}`, error)
-      
-      // 更新爬取状态为失败
-      await Website.findByIdAndUpdate(websiteId, {
-        lastCrawledAt: new Date(),
-        lastCrawlStatus: 'failed',
-        crawlError: error.message
-      })
-
-      throw error
-    }
-  }
-
-  /**
-   * 验证并规范化URL
-   */
-  validateUrl(url) {
-    try {
-      const parsed = new URL(url)
-      
-      // 确保使用HTTPS
-      if (parsed.protocol === 'http:') {
-        parsed.protocol = 'https:'
-      }
-
-      // 规范化路径
-      parsed.pathname = parsed.pathname.replace(/\/+/g, '/')
-
-      return parsed
-    } catch (error) {
-      return null
-    }
-  }
-
-  /**
-   * 提取页面元数据
-   */
-  extractMetadata($, parsedUrl) {
-    return {
-      title: $('title').text().trim(),
-      description: $('meta[name="description"]').attr('content') || '',
-      keywords: $('meta[name="keywords"]').attr('content') || '',
-      canonical: $('link[rel="canonical"]').attr('href') || parsedUrl.href,
-      viewport: $('meta[name="viewport"]').attr('content') || '',
-      ogTitle: $('meta[property="og:title"]').attr('content') || '',
-      ogDescription: $('meta[property="og:description"]').attr('content') || '',
-      ogImage: $('meta[property="og:image"]').attr('content') || ''
-    }
-  }
-
-  /**
-   * 检测网站技术栈
-   */
-  detectTechnologies(response) {
-    const technologies = []
-    const headers = response.headers
-
-    // 检测服务器类型
-    if (headers['server']) {
-      technologies.push(headers['server'])
-    }
-
-    // 检测X-Powered-By
-    if (headers['x-powered-by']) {
-      technologies.push(headers['x-powered-by'])
-    }
-
-    // 从HTML中检测技术栈
-    const $ = cheerio.load(response.data)
-    
-    // 检测常见框架
-    const frameworkSignatures = {
-      'React': /react|react-dom/,
-      'Vue': /vue|vue-router/,
-      'Angular': /angular/,
-      'jQuery': /jquery/
-    }
-
-    $('script').each((i, el) => {
-      const src = $(el).attr('src') || ''
-      Object.entries(frameworkSignatures).forEach(([name, regex]) => {
-        if (regex.test(src)) {
-          technologies.push(name)
-        }
-      })
-    })
-
-    return [...new Set(technologies)] // 去重
-  }
-
-  /**
-   * 提取页面链接
-   */
-  extractLinks($, parsedUrl) {
-    const links = []
-    const baseUrl = `${parsedUrl.protocol}//${parsedUrl.host}`
-
-    $('a').each((i, el) => {
-      const href = $(el).attr('href')
-      if (!href) return
-
-      try {
-        const url = new URL(href, baseUrl)
-        if (url.hostname === parsedUrl.hostname) {
-          links.push({
-            url: url.href,
-            text: $(el).text().trim(),
-            external: false
-          })
-        } else {
-          links.push({
-            url: url.href,
-            text: $(el).text().trim(),
-            external: true
-          })
-        }
-      } catch (error) {
-        // 忽略无效URL
-      }
-    })
-
-    return links
-  }
-
-  /**
-   * 应用请求限流
-   */
-  async applyRateLimit() {
-    return new Promise((resolve) => {
-      this.limiter({}, {}, () => resolve())
-    })
-  }
-
-  /**
-   * 深度爬取网站结构
-   */
-  async deepCrawlWebsite(baseUrl, maxDepth = 2) {
-    const visited = new Set()
-    const results = []
-    const queue = [{ url: baseUrl, depth: 0 }]
-
-    while (queue.length > 0) {
-      const { url, depth } = queue.shift()
-
-      if (depth > maxDepth || visited.has(url)) continue
-
-      try {
-        const result = await this.crawlWebsite(url)
-        visited.add(url)
-        results.push(result)
-
-        // 添加内部链接到队列
-        result.data.links
-          .filter(link => !link.external)
-          .forEach(link => {
-            if (!visited.has(link.url)) {
-              queue.push({
-                url: link.url,
-                depth: depth + 1
-              })
-            }
-          })
-      } catch (error) {
-        logger.error(`深度爬取失败: ${url}`, error)
-      }
-    }
-
-    return results
-  }
-}
-
+// server/services/crawler.js
+const axios = require('axios')
+const cheerio = require('cheerio')
+const dns = require('dns')
+const tls = require('tls')
+const { URL } = require('url')
+const { logger } = require('../utils/logger')
+const { Website } = require('../models')
+const { rateLimit } = require('../middlewares/rateLimit')
+const pages = require('./pages')
+const { CJK_PATTERN } = require('../utils/analyzer')
+
+class CrawlerService {
+  constructor() {
+    // 爬虫配置
+    this.config = {
+      timeout: 10000, // 10秒超时
+      maxRedirects: 3, // 最大重定向次数
+      rateLimit: 1000, // 每秒最多请求数
+      maxPages: 200, // 深度爬取的最大页面数
+      userAgent: 'Mozilla/5.0 (compatible; EnterpriseCrawler/1.0; +https://yourdomain.com/bot)'
+    }
+
+    // 初始化限流器
+    this.limiter = rateLimit({
+      windowMs: 1000,
+      max: this.config.rateLimit
+    })
+  }
+
+  /**
+   * 爬取单个网站
+   * @param {string} url - 要爬取的URL
+   * @param {Object} options - 爬取选项
+   */
+  async crawlWebsite(url, options = {}) {
+    try {
+      // 验证URL格式
+      const parsedUrl = this.validateUrl(url)
+      if (!parsedUrl) {
+        throw new Error('无效的URL格式')
+      }
+
+      // 应用限流
+      await this.applyRateLimit()
+
+      // 获取网站数据
+      const response = await axios.get(parsedUrl.href, {
+        timeout: this.config.timeout,
+        maxRedirects: this.config.maxRedirects,
+        headers: {
+          'User-Agent': this.config.userAgent,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+        },
+        ...options
+      })
+
+      // 解析HTML内容
+      const $ = cheerio.load(response.data)
+      const metadata = this.extractMetadata($, parsedUrl)
+      const links = this.extractLinks($, parsedUrl)
+
+      return {
+        url: parsedUrl.href,
+        status: response.status,
+        data: {
+          metadata,
+          technologies: this.detectTechnologies(response),
+          links,
+          // 提取正文会移除导航等节点，须在提取链接之后
+          content: this.extractContent($)
+        }
+      }
+    } catch (error) {
+      logger.error(`爬取失败: ${url}`, error)
+      throw new Error(`爬取失败: ${error.message}`)
+    }
+  }
+
+  /**
+   * 批量爬取网站
+   * @param {Array} urls - 要爬取的URL数组
+   * @param {Object} options - 爬取选项
+   */
+  async batchCrawlWebsites(urls, options = {}) {
+    const results = []
+    const errors = []
+
+    for (const url of urls) {
+      try {
+        const result = await this.crawlWebsite(url, options)
+        results.push(result)
+      } catch (error) {
+        errors.push({
+          url,
+          error: error.message
+        })
+      }
+    }
+
+    return {
+      success: results,
+      failed: errors
+    }
+  }
+
+  /**
+   * 更新网站爬取数据，并保存页面正文（见 services/pages）
+   * @param {string} websiteId - 网站ID
+   * @param {Object} [options]
+   * @param {boolean} [options.deep=false] - 深度爬取站内页面，否则只保存首页
+   * @param {number} [options.maxDepth=2] - 深度爬取的链接层数
+   */
+  async updateWebsiteData(websiteId, { deep = false, maxDepth = 2 } = {}) {
+    try {
+      const website = await Website.findById(websiteId)
+      if (!website) {
+        throw new Error('网站记录不存在')
+      }
+
+      // 深度爬取的首个页面即首页
+      const crawled = deep
+        ? await this.deepCrawlWebsite(website.domain, maxDepth)
+        : [{ ...await this.crawlWebsite(website.domain), depth: 0 }]
+      const home = crawled.find(page => page.depth === 0)
+      if (!home) {
+        throw new Error('首页爬取失败')
+      }
+
+      const { data } = home
+      const infrastructure = await this.detectInfrastructure(website.domain)
+      
+      // 更新网站数据
+      website.technologies = data.technologies
+      website.metadata = data.metadata
+      if (infrastructure.ip) website.ip = infrastructure.ip
+      if (infrastructure.certificate) {
+        website.certificate = infrastructure.certificate
+        website.ssl = true
+      }
+      website.lastCrawledAt = new Date()
+      website.lastCrawlStatus = 'success'
+      website.crawlError = undefined
+
+      await website.save()
+
+      // 页面保存失败不影响网站数据的更新
+      const pageStats = await pages.savePages(website, crawled).catch(error => {
+        logger.error(`保存网站页面失败: ${websiteId}`, error)
+        return null
+      })
+
+      return {
+        website: website.toJSON(),
+        crawlData: data,
+        pages: pageStats
+      }
+    } catch (error) {
+      logger.error(`更新网站数据失败: ${websiteId}`, error)
+      
+      // 更新爬取状态为失败
+      await Website.findByIdAndUpdate(websiteId, {
+        lastCrawledAt: new Date(),
+        lastCrawlStatus: 'failed',
+        crawlError: error.message.slice(0, 500)
+      })
+
+      throw error
+    }
+  }
+
+  /**
+   * 验证并规范化URL
+   */
+  validateUrl(url) {
+    try {
+      const parsed = new URL(url)
+      
+      // 确保使用HTTPS
+      if (parsed.protocol === 'http:') {
+        parsed.protocol = 'https:'
+      }
+
+      // 规范化路径
+      parsed.pathname = parsed.pathname.replace(/\/+/g, '/')
+
+      return parsed
+    } catch (error) {
+      return null
+    }
+  }
+
+  /**
+   * 提取页面元数据
+   */
+  extractMetadata($, parsedUrl) {
+    return {
+      title: $('title').text().trim(),
+      description: $('meta[name="description"]').attr('content') || '',
+      keywords: $('meta[name="keywords"]').attr('content') || '',
+      canonical: $('link[rel="canonical"]').attr('href') || parsedUrl.href,
+      viewport: $('meta[name="viewport"]').attr('content') || '',
+      ogTitle: $('meta[property="og:title"]').attr('content') || '',
+      ogDescription: $('meta[property="og:description"]').attr('content') || '',
+      ogImage: $('meta[property="og:image"]').attr('content') || ''
+    }
+  }
+
+  /**
+   * 提取页面正文：标题、h1-h3 小标题、语言及可见文本
+   * 去除脚本、样式、导航、页眉页脚等节点，存在 main/article 时只取其中的文本
+   * @returns {{title: string, headings: string[], text: string, language: string|null}}
+   */
+  extractContent($) {
+    $('script, style, noscript, template, svg, iframe, nav, header, footer, aside, form').remove()
+
+    // 块级元素之间补空格，避免相邻段落的文字连在一起
+    $('p, div, li, td, th, br, section, h1, h2, h3, h4, h5, h6').append(' ')
+
+    const headings = $('h1, h2, h3')
+      .map((i, el) => collapseWhitespace($(el).text()))
+      .get()
+      .filter(Boolean)
+
+    const main = $('main, article, [role="main"]').first()
+    const text = collapseWhitespace((main.length ? main : $('body')).text())
+
+    return {
+      title: collapseWhitespace($('title').first().text()),
+      headings,
+      text,
+      language: detectLanguage($('html').attr('lang'), text)
+    }
+  }
+
+  /**
+   * 检测网站技术栈
+   */
+  detectTechnologies(response) {
+    const technologies = []
+    const headers = response.headers
+
+    // 检测服务器类型
+    if (headers['server']) {
+      technologies.push(headers['server'])
+    }
+
+    // 检测X-Powered-By
+    if (headers['x-powered-by']) {
+      technologies.push(headers['x-powered-by'])
+    }
+
+    // 从HTML中检测技术栈
+    const $ = cheerio.load(response.data)
+    
+    // 检测常见框架
+    const frameworkSignatures = {
+      'React': /react|react-dom/,
+      'Vue': /vue|vue-router/,
+      'Angular': /angular/,
+      'jQuery': /jquery/
+    }
+
+    $('script').each((i, el) => {
+      const src = $(el).attr('src') || ''
+      Object.entries(frameworkSignatures).forEach(([name, regex]) => {
+        if (regex.test(src)) {
+          technologies.push(name)
+        }
+      })
+    })
+
+    return [...new Set(technologies)] // 去重
+  }
+
+  /**
+   * 检测网站基础设施：解析当前 IPv4 地址并读取 TLS 证书（用于关联基础设施查询）
+   * 任一项获取失败时返回 null，不影响爬取结果
+   * @returns {Promise<{ip: string|null, certificate: Object|null}>}
+   */
+  async detectInfrastructure(url) {
+    const parsedUrl = this.validateUrl(url)
+    if (!parsedUrl) return { ip: null, certificate: null }
+
+    const [ip, certificate] = await Promise.all([
+      dns.promises.lookup(parsedUrl.hostname, { family: 4 })
+        .then(result => result.address)
+        .catch(error => {
+          logger.warn(`域名解析失败: ${parsedUrl.hostname} ${error.message}`)
+          return null
+        }),
+      this.fetchCertificate(parsedUrl)
+        .catch(error => {
+          logger.warn(`证书获取失败: ${parsedUrl.hostname} ${error.message}`)
+          return null
+        })
+    ])
+
+    return { ip, certificate }
+  }
+
+  /**
+   * 读取服务器的 TLS 证书
+   * 只读取证书而不校验证书链，自签名证书同样可用于关联
+   */
+  fetchCertificate(parsedUrl) {
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        host: parsedUrl.hostname,
+        port: Number(parsedUrl.port) || 443,
+        servername: parsedUrl.hostname,
+        rejectUnauthorized: false,
+        timeout: this.config.timeout
+      }, () => {
+        const cert = socket.getPeerCertificate()
+        socket.end()
+        resolve(cert?.fingerprint256 ? describeCertificate(cert) : null)
+      })
+
+      socket.on('timeout', () => socket.destroy(new Error('连接超时')))
+      socket.on('error', reject)
+    })
+  }
+
+  /**
+   * 提取页面链接
+   */
+  extractLinks($, parsedUrl) {
+    const links = []
+    const baseUrl = `${parsedUrl.protocol}//${parsedUrl.host}`
+
+    $('a').each((i, el) => {
+      const href = $(el).attr('href')
+      if (!href) return
+
+      try {
+        const url = new URL(href, baseUrl)
+        if (url.hostname === parsedUrl.hostname) {
+          links.push({
+            url: url.href,
+            text: $(el).text().trim(),
+            external: false
+          })
+        } else {
+          links.push({
+            url: url.href,
+            text: $(el).text().trim(),
+            external: true
+          })
+        }
+      } catch (error) {
+        // 忽略无效URL
+      }
+    })
+
+    return links
+  }
+
+  /**
+   * 应用请求限流
+   */
+  async applyRateLimit() {
+    return new Promise((resolve) => {
+      this.limiter({}, {}, () => resolve())
+    })
+  }
+
+  /**
+   * 深度爬取网站结构
+   * @param {string} baseUrl - 起始页面
+   * @param {number} [maxDepth=2] - 链接层数
+   * @param {number} [maxPages] - 最大页面数，默认为 config.maxPages
+   * @returns {Promise<Array>} 各页面的爬取结果（附 depth，首页为 0）
+   */
+  async deepCrawlWebsite(baseUrl, maxDepth = 2, maxPages = this.config.maxPages) {
+    const visited = new Set()
+    const results = []
+    const queue = [{ url: baseUrl, depth: 0 }]
+
+    while (queue.length > 0 && results.length < maxPages) {
+      const { url, depth } = queue.shift()
+
+      if (depth > maxDepth || visited.has(url)) continue
+
+      try {
+        const result = await this.crawlWebsite(url)
+        visited.add(url)
+        results.push({ ...result, depth })
+
+        // 添加内部链接到队列（忽略页内锚点）
+        result.data.links
+          .filter(link => !link.external)
+          .forEach(link => {
+            const linkUrl = link.url.split('#')[0]
+            if (!visited.has(linkUrl)) {
+              queue.push({
+                url: linkUrl,
+                depth: depth + 1
+              })
+            }
+          })
+      } catch (error) {
+        logger.error(`深度爬取失败: ${url}`, error)
+      }
+    }
+
+    return results
+  }
+}
+
+/**
+ * 证书摘要（指纹、主体、签发者、备用名称、有效期）
+ */
+function describeCertificate(cert) {
+  return {
+    fingerprint: Website.normalizeFingerprint(cert.fingerprint256),
+    subject: [].concat(cert.subject?.CN || []).join(', ') || undefined,
+    issuer: [].concat(cert.issuer?.O || cert.issuer?.CN || []).join(', ') || undefined,
+    altNames: (cert.subjectaltname || '').split(', ')
+      .filter(name => name.startsWith('DNS:'))
+      .map(name => name.slice(4))
+      .slice(0, 100),
+    validFrom: cert.valid_from ? new Date(cert.valid_from) : undefined,
+    validTo: cert.valid_to ? new Date(cert.valid_to) : undefined
+  }
+}
+
+/**
+ * 合并连续空白
+ */
+function collapseWhitespace(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * 页面语言：优先取 html 的 lang 属性（主语言代码），否则按正文粗略判断（含汉字为 zh，拉丁字母为 en）
+ */
+function detectLanguage(lang, text) {
+  const code = String(lang || '').toLowerCase().split(/[-_]/)[0]
+  if (/^[a-z]{2,3}$/.test(code)) return code
+
+  const sample = text.slice(0, 1000)
+  if (CJK_PATTERN.test(sample)) return 'zh'
+  if (/[a-z]{3,}/i.test(sample)) return 'en'
+  return null
+}
+
 module.exports = new CrawlerService()
\ No newline at end of file
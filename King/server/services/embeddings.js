@@ -0,0 +1,356 @@
+// server/services/embeddings.js
+const { logger } = require('../utils/logger')
+const { eventBus } = require('../utils/eventBus')
+const { Page } = require('../models')
+const searchTypes = require('./searchTypes')
+const searchCache = require('./searchCache')
+const analyzer = require('../utils/analyzer')
+const AnnIndex = require('../utils/annIndex')
+const { dot } = require('../utils/annIndex')
+const LsaModel = require('../utils/lsa')
+
+const MINUTE = 60 * 1000
+
+/**
+ * 默认的嵌入模型：在企业描述及网站内容上训练的 LSA（纯 CPU 计算，无外部依赖）
+ * 训练结果随全量重建更新，未训练或语料过少时不产生向量
+ */
+class LsaProvider {
+  constructor(options) {
+    this.name = 'lsa'
+    this.model = new LsaModel(options)
+  }
+
+  get dimensions() {
+    return this.model.dimensions
+  }
+
+  async fit(texts) {
+    this.model.fit(texts.map(text => analyzer.tokenize(text, 'index')))
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.model.transform(analyzer.tokenize(text, 'index')))
+  }
+}
+
+/**
+ * 语义检索：企业及网站文本的向量表示与进程内近似最近邻检索（见 utils/annIndex）
+ * 嵌入模型（provider）可替换，接口为：
+ *   name: 名称; dimensions: 向量维数（需训练的模型在 fit 后确定）
+ *   fit(texts): 可选，在全部记录的文本上训练，全量重建时调用
+ *   embed(texts): 文本 -> L2 归一化的 Float32Array，无法计算时为 null
+ * 其他模型（如本地 ONNX 句向量模型）通过 registerProvider 注册，以环境变量 EMBEDDING_PROVIDER 选用；
+ * 向量索引定期全量重建，记录变更时增量更新
+ */
+class EmbeddingService {
+  constructor() {
+    this.config = {
+      provider: process.env.EMBEDDING_PROVIDER || 'lsa',
+      initialDelay: 2 * MINUTE, // 启动后首次构建的延迟
+      refreshInterval: 24 * 60 * MINUTE, // 全量重建间隔（LSA 随语料重新训练）
+      maxTextLength: 2000, // 每条记录参与计算的文本长度
+      pageContentLength: 1000, // 网站首页正文参与计算的长度
+      batchSize: 500,
+      probes: 8 // 近似最近邻检索的簇数
+    }
+
+    // 嵌入模型
+    this.providers = {
+      lsa: new LsaProvider({ dimensions: 128 })
+    }
+
+    // 参与计算的文本（见 services/searchTypes 的 embedding）：网站另附首页正文（见 services/pages）
+    this.sources = {}
+
+    // 当前索引使用的嵌入模型及各实体类型的向量索引
+    this.provider = null
+    this.indexes = {}
+    this.builtAt = null
+
+    // 进行中的构建（并发请求共享）及构建期间到达的增量变更
+    this.building = null
+    this.pending = null
+
+    // 构建后注册的类型在下次全量重建时计算向量
+    searchTypes.onRegister((type, { model, embedding }) => {
+      if (!embedding) return
+
+      this.sources[type] = { model, fields: embedding.fields, homepage: !!embedding.homepage }
+      eventBus.on(`${type}:saved`, doc => {
+        this.upsert(type, doc).catch(error => logger.error(`向量更新失败: ${type}`, error))
+      })
+      eventBus.on(`${type}:removed`, doc => this.remove(type, doc._id))
+    })
+
+    const refresh = () => this.rebuild().catch(error => logger.error('向量索引构建失败:', error))
+    setTimeout(refresh, this.config.initialDelay).unref()
+    setInterval(refresh, this.config.refreshInterval).unref()
+  }
+
+  /**
+   * 注册嵌入模型
+   * @param {string} name - 名称（EMBEDDING_PROVIDER 的取值）
+   * @param {Object} provider - 见类注释中的接口
+   */
+  registerProvider(name, provider) {
+    if (typeof provider?.embed !== 'function') {
+      throw new Error(`嵌入模型缺少 embed 方法: ${name}`)
+    }
+    this.providers[name] = provider
+  }
+
+  /**
+   * 向量索引是否已构建
+   */
+  isReady() {
+    return !!this.builtAt
+  }
+
+  /**
+   * 确保向量索引可用（首次使用时构建）
+   * @returns {Promise<boolean>} 构建失败时返回 false，由调用方降级为关键词检索
+   */
+  async ensureReady() {
+    if (this.isReady()) return true
+
+    try {
+      await this.rebuild()
+      return true
+    } catch (error) {
+      logger.error('向量索引构建失败:', error)
+      return false
+    }
+  }
+
+  /**
+   * 全量重建：训练嵌入模型（如需）并重新计算全部记录的向量
+   * @returns {Promise<{provider: string, dimensions: number, enterprise: {vectors: number}, website: {vectors: number}, duration: number}>}
+   */
+  async rebuild() {
+    if (!this.building) {
+      this.building = this.build().finally(() => {
+        this.building = null
+      })
+    }
+
+    return this.building
+  }
+
+  async build() {
+    const provider = this.providers[this.config.provider]
+    if (!provider) {
+      throw new Error(`未注册的嵌入模型: ${this.config.provider}`)
+    }
+
+    const startTime = Date.now()
+    this.pending = []
+
+    try {
+      const corpora = {}
+      for (const type of Object.keys(this.sources)) {
+        corpora[type] = await this.loadTexts(type)
+      }
+
+      if (typeof provider.fit === 'function') {
+        await provider.fit(Object.values(corpora).flatMap(texts => [...texts.values()]))
+      }
+
+      const indexes = {}
+      for (const [type, texts] of Object.entries(corpora)) {
+        indexes[type] = new AnnIndex({ dimensions: provider.dimensions, probes: this.config.probes })
+        indexes[type].build(await this.embedAll(provider, texts))
+      }
+
+      // 模型与索引一并替换后重放构建期间的变更（此后的变更直接更新索引）
+      const pending = this.pending
+      this.pending = null
+      this.provider = provider
+      this.indexes = indexes
+      this.builtAt = new Date()
+
+      for (const { type, action, id, doc } of pending) {
+        if (action === 'upsert') await this.upsert(type, doc)
+        else this.remove(type, id)
+      }
+
+      // 混合检索的结果随向量变化
+      searchCache.invalidate('search')
+
+      const result = {
+        provider: provider.name,
+        dimensions: provider.dimensions,
+        ...Object.fromEntries(Object.entries(indexes).map(([type, index]) => [type, { vectors: index.size }])),
+        duration: Date.now() - startTime
+      }
+      logger.info('向量索引构建完成', result)
+
+      return result
+    } finally {
+      this.pending = null
+    }
+  }
+
+  /**
+   * 读取实体类型全部记录的文本
+   * @returns {Promise<Map<string, string>>} id -> 文本
+   */
+  async loadTexts(type) {
+    const { model, fields, homepage } = this.sources[type]
+    const homepages = homepage ? await this.loadHomepages() : new Map()
+    const texts = new Map()
+
+    const cursor = model.find({})
+      .select(fields.join(' '))
+      .lean()
+      .batchSize(this.config.batchSize)
+      .cursor()
+
+    for await (const doc of cursor) {
+      const id = String(doc._id)
+      texts.set(id, this.textOf(type, doc, homepages.get(id)))
+    }
+
+    return texts
+  }
+
+  /**
+   * 各网站首页（深度 0）的页面
+   * @returns {Promise<Map<string, Object>>} 网站ID -> 页面
+   */
+  async loadHomepages() {
+    const homepages = new Map()
+
+    const cursor = Page.find({ depth: 0 })
+      .select('website content')
+      .lean()
+      .batchSize(this.config.batchSize)
+      .cursor()
+
+    for await (const page of cursor) {
+      homepages.set(String(page.website), page)
+    }
+
+    return homepages
+  }
+
+  /**
+   * 按批计算向量（无法计算的记录不入索引）
+   * @returns {Promise<Array<[string, Float32Array]>>}
+   */
+  async embedAll(provider, texts) {
+    const entries = [...texts]
+    const vectors = []
+
+    for (let i = 0; i < entries.length; i += this.config.batchSize) {
+      const batch = entries.slice(i, i + this.config.batchSize)
+      const embedded = await provider.embed(batch.map(([, text]) => text))
+
+      batch.forEach(([id], index) => {
+        if (embedded[index]) vectors.push([id, embedded[index]])
+      })
+    }
+
+    return vectors
+  }
+
+  /**
+   * 记录的文本：字段值拼接，网站附首页正文的开头部分
+   * @param {Object} [page] - 网站首页
+   */
+  textOf(type, doc, page) {
+    const values = this.sources[type].fields.flatMap(field => [].concat(doc[field] ?? []))
+    if (page?.content) values.push(page.content.slice(0, this.config.pageContentLength))
+
+    return values.join(' ').slice(0, this.config.maxTextLength)
+  }
+
+  /**
+   * 增量添加或更新记录的向量（使用当前模型，不重新训练）
+   */
+  async upsert(type, doc) {
+    if (!this.sources[type] || !doc?._id) return
+
+    const id = String(doc._id)
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc
+
+    if (this.pending) {
+      this.pending.push({ type, action: 'upsert', id, doc: plain })
+    }
+    if (!this.isReady() || !this.indexes[type]) return
+
+    const page = this.sources[type].homepage
+      ? await Page.findOne({ website: id, depth: 0 }).select('content').lean()
+      : null
+    const [vector] = await this.provider.embed([this.textOf(type, plain, page)])
+
+    if (vector) this.indexes[type].add(id, vector)
+    else this.indexes[type].remove(id)
+  }
+
+  /**
+   * 增量删除记录的向量
+   */
+  remove(type, docId) {
+    if (!this.sources[type] || !docId) return
+
+    const id = String(docId)
+
+    if (this.pending) {
+      this.pending.push({ type, action: 'remove', id })
+    }
+
+    if (this.isReady()) {
+      this.indexes[type]?.remove(id)
+    }
+  }
+
+  /**
+   * 查询文本的向量（索引未构建或文本不含已知词项时为 null）
+   * @returns {Promise<Float32Array|null>}
+   */
+  async embedQuery(text) {
+    if (!this.isReady() || !text) return null
+
+    const [vector] = await this.provider.embed([text])
+    return vector || null
+  }
+
+  /**
+   * 与查询向量最相似的记录
+   * @param {string} type - 实体类型
+   * @param {Float32Array} vector - 查询向量
+   * @param {Object} [options] - { limit, minScore }
+   * @returns {Array<{id: string, score: number}>}
+   */
+  search(type, vector, { limit = 100, minScore } = {}) {
+    if (!this.isReady() || !this.indexes[type]) return []
+    return this.indexes[type].search(vector, limit, { minScore })
+  }
+
+  /**
+   * 记录与查询向量的相似度（记录无向量时为 null）
+   */
+  similarity(type, id, vector) {
+    const stored = this.indexes[type]?.get(String(id))
+    return stored ? dot(stored, vector) : null
+  }
+
+  /**
+   * 向量索引统计信息
+   */
+  getStats() {
+    return {
+      provider: this.provider?.name || this.config.provider,
+      dimensions: this.provider?.dimensions || null,
+      builtAt: this.builtAt,
+      building: !!this.building,
+      ...Object.fromEntries(Object.keys(this.sources).map(type => [type, {
+        vectors: this.indexes[type]?.size || 0
+      }]))
+    }
+  }
+}
+
+module.exports = new EmbeddingService()
+module.exports.LsaProvider = LsaProvider
\ No newline at end of file
@@ -0,0 +1,79 @@
+// server/services/geocoding.js
+const { logger } = require('../utils/logger')
+const { Enterprise } = require('../models')
+
+class GeocodingService {
+  constructor() {
+    this.config = {
+      batchSize: 500 // 每批写入的记录数
+    }
+
+    // 进行中的回填任务（并发请求共享同一次执行）
+    this.running = null
+  }
+
+  /**
+   * 回填企业的行政区划及坐标
+   * 直接批量更新，不触发保存钩子及搜索索引更新
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - 重新解析全部记录（行政区划表更新后使用），默认只处理未解析的记录
+   * @returns {Promise<{scanned: number, located: Object, unresolved: number, duration: number}>}
+   */
+  async backfill({ force = false } = {}) {
+    if (!this.running) {
+      this.running = this.runBackfill(force).finally(() => {
+        this.running = null
+      })
+    }
+
+    return this.running
+  }
+
+  async runBackfill(force) {
+    const startTime = Date.now()
+    const stats = {
+      scanned: 0,
+      located: { province: 0, city: 0, district: 0 },
+      unresolved: 0
+    }
+    let operations = []
+
+    const flush = async () => {
+      if (!operations.length) return
+      await Enterprise.bulkWrite(operations, { ordered: false })
+      operations = []
+    }
+
+    const cursor = Enterprise.find(force ? {} : { 'region.precision': { $exists: false } })
+      .select('contact.address')
+      .lean()
+      .batchSize(this.config.batchSize)
+      .cursor()
+
+    for await (const doc of cursor) {
+      const { region, geo } = Enterprise.resolveLocation(doc.contact?.address)
+
+      stats.scanned++
+      if (geo) stats.located[region.precision]++
+      else stats.unresolved++
+
+      operations.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: geo ? { $set: { region, geo } } : { $set: { region }, $unset: { geo: 1 } }
+        }
+      })
+
+      if (operations.length >= this.config.batchSize) await flush()
+    }
+
+    await flush()
+
+    const result = { ...stats, duration: Date.now() - startTime }
+    logger.info('企业地址回填完成', result)
+
+    return result
+  }
+}
+
+module.exports = new GeocodingService()
\ No newline at end of file
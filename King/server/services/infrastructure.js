@@ -0,0 +1,166 @@
+// server/services/infrastructure.js
+const { logger } = require('../utils/logger')
+const { Website } = require('../models')
+const searchService = require('./search')
+const searchCache = require('./searchCache')
+const ipRange = require('../utils/ipRange')
+
+/**
+ * 关联基础设施（安全分析）：与指定网站共用 IP、网段、服务器类型、技术栈或 TLS 证书的网站
+ * 每个关联维度对应一条结构化查询（如 ip:203.0.113.0/24、cert:<指纹>），
+ * 结果列表由统一搜索获取，计数使用相同的查询条件（含默认状态过滤，计数包含该网站本身）
+ */
+class InfrastructureService {
+  constructor() {
+    this.config = {
+      subnetPrefix: 24, // 网段关联的前缀长度
+      maxTechnologies: 20, // 逐项关联的技术数
+      batchSize: 500 // 回填时每批写入的记录数
+    }
+
+    // 进行中的回填任务（并发请求共享同一次执行）
+    this.running = null
+  }
+
+  /**
+   * 网站的关联维度及各维度的网站数
+   * @param {string} id - 网站ID
+   * @returns {Promise<{data: {website: Object, pivots: Array}, cacheKey: string}|null>} 网站不存在或不可见（不满足默认过滤器）时返回 null
+   *   pivots: [{ key: ip|subnet|server|stack|technology|certificate, value, query, count }]
+   */
+  async getPivots(id) {
+    const website = await Website.findOne({
+      $and: [searchService.buildFilters('website', searchService.entityTypes.website.defaultFilters), { _id: id }]
+    })
+      .select('domain title ip server technologies certificate')
+      .lean()
+    if (!website) return null
+
+    // 网站数据变更时随 website 标签失效
+    const { value: pivots, cacheKey } = await searchCache.wrap('facets', { pivots: String(id) }, ['website'], async () => {
+      const pivots = this.describePivots(website)
+      const counts = await Promise.all(pivots.map(pivot => searchService.countMatches('website', pivot.query)))
+      return pivots.map((pivot, i) => ({ ...pivot, count: counts[i] }))
+    })
+
+    return { data: { website, pivots }, cacheKey }
+  }
+
+  /**
+   * 由网站的基础设施信息生成关联维度（缺少的信息不生成）
+   */
+  describePivots(website) {
+    const pivots = []
+
+    if (website.ip) {
+      pivots.push({ key: 'ip', value: website.ip, query: `ip:${website.ip}` })
+
+      const subnet = ipRange.subnetOf(website.ip, this.config.subnetPrefix)
+      if (subnet) pivots.push({ key: 'subnet', value: subnet, query: `ip:${subnet}` })
+    }
+
+    if (website.server) {
+      pivots.push({ key: 'server', value: website.server, query: `server:${website.server}` })
+    }
+
+    const technologies = [...new Set(website.technologies || [])].slice(0, this.config.maxTechnologies)
+
+    // 技术栈：同时使用这些技术的网站
+    if (technologies.length > 1) {
+      pivots.push({
+        key: 'stack',
+        value: technologies.join(', '),
+        query: technologies.map(technology => `tech:${quoteValue(technology)}`).join(' ')
+      })
+    }
+
+    for (const technology of technologies) {
+      pivots.push({ key: 'technology', value: technology, query: `tech:${quoteValue(technology)}` })
+    }
+
+    const fingerprint = website.certificate?.fingerprint
+    if (fingerprint) {
+      pivots.push({
+        key: 'certificate',
+        value: fingerprint,
+        subject: website.certificate.subject || null,
+        query: `cert:${fingerprint}`
+      })
+    }
+
+    return pivots
+  }
+
+  /**
+   * 回填网站 IP 的整数形式（网段查询依赖该字段，新保存的记录由保存钩子生成）
+   * 直接批量更新，不触发保存钩子及搜索索引更新
+   * @returns {Promise<{scanned: number, updated: number, invalid: number, duration: number}>}
+   */
+  async backfill() {
+    if (!this.running) {
+      this.running = this.runBackfill().finally(() => {
+        this.running = null
+      })
+    }
+
+    return this.running
+  }
+
+  async runBackfill() {
+    const startTime = Date.now()
+    const stats = { scanned: 0, updated: 0, invalid: 0 }
+    let operations = []
+
+    const flush = async () => {
+      if (!operations.length) return
+      await Website.bulkWrite(operations, { ordered: false })
+      operations = []
+    }
+
+    const cursor = Website.find({ ipNumber: { $exists: false } })
+      .select('ip')
+      .lean()
+      .batchSize(this.config.batchSize)
+      .cursor()
+
+    for await (const doc of cursor) {
+      const ipNumber = ipRange.toNumber(doc.ip)
+
+      stats.scanned++
+      if (ipNumber === null) {
+        stats.invalid++
+        continue
+      }
+
+      stats.updated++
+      operations.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { ipNumber } }
+        }
+      })
+
+      if (operations.length >= this.config.batchSize) await flush()
+    }
+
+    await flush()
+
+    // 回填的记录此前不在网段查询结果中
+    searchCache.invalidate('website')
+
+    const result = { ...stats, duration: Date.now() - startTime }
+    logger.info('网站IP回填完成', result)
+
+    return result
+  }
+}
+
+/**
+ * 查询取值含空白、括号、引号或范围语法时加引号
+ */
+function quoteValue(value) {
+  const text = String(value)
+  return /[\s()"]|\.\.|^[<>]/.test(text) ? `"${text.replace(/"/g, '')}"` : text
+}
+
+module.exports = new InfrastructureService()
\ No newline at end of file
@@ -0,0 +1,65 @@
+// server/services/mailer.js
+const nodemailer = require('nodemailer')
+const { logger } = require('../utils/logger')
+
+/**
+ * 邮件发送
+ * 由 SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS/SMTP_SECURE 配置 SMTP 服务；
+ * 本地开发可使用 MailHog 等本地 SMTP 服务（SMTP_HOST=localhost SMTP_PORT=1025），
+ * 未配置 SMTP_HOST 时只生成邮件并记录日志，不实际发送
+ */
+class MailerService {
+  constructor() {
+    this.config = {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.MAIL_FROM || 'Enterprise Catalog <no-reply@localhost>'
+    }
+
+    this.transport = null
+  }
+
+  /**
+   * 发送邮件
+   * @param {Object} message
+   * @param {string} message.to - 收件人
+   * @param {string} message.subject - 主题
+   * @param {string} message.text - 纯文本正文
+   * @param {string} [message.html] - HTML 正文
+   * @returns {Promise<Object>} 发送结果（含 messageId）
+   */
+  async send({ to, subject, text, html }) {
+    const info = await this.getTransport().sendMail({ from: this.config.from, to, subject, text, html })
+
+    if (!this.config.host) {
+      logger.info(`未配置 SMTP，邮件未发送: ${to} ${subject}`)
+    }
+
+    return info
+  }
+
+  /**
+   * 按配置创建（并复用）邮件传输
+   */
+  getTransport() {
+    if (!this.transport) {
+      const { host, port, secure, user, pass } = this.config
+
+      this.transport = host
+        ? nodemailer.createTransport({
+          host,
+          port,
+          secure,
+          auth: user ? { user, pass } : undefined
+        })
+        : nodemailer.createTransport({ jsonTransport: true })
+    }
+
+    return this.transport
+  }
+}
+
+module.exports = new MailerService()
\ No newline at end of file
@@ -0,0 +1,351 @@
+// server/services/pages.js
+const { logger } = require('../utils/logger')
+const { eventBus } = require('../utils/eventBus')
+const { Page, Website } = require('../models')
+const searchHighlighter = require('./searchHighlighter')
+const searchCache = require('./searchCache')
+const analyzer = require('../utils/analyzer')
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * 网页正文：保存深度爬取的页面，并提供站内搜索及按网站分组的页面检索
+ * 页面的标题、小标题及正文分词后存入 terms（多键索引），检索时要求包含全部查询词项，
+ * 候选页面按命中位置评分（标题 > 小标题 > 正文）；
+ * 每个网站只保留最近爬取的若干页面，超过保留时间未再次爬取的页面定期清除
+ */
+class PageService {
+  constructor() {
+    this.config = {
+      maxContentLength: 20000, // 正文保存的最大字符数
+      maxHeadings: 50, // 保存的小标题数
+      maxTerms: 5000, // 每页保存的词项数
+      maxCandidates: 1000, // 每次检索评分的候选页面数（按爬取时间取最新者）
+      excerptLength: 200, // 无高亮片段时返回的正文摘要长度
+      groupSize: 5, // 统一搜索中页面分组的网站数
+      pagesPerWebsite: 3, // 每个网站分组展示的页面数
+      // 每个网站的默认保留上限（网站的 pageRetention 可覆盖）
+      retention: {
+        maxPages: 500,
+        maxAgeDays: 90
+      },
+      pruneInterval: DAY, // 定期清除过期页面的间隔
+      batchSize: 500
+    }
+
+    // 命中位置的评分权重
+    this.weights = {
+      title: 3,
+      headings: 2,
+      content: 1
+    }
+
+    // 进行中的清理任务（并发请求共享同一次执行）
+    this.running = null
+
+    eventBus.on('website:removed', doc => {
+      this.removeWebsitePages(doc._id)
+        .catch(error => logger.error('删除网站页面失败:', error))
+    })
+
+    setInterval(() => {
+      this.prune().catch(error => logger.error('清除过期页面失败:', error))
+    }, this.config.pruneInterval).unref()
+  }
+
+  /**
+   * 保存网站的爬取页面（按 URL 覆盖），随后按保留上限清除旧页面
+   * @param {Object} website - 网站（需含 _id，可含 pageRetention）
+   * @param {Array<{url: string, depth: number, data: {content: Object}}>} crawled - crawler 的爬取结果
+   * @returns {Promise<{saved: number, removed: number}>}
+   */
+  async savePages(website, crawled) {
+    const { maxPages } = this.retentionOf(website)
+    const crawledAt = new Date()
+
+    // 同一次爬取超过保留上限时优先保留浅层页面
+    const pages = crawled
+      .filter(page => page.data?.content)
+      .sort((a, b) => (a.depth || 0) - (b.depth || 0))
+      .slice(0, maxPages)
+
+    for (let i = 0; i < pages.length; i += this.config.batchSize) {
+      await Page.bulkWrite(pages.slice(i, i + this.config.batchSize).map(page => ({
+        updateOne: {
+          filter: { website: website._id, url: page.url },
+          update: { $set: this.buildPage(page, crawledAt) },
+          upsert: true
+        }
+      })), { ordered: false })
+    }
+
+    const removed = await this.applyRetention(website)
+
+    // 页面分组随网站搜索结果缓存
+    searchCache.invalidate('website')
+
+    return { saved: pages.length, removed }
+  }
+
+  /**
+   * 爬取结果 -> 页面记录
+   */
+  buildPage(page, crawledAt) {
+    const { maxContentLength, maxHeadings } = this.config
+    const { title = '', headings = [], text = '', language } = page.data.content
+
+    const doc = {
+      title: title.slice(0, 300),
+      headings: headings.slice(0, maxHeadings).map(heading => heading.slice(0, 300)),
+      content: text.slice(0, maxContentLength),
+      language: language || undefined,
+      depth: page.depth || 0,
+      crawledAt
+    }
+    doc.terms = this.termsOf(doc)
+
+    return doc
+  }
+
+  /**
+   * 页面的检索词项（按首次出现顺序去重）
+   */
+  termsOf({ title, headings, content }) {
+    const terms = new Set(analyzer.tokenize([title, ...headings, content], 'index'))
+    return [...terms].slice(0, this.config.maxTerms)
+  }
+
+  /**
+   * 网站的保留上限
+   * @returns {{maxPages: number, maxAgeDays: number}}
+   */
+  retentionOf(website) {
+    const plain = typeof website?.toObject === 'function' ? website.toObject() : website
+    return { ...this.config.retention, ...pickDefined(plain?.pageRetention) }
+  }
+
+  /**
+   * 按保留上限清除网站的旧页面：超过保留时间未再次爬取的页面，及超出页面数上限的最早爬取的页面
+   * @returns {Promise<number>} 清除的页面数
+   */
+  async applyRetention(website) {
+    const { maxPages, maxAgeDays } = this.retentionOf(website)
+
+    const expired = await Page.deleteMany({
+      website: website._id,
+      crawledAt: { $lt: new Date(Date.now() - maxAgeDays * DAY) }
+    })
+
+    const excess = await Page.find({ website: website._id })
+      .sort({ crawledAt: -1, depth: 1 })
+      .skip(maxPages)
+      .select('_id')
+      .lean()
+
+    if (excess.length) {
+      await Page.deleteMany({ _id: { $in: excess.map(page => page._id) } })
+    }
+
+    return expired.deletedCount + excess.length
+  }
+
+  /**
+   * 对全部网站执行保留上限，并清除已删除网站的页面
+   * @returns {Promise<{websites: number, removed: number, duration: number}>}
+   */
+  async prune() {
+    if (!this.running) {
+      this.running = this.runPrune().finally(() => {
+        this.running = null
+      })
+    }
+
+    return this.running
+  }
+
+  async runPrune() {
+    const startTime = Date.now()
+    const ids = await Page.distinct('website')
+    let removed = 0
+
+    for (let i = 0; i < ids.length; i += this.config.batchSize) {
+      const batch = ids.slice(i, i + this.config.batchSize)
+      const websites = new Map((await Website.find({ _id: { $in: batch } }).select('pageRetention').lean())
+        .map(website => [String(website._id), website]))
+
+      for (const id of batch) {
+        const website = websites.get(String(id))
+        removed += website
+          ? await this.applyRetention(website)
+          : await this.removeWebsitePages(id)
+      }
+    }
+
+    if (removed) searchCache.invalidate('website')
+
+    const result = { websites: ids.length, removed, duration: Date.now() - startTime }
+    logger.info('过期页面清除完成', result)
+
+    return result
+  }
+
+  /**
+   * 删除网站的全部页面
+   * @returns {Promise<number>} 删除的页面数
+   */
+  async removeWebsitePages(websiteId) {
+    const { deletedCount } = await Page.deleteMany({ website: websiteId })
+    return deletedCount
+  }
+
+  /**
+   * 站内搜索：网站内的页面按相关性排序分页；无全文词项时按爬取深度列出页面
+   * @param {string} websiteId - 网站ID
+   * @param {string} keywords - 全文词项
+   * @param {Object} options - { page, pageSize, highlight }
+   * @returns {Promise<{data: Array, total: number}>} 有全文词项时最多对 maxCandidates 个页面评分
+   */
+  async searchWithin(websiteId, keywords, { page, pageSize, highlight = {} }) {
+    const terms = queryTerms(keywords)
+
+    if (!terms.length) {
+      const [docs, total] = await Promise.all([
+        Page.find({ website: websiteId })
+          .sort({ depth: 1, url: 1 })
+          .skip((page - 1) * pageSize)
+          .limit(pageSize)
+          .select('website url title headings language depth crawledAt')
+          .lean(),
+        Page.countDocuments({ website: websiteId })
+      ])
+
+      return { data: await this.attachSnippets(docs, keywords, highlight), total }
+    }
+
+    const ranked = await this.rankPages({ website: websiteId }, terms)
+    const docs = ranked.slice((page - 1) * pageSize, page * pageSize)
+
+    return { data: await this.attachSnippets(docs, keywords, highlight), total: ranked.length }
+  }
+
+  /**
+   * 按网站分组的页面检索（统一搜索结果中的页面分组）
+   * 网站按其最佳页面的得分排序，每组附带得分最高的若干页面及该网站的命中页面数
+   * @param {string} keywords - 全文词项
+   * @param {Object} options
+   * @param {Object} options.websiteConditions - 网站须满足的数据库条件（如默认状态过滤）
+   * @param {Object} [options.highlight] - 高亮参数，false 关闭
+   * @returns {Promise<{data: Array<{website: Object, pages: Array, total: number}>, meta: {total: number}}>}
+   *   meta.total 为有命中页面的网站数
+   */
+  async searchGrouped(keywords, { websiteConditions, highlight = {} }) {
+    const terms = queryTerms(keywords)
+    if (!terms.length) return { data: [], meta: { total: 0 } }
+
+    const ranked = await this.rankPages({}, terms)
+    const websiteIds = [...new Set(ranked.map(page => String(page.website)))]
+
+    const websites = new Map((await Website.find({ $and: [websiteConditions, { _id: { $in: websiteIds } }] })
+      .select('domain title')
+      .lean())
+      .map(website => [String(website._id), website]))
+
+    const groups = new Map()
+    for (const page of ranked) {
+      const key = String(page.website)
+      if (!websites.has(key)) continue
+
+      if (!groups.has(key)) groups.set(key, { website: websites.get(key), pages: [], total: 0 })
+      groups.get(key).pages.push(page)
+      groups.get(key).total++
+    }
+
+    const shown = [...groups.values()].slice(0, this.config.groupSize)
+    const snippets = await this.attachSnippets(
+      shown.flatMap(group => group.pages.slice(0, this.config.pagesPerWebsite)),
+      keywords,
+      highlight
+    )
+    const byId = new Map(snippets.map(page => [String(page._id), page]))
+
+    return {
+      data: shown.map(group => ({
+        ...group,
+        pages: group.pages.slice(0, this.config.pagesPerWebsite).map(page => byId.get(String(page._id)))
+      })),
+      meta: { total: groups.size }
+    }
+  }
+
+  /**
+   * 检索候选页面并评分（得分降序，同分时较新爬取的在前）
+   * @param {Object} conditions - 附加条件（如限定网站）
+   * @param {string[]} terms - 查询词项
+   */
+  async rankPages(conditions, terms) {
+    const candidates = await Page.find({ ...conditions, terms: { $all: terms } })
+      .sort({ crawledAt: -1 })
+      .limit(this.config.maxCandidates)
+      .select('website url title headings language depth crawledAt')
+      .lean()
+
+    return candidates
+      .map(page => ({ ...page, _score: this.scorePage(page, terms) }))
+      .sort((a, b) => b._score - a._score || b.crawledAt - a.crawledAt)
+  }
+
+  /**
+   * 页面得分：各查询词项取其命中位置的最高权重之和（候选页面已包含全部词项，未在标题中命中即在正文中）
+   */
+  scorePage(page, terms) {
+    const title = new Set(analyzer.tokenize(page.title || '', 'index'))
+    const headings = new Set(analyzer.tokenize(page.headings || [], 'index'))
+
+    return terms.reduce((score, term) => score + (
+      title.has(term) ? this.weights.title
+        : headings.has(term) ? this.weights.headings
+          : this.weights.content
+    ), 0)
+  }
+
+  /**
+   * 附加高亮片段（标题、小标题、正文），正文无命中时附带开头的摘要；结果不含正文全文
+   */
+  async attachSnippets(pages, keywords, highlight) {
+    if (!pages.length) return []
+
+    const contents = new Map((await Page.find({ _id: { $in: pages.map(page => page._id) } })
+      .select('content')
+      .lean())
+      .map(page => [String(page._id), page.content || '']))
+
+    return pages.map(page => {
+      const content = contents.get(String(page._id)) || ''
+      const fragments = highlight === false || !keywords
+        ? undefined
+        : searchHighlighter.highlight('page', { ...page, content }, keywords, highlight)
+
+      return {
+        ...page,
+        excerpt: fragments?.content ? undefined : content.slice(0, this.config.excerptLength),
+        highlight: fragments
+      }
+    })
+  }
+}
+
+/**
+ * 查询词项（去重）
+ */
+function queryTerms(keywords) {
+  return [...new Set(analyzer.analyzeQuery(keywords || '').text)]
+}
+
+/**
+ * 去除值为空的键
+ */
+function pickDefined(object) {
+  return Object.fromEntries(Object.entries(object || {}).filter(([, value]) => value !== undefined && value !== null))
+}
+
+module.exports = new PageService()
\ No newline at end of file
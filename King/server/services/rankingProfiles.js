@@ -0,0 +1,251 @@
+// server/services/rankingProfiles.js
+const crypto = require('crypto')
+const { logger } = require('../utils/logger')
+const { eventBus } = require('../utils/eventBus')
+const { RankingProfile } = require('../models')
+const searchTypes = require('./searchTypes')
+const searchIndex = require('./searchIndex')
+
+const DAY = 24 * 60 * 60 * 1000
+
+// 各加权项所需的文档字段（适用的实体类型见 services/searchTypes 的 boosts）
+const BOOST_FIELDS = {
+  freshness: ['updatedAt'],
+  popularity: ['viewCount', 'clickCount'],
+  crawlHealth: ['lastCrawlStatus'],
+  ssl: ['ssl'],
+  approved: ['status']
+}
+
+class RankingProfileService {
+  constructor() {
+    this.config = {
+      ttl: 60 * 1000, // 方案缓存时间（多实例部署时其他实例的变更在此时间内生效）
+      maxWeight: 100
+    }
+
+    // 内置方案：数据库中没有默认方案时使用，不启用加权项
+    // 字段权重取实体类型注册的字段定义（见 services/searchTypes）
+    this.builtin = {
+      name: 'builtin',
+      version: 0,
+      weights: {},
+      boosts: {
+        freshness: { weight: 0, halfLifeDays: 180 },
+        popularity: { weight: 0, saturation: 100 },
+        crawlHealth: { weight: 0 },
+        ssl: { weight: 0 },
+        approved: { weight: 0 }
+      }
+    }
+
+    this.profiles = {
+      list: [],
+      loadedAt: 0,
+      loading: null
+    }
+
+    eventBus.on('rankingProfile:changed', () => {
+      this.profiles.loadedAt = 0
+    })
+
+    // 新注册的实体类型：已加载的方案需重新规范化以沿用其内置权重
+    searchTypes.onRegister((type, definition) => {
+      this.builtin.weights[type] = definition.weights
+      this.profiles.loadedAt = 0
+    })
+  }
+
+  /**
+   * 确保方案已加载（过期时重新加载）
+   * 加载失败时沿用已有方案，不影响搜索
+   */
+  async ensureLoaded() {
+    if (Date.now() - this.profiles.loadedAt < this.config.ttl) return
+
+    if (!this.profiles.loading) {
+      this.profiles.loading = RankingProfile.find({})
+        .select('-history')
+        .lean()
+        .then(profiles => {
+          this.profiles.list = profiles.map(profile => this.normalize(profile))
+          this.profiles.loadedAt = Date.now()
+        })
+        .catch(error => {
+          logger.error('排序方案加载失败:', error)
+        })
+        .finally(() => {
+          this.profiles.loading = null
+        })
+    }
+
+    return this.profiles.loading
+  }
+
+  /**
+   * 选择本次查询使用的排序方案
+   * 指定名称时使用该方案（未启用的方案也可指定，便于上线前预览）；
+   * 否则按分流键落入分配了流量的方案，其余流量使用默认方案
+   * @param {Object} [options]
+   * @param {string} [options.name] - 方案名称
+   * @param {string} [options.key] - 分流键（用户ID或IP），同一键稳定落入同一方案
+   */
+  async resolve({ name, key } = {}) {
+    await this.ensureLoaded()
+
+    const profiles = this.profiles.list
+
+    if (name) {
+      const selected = profiles.find(profile => profile.name === String(name).toLowerCase())
+      if (selected) return selected
+    }
+
+    const enabled = profiles.filter(profile => profile.enabled)
+
+    if (key) {
+      const bucket = this.bucketOf(key)
+      let upper = 0
+
+      for (const profile of enabled.filter(item => item.traffic > 0 && !item.isDefault)) {
+        upper += profile.traffic
+        if (bucket < upper) return profile
+      }
+    }
+
+    return enabled.find(profile => profile.isDefault) || this.builtin
+  }
+
+  /**
+   * 分流键对应的桶（0-99）
+   */
+  bucketOf(key) {
+    const hash = crypto.createHash('sha1').update(String(key)).digest()
+    return hash.readUInt32BE(0) % 100
+  }
+
+  /**
+   * 规范化方案：缺省的字段权重沿用内置方案，缺省的加权项不启用
+   */
+  normalize(profile) {
+    const weights = {}
+    for (const type of Object.keys(this.builtin.weights)) {
+      const configured = profile.weights?.[type]
+      weights[type] = configured && Object.keys(configured).length
+        ? configured
+        : this.builtin.weights[type]
+    }
+
+    const boosts = {}
+    for (const [key, defaults] of Object.entries(this.builtin.boosts)) {
+      boosts[key] = { ...defaults, ...profile.boosts?.[key] }
+    }
+
+    return {
+      id: profile._id ? String(profile._id) : undefined,
+      name: profile.name,
+      version: profile.version,
+      isDefault: !!profile.isDefault,
+      traffic: profile.traffic || 0,
+      enabled: profile.enabled !== false,
+      weights,
+      boosts
+    }
+  }
+
+  /**
+   * 计算加权系数
+   * @param {Object} profile - 排序方案
+   * @param {string} type - 实体类型
+   * @param {Object} doc - 文档（需含 signalFields 中的字段）
+   * @returns {{factor: number, signals: Object}} signals 为各启用加权项的信号值（0-1）
+   */
+  boost(profile, type, doc, now = Date.now()) {
+    const signals = {}
+    let factor = 1
+
+    for (const [key, settings] of Object.entries(profile.boosts)) {
+      if (!settings.weight || !searchTypes.get(type).boosts.includes(key)) continue
+
+      const signal = this.signal(key, settings, type, doc, now)
+      signals[key] = signal
+      factor *= 1 + settings.weight * signal
+    }
+
+    return { factor, signals }
+  }
+
+  /**
+   * 加权项信号值（0-1）
+   */
+  signal(key, settings, type, doc, now) {
+    switch (key) {
+      case 'freshness': {
+        const updated = doc.updatedAt || doc.createdAt
+        if (!updated) return 0
+        const ageDays = Math.max(0, (now - new Date(updated).getTime()) / DAY)
+        return 0.5 ** (ageDays / settings.halfLifeDays)
+      }
+      case 'popularity': {
+        const count = (doc.viewCount || 0) + (doc.clickCount || 0)
+        return count / (count + settings.saturation)
+      }
+      case 'crawlHealth':
+        return { success: 1, partial: 0.5 }[doc.lastCrawlStatus] || 0
+      case 'ssl':
+        return doc.ssl ? 1 : 0
+      case 'approved':
+        // 状态为实体类型默认过滤的取值（如审核通过的企业、正常的网站）
+        return doc.status === searchTypes.get(type).defaultFilters.status ? 1 : 0
+      default:
+        return 0
+    }
+  }
+
+  /**
+   * 计算加权项所需的文档字段
+   */
+  signalFields(type) {
+    // createdAt 同时用于排序键
+    return ['createdAt', ...searchTypes.get(type).boosts.flatMap(key => BOOST_FIELDS[key] || [])]
+  }
+
+  /**
+   * 校验字段权重
+   * @param {Object} [weights] - { enterprise: { field: weight }, website: {...} }
+   * @returns {string|null} 错误信息
+   */
+  validateWeights(weights) {
+    if (weights === undefined) return null
+    if (!weights || typeof weights !== 'object') return 'weights 必须是对象'
+
+    for (const [type, fields] of Object.entries(weights)) {
+      if (!searchTypes.has(type)) return `不支持的实体类型: ${type}`
+      if (!fields || typeof fields !== 'object') return `weights.${type} 必须是对象`
+
+      const known = searchIndex.getFieldPaths(type)
+      for (const [field, weight] of Object.entries(fields)) {
+        if (!known[field]) return `不支持的字段: ${type}.${field}`
+        if (typeof weight !== 'number' || !(weight >= 0 && weight <= this.config.maxWeight)) {
+          return `字段权重 ${type}.${field} 应为 0-${this.config.maxWeight} 之间的数字`
+        }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * 校验流量分配：分流方案的流量合计不超过100%
+   * @param {Array} profiles - 修改后的全部方案
+   * @returns {string|null} 错误信息
+   */
+  validateTraffic(profiles) {
+    const total = profiles
+      .filter(profile => profile.enabled && !profile.isDefault)
+      .reduce((sum, profile) => sum + (profile.traffic || 0), 0)
+
+    return total > 100 ? `分流方案的流量合计为 ${total}%，不能超过 100%` : null
+  }
+}
+
+module.exports = new RankingProfileService()
\ No newline at end of file
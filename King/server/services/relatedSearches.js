@@ -0,0 +1,315 @@
+// server/services/relatedSearches.js
+const { logger } = require('../utils/logger')
+const { eventBus } = require('../utils/eventBus')
+const { SearchEvent, RelatedQuery, RelatedQueryBlacklist } = require('../models')
+const spellcheck = require('./spellcheck')
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+
+/**
+ * 相关搜索
+ * 由搜索事件挖掘查询之间的关联：同一用户/会话中先后搜索（会话内查询序列），
+ * 以及点击过相同结果（点击重叠），定期全量刷新到 RelatedQuery；
+ * 搜索响应按当前查询返回得分最高、未被管理员加入黑名单的相关搜索
+ */
+class RelatedSearchService {
+  constructor() {
+    this.config = {
+      refreshInterval: 6 * 60 * MINUTE, // 全量刷新间隔
+      initialDelay: 5 * MINUTE, // 启动后首次刷新的延迟
+      window: 30 * DAY, // 参与挖掘的搜索事件时间范围
+      sessionGap: 30 * MINUTE, // 同一用户/会话两次搜索间隔超过该值视为新会话
+      sessionWindow: 5, // 与会话内最近几个查询建立关联
+      reverseWeight: 0.5, // 后搜索的查询 -> 先搜索的查询的关联折算
+      maxQueriesPerResult: 20, // 每个结果参与点击重叠计算的查询数
+      weights: { sessions: 1, clicks: 0.5 },
+      minSupport: 2, // 会话共现与点击重叠次数之和的下限
+      maxStored: 20, // 每个查询保存的相关搜索数（黑名单过滤后仍有余量）
+      maxResults: 5, // 搜索响应返回的相关搜索数
+      blacklistTTL: 5 * MINUTE,
+      batchSize: 500
+    }
+
+    this.blacklist = {
+      // 查询 -> 屏蔽的相关搜索，'' 对应全部查询
+      lookup: new Map(),
+      loadedAt: 0,
+      loading: null
+    }
+
+    // 进行中的刷新（定时任务与手动触发共享同一次执行）
+    this.running = null
+
+    eventBus.on('relatedQueryBlacklist:changed', () => {
+      this.blacklist.loadedAt = 0
+    })
+
+    const refresh = () => this.refresh().catch(error => logger.error('相关搜索刷新失败:', error))
+    setTimeout(refresh, this.config.initialDelay).unref()
+    setInterval(refresh, this.config.refreshInterval).unref()
+  }
+
+  /**
+   * 当前查询的相关搜索
+   * 查询失败时返回空列表，不影响搜索
+   * @param {string} query - 原始查询
+   * @param {number} [limit] - 数量
+   * @returns {Promise<string[]>}
+   */
+  async getRelated(query, limit = this.config.maxResults) {
+    const normalized = spellcheck.normalizeQuery(query || '')
+    if (!normalized) return []
+
+    try {
+      const [doc] = await Promise.all([
+        RelatedQuery.findOne({ query: normalized }).select('related').lean(),
+        this.ensureBlacklistLoaded()
+      ])
+      if (!doc) return []
+
+      return doc.related
+        .filter(item => !this.isBlocked(normalized, item.query))
+        .slice(0, limit)
+        .map(item => item.query)
+    } catch (error) {
+      logger.error('相关搜索获取失败:', error)
+      return []
+    }
+  }
+
+  /**
+   * 查询的相关搜索明细（管理员查看，含被屏蔽的项）
+   * @returns {Promise<{query: string, related: Array, computedAt: Date|null}>}
+   */
+  async inspect(query) {
+    const normalized = spellcheck.normalizeQuery(query || '')
+    const [doc] = await Promise.all([
+      RelatedQuery.findOne({ query: normalized }).lean(),
+      this.ensureBlacklistLoaded()
+    ])
+
+    return {
+      query: normalized,
+      related: (doc?.related || []).map(item => ({ ...item, blocked: this.isBlocked(normalized, item.query) })),
+      computedAt: doc?.computedAt || null
+    }
+  }
+
+  /**
+   * 相关搜索是否被屏蔽（针对该查询或全部查询）
+   */
+  isBlocked(query, related) {
+    const { lookup } = this.blacklist
+    return !!(lookup.get(query)?.has(related) || lookup.get('')?.has(related))
+  }
+
+  /**
+   * 确保黑名单已加载（过期时重新加载，加载失败时沿用已有数据）
+   */
+  async ensureBlacklistLoaded() {
+    if (Date.now() - this.blacklist.loadedAt < this.config.blacklistTTL) return
+
+    if (!this.blacklist.loading) {
+      this.blacklist.loading = RelatedQueryBlacklist.find({})
+        .select('query related')
+        .lean()
+        .then(entries => {
+          const lookup = new Map()
+          for (const { query, related } of entries) {
+            if (!lookup.has(query)) lookup.set(query, new Set())
+            lookup.get(query).add(related)
+          }
+          this.blacklist.lookup = lookup
+          this.blacklist.loadedAt = Date.now()
+        })
+        .catch(error => {
+          logger.error('相关搜索黑名单加载失败:', error)
+        })
+        .finally(() => {
+          this.blacklist.loading = null
+        })
+    }
+
+    return this.blacklist.loading
+  }
+
+  /**
+   * 全量刷新相关搜索
+   * @returns {Promise<{events: number, queries: number, duration: number}>}
+   */
+  async refresh() {
+    if (!this.running) {
+      this.running = this.runRefresh().finally(() => {
+        this.running = null
+      })
+    }
+
+    return this.running
+  }
+
+  async runRefresh() {
+    const startTime = Date.now()
+    const computedAt = new Date()
+
+    const { pairs, frequencies, resultCounts, events } = await this.mineEvents(
+      new Date(computedAt.getTime() - this.config.window)
+    )
+    const model = this.buildModel(pairs, frequencies, resultCounts)
+
+    let operations = []
+    const flush = async () => {
+      if (!operations.length) return
+      await RelatedQuery.bulkWrite(operations, { ordered: false })
+      operations = []
+    }
+
+    for (const [query, related] of model) {
+      operations.push({
+        updateOne: {
+          filter: { query },
+          update: { $set: { related, computedAt } },
+          upsert: true
+        }
+      })
+      if (operations.length >= this.config.batchSize) await flush()
+    }
+    await flush()
+
+    // 本次未产生相关搜索的查询
+    await RelatedQuery.deleteMany({ computedAt: { $lt: computedAt } })
+
+    const result = { events, queries: model.size, duration: Date.now() - startTime }
+    logger.info('相关搜索刷新完成', result)
+
+    return result
+  }
+
+  /**
+   * 按时间顺序遍历搜索事件，统计会话共现及点击重叠
+   * @returns {Promise<{pairs: Map, frequencies: Map, resultCounts: Map, events: number}>}
+   *   pairs: 查询 -> (相关查询 -> { sessions, clicks })
+   *   frequencies: 查询 -> 出现的会话数
+   *   resultCounts: 查询 -> 最近一次搜索的结果数
+   */
+  async mineEvents(since) {
+    const { sessionGap, sessionWindow, reverseWeight, maxQueriesPerResult } = this.config
+    const pairs = new Map()
+    const frequencies = new Map()
+    const resultCounts = new Map()
+    // 用户/会话 -> { lastAt, queries: 当前会话最近的查询 }
+    const sessions = new Map()
+    // 结果 -> (查询 -> 点击次数)
+    const clickedBy = new Map()
+    let events = 0
+
+    const addPair = (a, b, field, amount) => {
+      if (!pairs.has(a)) pairs.set(a, new Map())
+      const related = pairs.get(a)
+      if (!related.has(b)) related.set(b, { sessions: 0, clicks: 0 })
+      related.get(b)[field] += amount
+    }
+
+    const cursor = SearchEvent.find({ createdAt: { $gte: since }, normalizedQuery: { $ne: '' } })
+      .select('normalizedQuery resultCount user sessionId clicks.resultType clicks.resultId createdAt')
+      .sort({ createdAt: 1 })
+      .lean()
+      .batchSize(this.config.batchSize)
+      .cursor()
+
+    for await (const event of cursor) {
+      const query = event.normalizedQuery
+      const owner = event.user ? `u:${event.user}` : event.sessionId ? `s:${event.sessionId}` : null
+      const time = event.createdAt.getTime()
+      events++
+
+      resultCounts.set(query, event.resultCount)
+
+      for (const click of event.clicks || []) {
+        if (!click.resultId) continue
+        const key = `${click.resultType}:${click.resultId}`
+        if (!clickedBy.has(key)) clickedBy.set(key, new Map())
+        clickedBy.get(key).set(query, (clickedBy.get(key).get(query) || 0) + 1)
+      }
+
+      if (!owner) continue
+
+      let session = sessions.get(owner)
+      if (!session || time - session.lastAt > sessionGap) {
+        session = { lastAt: time, queries: [] }
+        sessions.set(owner, session)
+      }
+      session.lastAt = time
+
+      // 翻页、重复搜索不计
+      if (session.queries.includes(query)) continue
+
+      for (const previous of session.queries) {
+        addPair(previous, query, 'sessions', 1)
+        addPair(query, previous, 'sessions', reverseWeight)
+      }
+      frequencies.set(query, (frequencies.get(query) || 0) + 1)
+
+      session.queries.push(query)
+      if (session.queries.length > sessionWindow) session.queries.shift()
+
+      // 定期清理已结束的会话
+      if (events % 10000 === 0) {
+        for (const [key, item] of sessions) {
+          if (time - item.lastAt > sessionGap) sessions.delete(key)
+        }
+      }
+    }
+
+    for (const queries of clickedBy.values()) {
+      const top = [...queries]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, maxQueriesPerResult)
+        .map(([query]) => query)
+
+      for (const a of top) {
+        for (const b of top) {
+          if (a !== b) addPair(a, b, 'clicks', 1)
+        }
+      }
+    }
+
+    return { pairs, frequencies, resultCounts, events }
+  }
+
+  /**
+   * 计算相关搜索得分：(会话共现 × 权重 + 点击重叠 × 权重) / √(两查询的会话数之积)
+   * 排除支持度不足及最近一次搜索无结果的查询
+   * @returns {Map<string, Array<{query, score, sessions, clicks}>>}
+   */
+  buildModel(pairs, frequencies, resultCounts) {
+    const { weights, minSupport, maxStored } = this.config
+    const model = new Map()
+
+    for (const [query, relatedMap] of pairs) {
+      const related = []
+
+      for (const [other, { sessions, clicks }] of relatedMap) {
+        if (sessions + clicks < minSupport || !resultCounts.get(other)) continue
+
+        const norm = Math.sqrt((frequencies.get(query) || 1) * (frequencies.get(other) || 1))
+        related.push({
+          query: other,
+          score: Math.round((sessions * weights.sessions + clicks * weights.clicks) / norm * 1000) / 1000,
+          sessions,
+          clicks
+        })
+      }
+
+      if (related.length) {
+        model.set(query, related
+          .sort((a, b) => b.score - a.score || b.sessions - a.sessions || (a.query < b.query ? -1 : 1))
+          .slice(0, maxStored))
+      }
+    }
+
+    return model
+  }
+}
+
+module.exports = new RelatedSearchService()
\ No newline at end of file
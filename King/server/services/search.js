@@ -1,386 +1,1487 @@
-// server/services/search.js
-const { logger } = require('../utils/logger')
-const { Enterprise, Website } = require('../models')
-
-class SearchService {
-  constructor() {
-    // 搜索权重配置
-    this.weights = {
-      enterprise: {
-        name: 10,
-        description: 5,
-        industry: 3,
-        'contact.address': 2
-      },
-      website: {
-        domain: 10,
-        title: 8,
-        description: 5,
-        keywords: 3
-      }
-    }
-  }
-
-  /**
-   * 统一搜索入口
-   * @param {string} query - 搜索关键词
-   * @param {Object} options - 搜索选项
-   */
-  async unifiedSearch(query, options = {}) {
-    const { page = 1, pageSize = 20, types = ['enterprise', 'website'] } = options
-    
-    try {
-      const results = {}
-      
-      if (types.includes('enterprise')) {
-        results.enterprises = await this.searchEnterprises(query, options)
-      }
-      
-      if (types.includes('website')) {
-        results.websites = await this.searchWebsites(query, options)
-      }
-
-      // 计算综合评分并混合排序
-      if (types.length > 1) {
-        results.combined = this.combineResults(
-          results.enterprises?.data || [],
-          results.websites?.data || [],
-          page,
-          pageSize
-        )
-      }
-
-      return {
-        success: true,
-        data: results,
-        meta: {
-          query,
-          page,
-          pageSize,
-          types
-        }
-      }
-    } catch (error) {
-      logger.error('统一搜索失败:', error)
-      throw new Error('搜索服务暂时不可用')
-    }
-  }
-
-  /**
-   * 企业搜索
-   * @param {string} query - 搜索关键词
-   * @param {Object} options - 搜索选项
-   */
-  async searchEnterprises(query, options = {}) {
-    const { page = 1, pageSize = 20, filters = {} } = options
-    
-    try {
-      // 构建搜索查询
-      const searchQuery = this.buildEnterpriseQuery(query, filters)
-      
-      // 执行搜索
-      const [data, total] = await Promise.all([
-        Enterprise.find(searchQuery)
-          .sort(this.buildEnterpriseSort(query))
-          .skip((page - 1) * pageSize)
-          .limit(pageSize)
-          .lean(),
-        Enterprise.countDocuments(searchQuery)
-      ])
-
-      // 计算相关性评分
-      const scoredData = data.map(item => ({
-        ...item,
-        _score: this.calculateEnterpriseScore(item, query)
-      }))
-
-      return {
-        data: scoredData,
-        meta: {
-          total,
-          page,
-          pageSize,
-          totalPages: Math.ceil(total / pageSize)
-        }
-      }
-    } catch (error) {
-      logger.error('企业搜索失败:', error)
-      throw new Error('企业搜索服务暂时不可用')
-    }
-  }
-
-  /**
-   * 网站搜索
-   * @param {string} query - 搜索关键词
-   * @param {Object} options - 搜索选项
-   */
-  async searchWebsites(query, options = {}) {
-    const { page = 1, pageSize = 20, filters = {} } = options
-    
-    try {
-      // 构建搜索查询
-      const searchQuery = this.buildWebsiteQuery(query, filters)
-      
-      // 执行搜索
-      const [data, total] = await Promise.all([
-        Website.find(searchQuery)
-          .sort(this.buildWebsiteSort(query))
-          .skip((page - 1) * pageSize)
-          .limit(pageSize)
-          .populate('enterprise', 'name industry')
-          .lean(),
-        Website.countDocuments(searchQuery)
-      ])
-
-      // 计算相关性评分
-      const scoredData = data.map(item => ({
-        ...item,
-        _score: this.calculateWebsiteScore(item, query)
-      }))
-
-      return {
-        data: scoredData,
-        meta: {
-          total,
-          page,
-          pageSize,
-          totalPages: Math.ceil(total / pageSize)
-        }
-      }
-    } catch (error) {
-      logger.error('网站搜索失败:', error)
-      throw new Error('网站搜索服务暂时不可用')
-    }
-  }
-
-  /**
-   * 构建企业搜索查询
-   */
-  buildEnterpriseQuery(query, filters = {}) {
-    const queryConditions = {}
-    
-    // 关键词搜索
-    if (query) {
-      queryConditions.$or = [
-        { name: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } },
-        { industry: { $regex: query, $options: 'i' } },
-        { 'contact.address': { $regex: query, $options: 'i' } }
-      ]
-    }
-
-    // 应用过滤器
-    if (filters.industry) {
-      queryConditions.industry = Array.isArray(filters.industry) 
-        ? { $in: filters.industry }
-        : filters.industry
-    }
-
-    if (filters.status) {
-      queryConditions.status = filters.status
-    }
-
-    if (filters.location) {
-      queryConditions['contact.address'] = { $regex: filters.location, $options: 'i' }
-    }
-
-    return queryConditions
-  }
-
-  /**
-   * 构建网站搜索查询
-   */
-  buildWebsiteQuery(query, filters = {}) {
-    const queryConditions = {}
-    
-    // 关键词搜索
-    if (query) {
-      queryConditions.$or = [
-        { domain: { $regex: query, $options: 'i' } },
-        { title: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } },
-        { keywords: { $in: [new RegExp(query, 'i')] } }
-      ]
-    }
-
-    // 应用过滤器
-    if (filters.type) {
-      queryConditions.type = Array.isArray(filters.type) 
-        ? { $in: filters.type }
-        : filters.type
-    }
-
-    if (filters.status) {
-      queryConditions.status = filters.status
-    }
-
-    if (filters.technology) {
-      queryConditions.technologies = Array.isArray(filters.technology)
-        ? { $all: filters.technology }
-        : filters.technology
-    }
-
-    return queryConditions
-  }
-
-  /**
-   * 构建企业排序规则
-   */
-  buildEnterpriseSort(query) {
-    if (!query) return { createdAt: -1 }
-    
-    return {
-      // 名称匹配优先
-      [this.getWeightedField('name', query)]: -1,
-      // 其次是行业匹配
-      [this.getWeightedField('industry', query)]: -1,
-      // 最后是创建时间
-      createdAt: -1
-    }
-  }
-
-  /**
-   * 构建网站排序规则
-   */
-  buildWebsiteSort(query) {
-    if (!query) return { createdAt: -1 }
-    
-    return {
-      // 域名匹配优先
-      [this.getWeightedField('domain', query)]: -1,
-      // 其次是标题匹配
-      [this.getWeightedField('title', query)]: -1,
-      // 最后是创建时间
-      createdAt: -1
-    }
-  }
-
-  /**
-   * 计算企业搜索结果相关性评分
-   */
-  calculateEnterpriseScore(enterprise, query) {
-    if (!query) return 0
-    
-    let score = 0
-    
-    // 名称匹配
-    if (enterprise.name && enterprise.name.match(new RegExp(query, 'i'))) {
-      score += this.weights.enterprise.name
-    }
-    
-    // 描述匹配
-    if (enterprise.description && enterprise.description.match(new RegExp(query, 'i'))) {
-      score += this.weights.enterprise.description
-    }
-    
-    // 行业匹配
-    if (enterprise.industry && enterprise.industry.match(new RegExp(query, 'i'))) {
-      score += this.weights.enterprise.industry
-    }
-    
-    // 地址匹配
-    if (enterprise.contact?.address && enterprise.contact.address.match(new RegExp(query, 'i'))) {
-      score += this.weights.enterprise['contact.address']
-    }
-    
-    return score
-  }
-
-  /**
-   * 计算网站搜索结果相关性评分
-   */
-  calculateWebsiteScore(website, query) {
-    if (!query) return 0
-    
-    let score = 0
-    
-    // 域名匹配
-    if (website.domain && website.domain.match(new RegExp(query, 'i'))) {
-      score += this.weights.website.domain
-    }
-    
-    // 标题匹配
-    if (website.title && website.title.match(new RegExp(query, 'i'))) {
-      score += this.weights.website.title
-    }
-    
-    // 描述匹配
-    if (website.description && website.description.match(new RegExp(query, 'i'))) {
-      score += this.weights.website.description
-    }
-    
-    // 关键词匹配
-    if (website.keywords && website.keywords.some(kw => kw.match(new RegExp(query, 'i')))) {
-      score += this.weights.website.keywords
-    }
-    
-    return score
-  }
-
-  /**
-   * 合并不同实体的搜索结果
-   */
-  combineResults(enterprises = [], websites = [], page, pageSize) {
-    // 合并并排序
-    const allResults = [...enterprises, ...websites]
-      .sort((a, b) => b._score - a._score)
-    
-    // 分页
-    const startIdx = (page - 1) * pageSize
-    return allResults.slice(startIdx, startIdx + pageSize)
-  }
-
-  /**
-   * 获取加权字段的匹配度
-   */
-  getWeightedField(field, query) {
-    return {
-      $cond: [
-        { $regexMatch: { input: `$${field}`, regex: query, options: 'i' } },
-        1,
-        0
-      ]
-    }
-  }
-
-  /**
-   * 搜索建议
-   */
-  async getSuggestions(query, limit = 5) {
-    if (!query || query.length < 2) return []
-    
-    try {
-      const [enterprises, websites] = await Promise.all([
-        Enterprise.find({ name: { $regex: query, $options: 'i' } })
-          .limit(limit)
-          .select('name _id')
-          .lean(),
-        Website.find({ $or: [
-          { domain: { $regex: query, $options: 'i' } },
-          { title: { $regex: query, $options: 'i' } }
-        ]})
-          .limit(limit)
-          .select('domain title _id')
-          .lean()
-      ])
-      
-      return [
-        ...enterprises.map(e => ({
-          type: 'enterprise',
-          text: e.name,
-          id: e._id
-        })),
-        ...websites.map(w => ({
-          type: 'website',
-          text: w.domain,
-          id: w._id
-        }))
-      ].slice(0, limit)
-    } catch (error) {
-      logger.error('搜索建议获取失败:', error)
-      return []
-    }
-  }
-}
-
+// server/services/search.js
+const { logger } = require('../utils/logger')
+const searchTypes = require('./searchTypes')
+const searchIndex = require('./searchIndex')
+const searchFacets = require('./searchFacets')
+const searchHighlighter = require('./searchHighlighter')
+const spellcheck = require('./spellcheck')
+const synonyms = require('./synonyms')
+const rankingProfiles = require('./rankingProfiles')
+const autocomplete = require('./autocomplete')
+const relatedSearches = require('./relatedSearches')
+const searchCache = require('./searchCache')
+const pages = require('./pages')
+const embeddings = require('./embeddings')
+const analyzer = require('../utils/analyzer')
+const gazetteer = require('../utils/gazetteer')
+const { EARTH_RADIUS_KM } = require('../utils/gazetteer')
+const queryParser = require('../utils/queryParser')
+const { QuerySyntaxError, collectPositiveText } = require('../utils/queryParser')
+const searchCursor = require('../utils/searchCursor')
+const { SearchCursorError } = require('../utils/searchCursor')
+const ipRange = require('../utils/ipRange')
+
+class SearchService {
+  constructor() {
+    // 可检索的实体类型（见 services/searchTypes）：各接口（统一搜索、高级搜索、按类型搜索、保存的搜索提醒）
+    // 共用同一检索流程，按类型定义的过滤器、默认过滤器、结果字段等处理，后注册的类型同样生效
+    this.entityTypes = searchTypes.types
+
+    // 分页限制（所有搜索接口经 unifiedSearch 规范化，内部调用如保存的搜索提醒不受上限约束）
+    this.paging = {
+      defaultPageSize: 20,
+      maxPageSize: 100,
+      // 导出搜索结果时每批加载的文档数
+      exportBatchSize: 500
+    }
+
+    // 字段权重（内置排序方案），用于匹配；结果排序使用查询选定的排序方案
+    this.weights = rankingProfiles.builtin.weights
+
+    // 同义词扩展命中相对原词命中的得分系数
+    this.synonymWeight = 0.8
+
+    // 混合检索：关键词相关性（归一化）与向量相似度的加权，向量检索的候选数及相似度下限
+    this.semantic = {
+      weight: 0.5,
+      candidates: 200,
+      minSimilarity: 0.3
+    }
+
+    // 附近搜索的半径（km）
+    this.geo = {
+      defaultRadius: 10,
+      maxRadius: 500
+    }
+  }
+
+  /**
+   * 结构化查询字段 -> 过滤器（实体类型 -> 字段 -> 定义，条件由 buildFilters 生成）
+   * match: regex 模糊匹配, exact-i 忽略大小写精确匹配, boolean 布尔值
+   * ip: IPv4 地址或 CIDR 网段（如 ip:10.0.0.0/8）; 缺省时按过滤器声明的 normalize 规范化取值（如证书指纹）
+   * enum: 取值须属于模型对应字段的枚举; range: integer/date 支持范围查询
+   * region: 行政区划名称（如 region:广东、region:深圳南山）; near: 地名或经纬度，可附加半径（如 near:南山区@5km）
+   */
+  get queryFields() {
+    return Object.fromEntries(Object.values(this.entityTypes).map(type => [type.name, type.queryFields]))
+  }
+
+  /**
+   * 统一搜索入口
+   * @param {string} query - 搜索关键词
+   * @param {Object} options - 搜索选项
+   * @param {string} [options.mode='grouped'] - grouped: 各实体类型分别分页; merged: 全部类型统一排序后分页
+   * @param {string} [options.searchAfter] - 上一页返回的 search_after 令牌（替代页码翻页）
+   * @param {string} [options.profile] - 排序方案名称，缺省时按 rankingKey 分流或使用默认方案
+   * @param {string} [options.rankingKey] - 排序方案分流键（用户ID或IP）
+   * @param {string} [options.sort] - distance: 按与附近搜索中心点的距离排序（需 near 过滤器或查询中的 near:）
+   * @param {string} [options.semantic] - hybrid: 混合检索，语义相近的记录同样返回，排序综合向量相似度（见 services/embeddings）
+   */
+  async unifiedSearch(query, options = {}) {
+    const { page, pageSize } = this.normalizePaging(options)
+    const types = this.resolveTypes(options.types)
+    const mode = options.mode === 'merged' ? 'merged' : 'grouped'
+    options = { ...options, page, pageSize, types, mode }
+
+    try {
+      // 分组模式下各类型分别翻页，令牌无法同时用于多个类型
+      if (mode !== 'merged' && types.length > 1 && options.searchAfter) {
+        throw new SearchCursorError('分组模式下 search_after 仅支持单一实体类型')
+      }
+
+      // 缓存按分流后的排序方案区分，同一方案的用户共享结果
+      const profile = await rankingProfiles.resolve({ name: options.profile, key: options.rankingKey })
+      const { value: response, cacheKey } = await searchCache.wrap('search', {
+        query: searchCache.normalizeQuery(query),
+        page,
+        pageSize,
+        types,
+        mode,
+        searchAfter: options.searchAfter,
+        filters: options.filters,
+        sort: options.sort,
+        semantic: options.semantic,
+        facets: options.facets,
+        highlight: options.highlight,
+        explain: options.explain,
+        ranking: [profile.name, profile.version]
+      }, types, () => this.executeUnifiedSearch(query, options))
+
+      // 记录查询用于热门查询统计（缓存命中同样计入，不阻塞响应）
+      if (query) spellcheck.recordQuery(query, response.meta.total)
+
+      return {
+        ...response,
+        meta: { ...response.meta, query },
+        // 客户端按此键缓存结果
+        cacheKey
+      }
+    } catch (error) {
+      if (error instanceof QuerySyntaxError || error instanceof SearchCursorError) throw error
+      logger.error('统一搜索失败:', error)
+      throw new Error('搜索服务暂时不可用')
+    }
+  }
+
+  /**
+   * 执行统一搜索（结果由 unifiedSearch 缓存）
+   * grouped: 各实体类型分别检索，结果按类型的 resultKey 分组; merged: 全部类型统一检索，结果为 combined
+   */
+  async executeUnifiedSearch(query, options) {
+    const { page, pageSize, types, mode } = options
+    const results = {}
+
+    if (mode === 'merged') {
+      results.combined = await this.searchTypes(query, types, options)
+    } else {
+      for (const type of types) {
+        results[this.entityTypes[type].resultKey] = await this.searchTypes(query, [type], options)
+      }
+    }
+
+    const groups = Object.values(results)
+    const total = groups.reduce((sum, group) => sum + group.meta.total, 0)
+
+    // 类型定义的附加分组（如网站的网页分组），不计入 total
+    if (mode !== 'merged' && query) {
+      for (const type of types) {
+        Object.assign(results, await this.searchExtraGroups(type, query, options))
+      }
+    }
+
+    const [suggestedQueries, relatedQueries] = await Promise.all([
+      query && spellcheck.shouldSuggest(total) ? spellcheck.suggest(query, types) : [],
+      query ? relatedSearches.getRelated(query) : []
+    ])
+
+    return {
+      success: true,
+      data: results,
+      // 结果偏少时给出纠错及相近热门查询
+      suggested_queries: suggestedQueries,
+      // 其他用户在同一会话中搜索过、或点击过相同结果的查询
+      related_searches: relatedQueries,
+      // 各实体类型的分面统计（键名与过滤器参数一致）
+      filters: Object.assign({}, ...groups.map(group => group.filters)),
+      meta: {
+        query,
+        page,
+        pageSize,
+        types,
+        mode,
+        total
+      }
+    }
+  }
+
+  /**
+   * 站内搜索：指定网站的页面正文按相关性排序分页（只使用查询中的全文词项）
+   * @param {string} query - 搜索关键词，为空时按爬取深度列出页面
+   * @param {Object} options - { website: 网站ID, page, pageSize, highlight }
+   * @returns {Promise<Object|null>} 网站不存在或不可见时返回 null
+   * @throws {QuerySyntaxError} 查询语法错误
+   */
+  async searchPages(query, options = {}) {
+    const { page, pageSize } = this.normalizePaging(options)
+    const { website, highlight = {} } = options
+
+    const visible = await this.entityTypes.website.model.exists({
+      $and: [this.buildFilters('website', this.entityTypes.website.defaultFilters), { _id: website }]
+    })
+    if (!visible) return null
+
+    const { keywords } = this.parseQuery(query, 'website')
+
+    const { value, cacheKey } = await searchCache.wrap('search', {
+      pages: String(website),
+      query: searchCache.normalizeQuery(query),
+      page,
+      pageSize,
+      highlight
+    }, ['website'], async () => {
+      const result = await pages.searchWithin(website, keywords, { page, pageSize, highlight })
+
+      return {
+        success: true,
+        data: result.data,
+        meta: {
+          query,
+          website,
+          page,
+          pageSize,
+          total: result.total,
+          totalPages: Math.ceil(result.total / pageSize)
+        }
+      }
+    })
+
+    return { ...value, cacheKey }
+  }
+
+  /**
+   * 统一搜索结果中类型定义的附加分组（见 services/searchTypes 的 groups）：
+   * 记录须满足该类型的默认及请求的过滤器
+   * @returns {Promise<Object>} 分组键名 -> 分组结果
+   */
+  async searchExtraGroups(type, query, { filters = {}, highlight = {} }) {
+    const { groups, defaultFilters } = this.entityTypes[type]
+    if (!Object.keys(groups).length) return {}
+
+    const context = {
+      keywords: this.parseQuery(query, type).keywords,
+      conditions: this.buildFilters(type, { ...defaultFilters, ...filters }),
+      highlight
+    }
+
+    const results = {}
+    for (const [key, search] of Object.entries(groups)) {
+      results[key] = await search(context)
+    }
+    return results
+  }
+
+  /**
+   * 检索流程：检索一个或多个实体类型并按全局排序键分页（见 utils/searchCursor）
+   * 解析查询 -> 构建过滤条件（prepareSource）-> 检索（retrieveRanked/retrieveNearest/retrieveLatest）
+   * -> 评分（rankMatches）-> 分面统计（getFacets）-> 高亮（highlightDocument）-> 分页（paginateKeys）
+   * 多个类型的结果先归并排序再分页，与单一类型的分页方式一致；
+   * 翻页可使用页码或上一页返回的 search_after 令牌，后者不依赖 skip()
+   * @param {string} query - 搜索关键词（支持结构化查询语法）
+   * @param {string[]} types - 实体类型
+   * @param {Object} options - 搜索选项
+   * @returns {Promise<{data: Array, meta: Object, filters: Object|undefined, explain: Object|undefined}>}
+   */
+  async searchTypes(query, types, options = {}) {
+    const {
+      page = 1,
+      pageSize = this.paging.defaultPageSize,
+      searchAfter,
+      filters = {},
+      facets = true,
+      highlight = {},
+      explain = false,
+      sort = 'relevance',
+      semantic
+    } = options
+
+    const [sources, profile] = await Promise.all([
+      Promise.all(types.map(type => this.prepareSource(type, query, filters, { semantic }))),
+      rankingProfiles.resolve({ name: options.profile, key: options.rankingKey })
+    ])
+    const { order, origin } = this.resolveOrder(sources, filters, sort)
+
+    // 排序方式、排序方案或其版本变化后旧令牌失效
+    const fingerprint = searchCursor.fingerprint({
+      query, types, filters, sort: order === 'distance' ? ['distance', origin] : 'relevance', semantic, ranking: [profile.name, profile.version]
+    })
+    const after = searchAfter ? searchCursor.decode(searchAfter, fingerprint) : null
+    const multiple = sources.length > 1
+
+    // 分面统计与检索并行执行
+    const facetsPromise = facets
+      ? Promise.all(sources.map(source => this.getFacets(source.type, source.parsed.conditions, source.filters)))
+      : Promise.resolve(null)
+
+    const retrieval = {
+      distance: () => this.retrieveNearest(sources, { page, pageSize, after, origin }),
+      relevance: () => this.retrieveRanked(sources, { page, pageSize, after, profile, explain }),
+      latest: () => this.retrieveLatest(sources, { page, pageSize, after })
+    }[order]()
+
+    const [result, facetCounts] = await Promise.all([retrieval, facetsPromise])
+    const sourceMap = new Map(sources.map(source => [source.type, source]))
+
+    return {
+      data: result.items.map(({ key, doc }) => ({
+        ...doc,
+        _type: multiple ? key.type : undefined,
+        _score: key.score,
+        // 与附近搜索中心点的距离（km）
+        _distance: origin && doc.geo?.coordinates
+          ? Math.round(gazetteer.distance(origin, doc.geo.coordinates) * 100) / 100
+          : undefined,
+        highlight: this.highlightDocument(sourceMap.get(key.type), doc, highlight),
+        _explain: explain ? this.explainHit(key, order, profile) : undefined
+      })),
+      meta: {
+        total: result.total,
+        page,
+        pageSize,
+        totalPages: Math.ceil(result.total / pageSize),
+        byType: multiple ? result.byType : undefined,
+        // 下一页的 search_after 令牌，已是最后一页时为 null
+        search_after: result.next ? searchCursor.encode(result.next, fingerprint) : null,
+        // 本次查询使用的排序方案
+        ranking: { profile: profile.name, version: profile.version },
+        // 请求混合检索时：hybrid 已综合向量相似度; unavailable 为向量索引不可用或查询无法计算向量，仅按关键词检索
+        semantic: semantic ? (sources.some(source => source.semantic) ? 'hybrid' : 'unavailable') : undefined
+      },
+      filters: facetCounts ? Object.assign({}, ...facetCounts) : undefined,
+      explain: explain
+        ? {
+          synonyms: sources.flatMap(({ type, parsed }) =>
+            parsed.synonyms.map(rule => ({ ...rule, entityType: type })))
+        }
+        : undefined
+    }
+  }
+
+  /**
+   * 结果排序方式：指定按距离排序且有中心点时按距离，有全文词项时按相关性，否则按创建时间倒序
+   * @returns {{order: string, origin: number[]|undefined}}
+   *   order 为 distance/relevance/latest; origin 为附近搜索的中心点（过滤器优先，其次为查询中的 near:）
+   */
+  resolveOrder(sources, filters, sort) {
+    const origin = filters.near?.coordinates ||
+      sources.map(source => source.parsed.near).find(Boolean)?.coordinates
+
+    const order = sort === 'distance' && origin
+      ? 'distance'
+      : sources.some(source => source.parsed.keywords) ? 'relevance' : 'latest'
+
+    return { order, origin }
+  }
+
+  /**
+   * 导出搜索结果：检索条件、过滤器（含分面选择）及排序与 searchTypes 一致，返回全部结果而不分页；
+   * 文档按结果顺序分批加载，由导出服务逐条写入文件（见 services/export 的 exportSearchResults）
+   * @param {string} query - 搜索关键词（支持结构化查询语法）
+   * @param {Object} options - 同 unifiedSearch 的 types、filters、sort、semantic、profile、rankingKey
+   * @returns {Promise<{types: string[], total: number, order: string, ranking: Object, documents: AsyncIterable<Object>}>}
+   *   documents 逐条产出结果文档（附 _type: 实体类型），total 为结果总数
+   * @throws {QuerySyntaxError} 查询语法错误
+   */
+  async exportResults(query, options = {}) {
+    const types = this.resolveTypes(options.types)
+    const { filters = {}, sort = 'relevance', semantic } = options
+
+    const [sources, profile] = await Promise.all([
+      Promise.all(types.map(type => this.prepareSource(type, query, filters, { semantic }))),
+      rankingProfiles.resolve({ name: options.profile, key: options.rankingKey })
+    ])
+    const { order, origin } = this.resolveOrder(sources, filters, sort)
+
+    const keys = await {
+      distance: () => this.nearestKeys(sources, origin),
+      relevance: () => this.rankKeys(sources, profile),
+      latest: () => this.latestKeys(sources)
+    }[order]()
+
+    return {
+      types,
+      total: keys.length,
+      order,
+      ranking: { profile: profile.name, version: profile.version },
+      documents: this.streamDocuments(keys)
+    }
+  }
+
+  /**
+   * 按排序键顺序分批加载文档（加载前已删除的记录跳过）
+   * @returns {AsyncIterable<Object>}
+   */
+  async *streamDocuments(keys) {
+    const { exportBatchSize } = this.paging
+
+    for (let start = 0; start < keys.length; start += exportBatchSize) {
+      const batch = keys.slice(start, start + exportBatchSize)
+      const docs = await this.loadDocuments(batch)
+
+      for (const key of batch) {
+        const doc = docs.get(`${key.type}:${key.id}`)
+        if (doc) yield { ...doc, _type: key.type }
+      }
+    }
+  }
+
+  /**
+   * 解析查询并生成实体类型的检索条件
+   * 倒排索引可用时全文词项由索引匹配并按BM25评分，否则降级为正则扫描；
+   * 请求及查询均未指定的过滤器使用实体类型的默认过滤器（如只检索审核通过的企业）；
+   * 混合检索时全文词项的匹配条件附加语义候选（见 findSemantic）
+   * @param {Object} [options] - { semantic: 'hybrid' 时启用混合检索 }
+   */
+  async prepareSource(type, query, filters, { semantic: mode } = {}) {
+    const indexed = !!query && await searchIndex.ensureReady(type)
+    const semantic = mode === 'hybrid' && query ? await this.findSemantic(type, query) : null
+    await synonyms.ensureLoaded()
+    const parsed = this.parseQuery(query, type, {
+      indexed,
+      semanticIds: semantic?.similarities.size ? [...semantic.similarities.keys()] : null
+    })
+
+    const effective = { ...filters }
+    for (const [key, value] of Object.entries(this.entityTypes[type].defaultFilters)) {
+      if (effective[key] === undefined && !parsed.filterKeys.has(key)) effective[key] = value
+    }
+
+    return {
+      type,
+      indexed,
+      parsed,
+      filters: effective,
+      conditions: mergeConditions(this.buildFilters(type, effective), parsed.conditions),
+      highlightKeywords: this.getHighlightKeywords(type, parsed, indexed),
+      semantic
+    }
+  }
+
+  /**
+   * 语义候选：与查询中未被否定的全文词项最相似的记录（近似最近邻检索）
+   * @returns {Promise<{vector: Float32Array, similarities: Map<string, number>}|null>}
+   *   无全文词项、向量索引不可用或查询无法计算向量时返回 null（仅按关键词检索）
+   */
+  async findSemantic(type, query) {
+    const ast = queryParser.parse(query, { fields: this.getQueryFieldNames() })
+    const text = collectPositiveText(ast).map(node => node.value).join(' ')
+    if (!text || !await embeddings.ensureReady()) return null
+
+    const vector = await embeddings.embedQuery(text)
+    if (!vector) return null
+
+    const hits = embeddings.search(type, vector, {
+      limit: this.semantic.candidates,
+      minScore: this.semantic.minSimilarity
+    })
+
+    return { vector, similarities: new Map(hits.map(hit => [hit.id, hit.score])) }
+  }
+
+  /**
+   * 按相关性检索：对完整匹配集合排序后截取当前页
+   * @returns {Promise<{items: Array, total: number, byType: Object, next: Object|null}>}
+   */
+  async retrieveRanked(sources, { page, pageSize, after, profile, explain = false }) {
+    const ranked = await this.rankKeys(sources, profile, { explain })
+
+    return this.paginateKeys(sources, ranked, { page, pageSize, after })
+  }
+
+  /**
+   * 全部实体类型匹配集合按相关性排序的排序键（见 rankMatches）
+   */
+  async rankKeys(sources, profile, { explain = false } = {}) {
+    return (await Promise.all(sources.map(source => this.rankMatches(source, profile, { explain }))))
+      .flat()
+      .sort((a, b) => searchCursor.compare(a, b))
+  }
+
+  /**
+   * 按与中心点的距离检索（由近及远）
+   */
+  async retrieveNearest(sources, { page, pageSize, after, origin }) {
+    const keys = await this.nearestKeys(sources, origin)
+
+    return this.paginateKeys(sources, keys, { page, pageSize, after })
+  }
+
+  /**
+   * 全部实体类型匹配集合按距离排序的排序键
+   * 排序键的得分为负的距离，无坐标的结果（含其他实体类型）排在最后
+   */
+  async nearestKeys(sources, origin) {
+    return (await Promise.all(sources.map(async ({ type, conditions }) => {
+      const docs = await this.entityTypes[type].model.find(conditions)
+        .select(this.entityTypes[type].geo ? 'createdAt geo' : 'createdAt')
+        .lean()
+
+      return docs.map(doc => doc.geo?.coordinates
+        ? searchCursor.keyOf(type, doc, -gazetteer.distance(origin, doc.geo.coordinates))
+        : searchCursor.keyOf(type, doc, 0, 1))
+    })))
+      .flat()
+      .sort((a, b) => searchCursor.compare(a, b))
+  }
+
+  /**
+   * 截取已排序的完整排序键列表中的当前页并加载文档
+   * @returns {Promise<{items: Array, total: number, byType: Object, next: Object|null}>}
+   */
+  async paginateKeys(sources, ranked, { page, pageSize, after }) {
+    const start = after
+      ? sortedIndex(ranked, key => searchCursor.compare(key, after) > 0)
+      : (page - 1) * pageSize
+    const pageKeys = ranked.slice(start, start + pageSize)
+
+    // 只加载当前页文档
+    const docs = await this.loadDocuments(pageKeys)
+
+    return {
+      items: pageKeys
+        .filter(key => docs.has(`${key.type}:${key.id}`))
+        .map(key => ({ key, doc: docs.get(`${key.type}:${key.id}`) })),
+      total: ranked.length,
+      byType: countByType(sources, ranked),
+      next: start + pageSize < ranked.length ? pageKeys[pageKeys.length - 1] : null
+    }
+  }
+
+  /**
+   * 实体类型完整匹配集合的排序键
+   * 匹配集合由数据库按已编译的查询条件筛选（全文词项已由索引解析为ID集合），
+   * 相关性由索引按BM25计算（排序方案的字段权重），索引不可用时按字段正则匹配计分，
+   * 再乘以排序方案的加权系数（更新时间、热度、爬取状态等）；混合检索时相关性综合向量相似度（见 blendSemantic）
+   * @param {Object} [options] - { explain: 排序键附带命中的词项及字段（见 explainHit） }
+   * @returns {Promise<Array>} 排序键（附 synonyms: 命中的同义词; ranking: 得分构成; matches: 命中明细）
+   */
+  async rankMatches({ type, indexed, parsed, conditions, semantic }, profile, { explain = false } = {}) {
+    const { model } = this.entityTypes[type]
+    const weights = profile.weights[type]
+    const signalFields = rankingProfiles.signalFields(type)
+    const now = Date.now()
+
+    const toKey = ({ doc, relevance, keyword = relevance, tier, similarity, matches }) => {
+      const { factor, signals } = rankingProfiles.boost(profile, type, doc, now)
+      return {
+        ...searchCursor.keyOf(type, doc, relevance * factor, tier),
+        ranking: { keyword, relevance, similarity, boosts: signals, factor, score: relevance * factor },
+        matches
+      }
+    }
+
+    if (!indexed) {
+      const pattern = escapeRegex(parsed.keywords)
+      const docs = await model.find(conditions)
+        .select([...new Set([...signalFields, ...this.entityTypes[type].textFields])].join(' '))
+        .lean()
+
+      const scored = docs.map(doc => {
+        const fields = this.matchPattern(type, doc, pattern)
+        return {
+          doc,
+          relevance: fields.reduce((score, field) => score + (weights[field] || 0), 0),
+          tier: 0,
+          // 正则匹配只区分字段是否命中
+          matches: explain
+            ? fields.map(field => ({ field, query: parsed.keywords, match: 'regex', boost: weights[field] || 0, score: weights[field] || 0 }))
+            : undefined
+        }
+      })
+      return this.blendSemantic(type, scored, semantic).map(toKey)
+    }
+
+    const hitMap = this.scoreIndexed(type, parsed, weights, { explain })
+
+    const matched = await model.find(conditions)
+      .select(['_id', ...signalFields].join(' '))
+      .lean()
+
+    // 命中层级：精确命中 > 仅模糊命中 > 未命中全文词项（仅满足字段条件）
+    const scored = matched.map(doc => {
+      const hit = hitMap.get(String(doc._id))
+      return {
+        doc,
+        relevance: hit?.score || 0,
+        tier: !hit ? 2 : hit.fuzzy > 0 ? 1 : 0,
+        synonyms: hit?.synonyms || [],
+        matches: explain ? hit?.matches || [] : undefined
+      }
+    })
+
+    return this.blendSemantic(type, scored, semantic).map(item => ({
+      ...toKey(item),
+      synonyms: item.synonyms
+    }))
+  }
+
+  /**
+   * 单条结果的评分说明（explain）
+   * 按相关性排序时包括命中的词项及字段（BM25 各项）、模糊扩展、同义词扩展、
+   * 排序方案及其加权项（信号值、权重、系数）与最终得分；按距离或时间排序时只有排序方式及排序键的得分
+   * @param {Object} key - 排序键
+   * @param {string} order - relevance/distance/latest
+   * @param {Object} profile - 本次查询使用的排序方案
+   */
+  explainHit(key, order, profile) {
+    const explanation = { order, score: key.score, synonyms: key.synonyms || [] }
+    if (order !== 'relevance') return explanation
+
+    const { keyword, relevance, similarity, boosts, factor } = key.ranking
+    const matches = key.matches || []
+
+    return {
+      ...explanation,
+      profile: { name: profile.name, version: profile.version },
+      tier: MATCH_TIERS[key.tier],
+      matches,
+      fuzzy: matches
+        .filter(match => match.match === 'fuzzy')
+        .map(({ field, query, term, edits }) => ({ field, query, term, edits })),
+      ranking: {
+        // keyword: 关键词得分（BM25 或正则匹配的字段权重之和）; relevance: 混合检索时综合向量相似度后的相关性
+        keyword,
+        relevance,
+        similarity,
+        // 最终得分 = relevance × Π(1 + weight × signal)
+        boosts: Object.fromEntries(Object.entries(boosts).map(([name, signal]) => {
+          const { weight } = profile.boosts[name]
+          return [name, { signal, weight, factor: 1 + weight * signal }]
+        })),
+        factor,
+        score: key.score
+      }
+    }
+  }
+
+  /**
+   * 混合检索的相关性：关键词相关性按匹配集合中的最高分归一化后与向量相似度加权求和；
+   * 未命中全文词项、因语义相似入选的记录与精确命中同层排序
+   * @param {Array<{doc: Object, relevance: number, tier: number}>} scored - 匹配记录及关键词相关性
+   * @param {Object|null} semantic - 语义候选（见 findSemantic），为空时原样返回
+   * @returns {Array} 附 similarity: 向量相似度（记录无向量时为 0）; keyword: 原关键词相关性
+   */
+  blendSemantic(type, scored, semantic) {
+    if (!semantic) return scored
+
+    const { weight, minSimilarity } = this.semantic
+    const maxRelevance = scored.reduce((max, item) => Math.max(max, item.relevance), 0)
+
+    return scored.map(item => {
+      const id = String(item.doc._id)
+      const similarity = semantic.similarities.get(id) ?? embeddings.similarity(type, id, semantic.vector) ?? 0
+      const keyword = maxRelevance ? item.relevance / maxRelevance : 0
+
+      return {
+        ...item,
+        keyword: item.relevance,
+        relevance: (1 - weight) * keyword + weight * Math.max(similarity, 0),
+        tier: item.tier === 2 && similarity >= minSimilarity ? 0 : item.tier,
+        similarity
+      }
+    })
+  }
+
+  /**
+   * 倒排索引评分（含同义词扩展）
+   * @param {Object} [options] - { explain: 附带各词项的得分构成（matches）及同义词命中的得分构成 }
+   * @returns {Map<string, {score: number, fuzzy: number, synonyms: Array, matches?: Array}>}
+   *   synonyms 的每项为 { rule, term, synonym, score: 计入的得分 }
+   */
+  scoreIndexed(type, { keywords, synonyms: fired }, weights = this.weights[type], { explain = false } = {}) {
+    // 布尔约束已体现在查询条件中，评分时任一词项命中即计分
+    const hits = searchIndex.search(type, keywords, weights, { operator: 'or', explain })
+    const hitMap = new Map(hits.map(hit => [hit.id, { ...hit, synonyms: [] }]))
+
+    // 同义词命中计入得分：每条规则取各扩展词中的最佳得分，限定在规则的字段范围内
+    for (const rule of fired.filter(item => !item.negated)) {
+      const scoped = this.getScopedWeights(type, rule.fields, weights)
+      const best = new Map()
+
+      for (const synonym of rule.synonyms) {
+        for (const hit of searchIndex.search(type, synonym, scoped, { fuzzy: false, explain })) {
+          if (hit.score > (best.get(hit.id)?.score || 0)) best.set(hit.id, { score: hit.score, synonym, matches: hit.matches })
+        }
+      }
+
+      for (const [id, { score, synonym, matches }] of best) {
+        if (!hitMap.has(id)) hitMap.set(id, { id, score: 0, fuzzy: 0, synonyms: [], matches: explain ? [] : undefined })
+
+        const hit = hitMap.get(id)
+        hit.score += score * this.synonymWeight
+        hit.synonyms.push({ rule: rule.rule, term: rule.term, synonym, score: score * this.synonymWeight, matches })
+      }
+    }
+
+    return hitMap
+  }
+
+  /**
+   * 按创建时间倒序检索（无全文词项时）
+   * 单一类型按页码跳过；多个类型各取前 page * pageSize 条后归并。
+   * 使用 search_after 时由数据库条件定位，不使用 skip()
+   */
+  async retrieveLatest(sources, { page, pageSize, after }) {
+    const single = sources.length === 1
+    const offset = after ? 0 : (page - 1) * pageSize
+
+    const [fetched, totals] = await Promise.all([
+      Promise.all(sources.map(({ type, conditions }) => {
+        const { model, projection, populate } = this.entityTypes[type]
+        let query = model
+          .find(after ? mergeConditions(conditions, searchCursor.afterCondition(type, after)) : conditions)
+          .select(projection)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(single ? offset : 0)
+          // 多取一条用于判断是否还有下一页
+          .limit((single ? 0 : offset) + pageSize + 1)
+
+        if (populate) {
+          query = query.populate(populate.path, populate.select)
+        }
+
+        return query.lean()
+      })),
+      Promise.all(sources.map(({ type, conditions }) => this.entityTypes[type].model.countDocuments(conditions)))
+    ])
+
+    const items = sources
+      .flatMap(({ type }, index) => fetched[index].map(doc => ({ key: searchCursor.keyOf(type, doc), doc })))
+      .sort((a, b) => searchCursor.compare(a.key, b.key))
+
+    const start = single ? 0 : offset
+    const pageItems = items.slice(start, start + pageSize)
+
+    return {
+      items: pageItems,
+      total: totals.reduce((sum, count) => sum + count, 0),
+      byType: Object.fromEntries(sources.map(({ type }, index) => [type, totals[index]])),
+      next: items.length > start + pageSize ? pageItems[pageItems.length - 1].key : null
+    }
+  }
+
+  /**
+   * 全部实体类型匹配集合按创建时间倒序的排序键（导出使用，分页检索见 retrieveLatest）
+   */
+  async latestKeys(sources) {
+    return (await Promise.all(sources.map(async ({ type, conditions }) => {
+      const docs = await this.entityTypes[type].model.find(conditions).select('createdAt').lean()
+      return docs.map(doc => searchCursor.keyOf(type, doc))
+    })))
+      .flat()
+      .sort((a, b) => searchCursor.compare(a, b))
+  }
+
+  /**
+   * 按排序键加载文档
+   * @returns {Promise<Map<string, Object>>} `${type}:${id}` -> 文档
+   */
+  async loadDocuments(keys) {
+    const docs = new Map()
+    const types = [...new Set(keys.map(key => key.type))]
+
+    await Promise.all(types.map(async type => {
+      const { model, projection, populate } = this.entityTypes[type]
+      const ids = keys.filter(key => key.type === type).map(key => key.id)
+      let query = model.find({ _id: { $in: ids } }).select(projection)
+      if (populate) {
+        query = query.populate(populate.path, populate.select)
+      }
+
+      for (const doc of await query.lean()) {
+        docs.set(`${type}:${doc._id}`, doc)
+      }
+    }))
+
+    return docs
+  }
+
+  /**
+   * 解析结构化查询并编译为数据库查询条件
+   * @param {string} query - 查询文本
+   * @param {string} type - 实体类型 (enterprise/website)
+   * @param {Object} [options]
+   * @param {boolean} [options.indexed] - 全文词项是否由倒排索引匹配
+   * @param {string[]} [options.semanticIds] - 混合检索的语义候选，未被否定的全文词项同样匹配这些记录
+   * @returns {{ast: Object|null, keywords: string, conditions: Object, synonyms: Array}}
+   *   keywords 为所有未被否定的全文词项，用于相关性评分；
+   *   synonyms 为触发的同义词规则 { rule, type, term, matched, synonyms, fields, position, negated }；
+   *   near 为第一个未被否定的附近搜索条件 { coordinates, radius }；
+   *   filterKeys 为字段条件涉及的过滤器（这些过滤器不再使用默认值）
+   * @throws {QuerySyntaxError} 查询语法错误（含出错位置）
+   */
+  parseQuery(query, type, { indexed = false, semanticIds = null } = {}) {
+    const ast = queryParser.parse(query, { fields: this.getQueryFieldNames() })
+    const context = { indexed, semanticIds, negated: false, synonyms: [], origins: [], filterKeys: new Set() }
+
+    return {
+      ast,
+      keywords: collectPositiveText(ast).map(node => node.value).join(' '),
+      conditions: ast ? this.compileQueryNode(ast, type, context) : {},
+      synonyms: context.synonyms,
+      near: context.origins[0] || null,
+      filterKeys: context.filterKeys
+    }
+  }
+
+  /**
+   * 限定字段范围的评分权重
+   * @param {string[]} [fields] - 字段路径（如 name 同时包含其拼音字段），为空时不限定
+   * @param {Object} [weights] - 字段权重，默认为内置方案的权重
+   */
+  getScopedWeights(type, fields = [], weights = this.weights[type]) {
+    if (!fields.length) return weights
+
+    const paths = searchIndex.getFieldPaths(type)
+    return Object.fromEntries(
+      Object.entries(weights).filter(([field]) => fields.includes(paths[field]))
+    )
+  }
+
+  /**
+   * 参与高亮的词项：全文词项、模糊命中的词项及触发的同义词（否定条件中的除外）
+   */
+  getHighlightKeywords(type, parsed, indexed) {
+    if (!parsed.keywords) return ''
+
+    return [
+      parsed.keywords,
+      ...(indexed ? searchIndex.fuzzyExpansions(type, parsed.keywords) : []),
+      ...parsed.synonyms.filter(rule => !rule.negated).flatMap(rule => rule.synonyms)
+    ].join(' ')
+  }
+
+  /**
+   * 可用于结构化查询的字段名（各实体类型的并集）
+   */
+  getQueryFieldNames() {
+    return Object.values(this.queryFields).flatMap(fields => Object.keys(fields))
+  }
+
+  /**
+   * 将语法树节点编译为数据库查询条件
+   * @param {Object} context - { indexed, semanticIds, negated, synonyms, origins }，
+   *   synonyms 收集触发的同义词规则，origins 收集附近搜索条件
+   */
+  compileQueryNode(node, type, context) {
+    switch (node.type) {
+      case 'and':
+        return { $and: node.children.map(child => this.compileQueryNode(child, type, context)) }
+      case 'or':
+        return { $or: node.children.map(child => this.compileQueryNode(child, type, context)) }
+      case 'not':
+        return { $nor: [this.compileQueryNode(node.child, type, { ...context, negated: !context.negated })] }
+      case 'field':
+        return this.compileFieldNode(node, type, context)
+      default:
+        return this.compileTextNode(node, type, context)
+    }
+  }
+
+  /**
+   * 全文词项/短语：触发同义词规则时与各扩展词的匹配条件取并集，
+   * 混合检索时再与语义候选取并集（否定条件只按词项匹配）
+   */
+  compileTextNode(node, type, context) {
+    const conditions = this.compileTextValue(node, type, context.indexed)
+    const fired = synonyms.lookup(node.value, type)
+
+    for (const rule of fired) {
+      context.synonyms.push({ ...rule, term: node.value, position: node.position, negated: context.negated })
+    }
+
+    const matched = fired.length
+      ? {
+        $or: [
+          conditions,
+          ...fired.flatMap(rule => rule.synonyms.map(synonym =>
+            this.compileTextValue(toTextNode(synonym), type, context.indexed, { fields: rule.fields, fuzzy: false })
+          ))
+        ]
+      }
+      : conditions
+
+    return context.semanticIds && !context.negated
+      ? { $or: [matched, { _id: { $in: context.semanticIds } }] }
+      : matched
+  }
+
+  /**
+   * 单个词项/短语的匹配条件：索引可用时解析为命中ID集合，否则使用正则匹配
+   * @param {Object} [scope]
+   * @param {string[]} [scope.fields] - 限定匹配的字段路径，为空表示全部字段
+   * @param {boolean} [scope.fuzzy] - 是否允许模糊匹配
+   */
+  compileTextValue(node, type, indexed, { fields = [], fuzzy = true } = {}) {
+    // 短语内的空白可对应原文中的任意空白或无空白（如 "北京 海淀" 匹配 "北京海淀区"）
+    const pattern = node.type === 'phrase'
+      ? node.value.split(/\s+/).map(escapeRegex).join('\\s*')
+      : escapeRegex(node.value)
+    let textConditions = {
+      $or: this.entityTypes[type].textFields.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+    }
+
+    if (fields.length) {
+      const clauses = textConditions.$or.filter(clause => fields.includes(Object.keys(clause)[0]))
+      textConditions = clauses.length ? { $or: clauses } : MATCH_NONE
+    }
+
+    if (!indexed) return textConditions
+
+    const weights = this.getScopedWeights(type, fields)
+    const ids = searchIndex.search(type, node.value, weights, { fuzzy }).map(hit => hit.id)
+    const idConditions = { _id: { $in: ids } }
+
+    // 索引按词项匹配，短语还需校验词序相邻
+    return node.type === 'phrase' ? { $and: [idConditions, textConditions] } : idConditions
+  }
+
+  /**
+   * 字段条件：转换为过滤器后交由查询构建方法生成
+   */
+  compileFieldNode(node, type, context) {
+    const definition = this.queryFields[type][node.field]
+
+    // 字段不适用于当前实体类型（如 tech: 之于企业），该类型不产生结果，
+    // 但仍按定义该字段的类型校验取值，保证语法错误与搜索范围无关
+    if (!definition) {
+      const [other, otherFields] = Object.entries(this.queryFields)
+        .find(([, fields]) => fields[node.field])
+      this.resolveFieldFilter(node, other, otherFields[node.field])
+      return MATCH_NONE
+    }
+
+    const filters = this.resolveFieldFilter(node, type, definition)
+    if (!filters) return MATCH_NONE
+
+    if (filters.near && !context.negated) context.origins.push(filters.near)
+    for (const key of Object.keys(filters)) context.filterKeys.add(key)
+
+    return this.buildFilters(type, filters)
+  }
+
+  /**
+   * 校验并转换字段取值为过滤器
+   * @returns {Object|null} 过滤器，取值仅适用于其他实体类型时返回null
+   */
+  resolveFieldFilter(node, type, definition) {
+    const { field, value } = node
+    const fail = message => new QuerySyntaxError(message, node.position, node.length)
+
+    if (definition.range) {
+      const [from, to] = value.kind === 'range'
+        ? [
+          parseBound(definition.range, value.from, 'from', value.fromExclusive),
+          parseBound(definition.range, value.to, 'to', value.toExclusive)
+        ]
+        : [
+          parseBound(definition.range, value.value, 'from', false),
+          parseBound(definition.range, value.value, 'to', false)
+        ]
+
+      if (from === undefined || to === undefined) {
+        throw fail(definition.range === 'date'
+          ? `字段 ${field} 的日期格式无效，应为 YYYY、YYYY-MM 或 YYYY-MM-DD`
+          : `字段 ${field} 的取值应为整数`)
+      }
+
+      if (from !== null && to !== null && from > to) {
+        throw fail(`字段 ${field} 的范围下限大于上限`)
+      }
+
+      return {
+        [`${definition.filter}From`]: from,
+        [`${definition.filter}To`]: to
+      }
+    }
+
+    if (value.kind === 'range') {
+      throw fail(`字段 ${field} 不支持范围查询`)
+    }
+
+    const raw = value.value
+
+    if (definition.enum) {
+      const matched = this.matchEnumValue(type, definition.enum, raw)
+      if (matched !== undefined) return { [definition.filter]: matched }
+
+      // 同名字段在其他实体类型中接受该取值（如 status:approved 之于网站）
+      const acceptedElsewhere = Object.keys(this.queryFields).some(other => {
+        const otherDefinition = this.queryFields[other][field]
+        return other !== type && otherDefinition?.enum &&
+          this.matchEnumValue(other, otherDefinition.enum, raw) !== undefined
+      })
+      if (acceptedElsewhere) return null
+
+      throw fail(`字段 ${field} 的取值无效: ${raw}`)
+    }
+
+    switch (definition.match) {
+      case 'regex':
+        return { [definition.filter]: escapeRegex(raw) }
+      case 'exact-i':
+        return { [definition.filter]: new RegExp(`^${escapeRegex(raw)}$`, 'i') }
+      case 'region': {
+        const region = gazetteer.resolve(raw)
+        if (!region) throw fail(`未知的行政区划: ${raw}`)
+        return { [definition.filter]: region }
+      }
+      case 'near': {
+        const near = this.parseNear(raw)
+        if (!near) {
+          throw fail(`字段 ${field} 的取值应为地名或"经度,纬度"，可附加半径（如 @5km，最大 ${this.geo.maxRadius}km）`)
+        }
+        return { [definition.filter]: near }
+      }
+      case 'boolean': {
+        const flag = BOOLEAN_VALUES[raw.toLowerCase()]
+        if (flag === undefined) throw fail(`字段 ${field} 的取值应为 true 或 false`)
+        return { [definition.filter]: flag }
+      }
+      case 'ip': {
+        const filters = resolveIpFilter(definition.filter, raw)
+        if (!filters) throw fail(`字段 ${field} 的取值应为 IPv4 地址或 CIDR 网段（如 10.0.0.0/8）`)
+        return filters
+      }
+      default: {
+        // 过滤器声明了取值规范化时（如证书指纹）按其转换
+        const { normalize, format } = this.entityTypes[type].filters[definition.filter] || {}
+        if (!normalize) return { [definition.filter]: raw }
+
+        const normalized = normalize(raw)
+        if (normalized === null || normalized === undefined) throw fail(`字段 ${field} 的取值应为${format || '有效值'}`)
+        return { [definition.filter]: normalized }
+      }
+    }
+  }
+
+  /**
+   * 解析接口的地理过滤参数
+   * @param {Object} params - { region, near, radius }
+   * @returns {{filters: Object, error: string|null}} filters 可直接传给 searchTypes
+   */
+  resolveFilterParams({ region, near, radius } = {}) {
+    const filters = {}
+
+    // region=广东深圳
+    if (region) {
+      filters.region = gazetteer.resolve(region)
+      if (!filters.region) return { filters, error: `未知的行政区划: ${region}` }
+    }
+
+    // near=南山区 或 near=113.93,22.53，radius=5（km）
+    if (near) {
+      filters.near = this.parseNear(near, radius)
+      if (!filters.near) {
+        return { filters, error: `near 应为地名或"经度,纬度"，radius 为不超过${this.geo.maxRadius}的公里数` }
+      }
+    }
+
+    return { filters, error: null }
+  }
+
+  /**
+   * 解析接口的结构化过滤参数（高级搜索的 filters，键名与分面的过滤器参数一致）
+   * 范围参数（xxxFrom / xxxTo）按字段类型转换，写法同查询语法，如 founded 的 2010、created 的 2020-06
+   * @param {Object} params - 如 { industry: ['IT', '金融'], foundedYearFrom: '2010' }
+   * @returns {{filters: Object, error: string|null}} filters 可直接传给 searchTypes
+   */
+  resolveFacetFilters(params = {}) {
+    const filters = {}
+
+    for (const [key, raw] of Object.entries(params)) {
+      const definition = this.filterParams()[key]
+      if (!definition) {
+        return { filters, error: `不支持的过滤参数: ${key}` }
+      }
+
+      const values = (Array.isArray(raw) ? raw : [raw]).map(value => String(value ?? '').trim())
+      if (!values.length || values.some(value => !value) || (!definition.multiple && values.length > 1)) {
+        return { filters, error: `过滤参数 ${key} 的取值无效` }
+      }
+
+      if (definition.range) {
+        const value = parseBound(definition.range, values[0], definition.side, false)
+        if (value === undefined) return { filters, error: `过滤参数 ${key} 的取值无效` }
+        filters[key] = value
+      } else if (definition.regex) {
+        filters[key] = escapeRegex(values[0])
+      } else if (definition.ip) {
+        const ipFilters = resolveIpFilter(key, values[0])
+        if (!ipFilters) return { filters, error: `过滤参数 ${key} 的取值应为 IPv4 地址或 CIDR 网段` }
+        Object.assign(filters, ipFilters)
+      } else if (definition.normalize) {
+        const normalized = definition.normalize(values[0])
+        if (normalized === null || normalized === undefined) {
+          return { filters, error: `过滤参数 ${key} 的取值应为${definition.format || '有效值'}` }
+        }
+        filters[key] = normalized
+      } else if (definition.boolean) {
+        const flag = BOOLEAN_VALUES[values[0].toLowerCase()]
+        if (flag === undefined) return { filters, error: `过滤参数 ${key} 的取值应为 true 或 false` }
+        filters[key] = flag
+      } else {
+        filters[key] = definition.multiple ? values : values[0]
+      }
+    }
+
+    return { filters, error: null }
+  }
+
+  /**
+   * 接口结构化过滤参数（由各实体类型的过滤器声明生成，同名过滤器以先注册的类型为准）
+   * multiple: 可多选; regex: 模糊匹配; boolean: 布尔值; ip: IPv4 地址或 CIDR 网段;
+   * normalize: 取值规范化; range: 范围边界的取值类型（同查询语法），side 为 from/to
+   * 地理过滤器（region、near）由 resolveFilterParams 解析
+   * @returns {Object} 参数名 -> 定义
+   */
+  filterParams() {
+    const params = {}
+
+    for (const type of Object.values(this.entityTypes)) {
+      for (const [key, filter] of Object.entries(type.filters)) {
+        if (filter.range) {
+          params[`${key}From`] = params[`${key}From`] || { range: filter.range, side: 'from' }
+          params[`${key}To`] = params[`${key}To`] || { range: filter.range, side: 'to' }
+        } else if (!GEO_MATCHES.includes(filter.match)) {
+          params[key] = params[key] || {
+            multiple: filter.match === 'in' || filter.match === 'all',
+            regex: filter.match === 'regex',
+            boolean: filter.match === 'boolean',
+            ip: filter.match === 'ip',
+            normalize: filter.normalize,
+            format: filter.format
+          }
+        }
+      }
+    }
+
+    return params
+  }
+
+  /**
+   * 解析附近搜索条件
+   * @param {string} value - 地名或"经度,纬度"，可附加半径，如 "南山区@5km"、"113.93,22.53@800m"
+   * @param {string|number} [radius] - 半径（km），value 中未指定时使用
+   * @returns {{coordinates: number[], radius: number}|null} 半径单位为 km，无法识别时返回null
+   */
+  parseNear(value, radius) {
+    const match = String(value ?? '').trim().match(/^(.+?)(?:@(\d+(?:\.\d+)?)(km|m)?)?$/i)
+    if (!match) return null
+
+    const [, place, amount, unit] = match
+    const km = amount !== undefined
+      ? Number(amount) / (unit?.toLowerCase() === 'm' ? 1000 : 1)
+      : Number(radius ?? this.geo.defaultRadius)
+    if (!(km > 0 && km <= this.geo.maxRadius)) return null
+
+    const point = place.match(/^(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)$/)
+    const coordinates = point
+      ? [Number(point[1]), Number(point[2])]
+      : gazetteer.resolve(place)?.coordinates
+    if (!coordinates || Math.abs(coordinates[0]) > 180 || Math.abs(coordinates[1]) > 90) return null
+
+    return { coordinates, radius: km }
+  }
+
+  /**
+   * 按模型枚举匹配取值（忽略大小写）
+   * @returns {string|undefined} 规范化后的枚举值
+   */
+  matchEnumValue(type, path, raw) {
+    const values = this.entityTypes[type].model.schema?.path(path)?.enumValues || []
+    return values.find(item => item.toLowerCase() === raw.toLowerCase())
+  }
+
+  /**
+   * 生成结果的高亮片段
+   * @param {Object} source - 实体类型的检索条件（见 prepareSource）
+   * @param {Object} doc - 文档
+   * @param {Object|boolean} options - 高亮参数，false 表示不生成
+   * @returns {Object|undefined}
+   */
+  highlightDocument(source, doc, options) {
+    if (options === false || !source.highlightKeywords) return undefined
+    return searchHighlighter.highlight(source.type, doc, source.highlightKeywords, options)
+  }
+
+  /**
+   * 分面统计
+   * @param {string} type - 实体类型
+   * @param {Object} conditions - 已编译的查询条件（不含过滤器）
+   * @param {Object} filters - 当前选中的过滤器
+   */
+  async getFacets(type, conditions, filters) {
+    const { value } = await searchCache.wrap('facets', { type, conditions, filters }, [type], () =>
+      searchFacets.compute(
+        type,
+        conditions,
+        filters,
+        otherFilters => this.buildFilters(type, otherFilters)
+      )
+    )
+
+    return value
+  }
+
+  /**
+   * 可用的过滤维度及取值（全部记录的分面统计）
+   * @param {string[]} [types] - 实体类型
+   * @returns {Promise<{data: Object, cacheKey: string}>} data: 实体类型 -> 分面
+   */
+  async getFilterOptions(types = Object.keys(this.entityTypes)) {
+    const { value, cacheKey } = await searchCache.wrap('facets', { options: types }, types, async () => {
+      const facets = await Promise.all(types.map(type => this.getFacets(type, {}, {})))
+      return Object.fromEntries(types.map((type, i) => [type, facets[i]]))
+    })
+
+    return { data: value, cacheKey }
+  }
+
+  /**
+   * 统计查询匹配的记录数（过滤条件与搜索一致，含默认过滤器）
+   * @param {string} type - 实体类型
+   * @param {string} query - 搜索关键词（支持结构化查询语法）
+   * @param {Object} [filters] - 过滤器
+   * @returns {Promise<number>}
+   * @throws {QuerySyntaxError} 查询语法错误
+   */
+  async countMatches(type, query, filters = {}) {
+    const source = await this.prepareSource(type, query, filters)
+    return this.entityTypes[type].model.countDocuments(source.conditions)
+  }
+
+  /**
+   * 按实体类型的过滤器声明将过滤器构建为数据库条件（全文词项由 parseQuery 编译，不在此处理）
+   * 未声明的过滤器忽略；实体类型没有地理位置时，地理过滤条件下不产生结果（与查询中的 region:、near: 一致）
+   */
+  buildFilters(type, filters = {}) {
+    const declared = this.entityTypes[type].filters
+    const conditions = {}
+
+    for (const [key, filter] of Object.entries(declared)) {
+      if (filter.range) {
+        // 范围过滤（xxxFrom / xxxTo，均为闭区间）
+        applyRange(conditions, filter.path, filters[`${key}From`], filters[`${key}To`])
+        continue
+      }
+
+      const value = filters[key]
+
+      switch (filter.match) {
+        case 'in':
+        case 'all':
+          if (value) conditions[filter.path] = Array.isArray(value) ? { [`$${filter.match}`]: value } : value
+          break
+        case 'regex':
+          if (value) conditions[filter.path] = { $regex: value, $options: 'i' }
+          break
+        case 'boolean':
+          if (value !== undefined && value !== '') conditions[filter.path] = value === true || value === 'true'
+          break
+        case 'ip':
+          if (value) conditions[filter.path] = value
+          // CIDR 网段（xxxRange 为 ipRange.parse 的结果）
+          if (filters[`${key}Range`]) {
+            const range = filters[`${key}Range`]
+            conditions[filter.numberPath] = { $gte: range.start, $lte: range.end }
+          }
+          break
+        case 'region':
+          // 行政区划（gazetteer.resolve 的结果），按其层级匹配省/市/区县
+          for (const level of ['province', 'city', 'district']) {
+            if (value?.[level]) conditions[`${filter.path}.${level}`] = value[level]
+          }
+          break
+        case 'near':
+          // 中心点半径范围内（{ coordinates, radius }，半径单位 km）
+          if (value) {
+            conditions[filter.path] = {
+              $geoWithin: { $centerSphere: [value.coordinates, value.radius / EARTH_RADIUS_KM] }
+            }
+          }
+          break
+        default:
+          if (value) conditions[filter.path] = value
+      }
+    }
+
+    if (!this.entityTypes[type].geo && (filters.region || filters.near)) return MATCH_NONE
+
+    // 限定在指定记录内（保存的搜索提醒只匹配新增记录）
+    if (filters.ids) {
+      conditions._id = { $in: filters.ids }
+    }
+
+    return conditions
+  }
+
+  /**
+   * 有效的实体类型（未指定时为全部类型）
+   */
+  resolveTypes(types) {
+    const known = (types || []).filter(type => this.entityTypes[type])
+    return known.length ? [...new Set(known)] : Object.keys(this.entityTypes)
+  }
+
+  /**
+   * 规范化分页参数
+   * @returns {{page: number, pageSize: number}}
+   */
+  normalizePaging({ page, pageSize } = {}) {
+    return {
+      page: Math.max(parseInt(page) || 1, 1),
+      pageSize: Math.min(Math.max(parseInt(pageSize) || this.paging.defaultPageSize, 1), this.paging.maxPageSize)
+    }
+  }
+
+  /**
+   * 正则匹配命中的 textFields（倒排索引不可用时，相关性为命中字段的权重之和）
+   * @param {string} type - 实体类型
+   * @param {Object} doc - 文档
+   * @param {string} pattern - 已转义的正则表达式
+   * @returns {string[]} 字段路径
+   */
+  matchPattern(type, doc, pattern) {
+    if (!pattern) return []
+
+    const regex = new RegExp(pattern, 'i')
+
+    return this.entityTypes[type].textFields.filter(field => {
+      const value = getFieldValue(doc, field)
+      const values = Array.isArray(value) ? value : [value]
+      return values.some(item => typeof item === 'string' && regex.test(item))
+    })
+  }
+
+  /**
+   * 搜索建议（输入联想，见 services/autocomplete）
+   * @param {string} query - 已输入的文本
+   * @param {number} [limit=5] - 建议数量
+   * @param {string[]} [types] - 建议类型（query/enterprise/website）
+   * @returns {Promise<{suggestions: Array, cacheKey: string|null}>} 获取失败时返回空列表，不带 cacheKey
+   */
+  async getSuggestions(query, limit = 5, types) {
+    try {
+      const { value, cacheKey } = await searchCache.wrap(
+        'suggestions',
+        { query: searchCache.normalizeQuery(query), limit: Number(limit), types },
+        Object.keys(this.entityTypes),
+        () => autocomplete.suggest(query, { limit, types })
+      )
+
+      return { suggestions: value, cacheKey }
+    } catch (error) {
+      logger.error('搜索建议获取失败:', error)
+      return { suggestions: [], cacheKey: null }
+    }
+  }
+}
+
+// 不匹配任何文档的条件
+const MATCH_NONE = { _id: { $exists: false } }
+
+// 相关性排序的命中层级（排序键的 tier）
+const MATCH_TIERS = ['exact', 'fuzzy', 'unmatched']
+
+// 布尔字段可接受的写法
+const BOOLEAN_VALUES = {
+  true: true, yes: true, 1: true,
+  false: false, no: false, 0: false
+}
+
+// 地理过滤器的匹配方式（由 resolveFilterParams 解析，不属于结构化过滤参数）
+const GEO_MATCHES = ['region', 'near']
+
+/**
+ * 按路径读取字段值（如 contact.address）
+ */
+function getFieldValue(doc, path) {
+  return path.split('.').reduce((value, key) => value?.[key], doc)
+}
+
+/**
+ * 有序数组中第一个满足条件的位置（条件对数组单调）
+ */
+function sortedIndex(items, predicate) {
+  let low = 0
+  let high = items.length
+
+  while (low < high) {
+    const mid = (low + high) >> 1
+    if (predicate(items[mid])) high = mid
+    else low = mid + 1
+  }
+
+  return low
+}
+
+/**
+ * 各实体类型的结果数
+ */
+function countByType(sources, keys) {
+  const counts = Object.fromEntries(sources.map(({ type }) => [type, 0]))
+  for (const key of keys) counts[key.type]++
+  return counts
+}
+
+/**
+ * IP 过滤器：单个地址为 key 的精确匹配，网段为 keyRange 的范围匹配（见 buildFilters）
+ * @returns {Object|null} 格式无效时返回 null
+ */
+function resolveIpFilter(key, raw) {
+  const range = ipRange.parse(raw)
+  if (!range) return null
+
+  return range.prefix === 32
+    ? { [key]: ipRange.toAddress(range.start) }
+    : { [`${key}Range`]: range }
+}
+
+/**
+ * 转义正则特殊字符
+ */
+function escapeRegex(text) {
+  return String(text || '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * 同义词构造为语法树节点，多词项的同义词按短语匹配（要求词序相邻）
+ */
+function toTextNode(value) {
+  const type = analyzer.tokenize(value, 'query').length > 1 ? 'phrase' : 'term'
+  return { type, value }
+}
+
+/**
+ * 合并查询条件（忽略空条件）
+ */
+function mergeConditions(...conditions) {
+  const parts = conditions.filter(item => item && Object.keys(item).length)
+  if (parts.length <= 1) return parts[0] || {}
+  return { $and: parts }
+}
+
+/**
+ * 写入范围条件
+ */
+function applyRange(conditions, path, from, to) {
+  const range = {}
+  if (from !== undefined && from !== null && from !== '') range.$gte = from
+  if (to !== undefined && to !== null && to !== '') range.$lte = to
+  if (Object.keys(range).length) conditions[path] = range
+}
+
+/**
+ * 解析范围边界
+ * 日期按精度取区间：下限取起始时刻，上限取结束时刻（如 2020 的上限为 2020-12-31 23:59:59.999）
+ * @param {string} kind - integer/date
+ * @param {string|null} raw - 原始取值，null 表示不限
+ * @param {string} side - from/to
+ * @param {boolean} exclusive - 是否为开区间（> 或 <）
+ * @returns {number|Date|null|undefined} 无效取值返回 undefined
+ */
+function parseBound(kind, raw, side, exclusive) {
+  if (raw === null) return null
+
+  if (kind === 'integer') {
+    if (!/^-?\d+$/.test(raw)) return undefined
+    const value = parseInt(raw, 10)
+    if (!exclusive) return value
+    return side === 'from' ? value + 1 : value - 1
+  }
+
+  const match = raw.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/)
+  if (!match) return undefined
+
+  const year = parseInt(match[1], 10)
+  const month = match[2] ? parseInt(match[2], 10) - 1 : null
+  const day = match[3] ? parseInt(match[3], 10) : null
+
+  if (month !== null && (month < 0 || month > 11)) return undefined
+
+  const start = new Date(year, month ?? 0, day ?? 1)
+  if (day !== null && start.getDate() !== day) return undefined
+
+  // 下一区间的起始时刻
+  const next = day !== null
+    ? new Date(year, month, day + 1)
+    : month !== null ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1)
+
+  // 开区间: > 取下一区间起始，< 取本区间开始之前
+  if (side === 'from') {
+    return exclusive ? next : start
+  }
+  return new Date((exclusive ? start : next).getTime() - 1)
+}
+
 module.exports = new SearchService()
\ No newline at end of file
@@ -0,0 +1,400 @@
+// server/services/searchAlerts.js
+const crypto = require('crypto')
+const axios = require('axios')
+const { logger } = require('../utils/logger')
+const { SavedSearch, Notification } = require('../models')
+const searchService = require('./search')
+const searchTypes = require('./searchTypes')
+const mailer = require('./mailer')
+const publicHost = require('../utils/publicHost')
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+// 邮件/Webhook 摘要的最短发送间隔
+const FREQUENCY_INTERVALS = {
+  instant: 0,
+  hourly: HOUR,
+  daily: DAY,
+  weekly: 7 * DAY
+}
+
+/**
+ * 保存的搜索提醒
+ * 定期查找各实体类型的新记录（如新审核通过的企业、新爬取成功的网站），按开启提醒的保存的搜索匹配后生成通知；
+ * 站内通知即时可见，邮件/Webhook 按提醒频率汇总发送
+ */
+class SearchAlertService {
+  constructor() {
+    this.config = {
+      interval: 60 * 1000, // 检查间隔
+      maxCandidates: 5000, // 每次检查每种类型的新记录上限，超出部分下次处理
+      maxMatches: 200, // 每个提醒每次检查的匹配上限
+      digestSize: 50, // 摘要中列出的记录数
+      webhookTimeout: 10000,
+      appUrl: process.env.APP_URL || 'http://localhost:5173'
+    }
+
+    // 进行中的检查（定时任务与手动触发共享同一次执行）
+    this.running = null
+
+    // 定期检查新匹配并发送摘要
+    setInterval(() => {
+      this.run().catch(error => logger.error('保存的搜索提醒检查失败:', error))
+    }, this.config.interval).unref()
+  }
+
+  /**
+   * 检查新匹配并发送到期的摘要
+   * @returns {Promise<{matched: number, delivered: number}>}
+   */
+  async run() {
+    if (!this.running) {
+      this.running = this.runOnce().finally(() => {
+        this.running = null
+      })
+    }
+
+    return this.running
+  }
+
+  async runOnce() {
+    const now = new Date()
+    const matched = await this.matchAlerts(now)
+    const delivered = await this.deliverDigests(now)
+
+    if (matched || delivered) {
+      logger.info('保存的搜索提醒检查完成', { matched, delivered })
+    }
+
+    return { matched, delivered }
+  }
+
+  /**
+   * 为开启提醒的保存的搜索匹配新记录并生成通知
+   * 每个提醒只匹配其 checkedAt 之后的新记录，匹配后推进 checkedAt；
+   * 静音期间同样推进，恢复后不补发静音期间的记录
+   * @returns {Promise<number>} 新生成的通知数
+   */
+  async matchAlerts(now) {
+    const searches = await SavedSearch.find({ 'alert.enabled': true })
+    if (!searches.length) return 0
+
+    const since = new Date(Math.min(...searches.map(search => (search.alert.checkedAt || now).getTime())))
+    const { candidates, until } = await this.findCandidates(since, now)
+
+    let created = 0
+    const operations = []
+
+    for (const search of searches) {
+      const { alert } = search
+      const update = { 'alert.checkedAt': until }
+
+      if (alert.muted && alert.mutedUntil && alert.mutedUntil <= now) {
+        // 静音到期自动恢复
+        update['alert.muted'] = false
+        update['alert.mutedUntil'] = null
+      } else if (alert.muted) {
+        operations.push({ updateOne: { filter: { _id: search._id }, update: { $set: update } } })
+        continue
+      }
+
+      try {
+        created += await this.matchAlert(search, candidates)
+        operations.push({ updateOne: { filter: { _id: search._id }, update: { $set: update } } })
+      } catch (error) {
+        // 不推进 checkedAt，下次重新匹配
+        logger.error(`保存的搜索提醒匹配失败: ${search._id}`, error)
+      }
+    }
+
+    if (operations.length) {
+      await SavedSearch.bulkWrite(operations, { ordered: false })
+    }
+
+    return created
+  }
+
+  /**
+   * 查找时间范围内各实体类型的新记录（类型定义的 alertCandidates，如新审核通过的企业、新爬取成功的网站）
+   * 新记录超出上限时截止到已取得的最后一条记录的时间
+   * @returns {Promise<{candidates: Array<{type, id, time}>, until: Date}>}
+   */
+  async findCandidates(since, now) {
+    const limit = this.config.maxCandidates
+    const types = this.alertTypes()
+    const lists = await Promise.all(types.map(type => searchTypes.get(type).alertCandidates(since, now, limit)))
+
+    const candidates = []
+    let until = now
+    lists.forEach((docs, index) => {
+      candidates.push(...docs.map(doc => ({ type: types[index], id: doc.id, time: doc.time })))
+
+      if (docs.length >= limit) {
+        const { time } = docs[docs.length - 1]
+        if (time < until) until = time
+      }
+    })
+
+    return {
+      candidates: candidates.filter(candidate => candidate.time <= until),
+      until
+    }
+  }
+
+  /**
+   * 参与提醒的实体类型（定义了 alertCandidates 的类型，按注册顺序）
+   */
+  alertTypes() {
+    return searchTypes.names().filter(type => searchTypes.get(type).alertCandidates)
+  }
+
+  /**
+   * 用保存的搜索的查询及过滤条件筛选新记录并生成通知（同一记录只通知一次）
+   * @returns {Promise<number>} 新生成的通知数
+   */
+  async matchAlert(search, candidates) {
+    const { alert } = search
+    const { channels } = alert
+    if (!channels.inApp && !channels.email && !channels.webhook) return 0
+
+    const alertTypes = this.alertTypes()
+    const filterTypes = search.filters?.types
+    const allowedTypes = filterTypes
+      ? String(filterTypes).split(',').filter(type => alertTypes.includes(type))
+      : alertTypes
+    const fresh = candidates.filter(candidate =>
+      candidate.time > alert.checkedAt && allowedTypes.includes(candidate.type))
+    if (!fresh.length) return 0
+
+    const types = alertTypes.filter(type => fresh.some(candidate => candidate.type === type))
+    const { filters, error } = searchService.resolveFilterParams(search.filters || {})
+    if (error) {
+      logger.warn(`保存的搜索过滤条件无效，跳过提醒: ${search._id} ${error}`)
+      return 0
+    }
+
+    const result = await searchService.searchTypes(search.query || '', types, {
+      filters: { ...filters, ids: fresh.map(candidate => candidate.id) },
+      pageSize: this.config.maxMatches,
+      facets: false,
+      highlight: false,
+      profile: search.profile
+    })
+
+    const notifications = result.data.map(doc => ({
+      user: search.user,
+      savedSearch: search._id,
+      entityType: doc._type || types[0],
+      entityId: doc._id,
+      title: String(doc.name || doc.title || doc.domain || '').slice(0, 200),
+      searchName: search.name,
+      inApp: channels.inApp,
+      pending: { email: channels.email, webhook: channels.webhook }
+    }))
+
+    return this.insertNotifications(notifications)
+  }
+
+  /**
+   * 批量写入通知（已通知过的记录忽略）
+   */
+  async insertNotifications(notifications) {
+    if (!notifications.length) return 0
+
+    try {
+      const docs = await Notification.insertMany(notifications, { ordered: false })
+      return docs.length
+    } catch (error) {
+      const writeErrors = error.writeErrors || []
+      if (writeErrors.length && writeErrors.every(item => (item.err?.code ?? item.code) === 11000)) {
+        return notifications.length - writeErrors.length
+      }
+      throw error
+    }
+  }
+
+  /**
+   * 发送到期的邮件/Webhook 摘要
+   * 发送失败的渠道保留待发送状态，下次检查时重试
+   * @returns {Promise<number>} 发送的摘要数
+   */
+  async deliverDigests(now) {
+    const searchIds = await Notification.distinct('savedSearch', {
+      $or: [{ 'pending.email': true }, { 'pending.webhook': true }]
+    })
+    if (!searchIds.length) return 0
+
+    const searches = await SavedSearch.find({ _id: { $in: searchIds } }).populate('user', 'name email')
+    const found = new Set(searches.map(search => search._id.toString()))
+
+    // 保存的搜索已删除的通知不再发送
+    const orphaned = searchIds.filter(id => !found.has(id.toString()))
+    if (orphaned.length) {
+      await Notification.updateMany(
+        { savedSearch: { $in: orphaned } },
+        { $set: { 'pending.email': false, 'pending.webhook': false } }
+      )
+    }
+
+    let delivered = 0
+
+    for (const search of searches) {
+      try {
+        delivered += await this.deliverDigest(search, now)
+      } catch (error) {
+        logger.error(`保存的搜索提醒发送失败: ${search._id}`, error)
+      }
+    }
+
+    return delivered
+  }
+
+  /**
+   * 发送一个保存的搜索的摘要（未到发送时间或静音时跳过）
+   * @returns {Promise<number>} 发送成功的渠道数
+   */
+  async deliverDigest(search, now) {
+    const { alert } = search
+    const channels = {
+      email: alert.enabled && alert.channels.email && !!search.user?.email,
+      webhook: alert.enabled && alert.channels.webhook && !!alert.webhookUrl
+    }
+
+    // 关闭的渠道不再发送
+    for (const channel of ['email', 'webhook']) {
+      if (!channels[channel]) {
+        await Notification.updateMany(
+          { savedSearch: search._id, [`pending.${channel}`]: true },
+          { $set: { [`pending.${channel}`]: false } }
+        )
+      }
+    }
+
+    if (!channels.email && !channels.webhook) return 0
+    if (alert.muted && (!alert.mutedUntil || alert.mutedUntil > now)) return 0
+
+    const interval = FREQUENCY_INTERVALS[alert.frequency] ?? DAY
+    if (alert.deliveredAt && now - alert.deliveredAt < interval) return 0
+
+    let delivered = 0
+
+    for (const channel of ['email', 'webhook']) {
+      if (!channels[channel]) continue
+
+      const notifications = await Notification.find({ savedSearch: search._id, [`pending.${channel}`]: true })
+        .sort({ createdAt: -1 })
+        .lean()
+      if (!notifications.length) continue
+
+      try {
+        if (channel === 'email') {
+          await this.sendEmail(search, notifications)
+        } else {
+          await this.sendWebhook(search, notifications, now)
+        }
+
+        await Notification.updateMany(
+          { _id: { $in: notifications.map(item => item._id) } },
+          { $set: { [`pending.${channel}`]: false } }
+        )
+        delivered++
+      } catch (error) {
+        logger.warn(`保存的搜索提醒${channel === 'email' ? '邮件' : ' Webhook '}发送失败: ${search._id} ${error.message}`)
+      }
+    }
+
+    if (delivered) {
+      await SavedSearch.updateOne({ _id: search._id }, { $set: { 'alert.deliveredAt': now } })
+    }
+
+    return delivered
+  }
+
+  /**
+   * 发送邮件摘要
+   */
+  async sendEmail(search, notifications) {
+    const listed = notifications.slice(0, this.config.digestSize)
+    const lines = listed.map(item =>
+      `- [${searchTypes.get(item.entityType)?.label || item.entityType}] ${item.title} ${this.entityUrl(item)}`)
+
+    if (notifications.length > listed.length) {
+      lines.push(`……等共 ${notifications.length} 条`)
+    }
+
+    await mailer.send({
+      to: search.user.email,
+      subject: `保存的搜索「${search.name}」有 ${notifications.length} 条新结果`,
+      text: [
+        `${search.user.name || ''} 您好，`,
+        '',
+        `保存的搜索「${search.name}」${search.query ? `（${search.query}）` : ''}有新的匹配结果：`,
+        '',
+        ...lines,
+        '',
+        `管理提醒设置：${this.config.appUrl}/search`
+      ].join('\n')
+    })
+  }
+
+  /**
+   * 发送 Webhook
+   * 请求头 X-Alert-Signature 为 sha256=HMAC-SHA256(webhookSecret, `${X-Alert-Timestamp}.${请求体}`)
+   */
+  async sendWebhook(search, notifications, now) {
+    const body = JSON.stringify({
+      event: 'saved_search.matches',
+      savedSearch: {
+        id: search._id,
+        name: search.name,
+        query: search.query,
+        filters: search.filters
+      },
+      total: notifications.length,
+      matches: notifications.slice(0, this.config.digestSize).map(item => ({
+        type: item.entityType,
+        id: item.entityId,
+        title: item.title,
+        url: this.entityUrl(item),
+        matchedAt: item.createdAt
+      })),
+      sentAt: now.toISOString()
+    })
+    const timestamp = Math.floor(now.getTime() / 1000).toString()
+
+    // 发送前重新校验地址，连接时再校验解析结果（保存后域名可能改为解析到内网）
+    await publicHost.assertPublicUrl(search.alert.webhookUrl)
+
+    await axios.post(search.alert.webhookUrl, body, {
+      timeout: this.config.webhookTimeout,
+      maxRedirects: 0,
+      httpAgent: publicHost.httpAgent,
+      httpsAgent: publicHost.httpsAgent,
+      // 不经代理直连，连接时校验的才是目标地址
+      proxy: false,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'EnterpriseCatalog-Alerts/1.0',
+        'X-Alert-Timestamp': timestamp,
+        'X-Alert-Signature': `sha256=${sign(search.alert.webhookSecret, `${timestamp}.${body}`)}`
+      }
+    })
+  }
+
+  /**
+   * 记录在前端的搜索地址
+   */
+  entityUrl(notification) {
+    return `${this.config.appUrl}/search?q=${encodeURIComponent(notification.title)}`
+  }
+}
+
+/**
+ * HMAC-SHA256 签名（十六进制）
+ */
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex')
+}
+
+module.exports = new SearchAlertService()
\ No newline at end of file
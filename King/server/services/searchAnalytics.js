@@ -0,0 +1,438 @@
+// server/services/searchAnalytics.js
+const mongoose = require('mongoose')
+const { SearchEvent } = require('../models')
+const spellcheck = require('./spellcheck')
+const searchTypes = require('./searchTypes')
+const LRUCache = require('../utils/lruCache')
+
+const HOUR = 60 * 60 * 1000
+const DAY = 24 * HOUR
+
+// 统计时间粒度
+const INTERVALS = {
+  hour: { ms: HOUR, format: '%Y-%m-%dT%H:00' },
+  day: { ms: DAY, format: '%Y-%m-%d' }
+}
+
+class SearchAnalyticsService {
+  constructor() {
+    this.config = {
+      maxBatchSize: 50, // 单次上报的事件数上限
+      maxQueryLength: 200,
+      maxFiltersSize: 2000, // 过滤条件序列化后的长度上限
+      maxLatency: 60 * 1000,
+      maxClockSkew: DAY, // 客户端事件时间与服务端的最大偏差，超出时以服务端时间为准
+      defaultRange: 7 * DAY,
+      maxBuckets: 1000, // 耗时分位数的时间分组上限
+      timezone: 'Asia/Shanghai',
+      percentiles: [50, 90, 95, 99],
+      maxServedSearches: 20000, // 保留返回结果的搜索数
+      servedTTL: 30 * 60 * 1000 // 搜索返回后计入点击数的时限
+    }
+
+    // 搜索ID -> { owner, ids }：服务端为该搜索返回的结果，点击只有命中这些结果才计入结果的点击数
+    this.served = new LRUCache({ maxEntries: this.config.maxServedSearches, ttl: this.config.servedTTL })
+  }
+
+  /**
+   * 记录搜索返回的结果（点击计数的依据）
+   * 同一搜索ID只记录第一次，避免重复请求刷新可计数的结果
+   * @param {string} searchId - 客户端生成的搜索ID（请求头 X-Search-Id）
+   * @param {Object} response - 统一搜索的响应
+   * @param {string} owner - 登录用户ID或客户端IP，点击须来自同一用户/IP
+   */
+  recordServed(searchId, response, owner) {
+    if (!isSearchId(searchId) || this.served.get(searchId)) return
+
+    const ids = Object.values(response.data || {})
+      .flatMap(group => group.data || [])
+      .filter(item => item._id)
+      .map(item => String(item._id))
+
+    this.served.set(searchId, { owner: String(owner), ids: new Set(ids) })
+  }
+
+  /**
+   * 点击的结果是否由该搜索返回给同一用户/IP，每个结果只计一次
+   */
+  consumeServed(searchId, resultId, owner) {
+    const served = this.served.get(searchId)
+    if (!served || served.owner !== String(owner) || !served.ids.has(resultId)) return false
+
+    served.ids.delete(resultId)
+    return true
+  }
+
+  /**
+   * 写入客户端上报的事件
+   * search: { searchId, query, filters, types, mode, page, pageSize, resultCount, latency, timestamp }
+   * click: { searchId, position, resultType, resultId, timestamp }
+   * 点击只记入同一用户/会话的搜索，同一位置重复点击只记一次；
+   * 只有服务端为该搜索返回过的结果（见 recordServed）才计入结果的点击数
+   * @param {Object[]} events - 事件列表
+   * @param {Object} context
+   * @param {string} [context.userId] - 登录用户
+   * @param {string} [context.sessionId] - 匿名会话ID
+   * @param {string} [context.owner] - 登录用户ID或客户端IP（与 recordServed 一致）
+   * @returns {Promise<{searches: number, clicks: number, rejected: number}>}
+   */
+  async ingest(events, { userId, sessionId, owner } = {}) {
+    const now = Date.now()
+    const searches = []
+    const clicks = []
+    let rejected = 0
+
+    for (const event of events.slice(0, this.config.maxBatchSize)) {
+      const normalized = event?.type === 'search'
+        ? this.normalizeSearch(event, now)
+        : event?.type === 'click' ? this.normalizeClick(event, now) : null
+
+      if (!normalized) rejected++
+      else if (event.type === 'search') searches.push({ ...normalized, user: userId, sessionId })
+      else clicks.push(normalized)
+    }
+    rejected += Math.max(0, events.length - this.config.maxBatchSize)
+
+    // 先写入搜索，同一批次中的点击才能关联到搜索
+    const inserted = await this.insertSearches(searches)
+    const clicked = await this.recordClicks(clicks, { userId, sessionId, owner })
+
+    return { searches: inserted, clicks: clicked, rejected }
+  }
+
+  /**
+   * 批量写入搜索事件（重复上报的搜索ID忽略）
+   */
+  async insertSearches(searches) {
+    if (!searches.length) return 0
+
+    try {
+      const docs = await SearchEvent.insertMany(searches, { ordered: false })
+      return docs.length
+    } catch (error) {
+      const writeErrors = error.writeErrors || []
+      if (writeErrors.length && writeErrors.every(item => (item.err?.code ?? item.code) === 11000)) {
+        return searches.length - writeErrors.length
+      }
+      throw error
+    }
+  }
+
+  /**
+   * 记录结果点击，并计入结果的点击数（排序方案的热度加权）
+   */
+  async recordClicks(clicks, { userId, sessionId, owner }) {
+    let recorded = 0
+
+    for (const click of clicks) {
+      const searchOwner = userId ? { user: userId } : { sessionId, user: { $exists: false } }
+      const { modifiedCount } = await SearchEvent.updateOne(
+        { searchId: click.searchId, ...searchOwner, 'clicks.position': { $ne: click.position } },
+        {
+          $push: {
+            clicks: {
+              position: click.position,
+              resultType: click.resultType,
+              resultId: click.resultId,
+              clickedAt: click.clickedAt
+            }
+          }
+        }
+      )
+
+      if (!modifiedCount) continue
+      recorded++
+
+      // 点击计数用于排序的热度加权：只计服务端为该搜索返回过的结果，模型未提供计数方法的类型不计
+      if (click.resultType && click.resultId && this.consumeServed(click.searchId, click.resultId, owner)) {
+        const { model } = searchTypes.get(click.resultType)
+        if (typeof model.incrementCounters === 'function') {
+          await model.incrementCounters(click.resultId, { clicks: 1 })
+        }
+      }
+    }
+
+    return recorded
+  }
+
+  /**
+   * 校验并规范化搜索事件
+   * @returns {Object|null} 无效时返回 null
+   */
+  normalizeSearch(event, now) {
+    if (!isSearchId(event.searchId)) return null
+
+    const query = typeof event.query === 'string'
+      ? event.query.trim().slice(0, this.config.maxQueryLength)
+      : ''
+    const filters = isPlainObject(event.filters) &&
+      JSON.stringify(event.filters).length <= this.config.maxFiltersSize
+      ? event.filters
+      : {}
+    const latency = Number(event.latency)
+
+    return {
+      searchId: event.searchId,
+      query,
+      normalizedQuery: spellcheck.normalizeQuery(query).slice(0, this.config.maxQueryLength),
+      filters,
+      types: Array.isArray(event.types)
+        ? [...new Set(event.types.filter(type => searchTypes.has(type)))]
+        : [],
+      mode: event.mode === 'merged' ? 'merged' : 'grouped',
+      page: toPositiveInteger(event.page) || 1,
+      pageSize: Math.min(toPositiveInteger(event.pageSize) || 20, 100),
+      resultCount: Math.max(0, parseInt(event.resultCount) || 0),
+      latency: latency >= 0 && latency <= this.config.maxLatency ? Math.round(latency) : undefined,
+      createdAt: this.eventTime(event.timestamp, now)
+    }
+  }
+
+  /**
+   * 校验并规范化点击事件
+   * @returns {Object|null} 无效时返回 null
+   */
+  normalizeClick(event, now) {
+    const position = toPositiveInteger(event.position)
+    if (!isSearchId(event.searchId) || !position) return null
+
+    const hasResult = searchTypes.has(event.resultType) &&
+      mongoose.Types.ObjectId.isValid(event.resultId)
+
+    return {
+      searchId: event.searchId,
+      position,
+      resultType: hasResult ? event.resultType : undefined,
+      resultId: hasResult ? String(event.resultId) : undefined,
+      clickedAt: this.eventTime(event.timestamp, now)
+    }
+  }
+
+  /**
+   * 事件时间（客户端时间偏差过大时使用服务端时间）
+   */
+  eventTime(timestamp, now) {
+    const time = new Date(timestamp).getTime()
+    return Number.isFinite(time) && Math.abs(now - time) <= this.config.maxClockSkew
+      ? new Date(time)
+      : new Date(now)
+  }
+
+  /**
+   * 解析统计时间范围，缺省为最近7天
+   * @param {Object} query - { from, to, interval }
+   * @returns {{from: Date, to: Date, interval: string}}
+   */
+  resolveRange({ from, to, interval } = {}) {
+    const end = to ? new Date(to) : new Date()
+    const start = from ? new Date(from) : new Date(end.getTime() - this.config.defaultRange)
+
+    return { from: start, to: end, interval: interval || 'day' }
+  }
+
+  /**
+   * 校验统计时间范围
+   * @returns {string|null} 错误信息
+   */
+  validateRange({ from, to, interval }) {
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) return 'from/to 应为有效的日期'
+    if (from >= to) return 'from 应早于 to'
+    if (!INTERVALS[interval]) return `interval 应为 ${Object.keys(INTERVALS).join('/')}`
+
+    const buckets = Math.ceil((to - from) / INTERVALS[interval].ms)
+    if (buckets > this.config.maxBuckets) {
+      return `时间范围过大：按${interval}统计时最多 ${this.config.maxBuckets} 个分组`
+    }
+
+    return null
+  }
+
+  /**
+   * 热门查询
+   * @returns {Promise<Array<{query: string, count: number, zeroResults: number, clicked: number, ctr: number, avgResults: number, avgLatency: number|null}>>}
+   */
+  async topQueries({ from, to }, limit = 20) {
+    const rows = await SearchEvent.aggregate([
+      { $match: { createdAt: { $gte: from, $lt: to }, normalizedQuery: { $ne: '' } } },
+      {
+        $group: {
+          _id: '$normalizedQuery',
+          count: { $sum: 1 },
+          zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+          clicked: { $sum: { $cond: [{ $gt: [{ $size: '$clicks' }, 0] }, 1, 0] } },
+          avgResults: { $avg: '$resultCount' },
+          avgLatency: { $avg: '$latency' }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit }
+    ])
+
+    return rows.map(({ _id, ...row }) => ({
+      query: _id,
+      ...row,
+      ctr: round(row.clicked / row.count),
+      avgResults: round(row.avgResults, 1),
+      avgLatency: row.avgLatency === null ? null : Math.round(row.avgLatency)
+    }))
+  }
+
+  /**
+   * 无结果查询
+   * @returns {Promise<Array<{query: string, count: number, sessions: number, lastSearchedAt: Date}>>}
+   */
+  async zeroResultQueries({ from, to }, limit = 20) {
+    const rows = await SearchEvent.aggregate([
+      { $match: { createdAt: { $gte: from, $lt: to }, resultCount: 0, normalizedQuery: { $ne: '' } } },
+      {
+        $group: {
+          _id: '$normalizedQuery',
+          count: { $sum: 1 },
+          sessions: { $addToSet: { $ifNull: ['$user', '$sessionId'] } },
+          lastSearchedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { count: -1, lastSearchedAt: -1 } },
+      { $limit: limit }
+    ])
+
+    return rows.map(({ _id, sessions, ...row }) => ({
+      query: _id,
+      ...row,
+      sessions: sessions.length
+    }))
+  }
+
+  /**
+   * 各结果位置的点击率：点击过该位置的搜索数 / 展示了该位置的搜索数
+   * @param {Object} range - { from, to }
+   * @param {number} [maxPosition=20] - 统计的最大位置
+   * @returns {Promise<Array<{position: number, impressions: number, clicks: number, ctr: number}>>}
+   */
+  async ctrByPosition({ from, to }, maxPosition = 20) {
+    const match = { createdAt: { $gte: from, $lt: to }, resultCount: { $gt: 0 } }
+
+    // 按页面起始位置及展示数量分组统计展示次数
+    const [pages, clicks] = await Promise.all([
+      SearchEvent.aggregate([
+        { $match: match },
+        { $project: { start: { $multiply: [{ $subtract: ['$page', 1] }, '$pageSize'] }, pageSize: 1, resultCount: 1 } },
+        { $match: { start: { $lt: maxPosition } } },
+        {
+          $group: {
+            _id: {
+              start: '$start',
+              shown: { $min: ['$pageSize', { $max: [0, { $subtract: ['$resultCount', '$start'] }] }] }
+            },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      SearchEvent.aggregate([
+        { $match: { ...match, 'clicks.0': { $exists: true } } },
+        { $unwind: '$clicks' },
+        { $match: { 'clicks.position': { $lte: maxPosition } } },
+        { $group: { _id: '$clicks.position', count: { $sum: 1 } } }
+      ])
+    ])
+
+    const impressions = new Array(maxPosition + 1).fill(0)
+    for (const { _id: { start, shown }, count } of pages) {
+      for (let position = start + 1; position <= Math.min(start + shown, maxPosition); position++) {
+        impressions[position] += count
+      }
+    }
+
+    const clickCounts = new Map(clicks.map(row => [row._id, row.count]))
+
+    return impressions.slice(1).map((count, index) => {
+      const position = index + 1
+      const clicked = clickCounts.get(position) || 0
+      return {
+        position,
+        impressions: count,
+        clicks: clicked,
+        ctr: count ? round(clicked / count) : 0
+      }
+    })
+  }
+
+  /**
+   * 响应耗时分位数（按小时/天分组）
+   * 耗时按 10ms（1秒以上按 100ms）取整后统计，分位数为所在区间的下限
+   * @returns {Promise<Array<{time: string, count: number, avg: number, p50: number, p90: number, p95: number, p99: number}>>}
+   */
+  async latencyPercentiles({ from, to, interval }) {
+    const rows = await SearchEvent.aggregate([
+      { $match: { createdAt: { $gte: from, $lt: to }, latency: { $gte: 0 } } },
+      {
+        $group: {
+          _id: {
+            time: {
+              $dateToString: {
+                date: '$createdAt',
+                format: INTERVALS[interval].format,
+                timezone: this.config.timezone
+              }
+            },
+            latency: {
+              $let: {
+                vars: { step: { $cond: [{ $lt: ['$latency', 1000] }, 10, 100] } },
+                in: { $subtract: ['$latency', { $mod: ['$latency', '$$step'] }] }
+              }
+            }
+          },
+          count: { $sum: 1 },
+          total: { $sum: '$latency' }
+        }
+      },
+      { $sort: { '_id.time': 1, '_id.latency': 1 } }
+    ])
+
+    // 同一时间分组的耗时区间已按升序排列
+    const groups = new Map()
+    for (const { _id: { time, latency }, count, total } of rows) {
+      if (!groups.has(time)) groups.set(time, { count: 0, total: 0, histogram: [] })
+      const group = groups.get(time)
+      group.count += count
+      group.total += total
+      group.histogram.push([latency, count])
+    }
+
+    return [...groups].map(([time, { count, total, histogram }]) => {
+      const result = { time, count, avg: Math.round(total / count) }
+
+      for (const percentile of this.config.percentiles) {
+        const rank = Math.ceil(count * percentile / 100)
+        let seen = 0
+        const bucket = histogram.find(([, bucketCount]) => (seen += bucketCount) >= rank)
+        result[`p${percentile}`] = bucket[0]
+      }
+
+      return result
+    })
+  }
+}
+
+/**
+ * 搜索ID（客户端生成的 UUID 等）
+ */
+function isSearchId(value) {
+  return typeof value === 'string' && /^[\w-]{8,64}$/.test(value)
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+function toPositiveInteger(value) {
+  const number = parseInt(value)
+  return number >= 1 ? number : null
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+module.exports = new SearchAnalyticsService()
\ No newline at end of file
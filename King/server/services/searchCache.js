@@ -0,0 +1,197 @@
+// server/services/searchCache.js
+const crypto = require('crypto')
+const { eventBus } = require('../utils/eventBus')
+const LRUCache = require('../utils/lruCache')
+const searchTypes = require('./searchTypes')
+
+const MINUTE = 60 * 1000
+
+/**
+ * 搜索结果缓存
+ * 搜索、输入联想及分面统计的结果按规范化的查询与过滤参数缓存在进程内 LRU 中，
+ * 企业/网站保存或删除时清除依赖该实体类型的条目；
+ * 响应携带 cacheKey、ETag 及 Cache-Control，客户端可按 cacheKey 缓存并发起条件请求
+ */
+class SearchCacheService {
+  constructor() {
+    this.config = {
+      maxEntries: 2000,
+      // 各类结果的缓存时间（同一实体类型的数据变更会提前失效）
+      ttl: {
+        search: MINUTE,
+        suggestions: 5 * MINUTE,
+        facets: 5 * MINUTE
+      },
+      // 响应的 Cache-Control max-age（秒）
+      maxAge: {
+        search: 30,
+        suggestions: 300,
+        facets: 300
+      }
+    }
+
+    this.cache = new LRUCache({ maxEntries: this.config.maxEntries })
+
+    // 进行中的计算（相同请求并发时共享同一次计算）：缓存键 -> { promise, tags }
+    this.pending = new Map()
+
+    // 各标签的失效次数（clear 计入 '*'），计算期间依赖的标签失效时不写入缓存
+    this.generations = new Map()
+
+    // 实体数据变更只影响包含该类型的结果
+    searchTypes.onRegister(type => {
+      eventBus.on(`${type}:saved`, () => this.invalidate(type))
+      eventBus.on(`${type}:removed`, () => this.invalidate(type))
+    })
+
+    // 同义词、排序方案影响所有搜索结果；相关搜索黑名单只影响搜索响应
+    eventBus.on('synonym:changed', () => this.clear())
+    eventBus.on('rankingProfile:changed', () => this.clear())
+    eventBus.on('relatedQueryBlacklist:changed', () => this.invalidate('search'))
+  }
+
+  /**
+   * 读取缓存，未命中时计算并写入
+   * 计算失败（如查询语法错误）或计算期间依赖的数据已变更（标签失效）时不缓存
+   * @param {string} namespace - search / suggestions / facets
+   * @param {Object} params - 决定结果的参数（查询应先经 normalizeQuery 规范化）
+   * @param {string[]} types - 结果依赖的实体类型
+   * @param {Function} compute - 计算结果，返回 Promise
+   * @returns {Promise<{value: any, cacheKey: string, hit: boolean}>}
+   */
+  async wrap(namespace, params, types, compute) {
+    const cacheKey = this.keyOf(namespace, params)
+
+    const cached = this.cache.get(cacheKey)
+    if (cached !== undefined) {
+      return { value: cached, cacheKey, hit: true }
+    }
+
+    if (!this.pending.has(cacheKey)) {
+      const tags = [namespace, ...types]
+      const generation = this.generationOf(tags)
+
+      const entry = { tags }
+      entry.promise = Promise.resolve()
+        .then(compute)
+        .then(value => {
+          if (this.generationOf(tags) === generation) {
+            this.cache.set(cacheKey, value, { ttl: this.config.ttl[namespace], tags })
+          }
+          return value
+        })
+        .finally(() => {
+          if (this.pending.get(cacheKey) === entry) this.pending.delete(cacheKey)
+        })
+
+      this.pending.set(cacheKey, entry)
+    }
+
+    return { value: await this.pending.get(cacheKey).promise, cacheKey, hit: false }
+  }
+
+  /**
+   * 标签的失效次数之和（任一标签失效或清空缓存后改变）
+   */
+  generationOf(tags) {
+    return ['*', ...tags].reduce((sum, tag) => sum + (this.generations.get(tag) || 0), 0)
+  }
+
+  /**
+   * 缓存键：命名空间 + 参数摘要（对象键排序，未设置的参数忽略）
+   */
+  keyOf(namespace, params) {
+    const digest = crypto.createHash('sha1')
+      .update(stableStringify(params))
+      .digest('base64url')
+      .slice(0, 16)
+
+    return `${namespace}:${digest}`
+  }
+
+  /**
+   * 规范化查询：全角转半角、合并空白，仅写法不同的查询共享缓存
+   */
+  normalizeQuery(query) {
+    return String(query || '').normalize('NFKC').trim().replace(/\s+/g, ' ')
+  }
+
+  /**
+   * 清除依赖该实体类型（或属于该命名空间）的缓存
+   */
+  invalidate(tag) {
+    this.generations.set(tag, (this.generations.get(tag) || 0) + 1)
+    this.cache.invalidate(tag)
+
+    // 此后的请求不再共享失效前开始的计算
+    for (const [cacheKey, entry] of this.pending) {
+      if (entry.tags.includes(tag)) this.pending.delete(cacheKey)
+    }
+  }
+
+  clear() {
+    this.generations.set('*', (this.generations.get('*') || 0) + 1)
+    this.cache.clear()
+    this.pending.clear()
+  }
+
+  /**
+   * 发送可缓存的响应
+   * 设置 ETag（响应体摘要）及 Cache-Control，请求的 If-None-Match 与之一致时返回 304
+   * 结果可能因用户而异（排序方案分流、管理员评分说明），只允许浏览器私有缓存
+   * @param {Object} req - 请求
+   * @param {Object} res - 响应
+   * @param {Object} body - 响应体
+   * @param {string} namespace - search / suggestions / facets
+   */
+  send(req, res, body, namespace) {
+    const etag = `W/"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url').slice(0, 27)}"`
+
+    res.set({
+      ETag: etag,
+      'Cache-Control': `private, max-age=${this.config.maxAge[namespace]}`,
+      Vary: 'Authorization'
+    })
+
+    if (req.fresh) {
+      return res.status(304).end()
+    }
+
+    return res.json(body)
+  }
+
+  getStats() {
+    return {
+      entries: this.cache.size,
+      maxEntries: this.config.maxEntries,
+      ...this.cache.stats
+    }
+  }
+}
+
+/**
+ * 对象键排序后序列化，键顺序不同的相同参数得到相同结果
+ * 正则、日期、ObjectId 按字符串形式参与序列化
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return value === undefined ? 'null' : JSON.stringify(value)
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString())
+  }
+  if (value instanceof RegExp || typeof value.toHexString === 'function') {
+    return JSON.stringify(String(value))
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`
+  }
+
+  return `{${Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+    .join(',')}}`
+}
+
+module.exports = new SearchCacheService()
\ No newline at end of file
@@ -0,0 +1,104 @@
+// server/services/searchDetail.js
+const { logger } = require('../utils/logger')
+const searchService = require('./search')
+const searchTypes = require('./searchTypes')
+
+/**
+ * 搜索结果详情
+ * 单条详情附带类型定义的信息（见 services/searchTypes 的 detail，如企业的网站、网站所属企业及爬取信息）；
+ * 批量获取按请求的顺序返回，不存在的记录对应 null
+ */
+class SearchDetailService {
+  constructor() {
+    this.config = {
+      maxBatchSize: 100
+    }
+  }
+
+  /**
+   * 单条详情（非管理员只能查看满足默认过滤器的记录，如已审核的企业、正常状态的网站）
+   * @param {string} id - 记录ID
+   * @param {Object} [options]
+   * @param {string} [options.type] - 实体类型，缺省时按注册顺序依次查找各类型
+   * @param {boolean} [options.admin=false] - 是否返回内部字段
+   * @returns {Promise<Object|null>} 记录不存在或不可见时返回 null
+   */
+  async get(id, { type, admin = false } = {}) {
+    const visibleConditions = candidate => this.visibleConditions(candidate, admin)
+
+    for (const candidate of type ? [type] : searchTypes.names()) {
+      const doc = await searchService.entityTypes[candidate].model.findOne({
+        $and: [visibleConditions(candidate), { _id: id }]
+      })
+        .select(this.projection(candidate, admin))
+        .lean()
+
+      if (doc) {
+        // 类型定义了 detail 时附带关联记录等信息（关联记录同样按可见性过滤），否则原样返回
+        const { detail } = searchTypes.get(candidate)
+        return { ...doc, _type: candidate, ...(detail ? await detail(doc, { admin, visibleConditions }) : {}) }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * 累加记录的浏览次数（排序加权的热度，见 services/rankingProfiles），失败时只记录日志
+   * @param {string} type - 实体类型（模型未提供 incrementCounters 时忽略）
+   */
+  async recordView(type, id) {
+    const { model } = searchService.entityTypes[type]
+    if (typeof model.incrementCounters !== 'function') return
+
+    try {
+      await model.incrementCounters(id, { views: 1 })
+    } catch (error) {
+      logger.error('浏览次数记录失败:', error)
+    }
+  }
+
+  /**
+   * 批量获取（不含关联记录，非管理员不可见的记录同不存在）
+   * @param {string[]} ids - 记录ID，可重复
+   * @param {Object} [options]
+   * @param {string} [options.type] - 实体类型，缺省时在全部类型中查找
+   * @param {boolean} [options.admin=false] - 是否返回内部字段
+   * @returns {Promise<Array<Object|null>>} 与 ids 一一对应
+   */
+  async batch(ids, { type, admin = false } = {}) {
+    const unique = [...new Set(ids.map(String))]
+    const found = new Map()
+
+    // 各集合的ID不会重复，缺省类型时同时查询全部集合
+    await Promise.all((type ? [type] : searchTypes.names()).map(async candidate => {
+      const docs = await searchService.entityTypes[candidate].model.find({
+        $and: [this.visibleConditions(candidate, admin), { _id: { $in: unique } }]
+      })
+        .select(this.projection(candidate, admin))
+        .lean()
+
+      for (const doc of docs) {
+        found.set(String(doc._id), { ...doc, _type: candidate })
+      }
+    }))
+
+    return ids.map(id => found.get(String(id)) || null)
+  }
+
+  /**
+   * 可见记录的条件：与搜索结果一致（类型的默认过滤器），管理员可见全部记录
+   */
+  visibleConditions(type, admin) {
+    return admin ? {} : searchService.buildFilters(type, searchService.entityTypes[type].defaultFilters)
+  }
+
+  /**
+   * 查询的字段：与搜索结果一致，管理员可见全部字段
+   */
+  projection(type, admin) {
+    return admin ? '-__v' : searchService.entityTypes[type].projection
+  }
+}
+
+module.exports = new SearchDetailService()
\ No newline at end of file
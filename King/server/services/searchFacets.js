@@ -0,0 +1,138 @@
+// server/services/searchFacets.js
+const { logger } = require('../utils/logger')
+const searchTypes = require('./searchTypes')
+
+class SearchFacetService {
+  constructor() {
+    // 分面定义由各实体类型声明（见 services/searchTypes 的 facets）
+    // filters: 对应的过滤器参数，统计该分面时排除自身的过滤条件（多选时其他取值的计数不被清零）
+    // field: 分组字段; values: 枚举取值（计数为0也输出）
+    // buckets: 直方图边界（左闭右开）; top: 数组字段取出现最多的前N项
+    this.types = searchTypes.types
+  }
+
+  /**
+   * 计算分面统计（基于完整匹配集合，而非当前页）
+   * @param {string} type - 实体类型
+   * @param {Object} conditions - 查询条件（不含过滤器）
+   * @param {Object} filters - 当前选中的过滤器
+   * @param {Function} buildFilterConditions - (filters) => 数据库条件
+   * @returns {Promise<Object>} { key: { name, options: [{ value, count }] } }
+   */
+  async compute(type, conditions, filters, buildFilterConditions) {
+    const { model, facets: definitions } = this.types[type]
+    if (!Object.keys(definitions).length) return {}
+
+    try {
+      const stages = {}
+
+      for (const [key, definition] of Object.entries(definitions)) {
+        // 排除本分面自身的过滤条件
+        const otherFilters = { ...filters }
+        for (const filterKey of definition.filters) delete otherFilters[filterKey]
+
+        stages[key] = [
+          { $match: castConditions(model, buildFilterConditions(otherFilters)) },
+          ...this.buildStage(definition)
+        ]
+      }
+
+      const [result = {}] = await model.aggregate([
+        { $match: castConditions(model, conditions) },
+        { $facet: stages }
+      ])
+
+      return Object.fromEntries(
+        Object.entries(definitions).map(([key, definition]) => [key, {
+          name: definition.name,
+          options: this.formatOptions(model, definition, result[key] || [], filters)
+        }])
+      )
+    } catch (error) {
+      // 分面统计失败不影响搜索结果
+      logger.error(`分面统计失败: ${type}`, error)
+      return {}
+    }
+  }
+
+  /**
+   * 构建分面统计阶段
+   */
+  buildStage(definition) {
+    const field = `$${definition.field}`
+
+    if (definition.buckets) {
+      return [{
+        $bucket: {
+          groupBy: field,
+          boundaries: definition.buckets,
+          default: 'other',
+          output: { count: { $sum: 1 } }
+        }
+      }]
+    }
+
+    if (definition.top) {
+      return [
+        { $unwind: field },
+        { $group: { _id: field, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: definition.top }
+      ]
+    }
+
+    return [{ $group: { _id: field, count: { $sum: 1 } } }]
+  }
+
+  /**
+   * 格式化分面选项
+   */
+  formatOptions(model, definition, groups, filters) {
+    if (definition.buckets) {
+      const counts = new Map(groups.map(group => [group._id, group.count]))
+      const { buckets } = definition
+
+      // 选项取值与查询语法的范围写法一致，如 2010..2014
+      return buckets.slice(0, -1).map((from, i) => {
+        const to = buckets[i + 1] - 1
+        const isLast = i === buckets.length - 2
+        return {
+          value: isLast ? `${from}..` : `${from}..${to}`,
+          from,
+          to: isLast ? null : to,
+          count: counts.get(from) || 0
+        }
+      })
+    }
+
+    const counts = new Map(
+      groups
+        .filter(group => group._id !== null && group._id !== undefined)
+        .map(group => [String(group._id), group.count])
+    )
+
+    // 枚举取值全部输出，其余取值按计数排列
+    const values = definition.enum
+      ? model.schema.path(definition.field).enumValues
+      : definition.values || []
+
+    // 已选中但未进入前N的取值也需要输出
+    const selected = [].concat(filters[definition.filters[0]] ?? []).map(String)
+
+    const options = [...new Set([...values, ...counts.keys(), ...selected])]
+      .map(value => ({ value, count: counts.get(value) || 0 }))
+
+    return definition.enum || definition.values
+      ? options
+      : options.sort((a, b) => b.count - a.count)
+  }
+}
+
+/**
+ * 按模型定义转换查询条件（聚合管道不会自动转换ObjectId、日期等类型）
+ */
+function castConditions(model, conditions) {
+  return model.find().cast(model, structuredClone(conditions))
+}
+
+module.exports = new SearchFacetService()
\ No newline at end of file
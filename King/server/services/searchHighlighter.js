@@ -0,0 +1,291 @@
+// server/services/searchHighlighter.js
+const analyzer = require('../utils/analyzer')
+const { CJK_PATTERN } = require('../utils/analyzer')
+const searchTypes = require('./searchTypes')
+
+class SearchHighlighter {
+  constructor() {
+    // 默认高亮参数（可按请求覆盖）
+    this.config = {
+      fragmentSize: 100, // 片段长度（字符）
+      numberOfFragments: 3, // 每个字段最多返回的片段数
+      preTag: '<mark>',
+      postTag: '</mark>',
+      maxTagLength: 32
+    }
+
+    // 参与高亮的字段：各实体类型见 services/searchTypes 的 highlightFields
+    this.fields = {
+      // 网页正文（services/pages）
+      page: ['title', 'headings', 'content']
+    }
+
+    searchTypes.onRegister((type, definition) => {
+      this.fields[type] = definition.highlightFields
+    })
+  }
+
+  /**
+   * 合并请求参数与默认参数
+   * @param {Object} [options] - { fragmentSize, numberOfFragments, preTag, postTag }
+   */
+  resolveOptions(options = {}) {
+    const settings = { ...this.config }
+
+    const fragmentSize = parseInt(options.fragmentSize)
+    if (fragmentSize > 0) settings.fragmentSize = Math.min(fragmentSize, 1000)
+
+    const numberOfFragments = parseInt(options.numberOfFragments)
+    if (numberOfFragments > 0) settings.numberOfFragments = Math.min(numberOfFragments, 10)
+
+    // 标签需成对提供
+    if (options.preTag && options.postTag) {
+      settings.preTag = String(options.preTag).slice(0, settings.maxTagLength)
+      settings.postTag = String(options.postTag).slice(0, settings.maxTagLength)
+    }
+
+    return settings
+  }
+
+  /**
+   * 生成文档各字段的高亮片段
+   * 文本均经过HTML转义，仅高亮标签为原样输出
+   * @param {string} type - 实体类型
+   * @param {Object} doc - 文档
+   * @param {string} keywords - 参与高亮的全文词项
+   * @param {Object} [options] - 高亮参数
+   * @returns {Object} { field: string[] }，无命中的字段不输出
+   */
+  highlight(type, doc, keywords, options) {
+    const terms = analyzer.analyzeQuery(keywords)
+    if (!terms.text.length) return {}
+
+    const settings = this.resolveOptions(options)
+    const highlight = {}
+
+    for (const field of this.fields[type] || []) {
+      const value = field.split('.').reduce((current, key) => current?.[key], doc)
+      const fragments = [].concat(value ?? [])
+        .flatMap(item => this.highlightText(String(item), terms, settings))
+
+      if (fragments.length) {
+        highlight[field] = fragments.slice(0, settings.numberOfFragments)
+      }
+    }
+
+    return highlight
+  }
+
+  /**
+   * 生成单段文本的高亮片段
+   * @param {string} text - 原文
+   * @param {{text: string[], pinyin: string[]}} terms - 分析后的查询词项
+   * @param {Object} settings - 高亮参数
+   * @returns {string[]} 按原文顺序排列的片段
+   */
+  highlightText(text, terms, settings) {
+    const spans = analyzer.segmentSpans(text)
+    const matches = this.findMatches(text, spans, terms)
+    if (!matches.length) return []
+
+    const fragments = this.selectFragments(text, spans, matches, settings)
+
+    return fragments.map(fragment => this.render(text, fragment, matches, settings))
+  }
+
+  /**
+   * 查找命中区间
+   * 中文词项须与分词边界对齐或位于单个词内，避免高亮跨词的偶然字串
+   * @returns {Array<{start: number, end: number, term: string}>} 按位置排序且互不重叠
+   */
+  findMatches(text, spans, terms) {
+    const textTerms = new Set(terms.text)
+    const pinyinTerms = new Set(terms.pinyin)
+    const cjkTerms = [...textTerms].filter(term => CJK_PATTERN.test(term))
+    const matches = []
+
+    // 非中文词及中文整词
+    for (const span of spans) {
+      if (textTerms.has(span.token)) {
+        matches.push({ start: span.start, end: span.end, term: span.token })
+        continue
+      }
+
+      // 拼音全拼或首字母对应的中文词
+      if (span.cjk && pinyinTerms.size) {
+        const syllables = analyzer.toPinyin(span.token)
+        const full = syllables.join('')
+        const initials = syllables.map(syllable => syllable[0]).join('')
+
+        if (pinyinTerms.has(full) || pinyinTerms.has(initials)) {
+          matches.push({ start: span.start, end: span.end, term: pinyinTerms.has(full) ? full : initials })
+        }
+      }
+    }
+
+    // 中文子词及跨词组合（按连续中文片段匹配）
+    if (cjkTerms.length) {
+      for (const run of groupRuns(spans)) {
+        const runText = run.map(span => span.token).join('')
+        // 片段内字符位置 -> 原文偏移
+        const offsets = []
+        const wordIndex = []
+        const boundaries = new Set([0])
+
+        run.forEach((span, index) => {
+          const chars = [...span.token]
+          const step = (span.end - span.start) / chars.length
+          chars.forEach((char, i) => {
+            offsets.push(span.start + Math.round(i * step))
+            wordIndex.push(index)
+          })
+          boundaries.add(offsets.length)
+        })
+        offsets.push(run[run.length - 1].end)
+
+        const runChars = [...runText]
+
+        for (const term of cjkTerms) {
+          const termChars = [...term]
+
+          for (let i = 0; i + termChars.length <= runChars.length; i++) {
+            if (runChars.slice(i, i + termChars.length).join('') !== term) continue
+
+            const end = i + termChars.length
+            // 单字词项与索引的前缀匹配一致，只在词首命中
+            const sameWord = wordIndex[i] === wordIndex[end - 1] &&
+              (termChars.length > 1 || boundaries.has(i))
+            const aligned = boundaries.has(i) && boundaries.has(end)
+
+            if (sameWord || aligned) {
+              matches.push({ start: offsets[i], end: offsets[end], term })
+            }
+          }
+        }
+      }
+    }
+
+    return mergeMatches(matches)
+  }
+
+  /**
+   * 选取片段：以命中为中心截取，边界对齐到词边界，按覆盖的不同词项数排序
+   * @returns {Array<{start: number, end: number}>}
+   */
+  selectFragments(text, spans, matches, settings) {
+    const { fragmentSize, numberOfFragments } = settings
+
+    if (text.length <= fragmentSize) {
+      return [{ start: 0, end: text.length }]
+    }
+
+    const candidates = []
+    let covered = -1
+
+    for (const match of matches) {
+      if (match.start < covered) continue
+
+      const length = match.end - match.start
+      let start = Math.max(0, match.start - Math.floor((fragmentSize - length) / 2))
+      start = Math.min(start, Math.max(0, text.length - fragmentSize))
+      start = Math.min(snapToWordStart(spans, start), match.start)
+
+      let end = Math.min(text.length, start + fragmentSize)
+      end = Math.max(snapToWordStart(spans, end), match.end)
+
+      const inside = matches.filter(item => item.start >= start && item.end <= end)
+      candidates.push({
+        start,
+        end,
+        score: new Set(inside.map(item => item.term)).size + inside.length * 0.01
+      })
+
+      covered = end
+    }
+
+    return candidates
+      .sort((a, b) => b.score - a.score || a.start - b.start)
+      .slice(0, numberOfFragments)
+      .sort((a, b) => a.start - b.start)
+  }
+
+  /**
+   * 输出片段：转义文本并插入高亮标签
+   */
+  render(text, fragment, matches, settings) {
+    let output = ''
+    let cursor = fragment.start
+
+    for (const match of matches) {
+      if (match.start < fragment.start || match.end > fragment.end) continue
+
+      output += escapeHtml(text.slice(cursor, match.start))
+      output += settings.preTag + escapeHtml(text.slice(match.start, match.end)) + settings.postTag
+      cursor = match.end
+    }
+
+    output += escapeHtml(text.slice(cursor, fragment.end))
+    return output.trim()
+  }
+}
+
+/**
+ * 按原文相邻关系将中文词分组为连续片段
+ */
+function groupRuns(spans) {
+  const runs = []
+  let current = []
+
+  for (const span of spans) {
+    const last = current[current.length - 1]
+    if (!span.cjk || (last && last.end !== span.start)) {
+      if (current.length) runs.push(current)
+      current = []
+    }
+    if (span.cjk) current.push(span)
+  }
+
+  if (current.length) runs.push(current)
+  return runs
+}
+
+/**
+ * 合并重叠的命中区间（保留较长者）
+ */
+function mergeMatches(matches) {
+  const sorted = matches.sort((a, b) => a.start - b.start || b.end - a.end)
+  const merged = []
+
+  for (const match of sorted) {
+    const last = merged[merged.length - 1]
+    if (last && match.start < last.end) {
+      last.end = Math.max(last.end, match.end)
+      continue
+    }
+    merged.push({ ...match })
+  }
+
+  return merged
+}
+
+/**
+ * 位置落在词中间时移至词首（片段不截断词）
+ */
+function snapToWordStart(spans, position) {
+  const span = spans.find(item => item.start < position && position < item.end)
+  return span ? span.start : position
+}
+
+/**
+ * HTML转义
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+module.exports = new SearchHighlighter()
\ No newline at end of file
@@ -0,0 +1,161 @@
+// server/services/searchHistory.js
+const { logger } = require('../utils/logger')
+const { SearchHistory } = require('../models')
+const spellcheck = require('./spellcheck')
+
+// 可随历史记录及保存的搜索保留的过滤参数
+const FILTER_KEYS = ['types', 'mode', 'region', 'near', 'radius']
+
+class SearchHistoryService {
+  constructor() {
+    this.config = {
+      maxEntries: 100, // 每个用户保留的未置顶记录数
+      maxImport: 50, // 单次导入的记录数上限
+      maxQueryLength: 200
+    }
+  }
+
+  /**
+   * 记录一次搜索（相同查询合并为一条，更新过滤条件及时间）
+   * 失败只记录日志，不影响搜索
+   * @param {string} userId - 用户ID
+   * @param {string} query - 查询文本
+   * @param {Object} [filters] - 搜索参数
+   */
+  async record(userId, query, filters = {}) {
+    const entry = this.normalizeEntry({ query, filters })
+    if (!entry) return
+
+    try {
+      await SearchHistory.updateOne(
+        { user: userId, normalizedQuery: entry.normalizedQuery },
+        {
+          $set: { query: entry.query, filters: entry.filters, lastSearchedAt: new Date() },
+          $inc: { count: 1 }
+        },
+        { upsert: true }
+      )
+      await this.trim(userId)
+    } catch (error) {
+      logger.error('搜索历史记录失败:', error)
+    }
+  }
+
+  /**
+   * 导入历史记录（访客登录后合并本地记录）
+   * @param {string} userId - 用户ID
+   * @param {Array<{query: string, filters?: Object, pinned?: boolean, searchedAt?: string}>} entries
+   * @returns {Promise<number>} 导入的记录数
+   */
+  async import(userId, entries) {
+    const operations = []
+
+    for (const item of entries.slice(0, this.config.maxImport)) {
+      const entry = this.normalizeEntry(item || {})
+      if (!entry) continue
+
+      const searchedAt = new Date(item.searchedAt)
+      const lastSearchedAt = isNaN(searchedAt.getTime()) || searchedAt > new Date()
+        ? new Date()
+        : searchedAt
+
+      operations.push({
+        updateOne: {
+          filter: { user: userId, normalizedQuery: entry.normalizedQuery },
+          update: {
+            $setOnInsert: { query: entry.query, filters: entry.filters },
+            // 本地置顶的记录合并后保持置顶
+            $max: { lastSearchedAt, pinned: item.pinned === true },
+            $inc: { count: 1 }
+          },
+          upsert: true
+        }
+      })
+    }
+
+    if (!operations.length) return 0
+
+    await SearchHistory.bulkWrite(operations, { ordered: false })
+    await this.trim(userId)
+
+    return operations.length
+  }
+
+  /**
+   * 历史记录列表（置顶在前，其余按最近搜索时间）
+   * @param {string} userId - 用户ID
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - 只返回以此开头的查询（搜索框输入时过滤）
+   * @param {number} [options.limit=20]
+   */
+  async list(userId, { prefix, limit = 20 } = {}) {
+    const query = { user: userId }
+    const normalizedPrefix = spellcheck.normalizeQuery(prefix || '')
+    if (normalizedPrefix) {
+      query.normalizedQuery = { $regex: `^${escapeRegex(normalizedPrefix)}` }
+    }
+
+    return SearchHistory.find(query)
+      .sort({ pinned: -1, lastSearchedAt: -1 })
+      .limit(limit)
+  }
+
+  /**
+   * 删除超出数量上限的未置顶记录
+   */
+  async trim(userId) {
+    const stale = await SearchHistory.find({ user: userId, pinned: false })
+      .sort({ lastSearchedAt: -1 })
+      .skip(this.config.maxEntries)
+      .select('_id')
+      .lean()
+
+    if (stale.length) {
+      await SearchHistory.deleteMany({ _id: { $in: stale.map(item => item._id) } })
+    }
+  }
+
+  /**
+   * 校验并规范化历史记录
+   * @returns {{query: string, normalizedQuery: string, filters: Object}|null} 查询为空时返回 null
+   */
+  normalizeEntry({ query, filters }) {
+    const text = typeof query === 'string' ? query.trim().slice(0, this.config.maxQueryLength) : ''
+    const normalizedQuery = spellcheck.normalizeQuery(text)
+    if (!normalizedQuery) return null
+
+    return { query: text, normalizedQuery, filters: this.normalizeFilters(filters) }
+  }
+
+  /**
+   * 只保留可识别的搜索参数（字符串、数字或字符串数组）
+   * @param {Object} [filters]
+   * @returns {Object}
+   */
+  normalizeFilters(filters) {
+    const result = {}
+    if (!filters || typeof filters !== 'object') return result
+
+    for (const key of FILTER_KEYS) {
+      const value = filters[key]
+      if (typeof value === 'string' && value.trim()) {
+        result[key] = value.trim().slice(0, 100)
+      } else if (typeof value === 'number' && Number.isFinite(value)) {
+        result[key] = value
+      } else if (Array.isArray(value) && value.length && value.every(item => typeof item === 'string')) {
+        result[key] = value.slice(0, 10)
+      }
+    }
+
+    return result
+  }
+}
+
+/**
+ * 转义正则特殊字符
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+module.exports = new SearchHistoryService()
\ No newline at end of file
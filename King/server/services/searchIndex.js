@@ -0,0 +1,623 @@
+// server/services/searchIndex.js
+const { logger } = require('../utils/logger')
+const analyzer = require('../utils/analyzer')
+const { CJK_PATTERN } = require('../utils/analyzer')
+const { eventBus } = require('../utils/eventBus')
+const searchTypes = require('./searchTypes')
+
+/**
+ * 单一实体类型的倒排索引（按字段维护倒排表）
+ */
+class InvertedIndex {
+  /**
+   * @param {Array<string|Object>} fields - 字段路径或字段定义
+   *   { name, path, analyzer: 'text'|'pinyin', prefix: 是否允许前缀匹配 }
+   */
+  constructor(fields) {
+    this.specs = fields.map(normalizeFieldSpec)
+    this.fields = this.specs.map(spec => spec.name)
+    this.reset()
+  }
+
+  /**
+   * 清空索引
+   */
+  reset() {
+    // docId -> { lengths: { field: 词项数 }, terms: { field: 去重词项 } }
+    this.documents = new Map()
+    // field -> Map(term -> Map(docId -> 词频))
+    this.postings = new Map()
+    // field -> 字段总长度（用于计算平均长度）
+    this.totalLengths = {}
+    // field -> 排序后的词项表（前缀匹配用，变更后失效）
+    this.sortedTerms = {}
+    // 全部字段的词表及模糊匹配缓存（变更后失效）
+    this.vocabulary = null
+    this.fuzzyCache = new Map()
+
+    for (const field of this.fields) {
+      this.postings.set(field, new Map())
+      this.totalLengths[field] = 0
+    }
+  }
+
+  get size() {
+    return this.documents.size
+  }
+
+  /**
+   * 添加或替换文档
+   * @param {string} id - 文档ID
+   * @param {Object} doc - 文档内容
+   */
+  add(id, doc) {
+    this.remove(id)
+
+    const entry = { lengths: {}, terms: {} }
+
+    for (const spec of this.specs) {
+      const field = spec.name
+      const value = getFieldValue(doc, spec.path)
+      const tokens = spec.analyzer === 'pinyin'
+        ? analyzer.pinyinTokens(value)
+        : analyzer.tokenize(value, 'index')
+      const frequencies = analyzer.termFrequencies(tokens)
+      const fieldPostings = this.postings.get(field)
+
+      entry.lengths[field] = tokens.length
+      entry.terms[field] = [...frequencies.keys()]
+      this.totalLengths[field] += tokens.length
+
+      for (const [term, count] of frequencies) {
+        if (!fieldPostings.has(term)) {
+          fieldPostings.set(term, new Map())
+          this.invalidateTerms(field)
+        }
+        fieldPostings.get(term).set(id, count)
+      }
+    }
+
+    this.documents.set(id, entry)
+  }
+
+  /**
+   * 移除文档
+   * @param {string} id - 文档ID
+   */
+  remove(id) {
+    const entry = this.documents.get(id)
+    if (!entry) return false
+
+    for (const field of this.fields) {
+      const fieldPostings = this.postings.get(field)
+
+      for (const term of entry.terms[field]) {
+        const docs = fieldPostings.get(term)
+        if (!docs) continue
+        docs.delete(id)
+        if (docs.size === 0) {
+          fieldPostings.delete(term)
+          this.invalidateTerms(field)
+        }
+      }
+
+      this.totalLengths[field] -= entry.lengths[field]
+    }
+
+    this.documents.delete(id)
+    return true
+  }
+
+  /**
+   * 词项失效（词表变更后重建排序表与模糊匹配缓存）
+   */
+  invalidateTerms(field) {
+    this.sortedTerms[field] = null
+    this.vocabulary = null
+    this.fuzzyCache.clear()
+  }
+
+  /**
+   * BM25 检索
+   * @param {{text: string[], pinyin: string[]}} query - 分析后的查询词项
+   * @param {Object} boosts - 字段权重 { field: boost }
+   * @param {Object} params - BM25参数及匹配方式，explain 为真时附带得分构成
+   * @returns {Array<{id: string, score: number, fuzzy: number, matches?: Array}>}
+   *   fuzzy 为仅靠模糊匹配命中的查询词数；精确命中的文档排在模糊命中之前，其次按得分降序；
+   *   matches 为各查询词在各字段计分的索引词项 { field, query, term, match: exact/prefix/fuzzy, edits,
+   *   tf, idf, fieldLength, avgFieldLength, boost, penalty, score }
+   */
+  search(query, boosts, params) {
+    const { k1, b, operator, prefixLast, prefixPenalty, fuzzy, fuzzyPenalty, explain } = params
+    const requiredTerms = [...new Set(query.text)]
+    const lastTerm = query.text[query.text.length - 1]
+    const total = this.documents.size
+    const scores = new Map()
+    const matchedTerms = new Map()
+    const exactTerms = new Map()
+    const explanations = explain ? new Map() : null
+
+    if (!requiredTerms.length || !total) return []
+
+    // 各查询词的模糊扩展（所有字段共用）
+    const expansions = new Map()
+    if (fuzzy) {
+      for (const term of new Set([...query.text, ...query.pinyin])) {
+        expansions.set(term, this.expandFuzzy(term))
+      }
+    }
+
+    for (const spec of this.specs) {
+      const field = spec.name
+      const boost = boosts[field]
+      if (!boost) continue
+
+      const avgLength = this.totalLengths[field] / total || 1
+      const queryTerms = [...new Set(query[spec.analyzer] || [])]
+
+      for (const queryTerm of queryTerms) {
+        const allowPrefix = spec.prefix || (prefixLast && queryTerm === lastTerm)
+        const best = new Map()
+
+        const candidates = this.resolveTerms(field, queryTerm, allowPrefix, expansions.get(queryTerm))
+
+        for (const { term, exact, edits } of candidates) {
+          const docs = this.postings.get(field).get(term)
+          const idf = Math.log(1 + (total - docs.size + 0.5) / (docs.size + 0.5))
+          // 前缀扩展、模糊扩展命中的得分低于精确命中
+          const factor = edits ? fuzzyPenalty ** edits : exact ? 1 : prefixPenalty
+
+          for (const [id, tf] of docs) {
+            const length = this.documents.get(id).lengths[field]
+            const norm = (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * length / avgLength))
+            const score = boost * idf * norm * factor
+
+            if (score > (best.get(id)?.score || 0)) {
+              best.set(id, {
+                score,
+                fuzzy: edits > 0,
+                detail: explain && {
+                  field,
+                  query: queryTerm,
+                  term,
+                  match: edits ? 'fuzzy' : exact ? 'exact' : 'prefix',
+                  edits,
+                  tf,
+                  idf,
+                  fieldLength: length,
+                  avgFieldLength: avgLength,
+                  boost,
+                  penalty: factor,
+                  score
+                }
+              })
+            }
+          }
+        }
+
+        // 同一查询词在同一字段只取最佳扩展词项的得分
+        for (const [id, { score, fuzzy: isFuzzy, detail }] of best) {
+          scores.set(id, (scores.get(id) || 0) + score)
+
+          if (explanations) {
+            if (!explanations.has(id)) explanations.set(id, [])
+            explanations.get(id).push(detail)
+          }
+
+          if (!matchedTerms.has(id)) {
+            matchedTerms.set(id, new Set())
+            exactTerms.set(id, new Set())
+          }
+          matchedTerms.get(id).add(queryTerm)
+          // 只要在任一字段精确（或前缀）命中，该查询词即不计为模糊命中
+          if (!isFuzzy) exactTerms.get(id).add(queryTerm)
+        }
+      }
+    }
+
+    const hits = []
+    for (const [id, score] of scores) {
+      // AND 模式下要求所有查询词项均命中（可分布在不同字段）
+      if (operator === 'and' && matchedTerms.get(id).size < requiredTerms.length) continue
+
+      const hit = { id, score, fuzzy: matchedTerms.get(id).size - exactTerms.get(id).size }
+      if (explanations) hit.matches = explanations.get(id)
+      hits.push(hit)
+    }
+
+    return hits.sort((a, b) => compareHits(a, b))
+  }
+
+  /**
+   * 解析查询词在字段中对应的索引词项
+   * @param {Array<{term: string, edits: number}>} [fuzzyTerms] - 模糊扩展词项
+   * @returns {Array<{term: string, exact: boolean, edits: number}>}
+   */
+  resolveTerms(field, queryTerm, allowPrefix, fuzzyTerms = []) {
+    const fieldPostings = this.postings.get(field)
+    const resolved = fieldPostings.has(queryTerm) ? [{ term: queryTerm, exact: true, edits: 0 }] : []
+
+    for (const { term, edits } of fuzzyTerms) {
+      if (fieldPostings.has(term)) resolved.push({ term, exact: false, edits })
+    }
+
+    // 单个字母前缀扩展范围过大，不予展开（单个汉字可以）
+    if (!allowPrefix || (queryTerm.length < 2 && !CJK_PATTERN.test(queryTerm))) return resolved
+
+    const terms = this.getSortedTerms(field)
+    let low = 0
+    let high = terms.length
+
+    while (low < high) {
+      const mid = (low + high) >> 1
+      if (terms[mid] < queryTerm) low = mid + 1
+      else high = mid
+    }
+
+    for (let i = low; i < terms.length && terms[i].startsWith(queryTerm); i++) {
+      if (terms[i] !== queryTerm) resolved.push({ term: terms[i], exact: false, edits: 0 })
+    }
+
+    return resolved
+  }
+
+  /**
+   * 查询词的模糊扩展：词表中编辑距离在允许范围内的词项
+   * 中文词项仅在词表中不存在时扩展（双字词相差一字即已大相径庭）
+   * @returns {Array<{term: string, edits: number}>} 按编辑距离升序、文档频率降序
+   */
+  expandFuzzy(queryTerm) {
+    if (this.fuzzyCache.has(queryTerm)) return this.fuzzyCache.get(queryTerm)
+
+    const maxEdits = allowedEdits(queryTerm)
+    let expanded = []
+
+    if (maxEdits && !(CJK_PATTERN.test(queryTerm) && this.documentFrequency(queryTerm))) {
+      for (const term of this.getVocabulary()) {
+        if (term === queryTerm || Math.abs(term.length - queryTerm.length) > maxEdits) continue
+
+        const edits = analyzer.editDistance(queryTerm, term, maxEdits)
+        if (edits <= maxEdits) expanded.push({ term, edits })
+      }
+
+      expanded = expanded
+        .sort((a, b) => a.edits - b.edits || this.documentFrequency(b.term) - this.documentFrequency(a.term))
+    }
+
+    // 缓存上限，避免异常查询撑大内存
+    if (this.fuzzyCache.size >= 1000) this.fuzzyCache.clear()
+    this.fuzzyCache.set(queryTerm, expanded)
+
+    return expanded
+  }
+
+  /**
+   * 词项的文档频率（各字段中的最大值）
+   */
+  documentFrequency(term) {
+    let frequency = 0
+    for (const fieldPostings of this.postings.values()) {
+      frequency = Math.max(frequency, fieldPostings.get(term)?.size || 0)
+    }
+    return frequency
+  }
+
+  /**
+   * 全部字段的词表
+   */
+  getVocabulary() {
+    if (!this.vocabulary) {
+      const terms = new Set()
+      for (const fieldPostings of this.postings.values()) {
+        for (const term of fieldPostings.keys()) terms.add(term)
+      }
+      this.vocabulary = [...terms]
+    }
+    return this.vocabulary
+  }
+
+  /**
+   * 获取字段排序词项表
+   */
+  getSortedTerms(field) {
+    if (!this.sortedTerms[field]) {
+      this.sortedTerms[field] = [...this.postings.get(field).keys()].sort()
+    }
+    return this.sortedTerms[field]
+  }
+}
+
+class SearchIndexService {
+  constructor() {
+    // BM25参数
+    this.config = {
+      k1: 1.2,
+      b: 0.75,
+      operator: 'and',
+      prefixLast: false, // 最后一个查询词按前缀匹配（输入联想）
+      prefixPenalty: 0.6, // 前缀命中相对精确命中的得分系数
+      fuzzy: true, // 容错匹配（编辑距离随词长放宽）
+      fuzzyPenalty: 0.5, // 模糊命中每个编辑距离的得分系数
+      batchSize: 500
+    }
+
+    // 索引数据源：实体类型 -> { model, fields }（fields 见 InvertedIndex）
+    this.sources = {}
+    this.indexes = {}
+    this.builtAt = {}
+    this.building = {}
+    this.pending = {}
+
+    // 各实体类型按注册表的字段定义建立索引（见 services/searchTypes）
+    searchTypes.onRegister((type, definition) => this.addSource(type, definition))
+  }
+
+  /**
+   * 添加索引数据源，并订阅该类型的模型变更事件增量更新索引
+   */
+  addSource(type, { model, fields }) {
+    this.sources[type] = { model, fields }
+    this.indexes[type] = new InvertedIndex(fields)
+    this.builtAt[type] = null
+
+    eventBus.on(`${type}:saved`, doc => this.upsert(type, doc))
+    eventBus.on(`${type}:removed`, doc => this.remove(type, doc._id))
+  }
+
+  /**
+   * 索引是否已构建
+   */
+  isReady(type) {
+    return !!this.builtAt[type]
+  }
+
+  /**
+   * 确保索引可用（首次使用时构建）
+   * @returns {Promise<boolean>} 构建失败时返回false，由调用方降级处理
+   */
+  async ensureReady(type) {
+    if (this.isReady(type)) return true
+
+    try {
+      await this.rebuild(type)
+      return true
+    } catch (error) {
+      logger.error(`搜索索引构建失败: ${type}`, error)
+      return false
+    }
+  }
+
+  /**
+   * 全量重建索引
+   * @param {string} [type] - 实体类型，缺省时重建全部
+   */
+  async rebuild(type) {
+    if (!type) {
+      const results = {}
+      for (const name of Object.keys(this.sources)) {
+        results[name] = await this.rebuild(name)
+      }
+      return results
+    }
+
+    this.assertType(type)
+
+    // 同一类型的并发重建请求共享同一次构建
+    if (!this.building[type]) {
+      this.building[type] = this.buildIndex(type).finally(() => {
+        this.building[type] = null
+      })
+    }
+
+    return this.building[type]
+  }
+
+  /**
+   * 从数据库流式构建新索引，完成后原子替换
+   */
+  async buildIndex(type) {
+    const { model, fields } = this.sources[type]
+    const index = new InvertedIndex(fields)
+    const paths = [...new Set(index.specs.map(spec => spec.path))]
+    const startTime = Date.now()
+
+    // 构建期间到达的增量变更暂存，替换后重放
+    this.pending[type] = []
+
+    try {
+      const cursor = model.find({})
+        .select(paths.join(' '))
+        .lean()
+        .batchSize(this.config.batchSize)
+        .cursor()
+
+      for await (const doc of cursor) {
+        index.add(String(doc._id), doc)
+      }
+
+      for (const { action, id, doc } of this.pending[type]) {
+        if (action === 'upsert') index.add(id, doc)
+        else index.remove(id)
+      }
+
+      this.indexes[type] = index
+      this.builtAt[type] = new Date()
+
+      const duration = Date.now() - startTime
+      logger.info(`搜索索引构建完成: ${type}, 文档数: ${index.size}, 耗时: ${duration}ms`)
+
+      return {
+        documents: index.size,
+        duration
+      }
+    } finally {
+      this.pending[type] = null
+    }
+  }
+
+  /**
+   * 增量添加或更新文档
+   */
+  upsert(type, doc) {
+    if (!this.sources[type] || !doc?._id) return
+
+    const id = String(doc._id)
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc
+
+    if (this.pending[type]) {
+      this.pending[type].push({ action: 'upsert', id, doc: plain })
+    }
+
+    if (this.isReady(type)) {
+      this.indexes[type].add(id, plain)
+    }
+  }
+
+  /**
+   * 增量删除文档
+   */
+  remove(type, docId) {
+    if (!this.sources[type] || !docId) return
+
+    const id = String(docId)
+
+    if (this.pending[type]) {
+      this.pending[type].push({ action: 'remove', id })
+    }
+
+    if (this.isReady(type)) {
+      this.indexes[type].remove(id)
+    }
+  }
+
+  /**
+   * 检索
+   * @param {string} type - 实体类型
+   * @param {string} query - 查询文本（支持中文、拼音、英文混合）
+   * @param {Object} boosts - 字段权重
+   * @param {Object} [options] - 覆盖默认BM25参数
+   */
+  search(type, query, boosts, options = {}) {
+    this.assertType(type)
+
+    return this.indexes[type].search(
+      analyzer.analyzeQuery(query),
+      boosts,
+      { ...this.config, ...options }
+    )
+  }
+
+  /**
+   * 词项的文档频率
+   */
+  documentFrequency(type, term) {
+    this.assertType(type)
+    return this.indexes[type].documentFrequency(term)
+  }
+
+  /**
+   * 查询词纠错：取编辑距离最小、文档频率最高的词项
+   * @param {string} type - 实体类型
+   * @param {string} term - 查询词项（已规范化）
+   * @returns {{term: string, edits: number, frequency: number}|null} 词项已存在或无候选时返回null
+   */
+  correctTerm(type, term) {
+    this.assertType(type)
+
+    const index = this.indexes[type]
+    if (index.documentFrequency(term)) return null
+
+    const [best] = index.expandFuzzy(term)
+    return best ? { ...best, frequency: index.documentFrequency(best.term) } : null
+  }
+
+  /**
+   * 查询中各词项的模糊扩展词（用于高亮模糊命中）
+   * @param {string} type - 实体类型
+   * @param {string} query - 查询文本
+   * @returns {string[]}
+   */
+  fuzzyExpansions(type, query) {
+    this.assertType(type)
+    if (!this.config.fuzzy) return []
+
+    const { text, pinyin } = analyzer.analyzeQuery(query)
+    const index = this.indexes[type]
+
+    return [...new Set([...text, ...pinyin])]
+      .filter(term => !index.documentFrequency(term))
+      .flatMap(term => index.expandFuzzy(term).map(item => item.term))
+  }
+
+  /**
+   * 索引字段对应的文档路径（派生字段如 name.pinyin 对应 name）
+   * @param {string} type - 实体类型
+   * @returns {Object} { field: path }
+   */
+  getFieldPaths(type) {
+    this.assertType(type)
+    return Object.fromEntries(this.indexes[type].specs.map(spec => [spec.name, spec.path]))
+  }
+
+  /**
+   * 索引统计信息
+   */
+  getStats() {
+    return Object.fromEntries(
+      Object.entries(this.indexes).map(([type, index]) => [type, {
+        documents: index.size,
+        terms: [...index.postings.values()].reduce((sum, postings) => sum + postings.size, 0),
+        builtAt: this.builtAt[type],
+        building: !!this.building[type]
+      }])
+    )
+  }
+
+  assertType(type) {
+    if (!this.sources[type]) {
+      throw new Error(`不支持的索引类型: ${type}`)
+    }
+  }
+}
+
+/**
+ * 容错匹配允许的编辑距离（随词长放宽）
+ * 含数字的词项（年份、电话等）不做模糊匹配
+ */
+function allowedEdits(term) {
+  if (/\d/.test(term)) return 0
+
+  const length = [...term].length
+  if (CJK_PATTERN.test(term)) return length >= 2 ? 1 : 0
+  if (length < 3) return 0
+  return length < 6 ? 1 : 2
+}
+
+/**
+ * 命中排序：精确命中优先，其次得分降序
+ */
+function compareHits(a, b) {
+  return (a.fuzzy > 0) - (b.fuzzy > 0) || b.score - a.score || (a.id < b.id ? -1 : 1)
+}
+
+/**
+ * 规范化字段定义
+ */
+function normalizeFieldSpec(field) {
+  const spec = typeof field === 'string' ? { name: field } : { ...field }
+  return {
+    path: spec.name,
+    analyzer: 'text',
+    prefix: false,
+    ...spec
+  }
+}
+
+/**
+ * 读取嵌套字段值
+ */
+function getFieldValue(doc, path) {
+  return path.split('.').reduce((value, key) => value?.[key], doc)
+}
+
+module.exports = new SearchIndexService()
\ No newline at end of file
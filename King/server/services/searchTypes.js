@@ -0,0 +1,436 @@
+// server/services/searchTypes.js
+const { Enterprise, Website } = require('../models')
+
+/**
+ * 可检索的实体类型注册表
+ * 每个实体类型声明参与统一搜索所需的全部信息，检索流程（services/search）、倒排索引、分面、高亮、
+ * 排序方案、输入联想、语义检索及结果缓存均按注册表处理；新的实体类型调用 register() 即可加入统一搜索，
+ * 已加载的服务通过 onRegister() 得知后注册的类型。
+ *
+ * 类型定义：
+ *   model: Mongoose 模型（保存/删除时需发出 `${type}:saved` / `${type}:removed` 事件以增量更新索引）
+ *   label: 显示名称; resultKey: 分组模式下结果的键名（缺省为类型名加 s）
+ *   fields: 倒排索引字段 { name, path, analyzer: 'text'|'pinyin', prefix, weight }，
+ *     weight 为内置排序方案的字段权重，字符串等同于 { name }
+ *   textFields: 索引不可用时正则匹配及评分的字段（缺省为 analyzer 为 text 的字段路径）
+ *   highlightFields: 参与高亮的字段（缺省同 textFields）
+ *   filters: 过滤器 -> 数据库条件的声明 { key: { path, match, range, normalize, format } }
+ *     match: in（多选，$in）、all（多选，$all）、regex（取值为已转义的正则）、boolean、
+ *       ip（单个地址匹配 path，网段 keyRange 匹配 numberPath）、region（行政区划）、near（附近，path 为坐标字段），
+ *       缺省为精确匹配; range: integer/date，对应 keyFrom / keyTo 两个闭区间参数;
+ *       normalize: 取值规范化（无效时返回 null），format 为出错提示中的取值说明
+ *   queryFields: 结构化查询字段 -> 过滤器 { filter, match, enum, range }（见 services/search 的 resolveFieldFilter）
+ *   defaultFilters: 未指定对应过滤器（含查询中的字段条件）时使用的默认过滤器，
+ *     按精确匹配（取值为数组时匹配其一）确定可公开检索的记录，输入联想只收录满足默认过滤器的记录
+ *   facets: 分面定义（见 services/searchFacets）
+ *   projection: 结果返回的字段; populate: 结果附带的关联记录; geo: 是否有坐标（附近搜索）
+ *   boosts: 适用的排序加权项（见 services/rankingProfiles）
+ *   suggest: 输入联想的字段 [{ path, domain }]，为空时不参与联想（见 services/autocomplete）
+ *   embedding: 语义检索的文本 { fields, homepage }，为空时不计算向量（见 services/embeddings）
+ *   renderer: 客户端渲染元数据 { icon, title, subtitle, description, url }（字段路径），由 GET /api/search/types 提供
+ *   groups: 统一搜索（分组模式，有查询词时）附带的结果分组 { 键名: ({ keywords, conditions, highlight }) => 分组结果 }，
+ *     keywords 为查询的全文词项，conditions 为该类型的默认及请求的过滤条件，分组不计入 total
+ *   detail: 单条详情附带的信息 async (doc, { admin, visibleConditions }) => 附加字段（见 services/searchDetail），
+ *     visibleConditions(类型名) 为关联记录的可见条件（非管理员为该类型的默认过滤器），为空时原样返回
+ *   alertCandidates: 保存的搜索提醒的新记录 async (since, until, limit) => [{ id, time }]（按时间升序，
+ *     最多 limit 条），为空时不参与提醒（见 services/searchAlerts）
+ *   similarity: 相似推荐 { weights, load, attributes, related }，为空时不计算近邻（见 services/similarity）
+ *     weights: 各项相似度的权重（text、industry、location、size、technology、type）;
+ *     load: async (filter, conditions) => 满足条件的记录（缺省为 model.find(filter)，可附带关联数据）;
+ *     attributes: doc => { text, industry, city, coordinates, employeeCount, technologies, type };
+ *     related: 其他类型的记录变更时需更新的本类型记录 { 类型名: doc => 记录ID }
+ */
+class SearchTypeRegistry {
+  constructor() {
+    // 类型名 -> 规范化后的类型定义
+    this.types = {}
+    this.listeners = []
+
+    for (const [name, definition] of Object.entries(BUILTIN_TYPES)) {
+      this.register(name, definition)
+    }
+  }
+
+  /**
+   * 注册实体类型
+   * @param {string} name - 类型名（查询参数 types 的取值）
+   * @param {Object} definition - 见类注释
+   * @returns {Object} 规范化后的类型定义
+   */
+  register(name, definition) {
+    if (this.types[name]) {
+      throw new Error(`实体类型已注册: ${name}`)
+    }
+    if (!definition?.model || !definition.fields?.length) {
+      throw new Error(`实体类型定义缺少 model 或 fields: ${name}`)
+    }
+
+    const fields = definition.fields.map(normalizeField)
+    const textFields = definition.textFields ||
+      [...new Set(fields.filter(field => field.analyzer === 'text').map(field => field.path))]
+
+    const type = {
+      label: name,
+      resultKey: `${name}s`,
+      filters: {},
+      queryFields: {},
+      defaultFilters: {},
+      facets: {},
+      projection: '-__v',
+      populate: null,
+      geo: false,
+      boosts: ['freshness', 'popularity'],
+      suggest: null,
+      embedding: null,
+      renderer: {},
+      groups: {},
+      detail: null,
+      alertCandidates: null,
+      similarity: null,
+      ...definition,
+      name,
+      fields,
+      weights: Object.fromEntries(fields.map(field => [field.name, field.weight])),
+      textFields,
+      highlightFields: definition.highlightFields || textFields
+    }
+
+    this.types[name] = type
+
+    for (const listener of this.listeners) listener(name, type)
+
+    return type
+  }
+
+  /**
+   * 订阅类型注册：已注册的类型立即回调，此后注册的类型在注册时回调
+   * @param {Function} listener - (name, definition) => void
+   */
+  onRegister(listener) {
+    this.listeners.push(listener)
+    for (const [name, type] of Object.entries(this.types)) listener(name, type)
+  }
+
+  get(name) {
+    return this.types[name] || null
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.types, name)
+  }
+
+  /**
+   * 全部类型名（按注册顺序）
+   */
+  names() {
+    return Object.keys(this.types)
+  }
+
+  /**
+   * 默认过滤器对应的数据库条件
+   */
+  defaultConditions(name) {
+    const type = this.types[name]
+    return Object.fromEntries(Object.entries(type.defaultFilters).map(([key, value]) => [
+      type.filters[key]?.path || key,
+      Array.isArray(value) ? { $in: value } : value
+    ]))
+  }
+
+  /**
+   * 记录是否满足默认过滤器（如已审核的企业、有效的网站）
+   * @param {Object} doc - 记录（文档或普通对象）
+   */
+  matchesDefaults(name, doc) {
+    const type = this.types[name]
+    return Object.entries(type.defaultFilters).every(([key, expected]) => {
+      const value = getPath(doc, type.filters[key]?.path || key)
+      const values = Array.isArray(value) ? value.map(String) : [String(value)]
+      return (Array.isArray(expected) ? expected : [expected]).some(item => values.includes(String(item)))
+    })
+  }
+
+  /**
+   * 客户端所需的类型信息（不含模型及内部配置）
+   * @returns {Array<{type: string, label: string, resultKey: string, renderer: Object, queryFields: string[], facets: string[], geo: boolean}>}
+   */
+  describe() {
+    return Object.values(this.types).map(type => ({
+      type: type.name,
+      label: type.label,
+      resultKey: type.resultKey,
+      renderer: type.renderer,
+      queryFields: Object.keys(type.queryFields),
+      facets: Object.keys(type.facets),
+      geo: type.geo
+    }))
+  }
+}
+
+/**
+ * 按路径取值（如 certificate.fingerprint）
+ */
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => value?.[key], doc)
+}
+
+/**
+ * 规范化倒排索引字段定义
+ */
+function normalizeField(field) {
+  const spec = typeof field === 'string' ? { name: field } : { ...field }
+  return {
+    path: spec.name,
+    analyzer: 'text',
+    prefix: false,
+    weight: 1,
+    ...spec
+  }
+}
+
+// 直方图分面的年份上限
+const NEXT_YEAR = new Date().getFullYear() + 1
+
+// 企业详情附带的网站数
+const DETAIL_WEBSITES = 50
+
+// 内置实体类型
+const BUILTIN_TYPES = {
+  enterprise: {
+    model: Enterprise,
+    label: '企业',
+    resultKey: 'enterprises',
+    fields: [
+      { name: 'name', weight: 10 },
+      { name: 'description', weight: 5 },
+      { name: 'industry', weight: 3 },
+      { name: 'contact.address', weight: 2 },
+      // 企业名称拼音及首字母，支持 "huawei"、"hw" 查找 "华为"
+      { name: 'name.pinyin', path: 'name', analyzer: 'pinyin', prefix: true, weight: 6 }
+    ],
+    filters: {
+      industry: { path: 'industry', match: 'in' },
+      status: { path: 'status' },
+      name: { path: 'name', match: 'regex' },
+      location: { path: 'contact.address', match: 'regex' },
+      // 行政区划（gazetteer.resolve 的结果），按其层级匹配省/市/区县
+      region: { path: 'region', match: 'region' },
+      // 中心点半径范围内（{ coordinates, radius }，半径单位 km）
+      near: { path: 'geo', match: 'near' },
+      foundedYear: { path: 'foundedYear', range: 'integer' },
+      employeeCount: { path: 'employeeCount', range: 'integer' },
+      createdAt: { path: 'createdAt', range: 'date' }
+    },
+    queryFields: {
+      name: { filter: 'name', match: 'regex' },
+      industry: { filter: 'industry', enum: 'industry' },
+      location: { filter: 'location', match: 'regex' },
+      region: { filter: 'region', match: 'region' },
+      near: { filter: 'near', match: 'near' },
+      status: { filter: 'status', enum: 'status' },
+      founded: { filter: 'foundedYear', range: 'integer' },
+      employees: { filter: 'employeeCount', range: 'integer' },
+      created: { filter: 'createdAt', range: 'date' }
+    },
+    defaultFilters: { status: 'approved' },
+    facets: {
+      industry: { name: '行业', field: 'industry', filters: ['industry'], enum: true },
+      status: { name: '状态', field: 'status', filters: ['status'], enum: true },
+      foundedYear: {
+        name: '成立年份',
+        field: 'foundedYear',
+        filters: ['foundedYearFrom', 'foundedYearTo'],
+        buckets: [1800, 1990, 2000, 2010, 2015, 2020, NEXT_YEAR]
+      },
+      employeeCount: {
+        name: '员工规模',
+        field: 'employeeCount',
+        filters: ['employeeCountFrom', 'employeeCountTo'],
+        buckets: [0, 10, 50, 100, 500, 1000, 5000, 10000, 1000000000]
+      }
+    },
+    projection: '-__v -createdBy -reviewedBy -reviewReason',
+    geo: true,
+    boosts: ['freshness', 'popularity', 'approved'],
+    suggest: [{ path: 'name' }],
+    embedding: { fields: ['name', 'industry', 'description'] },
+    renderer: { icon: 'building', title: 'name', subtitle: 'industry', description: 'description', url: 'website' },
+    // 详情附带企业的网站
+    detail: describeEnterprise,
+    // 新审核通过的企业
+    alertCandidates: (since, until, limit) =>
+      findCreatedSince(Enterprise, { status: 'approved' }, 'reviewedAt', since, until, limit),
+    // 技术栈取自企业的网站，网站变更时更新所属企业
+    similarity: {
+      weights: { text: 0.4, industry: 0.2, location: 0.15, size: 0.1, technology: 0.15 },
+      load: loadEnterprisesForSimilarity,
+      attributes: doc => ({
+        text: doc.description,
+        industry: doc.industry,
+        city: doc.region?.city,
+        coordinates: doc.geo?.coordinates,
+        employeeCount: doc.employeeCount,
+        technologies: doc.technologies
+      }),
+      related: { website: doc => doc.enterprise?._id || doc.enterprise }
+    }
+  },
+
+  website: {
+    model: Website,
+    label: '网站',
+    resultKey: 'websites',
+    fields: [
+      { name: 'domain', weight: 10 },
+      { name: 'title', weight: 8 },
+      { name: 'description', weight: 5 },
+      { name: 'keywords', weight: 3 }
+    ],
+    filters: {
+      type: { path: 'type', match: 'in' },
+      status: { path: 'status' },
+      technology: { path: 'technologies', match: 'all' },
+      domain: { path: 'domain', match: 'regex' },
+      ip: { path: 'ip', match: 'ip', numberPath: 'ipNumber' },
+      certificate: {
+        path: 'certificate.fingerprint',
+        normalize: value => Website.normalizeFingerprint(value),
+        format: '证书的 SHA-256 指纹'
+      },
+      server: { path: 'server', match: 'in' },
+      ssl: { path: 'ssl', match: 'boolean' },
+      lastCrawledAt: { path: 'lastCrawledAt', range: 'date' },
+      createdAt: { path: 'createdAt', range: 'date' }
+    },
+    queryFields: {
+      domain: { filter: 'domain', match: 'regex' },
+      tech: { filter: 'technology', match: 'exact-i' },
+      ip: { filter: 'ip', match: 'ip' },
+      cert: { filter: 'certificate' },
+      type: { filter: 'type', enum: 'type' },
+      server: { filter: 'server', enum: 'server' },
+      ssl: { filter: 'ssl', match: 'boolean' },
+      status: { filter: 'status', enum: 'status' },
+      crawled: { filter: 'lastCrawledAt', range: 'date' },
+      created: { filter: 'createdAt', range: 'date' }
+    },
+    defaultFilters: { status: 'active' },
+    facets: {
+      type: { name: '网站类型', field: 'type', filters: ['type'], enum: true },
+      server: { name: '服务器', field: 'server', filters: ['server'], enum: true },
+      ssl: { name: 'SSL', field: 'ssl', filters: ['ssl'], values: ['true', 'false'] },
+      technology: { name: '技术栈', field: 'technologies', filters: ['technology'], top: 20 }
+    },
+    projection: '-__v -createdBy',
+    populate: { path: 'enterprise', select: 'name industry' },
+    boosts: ['freshness', 'popularity', 'crawlHealth', 'ssl', 'approved'],
+    suggest: [{ path: 'domain', domain: true }, { path: 'title' }],
+    // 网站另附首页正文（见 services/pages）
+    embedding: { fields: ['title', 'description', 'keywords'], homepage: true },
+    renderer: { icon: 'globe', title: 'title', subtitle: 'domain', description: 'description', url: 'domain' },
+    groups: {
+      // 网页正文的命中按所属网站分组（站内的全部命中见 services/search 的 searchPages）
+      pages: ({ keywords, conditions, highlight }) =>
+        // pages 依赖注册表，调用时再加载
+        require('./pages').searchGrouped(keywords, { websiteConditions: conditions, highlight })
+    },
+    // 详情附带所属企业及爬取信息
+    detail: describeWebsite,
+    // 新爬取成功的网站
+    alertCandidates: (since, until, limit) =>
+      findCreatedSince(Website, { lastCrawlStatus: 'success' }, 'lastCrawledAt', since, until, limit),
+    // 行业取自所属企业
+    similarity: {
+      weights: { text: 0.5, technology: 0.3, type: 0.1, industry: 0.1 },
+      load: filter => Website.find(filter)
+        .select('title description keywords technologies type enterprise')
+        .populate('enterprise', 'industry')
+        .lean(),
+      attributes: doc => ({
+        text: [doc.title, doc.description, ...(doc.keywords || [])].filter(Boolean),
+        industry: doc.enterprise?.industry,
+        technologies: doc.technologies,
+        type: doc.type
+      })
+    }
+  }
+}
+
+/**
+ * 企业详情：附带企业的可见网站（最近创建的在前）
+ */
+async function describeEnterprise(enterprise, { visibleConditions }) {
+  const websites = await Website.find({ $and: [visibleConditions('website'), { enterprise: enterprise._id }] })
+    .select('domain title type status ssl server lastCrawledAt lastCrawlStatus')
+    .sort({ createdAt: -1 })
+    .limit(DETAIL_WEBSITES)
+    .lean()
+
+  return { websites }
+}
+
+/**
+ * 网站详情：附带所属企业（不可见时为 null）及爬取信息
+ */
+async function describeWebsite(website, { visibleConditions }) {
+  const enterprise = website.enterprise
+    ? await Enterprise.findOne({ $and: [visibleConditions('enterprise'), { _id: website.enterprise }] })
+      .select('name industry region status website logo')
+      .lean()
+    : null
+
+  return {
+    enterprise,
+    crawl: {
+      lastCrawledAt: website.lastCrawledAt || null,
+      status: website.lastCrawledAt ? website.lastCrawlStatus : null,
+      error: website.crawlError || null,
+      ip: website.ip,
+      server: website.server,
+      ssl: website.ssl,
+      technologies: website.technologies || [],
+      certificate: website.certificate?.fingerprint ? website.certificate : null
+    }
+  }
+}
+
+/**
+ * 时间范围 (since, until] 内的新记录，按时间升序
+ * @param {string} timeField - 记录时间的字段（如审核时间）
+ */
+async function findCreatedSince(model, conditions, timeField, since, until, limit) {
+  const docs = await model.find({ ...conditions, [timeField]: { $gt: since, $lte: until } })
+    .select(timeField)
+    .sort({ [timeField]: 1 })
+    .limit(limit)
+    .lean()
+
+  return docs.map(doc => ({ id: doc._id, time: doc[timeField] }))
+}
+
+/**
+ * 相似推荐读取的企业，附带其网站的技术栈
+ */
+async function loadEnterprisesForSimilarity(filter, conditions) {
+  const docs = await Enterprise.find(filter)
+    .select('description industry region geo employeeCount')
+    .lean()
+
+  const technologies = new Map()
+  const websites = await Website.find({
+    enterprise: conditions._id ? conditions._id : { $exists: true },
+    'technologies.0': { $exists: true }
+  })
+    .select('enterprise technologies')
+    .lean()
+
+  for (const website of websites) {
+    const key = String(website.enterprise)
+    if (!technologies.has(key)) technologies.set(key, new Set())
+    for (const technology of website.technologies) technologies.get(key).add(technology)
+  }
+
+  return docs.map(doc => ({ ...doc, technologies: [...(technologies.get(String(doc._id)) || [])] }))
+}
+
+module.exports = new SearchTypeRegistry()
\ No newline at end of file
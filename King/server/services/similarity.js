@@ -0,0 +1,528 @@
+// server/services/similarity.js
+const { logger } = require('../utils/logger')
+const { eventBus } = require('../utils/eventBus')
+const { SimilarEntity } = require('../models')
+const searchService = require('./search')
+const searchTypes = require('./searchTypes')
+const analyzer = require('../utils/analyzer')
+const gazetteer = require('../utils/gazetteer')
+
+const MINUTE = 60 * 1000
+
+// 员工人数分档（各档下限）
+const EMPLOYEE_BANDS = [1, 10, 50, 200, 1000, 5000]
+
+/**
+ * 相似推荐（"更多类似结果"）
+ * 相似度为各项相似度的加权和：描述文本的 TF-IDF 余弦相似度（分词后计算）、行业、
+ * 位置远近、员工人数分档、技术栈重合度、类别（如网站类型），各项取值及权重由类型定义的 similarity 提供
+ * （见 services/searchTypes，企业的技术栈来自其网站）；
+ * 近邻列表定期全量计算保存到 SimilarEntity，记录变更后合并短时间内的变更增量更新。
+ * 候选只在共享词项、技术或同一行业+城市的记录中产生，避免两两比较全部记录
+ */
+class SimilarityService {
+  constructor() {
+    this.config = {
+      refreshInterval: 24 * 60 * MINUTE, // 全量刷新间隔
+      initialDelay: 10 * MINUTE, // 启动后首次刷新的延迟
+      updateDelay: 30 * 1000, // 记录变更后增量更新的合并延迟
+      maxNeighbors: 20, // 每条记录保存的近邻数
+      maxResults: 10, // 接口默认返回数
+      minScore: 0.1, // 相似度下限
+      maxTerms: 50, // 每条记录保留的词项数（TF-IDF 最高者）
+      maxBlockSize: 500, // 候选分组的成员上限：词项超过该文档数时不用于产生候选，其余分组截取前若干成员
+      locationRange: 300, // 位置相似度降为 0 的距离（km）
+      batchSize: 500
+    }
+
+    // 实体类型 -> 语料（全量刷新后保留，供增量更新使用）
+    // { type, features: Map(id -> 特征), blocks: Map(分组键 -> Set(id)), neighbors: Map(id -> 近邻),
+    //   documentFrequency: Map(词项 -> 文档数), documentCount }
+    this.corpora = {}
+
+    // 待增量更新的记录：实体类型 -> Set(id)（定义了 similarity 的类型）
+    this.dirty = {}
+    this.updateTimer = null
+
+    // 进行中的全量刷新 / 增量更新（二者不并行）
+    this.running = null
+    this.updating = null
+
+    searchTypes.onRegister((type, definition) => {
+      if (definition.similarity) this.addType(type, definition.similarity)
+    })
+
+    const refresh = () => this.refresh().catch(error => logger.error('相似推荐刷新失败:', error))
+    setTimeout(refresh, this.config.initialDelay).unref()
+    setInterval(refresh, this.config.refreshInterval).unref()
+  }
+
+  /**
+   * 添加实体类型，并订阅该类型及相关类型（related）的记录变更
+   */
+  addType(type, { related = {} }) {
+    this.dirty[type] = new Set()
+
+    eventBus.on(`${type}:saved`, doc => this.markDirty(type, doc._id))
+    eventBus.on(`${type}:removed`, doc => this.markDirty(type, doc._id))
+
+    for (const [relatedType, idOf] of Object.entries(related)) {
+      for (const event of [`${relatedType}:saved`, `${relatedType}:removed`]) {
+        eventBus.on(event, doc => {
+          const id = idOf(doc)
+          if (id) this.markDirty(type, id)
+        })
+      }
+    }
+  }
+
+  /**
+   * 相似记录（近邻中已删除或不再可见的记录不返回）
+   * @param {string} type - 实体类型
+   * @param {string} id - 记录ID
+   * @param {Object} [options]
+   * @param {number} [options.limit] - 数量
+   * @returns {Promise<{data: Array, computedAt: Date|null}|null>} 记录不存在时返回 null；
+   *   data 的每项附 _similarity: { score, reasons: 各项相似度 }
+   */
+  async getSimilar(type, id, { limit = this.config.maxResults } = {}) {
+    const definition = searchService.entityTypes[type]
+
+    const [entity, stored] = await Promise.all([
+      definition.model.findById(id).select('_id').lean(),
+      SimilarEntity.findOne({ entityType: type, entity: id }).select('neighbors computedAt').lean()
+    ])
+    if (!entity) return null
+
+    const neighbors = stored?.neighbors || []
+    if (!neighbors.length) {
+      return { data: [], computedAt: stored?.computedAt || null }
+    }
+
+    let query = definition.model.find({
+      $and: [
+        searchService.buildFilters(type, definition.defaultFilters),
+        { _id: { $in: neighbors.map(neighbor => neighbor.id) } }
+      ]
+    }).select(definition.projection)
+
+    if (definition.populate) {
+      query = query.populate(definition.populate.path, definition.populate.select)
+    }
+
+    const docs = new Map((await query.lean()).map(doc => [String(doc._id), doc]))
+
+    return {
+      data: neighbors
+        .filter(neighbor => docs.has(String(neighbor.id)))
+        .slice(0, limit)
+        .map(neighbor => ({
+          ...docs.get(String(neighbor.id)),
+          _type: type,
+          _similarity: { score: neighbor.score, reasons: neighbor.reasons }
+        })),
+      computedAt: stored.computedAt
+    }
+  }
+
+  /**
+   * 全量刷新
+   * @param {string[]} [types] - 实体类型，缺省为全部
+   * @returns {Promise<Object>} 各实体类型的 { entities: 记录数 } 及 duration
+   */
+  async refresh(types = Object.keys(this.dirty)) {
+    if (!this.running) {
+      this.running = this.runRefresh(types).finally(() => {
+        this.running = null
+      })
+    }
+
+    return this.running
+  }
+
+  async runRefresh(types) {
+    const startTime = Date.now()
+    const result = {}
+
+    // 等待进行中的增量更新
+    await this.updating
+
+    for (const type of types) {
+      const computedAt = new Date()
+      const corpus = await this.loadCorpus(type)
+
+      for (const id of corpus.features.keys()) {
+        corpus.neighbors.set(id, this.findNeighbors(corpus, id))
+      }
+
+      await this.saveNeighbors(type, corpus, [...corpus.features.keys()], computedAt)
+
+      // 不再可见或已删除的记录
+      await SimilarEntity.deleteMany({ entityType: type, computedAt: { $lt: computedAt } })
+
+      this.corpora[type] = corpus
+      result[type] = { entities: corpus.features.size }
+    }
+
+    result.duration = Date.now() - startTime
+    logger.info('相似推荐刷新完成', result)
+
+    return result
+  }
+
+  /**
+   * 记录变更：合并短时间内的变更后增量更新
+   */
+  markDirty(type, id) {
+    this.dirty[type].add(String(id))
+
+    if (!this.updateTimer) {
+      this.updateTimer = setTimeout(() => {
+        this.updateTimer = null
+        this.flushUpdates()
+      }, this.config.updateDelay)
+      this.updateTimer.unref()
+    }
+  }
+
+  /**
+   * 执行增量更新，全量刷新进行中时推迟
+   */
+  flushUpdates() {
+    if (this.running || this.updating) {
+      this.updateTimer = setTimeout(() => {
+        this.updateTimer = null
+        this.flushUpdates()
+      }, this.config.updateDelay)
+      this.updateTimer.unref()
+      return
+    }
+
+    this.updating = (async () => {
+      for (const type of Object.keys(this.dirty)) {
+        await this.update(type)
+      }
+    })()
+      .catch(error => logger.error('相似推荐增量更新失败:', error))
+      .finally(() => {
+        this.updating = null
+      })
+  }
+
+  /**
+   * 增量更新变更记录的近邻，以及近邻列表受其影响的记录
+   * 文档频率沿用上次全量刷新的统计；尚未全量刷新时由首次全量刷新处理
+   */
+  async update(type) {
+    const corpus = this.corpora[type]
+    const ids = [...this.dirty[type]]
+    this.dirty[type].clear()
+    if (!corpus || !ids.length) return
+
+    const docs = await this.loadDocuments(type, { _id: { $in: ids } })
+    const loaded = new Map(docs.map(doc => [String(doc._id), doc]))
+
+    for (const id of ids) {
+      this.removeFromCorpus(corpus, id)
+      if (loaded.has(id)) {
+        this.addToCorpus(corpus, id, this.vectorize(corpus, this.extractFeatures(type, loaded.get(id))))
+      }
+    }
+
+    const { maxNeighbors, minScore } = this.config
+    const affected = new Set()
+    const touched = new Set()
+    const removed = []
+
+    for (const id of ids) {
+      // 近邻列表含该记录的记录需重新计算（该记录可能已删除或相似度下降）
+      for (const [otherId, neighbors] of corpus.neighbors) {
+        if (otherId !== id && neighbors.some(neighbor => neighbor.id === id)) affected.add(otherId)
+      }
+
+      if (!corpus.features.has(id)) {
+        corpus.neighbors.delete(id)
+        removed.push(id)
+        continue
+      }
+
+      affected.add(id)
+
+      // 该记录可能进入其他记录的近邻列表
+      for (const otherId of this.candidatesOf(corpus, id)) {
+        if (affected.has(otherId)) continue
+
+        const neighbors = corpus.neighbors.get(otherId) || []
+        const { score, reasons } = this.similarity(type, corpus.features.get(otherId), corpus.features.get(id))
+        if (score < minScore) continue
+        if (neighbors.length >= maxNeighbors && score <= neighbors[neighbors.length - 1].score) continue
+
+        corpus.neighbors.set(otherId, [...neighbors, { id, score, reasons }]
+          .sort(compareNeighbors)
+          .slice(0, maxNeighbors))
+        touched.add(otherId)
+      }
+    }
+
+    for (const id of affected) {
+      if (!corpus.features.has(id)) continue
+      corpus.neighbors.set(id, this.findNeighbors(corpus, id))
+      touched.add(id)
+    }
+
+    await this.saveNeighbors(type, corpus, [...touched], new Date())
+    if (removed.length) {
+      await SimilarEntity.deleteMany({ entityType: type, entity: { $in: removed } })
+    }
+
+    logger.info(`相似推荐增量更新: ${type}`, { changed: ids.length, updated: touched.size, removed: removed.length })
+  }
+
+  /**
+   * 加载全部可见记录并计算特征
+   */
+  async loadCorpus(type) {
+    const corpus = {
+      type,
+      features: new Map(),
+      blocks: new Map(),
+      neighbors: new Map(),
+      documentFrequency: new Map(),
+      documentCount: 0
+    }
+
+    const raw = new Map()
+    for (const doc of await this.loadDocuments(type)) {
+      const features = this.extractFeatures(type, doc)
+      raw.set(String(doc._id), features)
+
+      for (const term of features.terms.keys()) {
+        corpus.documentFrequency.set(term, (corpus.documentFrequency.get(term) || 0) + 1)
+      }
+    }
+    corpus.documentCount = raw.size
+
+    for (const [id, features] of raw) {
+      this.addToCorpus(corpus, id, this.vectorize(corpus, features))
+    }
+
+    return corpus
+  }
+
+  /**
+   * 读取可见记录（类型定义的 load 可附带关联数据，如企业的技术栈）
+   * @param {string} type - 实体类型
+   * @param {Object} [conditions] - 附加条件
+   */
+  async loadDocuments(type, conditions = {}) {
+    const definition = searchService.entityTypes[type]
+    const filter = { $and: [searchService.buildFilters(type, definition.defaultFilters), conditions] }
+
+    const { load } = definition.similarity
+    return load ? load(filter, conditions) : definition.model.find(filter).lean()
+  }
+
+  /**
+   * 记录的特征（terms 为描述文本的词频，由 vectorize 转换为 TF-IDF 向量）
+   */
+  extractFeatures(type, doc) {
+    const attributes = searchService.entityTypes[type].similarity.attributes(doc)
+
+    return {
+      terms: analyzer.termFrequencies(analyzer.tokenize(attributes.text, 'query')),
+      industry: attributes.industry || null,
+      city: attributes.city || null,
+      coordinates: attributes.coordinates?.length === 2 ? attributes.coordinates : null,
+      band: employeeBand(attributes.employeeCount),
+      technologies: new Set((attributes.technologies || []).map(technology => analyzer.normalize(technology).trim())),
+      type: attributes.type || null
+    }
+  }
+
+  /**
+   * 词频转换为归一化的 TF-IDF 向量，保留权重最高的 maxTerms 个词项
+   */
+  vectorize(corpus, { terms, ...features }) {
+    const weighted = [...terms]
+      .map(([term, count]) => [
+        term,
+        (1 + Math.log(count)) * Math.log(1 + corpus.documentCount / (corpus.documentFrequency.get(term) || 1))
+      ])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.config.maxTerms)
+
+    const norm = Math.sqrt(weighted.reduce((sum, [, weight]) => sum + weight * weight, 0)) || 1
+
+    return {
+      ...features,
+      vector: new Map(weighted.map(([term, weight]) => [term, weight / norm]))
+    }
+  }
+
+  addToCorpus(corpus, id, features) {
+    features.blockKeys = blockKeysOf(features)
+    corpus.features.set(id, features)
+
+    for (const key of features.blockKeys) {
+      if (!corpus.blocks.has(key)) corpus.blocks.set(key, new Set())
+      corpus.blocks.get(key).add(id)
+    }
+  }
+
+  removeFromCorpus(corpus, id) {
+    const features = corpus.features.get(id)
+    if (!features) return
+
+    for (const key of features.blockKeys) {
+      const members = corpus.blocks.get(key)
+      members?.delete(id)
+      if (members && !members.size) corpus.blocks.delete(key)
+    }
+
+    corpus.features.delete(id)
+  }
+
+  /**
+   * 候选近邻：与该记录同属任一分组（共享词项、技术或同一行业+城市）的记录
+   */
+  candidatesOf(corpus, id) {
+    const { maxBlockSize } = this.config
+    const candidates = new Set()
+
+    for (const key of corpus.features.get(id).blockKeys) {
+      const members = corpus.blocks.get(key)
+      // 常见词项区分度低，不用于产生候选
+      if (!members || (key.startsWith('term:') && members.size > maxBlockSize)) continue
+
+      let count = 0
+      for (const member of members) {
+        if (count++ >= maxBlockSize) break
+        candidates.add(member)
+      }
+    }
+
+    candidates.delete(id)
+    return candidates
+  }
+
+  /**
+   * 计算记录的近邻（相似度降序）
+   */
+  findNeighbors(corpus, id) {
+    const source = corpus.features.get(id)
+    const neighbors = []
+
+    for (const candidate of this.candidatesOf(corpus, id)) {
+      const { score, reasons } = this.similarity(corpus.type, source, corpus.features.get(candidate))
+      if (score >= this.config.minScore) neighbors.push({ id: candidate, score, reasons })
+    }
+
+    return neighbors.sort(compareNeighbors).slice(0, this.config.maxNeighbors)
+  }
+
+  /**
+   * 两条记录的相似度：各项相似度（0-1）的加权和，任一方缺少信息的项不计
+   * @returns {{score: number, reasons: Object}}
+   */
+  similarity(type, a, b) {
+    const { weights } = searchService.entityTypes[type].similarity
+    const reasons = {}
+
+    if (weights.text && a.vector.size && b.vector.size) {
+      let dot = 0
+      for (const [term, weight] of a.vector) dot += weight * (b.vector.get(term) || 0)
+      reasons.text = dot
+    }
+
+    if (weights.industry && a.industry && b.industry) {
+      reasons.industry = a.industry === b.industry ? 1 : 0
+    }
+
+    if (weights.location && a.coordinates && b.coordinates) {
+      reasons.location = Math.max(0, 1 - gazetteer.distance(a.coordinates, b.coordinates) / this.config.locationRange)
+    }
+
+    if (weights.size && a.band !== null && b.band !== null) {
+      reasons.size = Math.max(0, 1 - Math.abs(a.band - b.band) / 2)
+    }
+
+    if (weights.technology && a.technologies.size && b.technologies.size) {
+      let shared = 0
+      for (const technology of a.technologies) if (b.technologies.has(technology)) shared++
+      reasons.technology = shared / (a.technologies.size + b.technologies.size - shared)
+    }
+
+    if (weights.type && a.type && b.type) {
+      reasons.type = a.type === b.type ? 1 : 0
+    }
+
+    let score = 0
+    for (const [key, value] of Object.entries(reasons)) {
+      reasons[key] = round(value)
+      score += weights[key] * value
+    }
+
+    return { score: round(score), reasons }
+  }
+
+  /**
+   * 保存近邻列表
+   */
+  async saveNeighbors(type, corpus, ids, computedAt) {
+    let operations = []
+    const flush = async () => {
+      if (!operations.length) return
+      await SimilarEntity.bulkWrite(operations, { ordered: false })
+      operations = []
+    }
+
+    for (const id of ids) {
+      operations.push({
+        updateOne: {
+          filter: { entityType: type, entity: id },
+          update: { $set: { neighbors: corpus.neighbors.get(id) || [], computedAt } },
+          upsert: true
+        }
+      })
+      if (operations.length >= this.config.batchSize) await flush()
+    }
+
+    await flush()
+  }
+}
+
+/**
+ * 员工人数所在分档（0 起），人数未知时返回 null
+ */
+function employeeBand(count) {
+  if (!count) return null
+
+  let band = 0
+  while (band + 1 < EMPLOYEE_BANDS.length && count >= EMPLOYEE_BANDS[band + 1]) band++
+  return band
+}
+
+/**
+ * 候选分组键：词项、技术、行业+城市（企业）或行业+网站类型（网站）
+ */
+function blockKeysOf(features) {
+  const keys = [...features.vector.keys()].map(term => `term:${term}`)
+
+  for (const technology of features.technologies) keys.push(`tech:${technology}`)
+
+  if (features.industry) {
+    keys.push(`group:${features.industry}|${features.type || features.city || ''}`)
+  }
+
+  return keys
+}
+
+function compareNeighbors(a, b) {
+  return b.score - a.score || (a.id < b.id ? -1 : 1)
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000
+}
+
+module.exports = new SimilarityService()
\ No newline at end of file
@@ -0,0 +1,196 @@
+// server/services/spellcheck.js
+const { logger } = require('../utils/logger')
+const analyzer = require('../utils/analyzer')
+const queryParser = require('../utils/queryParser')
+const { collectPositiveText } = require('../utils/queryParser')
+const { QueryStat } = require('../models')
+const searchTypes = require('./searchTypes')
+const searchIndex = require('./searchIndex')
+
+class SpellcheckService {
+  constructor() {
+    this.config = {
+      lowResultThreshold: 3, // 结果数低于该值时给出建议
+      maxSuggestions: 5,
+      popularLimit: 1000, // 参与纠错比对的热门查询数
+      popularTTL: 10 * 60 * 1000, // 热门查询缓存时间
+      maxQueryLength: 200
+    }
+
+    this.popular = {
+      queries: [],
+      loadedAt: 0,
+      loading: null
+    }
+  }
+
+  /**
+   * 结果数是否偏少
+   */
+  shouldSuggest(total) {
+    return total < this.config.lowResultThreshold
+  }
+
+  /**
+   * 生成"您是不是要找"建议
+   * 先按索引词表纠正各词项，再补充与查询相近的热门查询
+   * @param {string} query - 原始查询（可含结构化语法）
+   * @param {string[]} types - 实体类型
+   * @returns {Promise<string[]>}
+   */
+  async suggest(query, types = searchTypes.names()) {
+    if (!query) return []
+
+    try {
+      const suggestions = []
+      const corrected = this.correctQuery(query, types)
+      if (corrected) suggestions.push(corrected)
+
+      for (const popular of await this.findSimilarPopular(query)) {
+        suggestions.push(popular)
+      }
+
+      const original = this.normalizeQuery(query)
+
+      return [...new Set(suggestions)]
+        .filter(item => this.normalizeQuery(item) !== original)
+        .slice(0, this.config.maxSuggestions)
+    } catch (error) {
+      logger.error('查询建议生成失败:', error)
+      return []
+    }
+  }
+
+  /**
+   * 按索引词表纠正查询中的全文词项，保留字段条件与运算符
+   * @returns {string|null} 无可纠正的词项时返回null
+   */
+  correctQuery(query, types) {
+    const ast = queryParser.parse(query)
+    const replacements = []
+
+    for (const node of collectPositiveText(ast)) {
+      const corrected = this.correctText(node.value, types)
+      if (!corrected) continue
+
+      // 短语节点的位置指向引号
+      const start = node.type === 'phrase' ? query.indexOf(node.value, node.position) : node.position
+      replacements.push({ start, end: start + node.value.length, text: corrected })
+    }
+
+    if (!replacements.length) return null
+
+    // 自后向前替换，保持前面的位置不变
+    let result = query
+    for (const { start, end, text } of replacements.sort((a, b) => b.start - a.start)) {
+      result = result.slice(0, start) + text + result.slice(end)
+    }
+
+    return result
+  }
+
+  /**
+   * 纠正一段文本中的词项
+   * @returns {string|null}
+   */
+  correctText(value, types) {
+    const readyTypes = types.filter(type => searchIndex.isReady(type))
+    if (!readyTypes.length) return null
+
+    let text = analyzer.normalize(value)
+    let changed = false
+
+    for (const token of analyzer.tokenize(value, 'query')) {
+      // 词项在任一类型的词表中存在即不纠正
+      if (readyTypes.some(type => searchIndex.documentFrequency(type, token))) continue
+
+      const [best] = readyTypes
+        .map(type => searchIndex.correctTerm(type, token))
+        .filter(Boolean)
+        .sort((a, b) => a.edits - b.edits || b.frequency - a.frequency)
+
+      if (best && text.includes(token)) {
+        text = text.replace(token, best.term)
+        changed = true
+      }
+    }
+
+    return changed ? text : null
+  }
+
+  /**
+   * 与查询相近的热门查询（编辑距离随长度放宽，按查询次数排序）
+   */
+  async findSimilarPopular(query) {
+    const normalized = this.normalizeQuery(query)
+    const length = [...normalized].length
+    if (!length) return []
+
+    const maxEdits = length < 3 ? 0 : length < 6 ? 1 : 2
+    const popular = await this.getPopularQueries()
+
+    return popular
+      .filter(item => {
+        if (item.query === normalized) return false
+        // 以查询为前缀的热门查询同样视为相近
+        if (length >= 2 && item.query.startsWith(normalized)) return true
+        return maxEdits > 0 && analyzer.editDistance(normalized, item.query, maxEdits) <= maxEdits
+      })
+      .slice(0, this.config.maxSuggestions)
+      .map(item => item.query)
+  }
+
+  /**
+   * 热门查询（按查询次数降序，带缓存）
+   */
+  async getPopularQueries() {
+    const { popularTTL, popularLimit } = this.config
+
+    if (Date.now() - this.popular.loadedAt < popularTTL) {
+      return this.popular.queries
+    }
+
+    if (!this.popular.loading) {
+      this.popular.loading = QueryStat.findPopular(popularLimit)
+        .then(queries => {
+          this.popular.queries = queries
+          this.popular.loadedAt = Date.now()
+          return queries
+        })
+        .catch(error => {
+          logger.error('热门查询加载失败:', error)
+          return this.popular.queries
+        })
+        .finally(() => {
+          this.popular.loading = null
+        })
+    }
+
+    return this.popular.loading
+  }
+
+  /**
+   * 规范化查询文本（统计与比对使用同一形式）
+   */
+  normalizeQuery(query) {
+    return analyzer.normalize(query).trim().replace(/\s+/g, ' ')
+  }
+
+  /**
+   * 记录查询（用于热门查询统计）
+   * @param {string} query - 原始查询
+   * @param {number} resultCount - 结果数
+   */
+  async recordQuery(query, resultCount) {
+    const normalized = this.normalizeQuery(query)
+    if (!normalized || normalized.length > this.config.maxQueryLength) return
+
+    try {
+      await QueryStat.record(normalized, resultCount)
+    } catch (error) {
+      logger.error('查询统计记录失败:', error)
+    }
+  }
+}
+
+module.exports = new SpellcheckService()
\ No newline at end of file
@@ -0,0 +1,141 @@
+// server/services/synonyms.js
+const { logger } = require('../utils/logger')
+const analyzer = require('../utils/analyzer')
+const { eventBus } = require('../utils/eventBus')
+const { Synonym, SYNONYM_TYPES } = require('../models')
+const searchIndex = require('./searchIndex')
+
+class SynonymService {
+  constructor() {
+    this.config = {
+      ttl: 5 * 60 * 1000, // 规则缓存时间（多实例部署时其他实例的变更在此时间内生效）
+      maxExpansions: 10 // 单个查询词最多扩展的同义词数
+    }
+
+    this.rules = {
+      // 规范化词语 -> 触发的规则
+      lookup: new Map(),
+      loadedAt: 0,
+      loading: null
+    }
+
+    // 规则变更后下次查询时重新加载
+    eventBus.on('synonym:changed', () => this.invalidate())
+  }
+
+  /**
+   * 使规则缓存失效
+   */
+  invalidate() {
+    this.rules.loadedAt = 0
+  }
+
+  /**
+   * 确保规则已加载（过期时重新加载）
+   * 加载失败时沿用已有规则，不影响搜索
+   */
+  async ensureLoaded() {
+    if (Date.now() - this.rules.loadedAt < this.config.ttl) return
+
+    if (!this.rules.loading) {
+      this.rules.loading = Synonym.find({ enabled: true })
+        .lean()
+        .then(rules => {
+          this.rules.lookup = this.buildLookup(rules)
+          this.rules.loadedAt = Date.now()
+        })
+        .catch(error => {
+          logger.error('同义词规则加载失败:', error)
+        })
+        .finally(() => {
+          this.rules.loading = null
+        })
+    }
+
+    return this.rules.loading
+  }
+
+  /**
+   * 建立词语 -> 规则的查找表
+   * 双向规则中每个词语扩展为组内其余词语，单向规则仅由 terms 扩展为 synonyms
+   */
+  buildLookup(rules) {
+    const lookup = new Map()
+
+    for (const rule of rules) {
+      const isOneWay = rule.type === SYNONYM_TYPES.ONE_WAY
+
+      for (const term of rule.terms) {
+        const key = this.normalizeTerm(term)
+        if (!key) continue
+
+        const expansions = (isOneWay ? rule.synonyms : rule.terms)
+          .filter(item => this.normalizeTerm(item) !== key)
+        if (!expansions.length) continue
+
+        if (!lookup.has(key)) lookup.set(key, [])
+        lookup.get(key).push({
+          rule: String(rule._id),
+          type: rule.type,
+          matched: term,
+          synonyms: expansions,
+          entityType: rule.scope?.entityType || 'all',
+          fields: rule.scope?.fields || []
+        })
+      }
+    }
+
+    return lookup
+  }
+
+  /**
+   * 查找查询词触发的同义词规则（需先调用 ensureLoaded）
+   * @param {string} value - 查询词或短语
+   * @param {string} type - 实体类型
+   * @returns {Array<{rule: string, type: string, matched: string, synonyms: string[], fields: string[]}>}
+   */
+  lookup(value, type) {
+    const key = this.normalizeTerm(value)
+    if (!key) return []
+
+    let remaining = this.config.maxExpansions
+
+    return (this.rules.lookup.get(key) || [])
+      .filter(item => item.entityType === 'all' || item.entityType === type)
+      .map(({ entityType, ...item }) => {
+        const synonyms = item.synonyms.slice(0, remaining)
+        remaining -= synonyms.length
+        return { ...item, synonyms }
+      })
+      .filter(item => item.synonyms.length)
+  }
+
+  /**
+   * 校验规则的字段范围
+   * @param {Object} [scope] - { entityType, fields }
+   * @returns {string|null} 错误信息
+   */
+  validateScope(scope = {}) {
+    const { entityType = 'all', fields = [] } = scope
+    if (!Array.isArray(fields)) return 'scope.fields 必须是数组'
+
+    const types = entityType === 'all' ? Object.keys(searchIndex.sources) : [entityType]
+    if (!types.every(type => searchIndex.sources[type])) {
+      return `不支持的实体类型: ${entityType}`
+    }
+
+    const paths = new Set(types.flatMap(type => Object.values(searchIndex.getFieldPaths(type))))
+    const invalid = fields.filter(field => !paths.has(field))
+
+    return invalid.length ? `不支持的字段: ${invalid.join(', ')}` : null
+  }
+
+  /**
+   * 规范化词语（与查询分词一致，忽略大小写、全半角及标点）
+   */
+  normalizeTerm(term) {
+    return analyzer.tokenize(term, 'query').join(' ')
+  }
+}
+
+module.exports = new SynonymService()
\ No newline at end of file
@@ -0,0 +1,416 @@
+// server/utils/analyzer.js
+const fs = require('fs')
+const path = require('path')
+const { logger } = require('./logger')
+
+// 中日韩统一表意文字
+const CJK_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/
+
+class Analyzer {
+  constructor() {
+    // 分词配置
+    this.config = {
+      minTokenLength: 1,
+      maxTokenLength: 64,
+      maxWordLength: 6, // 词典最长词条
+      dictDir: path.join(__dirname, '../data/dict')
+    }
+
+    // 词典与拼音表按需加载
+    this.dictionary = null
+    this.pinyinTable = null
+  }
+
+  /**
+   * 文本规范化（全角转半角、统一小写）
+   * @param {string} text - 原始文本
+   */
+  normalize(text) {
+    if (text === undefined || text === null) return ''
+    return String(text).normalize('NFKC').toLowerCase()
+  }
+
+  /**
+   * 将字段值切分为词项
+   * @param {string|string[]} value - 字段值（数组字段逐项切分）
+   * @param {string} [mode='index'] - index: 额外输出长词内的子词以提高召回; query: 仅输出最优切分
+   * @returns {string[]} 词项序列
+   */
+  tokenize(value, mode = 'index') {
+    if (Array.isArray(value)) {
+      return value.flatMap(item => this.tokenize(item, mode))
+    }
+
+    const tokens = []
+
+    for (const run of this.splitRuns(value)) {
+      if (run.cjk) {
+        tokens.push(...this.segmentCJK(run.text, mode))
+      } else {
+        tokens.push(run.text)
+      }
+    }
+
+    return tokens.filter(token =>
+      token.length >= this.config.minTokenLength &&
+      token.length <= this.config.maxTokenLength
+    )
+  }
+
+  /**
+   * 按文字类别切分为连续片段
+   * @returns {Array<{text: string, cjk: boolean}>}
+   */
+  splitRuns(value) {
+    const text = this.normalize(value)
+    const runs = []
+
+    for (const segment of text.match(/[\p{L}\p{N}]+/gu) || []) {
+      let buffer = ''
+      let bufferIsCJK = false
+
+      for (const char of segment) {
+        const isCJK = CJK_PATTERN.test(char)
+        if (buffer && isCJK !== bufferIsCJK) {
+          runs.push({ text: buffer, cjk: bufferIsCJK })
+          buffer = ''
+        }
+        buffer += char
+        bufferIsCJK = isCJK
+      }
+
+      if (buffer) runs.push({ text: buffer, cjk: bufferIsCJK })
+    }
+
+    return runs
+  }
+
+  /**
+   * 中文分词：基于词频的最大概率切分，未登录片段回退为二元切分
+   * @param {string} text - 纯中文片段
+   * @param {string} mode - index/query
+   */
+  segmentCJK(text, mode = 'index') {
+    const chars = [...text]
+    const tokens = []
+    let singles = []
+
+    // 连续单字视为未登录词，输出二元组
+    const flushSingles = () => {
+      if (singles.length === 1) {
+        tokens.push(singles[0])
+      } else {
+        for (let k = 0; k < singles.length - 1; k++) {
+          tokens.push(singles[k] + singles[k + 1])
+        }
+      }
+      singles = []
+    }
+
+    for (const [i, end] of this.cutCJK(chars)) {
+      if (end - i === 1) {
+        singles.push(chars[i])
+        continue
+      }
+
+      flushSingles()
+
+      const word = chars.slice(i, end).join('')
+      tokens.push(word)
+
+      if (mode === 'index' && word.length > 2) {
+        tokens.push(...this.subWords(chars.slice(i, end)))
+      }
+    }
+
+    flushSingles()
+    return tokens
+  }
+
+  /**
+   * 最大概率切分
+   * @param {string[]} chars - 中文字符数组
+   * @returns {Array<[number, number]>} 各词的 [起始, 结束) 字符位置
+   */
+  cutCJK(chars) {
+    const { words, logTotal } = this.loadDictionary()
+    const maxLength = this.config.maxWordLength
+    const n = chars.length
+
+    // route[i] = 从位置i到结尾的最优 [对数概率, 词尾位置]
+    const route = new Array(n + 1)
+    route[n] = [0, n]
+
+    for (let i = n - 1; i >= 0; i--) {
+      // 单字总是可选（以最低频率计）
+      let best = [-logTotal + route[i + 1][0], i + 1]
+
+      for (let j = i + 2; j <= Math.min(n, i + maxLength); j++) {
+        const freq = words.get(chars.slice(i, j).join(''))
+        if (!freq) continue
+
+        const score = Math.log(freq) - logTotal + route[j][0]
+        if (score > best[0]) best = [score, j]
+      }
+
+      route[i] = best
+    }
+
+    const cuts = []
+    for (let i = 0; i < n; i = route[i][1]) {
+      cuts.push([i, route[i][1]])
+    }
+    return cuts
+  }
+
+  /**
+   * 切分文本并保留词在原文中的位置（用于高亮）
+   * 中文按词典最优切分（不做二元回退），其余为连续字母数字串
+   * @param {string} value - 原始文本
+   * @returns {Array<{token: string, start: number, end: number, cjk: boolean}>} start/end 为原文偏移
+   */
+  segmentSpans(value) {
+    const text = value === undefined || value === null ? '' : String(value)
+    const spans = []
+    let run = null
+    let offset = 0
+
+    const flush = () => {
+      if (!run) return
+
+      if (run.cjk) {
+        run.offsets.push(run.end)
+        for (const [from, to] of this.cutCJK(run.chars)) {
+          spans.push({
+            token: run.chars.slice(from, to).join(''),
+            start: run.offsets[from],
+            end: run.offsets[to],
+            cjk: true
+          })
+        }
+      } else {
+        spans.push({ token: run.chars.join(''), start: run.start, end: run.end, cjk: false })
+      }
+
+      run = null
+    }
+
+    for (const char of text) {
+      const normalized = this.normalize(char)
+      const isWord = /^[\p{L}\p{N}]+$/u.test(normalized)
+      const isCJK = isWord && CJK_PATTERN.test(normalized)
+
+      if (!isWord || (run && run.cjk !== isCJK)) flush()
+
+      if (isWord) {
+        if (!run) run = { cjk: isCJK, chars: [], offsets: [], start: offset }
+        run.chars.push(normalized)
+        run.offsets.push(offset)
+        run.end = offset + char.length
+      }
+
+      offset += char.length
+    }
+
+    flush()
+    return spans
+  }
+
+  /**
+   * 长词中包含的词典子词（搜索引擎模式）
+   */
+  subWords(chars) {
+    const { words } = this.loadDictionary()
+    const result = []
+
+    for (const size of [2, 3]) {
+      if (size >= chars.length) break
+      for (let i = 0; i + size <= chars.length; i++) {
+        const word = chars.slice(i, i + size).join('')
+        if (words.has(word)) result.push(word)
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * 生成拼音词项：每个词的全拼与首字母，以及整段文本的全拼与首字母
+   * 例如 "华为技术" -> huawei, hw, jishu, js, huaweijishu, hwjs
+   * @param {string} value - 字段值
+   */
+  pinyinTokens(value) {
+    const tokens = []
+    const fullParts = []
+    const initialParts = []
+
+    for (const word of this.tokenize(value, 'query')) {
+      if (CJK_PATTERN.test(word)) {
+        const syllables = this.toPinyin(word)
+        const full = syllables.join('')
+        const initials = syllables.map(s => s[0]).join('')
+
+        tokens.push(full, initials)
+        fullParts.push(full)
+        initialParts.push(initials)
+      } else {
+        fullParts.push(word)
+        initialParts.push(word[0])
+      }
+    }
+
+    if (fullParts.length > 1) {
+      tokens.push(fullParts.join(''), initialParts.join(''))
+    }
+
+    return [...new Set(tokens.filter(Boolean))]
+  }
+
+  /**
+   * 中文转拼音音节（多音字优先按词语读音）
+   * @param {string} text - 中文文本
+   * @returns {string[]} 音节数组，非中文字符原样保留
+   */
+  toPinyin(text) {
+    const { chars, words } = this.loadPinyinTable()
+
+    if (words.has(text)) return words.get(text)
+
+    return [...text].map(char => chars.get(char) || char)
+  }
+
+  /**
+   * 查询分析：得到正文词项与可作为拼音匹配的词项
+   * @param {string} query - 查询文本
+   * @returns {{text: string[], pinyin: string[]}}
+   */
+  analyzeQuery(query) {
+    const text = this.tokenize(query, 'query')
+
+    return {
+      text,
+      // 纯字母词项可能是拼音或拼音首字母
+      pinyin: text.filter(term => /^[a-z]+$/.test(term))
+    }
+  }
+
+  /**
+   * 统计词频
+   * @param {string[]} tokens - 词项序列
+   * @returns {Map<string, number>}
+   */
+  termFrequencies(tokens) {
+    const frequencies = new Map()
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1)
+    }
+    return frequencies
+  }
+
+  /**
+   * 编辑距离（含相邻字符交换）
+   * @param {string} a - 词项
+   * @param {string} b - 词项
+   * @param {number} [max=Infinity] - 超过该值时提前结束并返回 max + 1
+   */
+  editDistance(a, b, max = Infinity) {
+    const s = [...a]
+    const t = [...b]
+
+    if (Math.abs(s.length - t.length) > max) return max + 1
+
+    let previous2 = null
+    let previous = Array.from({ length: t.length + 1 }, (_, j) => j)
+
+    for (let i = 1; i <= s.length; i++) {
+      const current = [i]
+      let rowMin = i
+
+      for (let j = 1; j <= t.length; j++) {
+        const cost = s[i - 1] === t[j - 1] ? 0 : 1
+        let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+
+        if (previous2 && i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+          value = Math.min(value, previous2[j - 2] + 1)
+        }
+
+        current.push(value)
+        rowMin = Math.min(rowMin, value)
+      }
+
+      if (rowMin > max) return max + 1
+
+      previous2 = previous
+      previous = current
+    }
+
+    return previous[t.length]
+  }
+
+  /**
+   * 加载分词词典 (词 词频)
+   */
+  loadDictionary() {
+    if (this.dictionary) return this.dictionary
+
+    const words = new Map()
+    let total = 0
+
+    for (const [word, freq] of this.readDictFile('words.txt')) {
+      const count = parseInt(freq) || 1
+      words.set(word, count)
+      total += count
+    }
+
+    this.dictionary = {
+      words,
+      logTotal: Math.log(Math.max(total, 1))
+    }
+
+    return this.dictionary
+  }
+
+  /**
+   * 加载拼音表
+   */
+  loadPinyinTable() {
+    if (this.pinyinTable) return this.pinyinTable
+
+    const chars = new Map()
+    const words = new Map()
+
+    for (const [syllable, charList] of this.readDictFile('pinyin.txt')) {
+      for (const char of charList || '') {
+        chars.set(char, syllable)
+      }
+    }
+
+    for (const [word, ...syllables] of this.readDictFile('pinyin-words.txt')) {
+      words.set(word, syllables)
+    }
+
+    this.pinyinTable = { chars, words }
+    return this.pinyinTable
+  }
+
+  /**
+   * 读取词典文件（忽略空行与 # 注释）
+   * @returns {string[][]} 按空白分隔的列
+   */
+  readDictFile(fileName) {
+    const filePath = path.join(this.config.dictDir, fileName)
+
+    try {
+      return fs.readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.trim().split(/\s+/))
+    } catch (error) {
+      logger.error(`词典加载失败: ${filePath}`, error)
+      return []
+    }
+  }
+}
+
+module.exports = new Analyzer()
+module.exports.CJK_PATTERN = CJK_PATTERN
\ No newline at end of file
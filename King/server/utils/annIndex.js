@@ -0,0 +1,194 @@
+// server/utils/annIndex.js
+
+/**
+ * 近似最近邻索引（倒排文件 IVF）
+ * 向量须已 L2 归一化，相似度为点积（余弦相似度）；
+ * 构建时以球面 k-means 将向量划分到约 √n 个簇，检索时只比较与查询最接近的 probes 个簇内的向量。
+ * 向量数不超过 exactThreshold 时不分簇，检索为精确计算
+ */
+class AnnIndex {
+  /**
+   * @param {Object} options
+   * @param {number} options.dimensions - 向量维数
+   * @param {number} [options.probes=8] - 检索的簇数
+   * @param {number} [options.iterations=8] - k-means 迭代次数
+   * @param {number} [options.sampleSize=20000] - k-means 训练的最大样本数
+   * @param {number} [options.exactThreshold=2000] - 不分簇的最大向量数
+   */
+  constructor({ dimensions, probes = 8, iterations = 8, sampleSize = 20000, exactThreshold = 2000 }) {
+    this.dimensions = dimensions
+    this.probes = probes
+    this.iterations = iterations
+    this.sampleSize = sampleSize
+    this.exactThreshold = exactThreshold
+    this.reset()
+  }
+
+  reset() {
+    // id -> { vector, list }
+    this.vectors = new Map()
+    // 簇中心（未分簇时为空）及各簇成员
+    this.centroids = []
+    this.lists = [new Set()]
+  }
+
+  get size() {
+    return this.vectors.size
+  }
+
+  /**
+   * 以全部向量构建索引（替换原有内容）
+   * @param {Array<[string, Float32Array]>} entries
+   */
+  build(entries) {
+    this.reset()
+
+    if (entries.length > this.exactThreshold) {
+      this.centroids = this.train(entries.map(([, vector]) => vector))
+      this.lists = this.centroids.map(() => new Set())
+    }
+
+    for (const [id, vector] of entries) this.add(id, vector)
+  }
+
+  /**
+   * 添加或替换向量（分配到最接近的簇，簇中心不随之更新）
+   */
+  add(id, vector) {
+    this.remove(id)
+
+    const list = this.centroids.length ? this.nearestLists(vector, 1)[0] : 0
+    this.vectors.set(id, { vector, list })
+    this.lists[list].add(id)
+  }
+
+  remove(id) {
+    const entry = this.vectors.get(id)
+    if (!entry) return false
+
+    this.lists[entry.list].delete(id)
+    this.vectors.delete(id)
+    return true
+  }
+
+  get(id) {
+    return this.vectors.get(id)?.vector || null
+  }
+
+  /**
+   * 与查询向量最相似的向量
+   * @param {Float32Array} vector - 查询向量（已归一化）
+   * @param {number} limit - 返回数量
+   * @param {Object} [options]
+   * @param {number} [options.minScore] - 相似度下限
+   * @returns {Array<{id: string, score: number}>} 相似度降序
+   */
+  search(vector, limit, { minScore = -Infinity } = {}) {
+    const lists = this.centroids.length
+      ? this.nearestLists(vector, this.probes)
+      : [0]
+    const hits = []
+
+    for (const list of lists) {
+      for (const id of this.lists[list]) {
+        const score = dot(vector, this.vectors.get(id).vector)
+        if (score >= minScore) hits.push({ id, score })
+      }
+    }
+
+    return hits
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1))
+      .slice(0, limit)
+  }
+
+  /**
+   * 与向量最接近的若干簇
+   * @returns {number[]} 簇序号
+   */
+  nearestLists(vector, count) {
+    return this.centroids
+      .map((centroid, list) => ({ list, score: dot(vector, centroid) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map(item => item.list)
+  }
+
+  /**
+   * 球面 k-means：簇中心为成员向量之和的归一化，空簇以随机样本重新初始化
+   * @returns {Float32Array[]} 簇中心
+   */
+  train(vectors) {
+    const random = seededRandom(vectors.length)
+    const sample = vectors.length > this.sampleSize
+      ? Array.from({ length: this.sampleSize }, () => vectors[Math.floor(random() * vectors.length)])
+      : vectors
+    const count = Math.max(1, Math.round(Math.sqrt(vectors.length)))
+
+    let centroids = Array.from({ length: count }, () => sample[Math.floor(random() * sample.length)].slice())
+
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      const sums = centroids.map(() => new Float32Array(this.dimensions))
+      const sizes = new Array(count).fill(0)
+
+      for (const vector of sample) {
+        let best = 0
+        let bestScore = -Infinity
+        for (let i = 0; i < count; i++) {
+          const score = dot(vector, centroids[i])
+          if (score > bestScore) {
+            best = i
+            bestScore = score
+          }
+        }
+
+        sizes[best]++
+        for (let d = 0; d < this.dimensions; d++) sums[best][d] += vector[d]
+      }
+
+      centroids = sums.map((sum, i) => sizes[i]
+        ? normalize(sum)
+        : sample[Math.floor(random() * sample.length)].slice())
+    }
+
+    return centroids
+  }
+}
+
+/**
+ * 点积
+ */
+function dot(a, b) {
+  let sum = 0
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i]
+  return sum
+}
+
+/**
+ * L2 归一化（原地），零向量原样返回
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(dot(vector, vector))
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm
+  }
+  return vector
+}
+
+/**
+ * 可复现的伪随机数（mulberry32）
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+module.exports = AnnIndex
+module.exports.dot = dot
+module.exports.normalize = normalize
+module.exports.seededRandom = seededRandom
\ No newline at end of file
@@ -0,0 +1,32 @@
+// server/utils/eventBus.js
+const { EventEmitter } = require('events')
+const { logger } = require('./logger')
+
+/**
+ * 进程内事件总线
+ * 模型钩子在此广播数据变更，由搜索索引等服务订阅，避免模型与服务互相引用
+ */
+class EventBus extends EventEmitter {
+  constructor() {
+    super()
+    this.setMaxListeners(50)
+  }
+
+  /**
+   * 安全触发事件（监听器异常不影响调用方）
+   * @param {string} event - 事件名称
+   * @param {...any} args - 事件参数
+   */
+  safeEmit(event, ...args) {
+    try {
+      return this.emit(event, ...args)
+    } catch (error) {
+      logger.error(`事件处理失败: ${event}`, error)
+      return false
+    }
+  }
+}
+
+const eventBus = new EventBus()
+
+module.exports = { eventBus }
\ No newline at end of file
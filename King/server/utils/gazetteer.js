@@ -0,0 +1,220 @@
+// server/utils/gazetteer.js
+const fs = require('fs')
+const path = require('path')
+const { logger } = require('./logger')
+
+// 地球平均半径（km）
+const EARTH_RADIUS_KM = 6371.0088
+
+// 行政区划层级
+const LEVELS = ['province', 'city', 'district']
+
+// 生成简称时去除的通名（自治区、自治州等不规则简称在数据文件中列出）
+const SUFFIXES = ['特别行政区', '新区', '地区', '省', '市', '盟', '区', '县']
+
+// 简称后紧跟这些字时视为道路等地名而非行政区划（如 "南京路"、"朝阳街"）
+const STREET_PATTERN = /^[路街道巷弄里村镇乡桥]/
+
+/**
+ * 离线行政区划表：地址解析为省/市/区县，并取所在行政区划的中心坐标
+ * 数据见 data/geo/regions.txt
+ */
+class Gazetteer {
+  constructor() {
+    this.config = {
+      file: path.join(__dirname, '../data/geo/regions.txt')
+    }
+
+    // 按需加载
+    this.data = null
+  }
+
+  /**
+   * 解析地址
+   * @param {string} address - 地址文本（如 "广东省深圳市南山区科技园"、"北京海淀区中关村"）
+   * @returns {{code: string, province: string, city: string|null, district: string|null,
+   *   precision: string, coordinates: number[]}|null} 无法识别行政区划时返回null
+   */
+  geocode(address) {
+    const { region } = this.parse(address)
+    return region ? this.describe(region) : null
+  }
+
+  /**
+   * 按名称查找行政区划，名称须完整匹配（如 "广东"、"深圳市南山区"）
+   * @returns {Object|null} 同 geocode
+   */
+  resolve(name) {
+    const { region, rest } = this.parse(name)
+    return region && !rest ? this.describe(region) : null
+  }
+
+  /**
+   * 从文本开头依次匹配省、市、区县
+   * @returns {{region: Object|null, rest: string}} 匹配到的最小行政区划及剩余文本
+   */
+  parse(text) {
+    let input = String(text ?? '').normalize('NFKC').replace(/\s+/g, '')
+    if (input.startsWith('中国')) input = input.slice(2)
+
+    const { region, end } = this.matchChain(input, 0, null)
+    return { region, rest: input.slice(end) }
+  }
+
+  /**
+   * 从 position 起匹配 parent 的下级行政区划，取匹配层级最多的结果
+   * （简称有歧义时由后续文本决定，如 "朝阳" 之后为 "区" 或 "市"）
+   */
+  matchChain(input, position, parent) {
+    let best = { region: parent, end: position, depth: 0 }
+
+    for (const { entry, length } of this.matchAt(input, position)) {
+      if (parent && !isDescendant(entry, parent)) continue
+
+      const next = this.matchChain(input, position + length, entry)
+      if (next.depth + 1 > best.depth) {
+        best = { region: next.region, end: next.end, depth: next.depth + 1 }
+      }
+    }
+
+    return best
+  }
+
+  /**
+   * position 处可匹配的名称（长名称、高层级优先）
+   * @returns {Array<{entry: Object, length: number}>}
+   */
+  matchAt(input, position) {
+    const { names, maxLength } = this.load()
+    const matches = []
+
+    for (let length = Math.min(maxLength, input.length - position); length >= 2; length--) {
+      const candidates = names.get(input.slice(position, position + length))
+      if (!candidates) continue
+
+      for (const { entry, alias } of candidates) {
+        if (alias && STREET_PATTERN.test(input.slice(position + length))) continue
+        matches.push({ entry, length })
+      }
+    }
+
+    return matches
+  }
+
+  /**
+   * 行政区划的完整描述
+   */
+  describe(entry) {
+    const result = {
+      code: entry.code,
+      province: null,
+      city: null,
+      district: null,
+      precision: LEVELS[entry.level],
+      coordinates: entry.coordinates
+    }
+
+    for (let current = entry; current; current = current.parent) {
+      result[LEVELS[current.level]] = current.name
+    }
+
+    // 直辖市的区县直属于省级，城市即直辖市
+    if (result.district && !result.city) result.city = result.province
+
+    return result
+  }
+
+  /**
+   * 两点间的球面距离（km）
+   * @param {number[]} from - [经度, 纬度]
+   * @param {number[]} to - [经度, 纬度]
+   */
+  distance(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180
+    const [lng1, lat1] = from.map(toRadians)
+    const [lng2, lat2] = to.map(toRadians)
+
+    const a = Math.sin((lat2 - lat1) / 2) ** 2 +
+      Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)))
+  }
+
+  /**
+   * 加载行政区划表（代码 名称 经度 纬度 [简称...]）
+   */
+  load() {
+    if (this.data) return this.data
+
+    const entries = new Map()
+    const names = new Map()
+    const addName = (name, entry, alias) => {
+      if (!names.has(name)) names.set(name, [])
+      names.get(name).push({ entry, alias })
+    }
+
+    for (const [code, name, lng, lat, ...aliases] of this.readFile()) {
+      const level = code.endsWith('0000') ? 0 : code.endsWith('00') ? 1 : 2
+      const entry = { code, name, level, coordinates: [Number(lng), Number(lat)], parent: null }
+      entries.set(code, entry)
+
+      addName(name, entry, false)
+
+      const suffix = SUFFIXES.find(item => name.endsWith(item))
+      const short = suffix ? name.slice(0, -suffix.length) : ''
+      for (const alias of new Set([...aliases, ...(short.length >= 2 ? [short] : [])])) {
+        addName(alias, entry, true)
+      }
+    }
+
+    // 上级：区县 -> 地级（直辖市等无地级时为省级），地级 -> 省级
+    for (const entry of entries.values()) {
+      if (entry.level === 0) continue
+      const province = entries.get(`${entry.code.slice(0, 2)}0000`)
+      entry.parent = entry.level === 2
+        ? entries.get(`${entry.code.slice(0, 4)}00`) || province
+        : province
+    }
+
+    // 同名时高层级优先
+    for (const candidates of names.values()) {
+      candidates.sort((a, b) => a.entry.level - b.entry.level)
+    }
+
+    this.data = {
+      entries,
+      names,
+      maxLength: Math.max(0, ...[...names.keys()].map(name => name.length))
+    }
+
+    return this.data
+  }
+
+  /**
+   * 读取数据文件（忽略空行与 # 注释）
+   */
+  readFile() {
+    try {
+      return fs.readFileSync(this.config.file, 'utf8')
+        .split(/\r?\n/)
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.trim().split(/\s+/))
+    } catch (error) {
+      logger.error(`行政区划表加载失败: ${this.config.file}`, error)
+      return []
+    }
+  }
+}
+
+/**
+ * entry 是否为 ancestor 的下级行政区划
+ */
+function isDescendant(entry, ancestor) {
+  for (let current = entry.parent; current; current = current.parent) {
+    if (current === ancestor) return true
+  }
+  return false
+}
+
+module.exports = new Gazetteer()
+module.exports.EARTH_RADIUS_KM = EARTH_RADIUS_KM
\ No newline at end of file
@@ -0,0 +1,62 @@
+// server/utils/ipRange.js
+
+// IPv4 地址（点分十进制）
+const IPV4_PATTERN = /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/
+
+/**
+ * IPv4 地址与 CIDR 网段
+ * 地址以 32 位无符号整数表示（网站的 ipNumber 字段），网段为整数闭区间，可直接用于范围查询
+ */
+class IpRange {
+  /**
+   * 地址转整数
+   * @returns {number|null} 地址无效时返回 null
+   */
+  toNumber(ip) {
+    if (typeof ip !== 'string' || !IPV4_PATTERN.test(ip)) return null
+    return ip.split('.').reduce((number, octet) => number * 256 + Number(octet), 0)
+  }
+
+  /**
+   * 整数转地址
+   */
+  toAddress(number) {
+    return [24, 16, 8, 0].map(shift => Math.floor(number / 2 ** shift) % 256).join('.')
+  }
+
+  /**
+   * 解析 CIDR 网段（如 10.0.0.0/8），单个地址视为 /32
+   * 网络地址的主机位不为 0 时按所在网段处理（10.1.2.3/8 等同 10.0.0.0/8）
+   * @returns {{cidr: string, prefix: number, start: number, end: number}|null} 格式无效时返回 null
+   */
+  parse(text) {
+    const [address, prefixText, extra] = String(text).trim().split('/')
+    if (extra !== undefined) return null
+    if (prefixText !== undefined && !/^(?:3[0-2]|[12]?\d)$/.test(prefixText)) return null
+
+    const number = this.toNumber(address)
+    if (number === null) return null
+
+    const prefix = prefixText === undefined ? 32 : Number(prefixText)
+    const size = 2 ** (32 - prefix)
+    const start = Math.floor(number / size) * size
+
+    return {
+      cidr: `${this.toAddress(start)}/${prefix}`,
+      prefix,
+      start,
+      end: start + size - 1
+    }
+  }
+
+  /**
+   * 地址所在的网段（默认 /24）
+   * @returns {string|null} 如 203.0.113.0/24
+   */
+  subnetOf(ip, prefix = 24) {
+    return this.toNumber(ip) === null ? null : this.parse(`${ip}/${prefix}`).cidr
+  }
+}
+
+module.exports = new IpRange()
+module.exports.IPV4_PATTERN = IPV4_PATTERN
\ No newline at end of file
@@ -0,0 +1,90 @@
+// server/utils/lruCache.js
+
+/**
+ * 带过期时间的 LRU 缓存
+ * 基于 Map 的插入顺序：命中时移到末尾，超出容量时淘汰最久未使用的条目；
+ * 条目可附带标签，按标签批量失效（如某实体类型数据变更时清除依赖它的结果）
+ */
+class LRUCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=1000] - 最大条目数
+   * @param {number} [options.ttl=60000] - 默认过期时间（毫秒）
+   */
+  constructor({ maxEntries = 1000, ttl = 60 * 1000 } = {}) {
+    this.maxEntries = maxEntries
+    this.ttl = ttl
+    this.entries = new Map()
+    this.stats = { hits: 0, misses: 0, evictions: 0 }
+  }
+
+  get size() {
+    return this.entries.size
+  }
+
+  /**
+   * 读取缓存，未命中或已过期时返回 undefined
+   */
+  get(key) {
+    const entry = this.entries.get(key)
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key)
+      this.stats.misses++
+      return undefined
+    }
+
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    this.stats.hits++
+
+    return entry.value
+  }
+
+  /**
+   * 写入缓存
+   * @param {string} key
+   * @param {any} value
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - 过期时间（毫秒），缺省使用默认值
+   * @param {string[]} [options.tags] - 标签
+   */
+  set(key, value, { ttl = this.ttl, tags = [] } = {}) {
+    this.entries.delete(key)
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl, tags: new Set(tags) })
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+      this.stats.evictions++
+    }
+
+    return this
+  }
+
+  delete(key) {
+    return this.entries.delete(key)
+  }
+
+  /**
+   * 清除带有该标签的条目
+   * @returns {number} 清除的条目数
+   */
+  invalidate(tag) {
+    let removed = 0
+
+    for (const [key, entry] of this.entries) {
+      if (entry.tags.has(tag)) {
+        this.entries.delete(key)
+        removed++
+      }
+    }
+
+    return removed
+  }
+
+  clear() {
+    this.entries.clear()
+  }
+}
+
+module.exports = LRUCache
\ No newline at end of file
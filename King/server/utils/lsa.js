@@ -0,0 +1,266 @@
+// server/utils/lsa.js
+const { normalize, seededRandom } = require('./annIndex')
+
+/**
+ * 潜在语义分析（LSA）：TF-IDF 文档-词项矩阵的截断奇异值分解
+ * 文档及查询的向量为其 TF-IDF 向量在前 k 个右奇异向量上的投影（L2 归一化），
+ * 常在同类文档中共同出现的词项（如"锂电池"与"动力电池"）投影到相近的方向，查询不必与原文字面一致。
+ * 分解使用随机化算法：随机投影 + 幂迭代得到近似的行空间基，再对小矩阵做 Jacobi 特征分解，
+ * 只需对稀疏矩阵做若干次乘法
+ */
+class LsaModel {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.dimensions=128] - 向量维数（语料较小时降低）
+   * @param {number} [options.maxVocabulary=20000] - 词表上限（按文档频率取最高者）
+   * @param {number} [options.minDocumentFrequency=2] - 词项的最低文档频率
+   * @param {number} [options.maxDocumentRatio=0.5] - 出现在超过该比例文档中的词项视为停用词
+   * @param {number} [options.oversampling=10] - 随机投影的额外维数
+   * @param {number} [options.powerIterations=2] - 幂迭代次数
+   */
+  constructor({
+    dimensions = 128,
+    maxVocabulary = 20000,
+    minDocumentFrequency = 2,
+    maxDocumentRatio = 0.5,
+    oversampling = 10,
+    powerIterations = 2
+  } = {}) {
+    this.options = { dimensions, maxVocabulary, minDocumentFrequency, maxDocumentRatio, oversampling, powerIterations }
+
+    // 词项 -> 序号
+    this.vocabulary = new Map()
+    this.idf = null
+    // 词项 × 维数的投影矩阵（行优先），未训练时为 null
+    this.projection = null
+    this.dimensions = 0
+  }
+
+  get isFitted() {
+    return !!this.projection
+  }
+
+  /**
+   * 在语料上训练（替换原有模型）；有效词项或文档过少时保持未训练状态
+   * @param {string[][]} documents - 各文档的词项序列
+   */
+  fit(documents) {
+    const { dimensions, maxVocabulary, minDocumentFrequency, maxDocumentRatio, oversampling, powerIterations } = this.options
+
+    const frequency = new Map()
+    for (const tokens of documents) {
+      for (const term of new Set(tokens)) frequency.set(term, (frequency.get(term) || 0) + 1)
+    }
+
+    const maxFrequency = Math.max(minDocumentFrequency, documents.length * maxDocumentRatio)
+    const vocabulary = [...frequency]
+      .filter(([, count]) => count >= minDocumentFrequency && count <= maxFrequency)
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, maxVocabulary)
+
+    this.vocabulary = new Map(vocabulary.map(([term], index) => [term, index]))
+    this.idf = Float32Array.from(vocabulary, ([, count]) => Math.log(1 + documents.length / count))
+    this.projection = null
+    this.dimensions = 0
+
+    const rows = documents.map(tokens => this.weigh(tokens)).filter(Boolean)
+    const terms = this.vocabulary.size
+    const rank = Math.min(dimensions + oversampling, terms, rows.length)
+    if (rank < 2) return
+
+    const random = seededRandom(rows.length * 31 + terms)
+
+    // 行空间的近似基 Q（词项 × rank）：(XᵀX)^(q+1) Ω 的正交化
+    let basis = Float64Array.from({ length: terms * rank }, () => gaussian(random))
+    orthonormalize(basis, terms, rank)
+    for (let i = 0; i <= powerIterations; i++) {
+      basis = gramProduct(rows, basis, terms, rank)
+      orthonormalize(basis, terms, rank)
+    }
+
+    // 小矩阵 Qᵀ XᵀX Q 的特征向量即右奇异向量在 Q 中的坐标
+    const product = gramProduct(rows, basis, terms, rank)
+    const small = new Float64Array(rank * rank)
+    for (let t = 0; t < terms; t++) {
+      for (let i = 0; i < rank; i++) {
+        const value = basis[t * rank + i]
+        if (!value) continue
+        for (let j = 0; j < rank; j++) small[i * rank + j] += value * product[t * rank + j]
+      }
+    }
+    for (let i = 0; i < rank; i++) {
+      for (let j = i + 1; j < rank; j++) {
+        const mean = (small[i * rank + j] + small[j * rank + i]) / 2
+        small[i * rank + j] = mean
+        small[j * rank + i] = mean
+      }
+    }
+
+    const { values, vectors } = jacobiEigen(small, rank)
+    const order = [...values.keys()]
+      .sort((a, b) => values[b] - values[a])
+      .slice(0, Math.min(dimensions, rank))
+    const size = order.length
+
+    // 投影矩阵 = Q × 前 k 个特征向量
+    const projection = new Float32Array(terms * size)
+    for (let t = 0; t < terms; t++) {
+      for (let c = 0; c < size; c++) {
+        let sum = 0
+        for (let j = 0; j < rank; j++) sum += basis[t * rank + j] * vectors[j * rank + order[c]]
+        projection[t * size + c] = sum
+      }
+    }
+
+    this.projection = projection
+    this.dimensions = size
+  }
+
+  /**
+   * 词项序列 -> 向量
+   * @returns {Float32Array|null} 未训练或不含词表中的词项时返回 null
+   */
+  transform(tokens) {
+    if (!this.projection) return null
+
+    const row = this.weigh(tokens)
+    if (!row) return null
+
+    const vector = new Float32Array(this.dimensions)
+    for (let i = 0; i < row.indices.length; i++) {
+      const offset = row.indices[i] * this.dimensions
+      const weight = row.values[i]
+      for (let c = 0; c < this.dimensions; c++) vector[c] += weight * this.projection[offset + c]
+    }
+
+    return normalize(vector)
+  }
+
+  /**
+   * 词项序列 -> 归一化的稀疏 TF-IDF 向量（次线性词频）
+   * @returns {{indices: Int32Array, values: Float32Array}|null}
+   */
+  weigh(tokens) {
+    const counts = new Map()
+    for (const token of tokens) {
+      const index = this.vocabulary.get(token)
+      if (index !== undefined) counts.set(index, (counts.get(index) || 0) + 1)
+    }
+    if (!counts.size) return null
+
+    const indices = Int32Array.from(counts.keys())
+    const values = Float32Array.from(indices, index => (1 + Math.log(counts.get(index))) * this.idf[index])
+
+    return { indices, values: normalize(values) }
+  }
+}
+
+/**
+ * XᵀX Y：X 为稀疏文档-词项矩阵，Y 为词项 × rank 的稠密矩阵（行优先）
+ */
+function gramProduct(rows, matrix, terms, rank) {
+  const result = new Float64Array(terms * rank)
+  const row = new Float64Array(rank)
+
+  for (const { indices, values } of rows) {
+    row.fill(0)
+    for (let i = 0; i < indices.length; i++) {
+      const offset = indices[i] * rank
+      for (let c = 0; c < rank; c++) row[c] += values[i] * matrix[offset + c]
+    }
+    for (let i = 0; i < indices.length; i++) {
+      const offset = indices[i] * rank
+      for (let c = 0; c < rank; c++) result[offset + c] += values[i] * row[c]
+    }
+  }
+
+  return result
+}
+
+/**
+ * 列正交化（修正 Gram-Schmidt，原地），线性相关的列置零
+ */
+function orthonormalize(matrix, size, rank) {
+  for (let c = 0; c < rank; c++) {
+    for (let p = 0; p < c; p++) {
+      let projection = 0
+      for (let t = 0; t < size; t++) projection += matrix[t * rank + c] * matrix[t * rank + p]
+      for (let t = 0; t < size; t++) matrix[t * rank + c] -= projection * matrix[t * rank + p]
+    }
+
+    let norm = 0
+    for (let t = 0; t < size; t++) norm += matrix[t * rank + c] ** 2
+    norm = Math.sqrt(norm)
+
+    for (let t = 0; t < size; t++) {
+      matrix[t * rank + c] = norm > 1e-10 ? matrix[t * rank + c] / norm : 0
+    }
+  }
+}
+
+/**
+ * 对称矩阵的特征分解（循环 Jacobi 旋转）
+ * @returns {{values: number[], vectors: Float64Array}} 特征向量为 vectors 的列（行优先存储）
+ */
+function jacobiEigen(matrix, size, maxSweeps = 50) {
+  const a = Float64Array.from(matrix)
+  const vectors = new Float64Array(size * size)
+  for (let i = 0; i < size; i++) vectors[i * size + i] = 1
+
+  let scale = 0
+  for (let i = 0; i < size * size; i++) scale += a[i] * a[i]
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let offDiagonal = 0
+    for (let p = 0; p < size; p++) {
+      for (let q = p + 1; q < size; q++) offDiagonal += a[p * size + q] ** 2
+    }
+    if (offDiagonal <= 1e-22 * scale) break
+
+    for (let p = 0; p < size - 1; p++) {
+      for (let q = p + 1; q < size; q++) {
+        const apq = a[p * size + q]
+        if (Math.abs(apq) < 1e-300) continue
+
+        const theta = (a[q * size + q] - a[p * size + p]) / (2 * apq)
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+        const cos = 1 / Math.sqrt(t * t + 1)
+        const sin = t * cos
+
+        for (let k = 0; k < size; k++) {
+          const akp = a[k * size + p]
+          const akq = a[k * size + q]
+          a[k * size + p] = cos * akp - sin * akq
+          a[k * size + q] = sin * akp + cos * akq
+        }
+        for (let k = 0; k < size; k++) {
+          const apk = a[p * size + k]
+          const aqk = a[q * size + k]
+          a[p * size + k] = cos * apk - sin * aqk
+          a[q * size + k] = sin * apk + cos * aqk
+        }
+        for (let k = 0; k < size; k++) {
+          const vkp = vectors[k * size + p]
+          const vkq = vectors[k * size + q]
+          vectors[k * size + p] = cos * vkp - sin * vkq
+          vectors[k * size + q] = sin * vkp + cos * vkq
+        }
+      }
+    }
+  }
+
+  return {
+    values: Array.from({ length: size }, (_, i) => a[i * size + i]),
+    vectors
+  }
+}
+
+/**
+ * 标准正态分布随机数（Box-Muller）
+ */
+function gaussian(random) {
+  return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random())
+}
+
+module.exports = LsaModel
+module.exports.jacobiEigen = jacobiEigen
\ No newline at end of file
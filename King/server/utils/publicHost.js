@@ -0,0 +1,128 @@
+// server/utils/publicHost.js
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+
+// 不允许访问的网段：本机、内网、链路本地、唯一本地及保留地址（IPv4 映射的 IPv6 地址按 IPv4 规则判断）
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 96, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['fec0::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+]
+
+/**
+ * 地址不是公网地址（目标为本机或内网）
+ */
+class UnsafeHostError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'UnsafeHostError'
+    this.code = 'UNSAFE_HOST'
+  }
+}
+
+/**
+ * 公网地址校验
+ * 用于服务端主动请求用户填写的地址（如保存的搜索的 Webhook），防止借此访问本机及内网服务
+ */
+class PublicHost {
+  constructor() {
+    this.blockList = new net.BlockList()
+    for (const [address, prefix, type] of BLOCKED_SUBNETS) {
+      this.blockList.addSubnet(address, prefix, type)
+    }
+
+    // 连接时校验解析结果，防止校验后域名改为解析到内网（DNS rebinding）
+    this.lookup = this.lookup.bind(this)
+    this.httpAgent = new http.Agent({ lookup: this.lookup })
+    this.httpsAgent = new https.Agent({ lookup: this.lookup })
+  }
+
+  /**
+   * 是否为公网 IP 地址
+   */
+  isPublicAddress(address) {
+    const version = net.isIP(address)
+    if (!version) return false
+    return !this.blockList.check(address, version === 6 ? 'ipv6' : 'ipv4')
+  }
+
+  /**
+   * 校验 http(s) URL 的主机名解析到的全部地址均为公网地址
+   * @throws {UnsafeHostError} 协议不支持、无法解析或包含非公网地址
+   */
+  async assertPublicUrl(url) {
+    let parsed
+    try {
+      parsed = new URL(url)
+    } catch (error) {
+      throw new UnsafeHostError('地址格式无效')
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new UnsafeHostError('仅支持 http(s) 地址')
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '')
+    let addresses
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true, verbatim: true })
+    } catch (error) {
+      throw new UnsafeHostError(`无法解析主机名: ${hostname}`)
+    }
+
+    this.assertPublicAddresses(hostname, addresses)
+  }
+
+  /**
+   * 校验解析结果，存在非公网地址时抛出错误
+   */
+  assertPublicAddresses(hostname, addresses) {
+    const blocked = addresses.find(item => !this.isPublicAddress(item.address))
+    if (blocked) {
+      throw new UnsafeHostError(`不允许访问内网或本机地址: ${hostname} (${blocked.address})`)
+    }
+  }
+
+  /**
+   * dns.lookup 的替代实现（http(s).Agent 的 lookup 选项），解析到非公网地址时连接失败
+   * 主机名为 IP 地址时不经过 lookup，须先用 assertPublicUrl 校验
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error)
+
+      try {
+        this.assertPublicAddresses(hostname, Array.isArray(address) ? address : [{ address }])
+      } catch (unsafe) {
+        return callback(unsafe)
+      }
+
+      callback(null, address, family)
+    })
+  }
+}
+
+module.exports = new PublicHost()
+module.exports.UnsafeHostError = UnsafeHostError
\ No newline at end of file
@@ -0,0 +1,402 @@
+// server/utils/queryParser.js
+
+/**
+ * 查询语法错误（携带出错位置，供接口返回 400）
+ */
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - 错误描述
+   * @param {number} position - 出错位置（字符偏移，从0开始）
+   * @param {number} [length=1] - 出错片段长度
+   */
+  constructor(message, position, length = 1) {
+    super(message)
+    this.name = 'QuerySyntaxError'
+    this.code = 'QUERY_SYNTAX_ERROR'
+    this.position = position
+    this.length = Math.max(length, 1)
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      position: this.position,
+      length: this.length
+    }
+  }
+}
+
+// 布尔运算符（仅识别大写，避免与普通英文单词冲突）
+const OPERATORS = {
+  AND: 'and',
+  OR: 'or',
+  NOT: 'not'
+}
+
+// 字段名: 值（字段名不含点号，example.com:8080 等视为普通词项）
+const FIELD_PATTERN = /^([a-zA-Z]\w*):/
+
+// 端口形式的取值（如 localhost:3000、host:8080/path），字段名未知时视为普通词项
+const PORT_PATTERN = /^\d{1,5}(\/\S*)?$/
+
+/**
+ * 结构化查询解析器
+ *
+ * 语法示例:
+ *   云计算 industry:IT location:"北京 海淀"
+ *   (华为 OR 中兴) AND NOT status:suspended
+ *   founded:2010..2018 employees:>=500 -外包
+ *   tech:react ssl:true crawled:2024-01..
+ *
+ * 生成的语法树节点:
+ *   { type: 'term', value, position }
+ *   { type: 'phrase', value, position }
+ *   { type: 'field', field, value: { kind: 'term'|'phrase', value } | { kind: 'range', from, to, fromExclusive, toExclusive }, position, length }
+ *   { type: 'and'|'or', children }
+ *   { type: 'not', child, position }
+ */
+class QueryParser {
+  /**
+   * 解析查询
+   * @param {string} input - 查询文本
+   * @param {Object} [options]
+   * @param {Iterable<string>} [options.fields] - 可识别的字段名，未知字段视为语法错误
+   * @returns {Object|null} 语法树，空查询返回 null
+   */
+  parse(input, options = {}) {
+    const text = input === undefined || input === null ? '' : String(input)
+    const fields = options.fields ? new Set(options.fields) : null
+
+    this.tokens = this.tokenize(text, fields)
+    this.index = 0
+    this.input = text
+
+    if (!this.tokens.length) return null
+
+    const ast = this.parseOr()
+
+    if (this.index < this.tokens.length) {
+      const token = this.peek()
+      throw new QuerySyntaxError(
+        token.type === 'rparen' ? '多余的右括号' : `无法识别的内容: ${token.raw}`,
+        token.position,
+        token.raw.length
+      )
+    }
+
+    return ast
+  }
+
+  /**
+   * 词法分析
+   * @returns {Array<{type: string, value: any, raw: string, position: number}>}
+   */
+  tokenize(text, fields) {
+    const tokens = []
+    let i = 0
+
+    while (i < text.length) {
+      const char = text[i]
+
+      if (/\s/.test(char)) {
+        i++
+        continue
+      }
+
+      if (char === '(' || char === ')') {
+        tokens.push({ type: char === '(' ? 'lparen' : 'rparen', raw: char, position: i })
+        i++
+        continue
+      }
+
+      if (char === '"') {
+        const phrase = this.readPhrase(text, i)
+        tokens.push({ type: 'phrase', value: phrase.value, raw: text.slice(i, phrase.end), position: i })
+        i = phrase.end
+        continue
+      }
+
+      // 词首的 - 表示排除
+      if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+        tokens.push({ type: 'not', raw: char, position: i })
+        i++
+        continue
+      }
+
+      const start = i
+      while (i < text.length && !/[\s()"]/.test(text[i])) i++
+      const word = text.slice(start, i)
+
+      if (OPERATORS[word]) {
+        tokens.push({ type: OPERATORS[word], raw: word, position: start })
+        continue
+      }
+
+      const match = word.match(FIELD_PATTERN)
+      const rest = match ? word.slice(match[0].length) : ''
+      const field = match ? match[1].toLowerCase() : null
+      const known = !fields || fields.has(field)
+
+      // 形如 http://... 的文本不视为字段，未知字段名后为端口号时（localhost:3000）同样视为普通词项
+      if (match && !rest.startsWith('//') && (known || !PORT_PATTERN.test(rest))) {
+        if (!known) {
+          throw new QuerySyntaxError(`未知字段: ${match[1]}`, start, match[1].length)
+        }
+
+        const valueStart = start + match[0].length
+        let token
+
+        if (rest) {
+          token = { field, value: this.parseValue(rest, valueStart), end: i }
+        } else if (text[i] === '"') {
+          const phrase = this.readPhrase(text, i)
+          token = { field, value: { kind: 'phrase', value: phrase.value }, end: phrase.end }
+        } else if (text[i] === '(') {
+          // 字段分组: industry:(IT OR 金融)
+          token = { field, group: true, end: i }
+        } else {
+          throw new QuerySyntaxError(`字段 ${match[1]} 缺少取值`, valueStart, 1)
+        }
+
+        tokens.push({
+          type: token.group ? 'fieldGroup' : 'field',
+          field: token.field,
+          value: token.value,
+          raw: text.slice(start, token.end),
+          position: start
+        })
+        i = token.end
+        continue
+      }
+
+      tokens.push({ type: 'term', value: word, raw: word, position: start })
+    }
+
+    return tokens
+  }
+
+  /**
+   * 读取引号短语
+   */
+  readPhrase(text, start) {
+    const end = text.indexOf('"', start + 1)
+    if (end === -1) {
+      throw new QuerySyntaxError('引号未闭合', start, text.length - start)
+    }
+
+    const value = text.slice(start + 1, end).trim()
+    if (!value) {
+      throw new QuerySyntaxError('引号内容为空', start, end - start + 1)
+    }
+
+    return { value, end: end + 1 }
+  }
+
+  /**
+   * 解析字段取值（普通值或范围）
+   * 范围写法: 2010..2018、2010..、..2018、>=500、>500、<2020、<=2020
+   */
+  parseValue(raw, position) {
+    const comparison = raw.match(/^(>=|<=|>|<)(.*)$/)
+    if (comparison) {
+      const [, operator, bound] = comparison
+      if (!bound) {
+        throw new QuerySyntaxError(`比较运算符 ${operator} 缺少取值`, position, raw.length)
+      }
+      return operator[0] === '>'
+        ? { kind: 'range', from: bound, to: null, fromExclusive: operator === '>', toExclusive: false }
+        : { kind: 'range', from: null, to: bound, fromExclusive: false, toExclusive: operator === '<' }
+    }
+
+    const separator = raw.indexOf('..')
+    if (separator !== -1) {
+      const from = raw.slice(0, separator)
+      const to = raw.slice(separator + 2)
+
+      if (!from && !to) {
+        throw new QuerySyntaxError('范围缺少上下限', position, raw.length)
+      }
+      if (to.includes('..')) {
+        throw new QuerySyntaxError('范围格式错误', position + separator + 2 + to.indexOf('..'), 2)
+      }
+
+      return { kind: 'range', from: from || null, to: to || null, fromExclusive: false, toExclusive: false }
+    }
+
+    return { kind: 'term', value: raw }
+  }
+
+  /**
+   * or := and ( OR and )*
+   */
+  parseOr(field) {
+    const children = [this.parseAnd(field)]
+
+    while (this.peek()?.type === 'or') {
+      const operator = this.next()
+      if (this.atClauseEnd()) {
+        throw new QuerySyntaxError('OR 之后缺少查询条件', operator.position, operator.raw.length)
+      }
+      children.push(this.parseAnd(field))
+    }
+
+    return children.length === 1 ? children[0] : { type: 'or', children }
+  }
+
+  /**
+   * and := unary ( [AND] unary )*  相邻条件默认按 AND 组合
+   */
+  parseAnd(field) {
+    const children = [this.parseUnary(field)]
+
+    while (this.peek() && !['or', 'rparen'].includes(this.peek().type)) {
+      if (this.peek().type === 'and') {
+        const operator = this.next()
+        if (this.atClauseEnd()) {
+          throw new QuerySyntaxError('AND 之后缺少查询条件', operator.position, operator.raw.length)
+        }
+      }
+      children.push(this.parseUnary(field))
+    }
+
+    return children.length === 1 ? children[0] : { type: 'and', children }
+  }
+
+  /**
+   * unary := (NOT | -) unary | primary
+   */
+  parseUnary(field) {
+    const token = this.peek()
+
+    if (token?.type === 'not') {
+      this.next()
+      if (this.atClauseEnd()) {
+        throw new QuerySyntaxError('NOT 之后缺少查询条件', token.position, token.raw.length)
+      }
+      return { type: 'not', child: this.parseUnary(field), position: token.position }
+    }
+
+    return this.parsePrimary(field)
+  }
+
+  /**
+   * primary := ( or ) | field:( or ) | field:value | "phrase" | term
+   * @param {string} [field] - 处于字段分组内时的字段名
+   */
+  parsePrimary(field) {
+    const token = this.next()
+
+    if (!token) {
+      const position = this.input.length
+      throw new QuerySyntaxError('查询意外结束', Math.max(position - 1, 0))
+    }
+
+    switch (token.type) {
+      case 'lparen':
+        return this.parseGroup(token, field)
+
+      case 'fieldGroup': {
+        if (field) {
+          throw new QuerySyntaxError('字段分组不能嵌套字段', token.position, token.raw.length)
+        }
+        return this.parseGroup(this.next(), token.field)
+      }
+
+      case 'field':
+        if (field) {
+          throw new QuerySyntaxError('字段分组不能嵌套字段', token.position, token.raw.length)
+        }
+        return {
+          type: 'field',
+          field: token.field,
+          value: token.value,
+          position: token.position,
+          length: token.raw.length
+        }
+
+      case 'term':
+      case 'phrase': {
+        if (field) {
+          // 分组内的值继承分组字段
+          return {
+            type: 'field',
+            field,
+            value: token.type === 'term'
+              ? this.parseValue(token.value, token.position)
+              : { kind: 'phrase', value: token.value },
+            position: token.position,
+            length: token.raw.length
+          }
+        }
+        return { type: token.type, value: token.value, position: token.position }
+      }
+
+      case 'rparen':
+        throw new QuerySyntaxError('缺少与右括号匹配的左括号', token.position)
+
+      default:
+        throw new QuerySyntaxError(`${token.raw} 前缺少查询条件`, token.position, token.raw.length)
+    }
+  }
+
+  /**
+   * 解析括号分组
+   */
+  parseGroup(open, field) {
+    if (this.peek()?.type === 'rparen') {
+      throw new QuerySyntaxError('括号内容为空', open.position, 2)
+    }
+
+    const node = this.parseOr(field)
+    const close = this.next()
+
+    if (close?.type !== 'rparen') {
+      throw new QuerySyntaxError('括号未闭合', open.position)
+    }
+
+    return node
+  }
+
+  peek() {
+    return this.tokens[this.index]
+  }
+
+  next() {
+    return this.tokens[this.index++]
+  }
+
+  /**
+   * 当前位置是否已无可用的条件
+   */
+  atClauseEnd() {
+    const token = this.peek()
+    return !token || ['rparen', 'or', 'and'].includes(token.type)
+  }
+}
+
+/**
+ * 遍历语法树中的正向（未被否定的）全文词项
+ * @param {Object|null} node - 语法树节点
+ * @returns {Array<Object>} term/phrase 节点
+ */
+function collectPositiveText(node, negated = false) {
+  if (!node) return []
+
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return negated ? [] : [node]
+    case 'and':
+    case 'or':
+      return node.children.flatMap(child => collectPositiveText(child, negated))
+    case 'not':
+      return collectPositiveText(node.child, !negated)
+    default:
+      return []
+  }
+}
+
+module.exports = new QueryParser()
+module.exports.QuerySyntaxError = QuerySyntaxError
+module.exports.collectPositiveText = collectPositiveText
\ No newline at end of file
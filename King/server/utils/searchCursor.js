@@ -0,0 +1,132 @@
+// server/utils/searchCursor.js
+const crypto = require('crypto')
+
+/**
+ * search_after 令牌无效（格式错误或不属于当前查询）
+ */
+class SearchCursorError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'SearchCursorError'
+    this.code = 'INVALID_CURSOR'
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message
+    }
+  }
+}
+
+/**
+ * 搜索结果的全局排序键及 search_after 游标
+ * 排序键 { tier, score, createdAt, type, id }：
+ * 命中层级升序 > 得分降序 > 创建时间降序 > 实体类型升序 > ID降序，任意两条结果均可比较，
+ * 多个实体类型的结果归并后顺序稳定
+ */
+class SearchCursor {
+  /**
+   * 比较两个排序键
+   * @returns {number} 负数表示 a 排在 b 之前
+   */
+  compare(a, b) {
+    return a.tier - b.tier ||
+      b.score - a.score ||
+      b.createdAt - a.createdAt ||
+      compareStrings(a.type, b.type) ||
+      compareStrings(b.id, a.id)
+  }
+
+  /**
+   * 由文档构造排序键
+   * @param {string} type - 实体类型
+   * @param {Object} doc - 文档（需含 _id、createdAt）
+   * @param {number} [score=0] - 相关性得分
+   * @param {number} [tier=0] - 命中层级
+   */
+  keyOf(type, doc, score = 0, tier = 0) {
+    return {
+      tier,
+      score,
+      createdAt: doc.createdAt ? new Date(doc.createdAt).getTime() : 0,
+      type,
+      id: String(doc._id)
+    }
+  }
+
+  /**
+   * 查询指纹（令牌只能用于生成它的查询）
+   * @param {Object} params - 影响结果集及排序的参数
+   */
+  fingerprint(params) {
+    return crypto.createHash('sha1')
+      .update(JSON.stringify(params))
+      .digest('base64url')
+      .slice(0, 12)
+  }
+
+  /**
+   * 编码排序键为 search_after 令牌
+   */
+  encode(key, fingerprint) {
+    const payload = [key.tier, key.score, key.createdAt, key.type, key.id, fingerprint]
+    return Buffer.from(JSON.stringify(payload)).toString('base64url')
+  }
+
+  /**
+   * 解码 search_after 令牌
+   * @throws {SearchCursorError} 令牌格式错误或与当前查询不匹配
+   */
+  decode(token, fingerprint) {
+    let payload
+
+    try {
+      payload = JSON.parse(Buffer.from(String(token), 'base64url').toString())
+    } catch (error) {
+      throw new SearchCursorError('search_after 令牌格式错误')
+    }
+
+    const valid = Array.isArray(payload) && payload.length === 6 &&
+      Number.isFinite(payload[0]) && Number.isFinite(payload[1]) && Number.isFinite(payload[2]) &&
+      typeof payload[3] === 'string' && /^[0-9a-f]{24}$/i.test(payload[4])
+
+    if (!valid) {
+      throw new SearchCursorError('search_after 令牌格式错误')
+    }
+
+    if (payload[5] !== fingerprint) {
+      throw new SearchCursorError('search_after 令牌与当前查询不匹配')
+    }
+
+    const [tier, score, createdAt, type, id] = payload
+    return { tier, score, createdAt, type, id }
+  }
+
+  /**
+   * 排在游标之后的数据库条件（仅适用于按创建时间排序、得分相同的结果）
+   * @param {string} type - 实体类型
+   * @param {Object} after - 游标排序键
+   */
+  afterCondition(type, after) {
+    const createdAt = new Date(after.createdAt)
+
+    // 创建时间相同时按实体类型、ID降序决定先后
+    if (type < after.type) return { createdAt: { $lt: createdAt } }
+    if (type > after.type) return { createdAt: { $lte: createdAt } }
+
+    return {
+      $or: [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: after.id } }
+      ]
+    }
+  }
+}
+
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+module.exports = new SearchCursor()
+module.exports.SearchCursorError = SearchCursorError
\ No newline at end of file